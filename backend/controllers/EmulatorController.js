@@ -1,140 +1,241 @@
-const { exec, spawn } = require("child_process");
 const fs = require("fs-extra");
-const path = require("path");
+const DeviceRegistry = require("../services/DeviceRegistry");
+const BootMonitor = require("../services/BootMonitor");
+const LaunchOptionsService = require("../services/LaunchOptionsService");
+const NetworkConditionService = require("../services/NetworkConditionService");
+const ValidationError = require("../services/ValidationError");
+const { createDriver } = require("../drivers");
+
+// Hardware button commands sent from the dashboard controls
+const KEY_COMMANDS = {
+  home: "KEYCODE_HOME",
+  back: "KEYCODE_BACK",
+  recent: "KEYCODE_APP_SWITCH",
+  "volume-up": "KEYCODE_VOLUME_UP",
+  "volume-down": "KEYCODE_VOLUME_DOWN",
+  power: "KEYCODE_POWER",
+};
+
+// The emulator invocation as it would be typed in a shell
+function commandLine(emulatorName, args) {
+  return ["emulator", "-avd", emulatorName, ...args]
+    .map((arg) => (/^[\w@%+=:,./-]+$/.test(arg) ? arg : `'${arg}'`))
+    .join(" ");
+}
 
 class EmulatorController {
-  constructor(io = null) {
-    this.runningEmulators = new Map();
-    this.adbPath = process.env.ADB_PATH || "adb";
-    this.emulatorPath = process.env.EMULATOR_PATH || "emulator";
+  constructor(
+    io = null,
+    registry = new DeviceRegistry(),
+    driver = createDriver(),
+    launchOptions = new LaunchOptionsService()
+  ) {
+    this.registry = registry;
+    this.driver = driver;
+    this.launchOptions = launchOptions;
+    this.adb = driver.adb;
     this.io = io;
+    this.bootMonitor = new BootMonitor(io, registry, this.adb);
   }
 
   async getAvailableEmulators() {
-    return new Promise((resolve, reject) => {
-      exec(`${this.emulatorPath} -list-avds`, (error, stdout, stderr) => {
-        if (error) {
-          reject(new Error(`Failed to get emulators: ${error.message}`));
-          return;
-        }
+    let names;
+    try {
+      names = await this.driver.listAvds();
+    } catch (error) {
+      throw new Error(`Failed to get emulators: ${error.message}`);
+    }
 
-        const emulators = stdout
-          .trim()
-          .split("\n")
-          .filter((line) => line.trim())
-          .map((name) => ({
-            id: name.trim(),
-            name: name.trim(),
-            status: this.runningEmulators.has(name.trim())
-              ? "running"
-              : "stopped",
-          }));
-
-        resolve(emulators);
-      });
-    });
+    return names.map((name) => ({
+      id: name,
+      name,
+      status: this.registry.has(name)
+        ? this.registry.get(name).status
+        : "stopped",
+    }));
+  }
+
+  async getConnectedSerials() {
+    try {
+      const devices = await this.adb.listDevices();
+      return devices
+        .map((device) => device.serial)
+        .filter((serial) => serial.startsWith("emulator-"));
+    } catch (error) {
+      throw new Error(`ADB check failed: ${error.message}`);
+    }
   }
 
-  async startEmulator(emulatorName) {
-    return new Promise((resolve, reject) => {
-      if (this.runningEmulators.has(emulatorName)) {
-        resolve({ message: "Emulator already running", status: "running" });
-        return;
+  async startEmulator(emulatorName, options = {}) {
+    const {
+      bootTimeout = BootMonitor.defaultTimeout,
+      snapshot,
+      profile,
+    } = options;
+    if (!Number.isInteger(bootTimeout) || bootTimeout <= 0) {
+      throw new ValidationError({
+        bootTimeout: "Must be a positive number of milliseconds",
+      });
+    }
+
+    // Resolved up front so a bad profile never leaves a half-started emulator
+    const launchOptions = this.launchOptions.resolve(
+      emulatorName,
+      profile || null
+    );
+
+    if (snapshot && !this.registry.has(emulatorName)) {
+      const snapshots = await this.driver.listSnapshots(emulatorName);
+      if (!snapshots.some((entry) => entry.name === snapshot)) {
+        throw new ValidationError({
+          snapshot: `Snapshot ${snapshot} not found for ${emulatorName}`,
+        });
       }
+    }
+
+    if (this.registry.has(emulatorName)) {
+      return this.alreadyRunning(emulatorName);
+    }
 
-      console.log(`Starting emulator: ${emulatorName}`);
+    // Emulators started outside the dashboard still hold their ports
+    const connectedSerials = await this.getConnectedSerials().catch(() => []);
 
-      const emulatorProcess = spawn(this.emulatorPath, [
-        "-avd",
-        emulatorName,
-        "-no-audio",
-        "-no-snapshot-save",
-        "-no-snapshot-load",
-        "-camera-back",
-        "webcam0",
-        "-camera-front",
-        "webcam0",
-        "-read-only",
-        "-no-metrics",
-      ]);
-
-      this.runningEmulators.set(emulatorName, {
-        process: emulatorProcess,
-        startTime: new Date(),
-        status: "starting",
-      });
+    // Another start request may have won the race while we awaited adb
+    if (this.registry.has(emulatorName)) {
+      return this.alreadyRunning(emulatorName);
+    }
 
-      emulatorProcess.stdout.on("data", (data) => {
-        console.log(`Emulator ${emulatorName} stdout: ${data}`);
-      });
+    const consolePort = this.registry.allocatePort(connectedSerials);
+
+    console.log(
+      `Starting emulator: ${emulatorName} on port ${consolePort}` +
+        (snapshot ? ` from snapshot ${snapshot}` : "") +
+        (launchOptions.profile ? ` with profile ${launchOptions.profile}` : "")
+    );
+
+    // Named snapshots are only ever saved explicitly, never on exit
+    const args = [
+      "-port",
+      String(consolePort),
+      "-no-audio",
+      "-no-snapshot-save",
+      ...(snapshot ? ["-snapshot", snapshot] : ["-no-snapshot-load"]),
+      "-no-metrics",
+      ...launchOptions.args,
+    ];
+    const emulatorProcess = this.driver.launchEmulator(emulatorName, args);
+
+    const device = this.registry.register(emulatorName, {
+      consolePort,
+      process: emulatorProcess,
+      snapshot: snapshot || null,
+      launch: {
+        profile: launchOptions.profile,
+        options: launchOptions.options,
+        commandLine: commandLine(emulatorName, args),
+      },
+    });
 
-      emulatorProcess.stderr.on("data", (data) => {
-        console.log(`Emulator ${emulatorName} stderr: ${data}`);
-      });
+    emulatorProcess.stdout.on("data", (data) => {
+      console.log(`Emulator ${emulatorName} stdout: ${data}`);
+      this.registry.recordOutput(device, "stdout", data);
+    });
 
-      emulatorProcess.on("close", (code) => {
-        console.log(`Emulator ${emulatorName} exited with code ${code}`);
-        this.runningEmulators.delete(emulatorName);
-      });
+    emulatorProcess.stderr.on("data", (data) => {
+      console.log(`Emulator ${emulatorName} stderr: ${data}`);
+      this.registry.recordOutput(device, "stderr", data);
+    });
 
-      // Wait for emulator to boot
-      setTimeout(async () => {
-        try {
-          await this.waitForEmulatorBoot(emulatorName);
-          const emulatorInfo = this.runningEmulators.get(emulatorName);
-          if (emulatorInfo) {
-            emulatorInfo.status = "running";
-          }
-
-          // Notify frontend via WebSocket
-          if (this.io) {
-            this.io.emit("emulator-status-changed", {
-              id: emulatorName,
-              name: emulatorName,
-              status: "running",
-            });
-          }
-
-          resolve({
-            message: `Emulator ${emulatorName} started successfully`,
-            status: "running",
+    emulatorProcess.on("error", (error) => {
+      console.error(`Emulator ${emulatorName} process error:`, error);
+      this.registry.recordOutput(device, "stderr", error.message);
+    });
+
+    emulatorProcess.on("close", (code) => {
+      console.log(`Emulator ${emulatorName} exited with code ${code}`);
+      // Only drop the entry if it still belongs to this process
+      if (this.registry.get(emulatorName) === device) {
+        this.registry.remove(emulatorName);
+      }
+    });
+
+    // Boot progress is reported over WebSocket as the job advances
+    const job = this.bootMonitor.start(device, {
+      timeout: bootTimeout,
+      onTimeout: () => {
+        if (this.registry.get(emulatorName) === device) {
+          this.stopEmulator(emulatorName).catch((error) => {
+            console.error(
+              `Failed to stop ${emulatorName} after boot timeout:`,
+              error.message
+            );
           });
-        } catch (error) {
-          reject(error);
         }
-      }, 5000);
+      },
     });
+
+    return {
+      message: `Emulator ${emulatorName} is starting`,
+      status: "starting",
+      jobId: job.id,
+    };
+  }
+
+  alreadyRunning(emulatorName) {
+    const job = this.bootMonitor.activeFor(emulatorName);
+    return {
+      message: "Emulator already running",
+      status: this.registry.get(emulatorName).status,
+      jobId: job ? job.id : null,
+    };
+  }
+
+  getBootJob(jobId) {
+    const job = this.bootMonitor.get(jobId);
+    if (!job) {
+      throw new Error("Boot job not found");
+    }
+    return job;
+  }
+
+  getLatestBootJob(emulatorName) {
+    return this.bootMonitor.latestFor(emulatorName);
+  }
+
+  // Resolves once the boot job completes, rejects if it fails or times out
+  waitForBoot(jobId) {
+    return this.bootMonitor.wait(jobId);
   }
 
   async stopEmulator(emulatorName) {
-    return new Promise((resolve, reject) => {
-      const emulatorInfo = this.runningEmulators.get(emulatorName);
+    const emulatorInfo = this.registry.get(emulatorName);
 
-      if (!emulatorInfo) {
-        resolve({ message: "Emulator not running", status: "stopped" });
-        return;
-      }
+    if (!emulatorInfo) {
+      return { message: "Emulator not running", status: "stopped" };
+    }
 
-      console.log(`Stopping emulator: ${emulatorName}`);
+    console.log(`Stopping emulator: ${emulatorName} (${emulatorInfo.serial})`);
+    this.registry.setStatus(emulatorName, "stopping");
 
-      // Try graceful shutdown first
-      exec(`${this.adbPath} -s emulator-5554 emu kill`, (error) => {
-        if (error) {
-          // Force kill if graceful shutdown fails
-          emulatorInfo.process.kill("SIGTERM");
-        }
+    // Try graceful shutdown first
+    try {
+      await this.driver.killEmulator(emulatorInfo.serial);
+    } catch (error) {
+      if (emulatorInfo.process) {
+        // Force kill if graceful shutdown fails
+        emulatorInfo.process.kill("SIGTERM");
+      }
+    }
 
-        this.runningEmulators.delete(emulatorName);
-        resolve({
-          message: `Emulator ${emulatorName} stopped`,
-          status: "stopped",
-        });
-      });
-    });
+    this.registry.remove(emulatorName);
+    return {
+      message: `Emulator ${emulatorName} stopped`,
+      status: "stopped",
+    };
   }
 
   async getEmulatorStatus(emulatorName) {
-    const emulatorInfo = this.runningEmulators.get(emulatorName);
+    const emulatorInfo = this.registry.get(emulatorName);
 
     if (!emulatorInfo) {
       return { name: emulatorName, status: "stopped" };
@@ -143,197 +244,103 @@ class EmulatorController {
     return {
       name: emulatorName,
       status: emulatorInfo.status,
+      serial: emulatorInfo.serial,
+      consolePort: emulatorInfo.consolePort,
+      snapshot: emulatorInfo.snapshot,
+      launch: emulatorInfo.launch,
+      network: emulatorInfo.network && {
+        ...emulatorInfo.network,
+        throttled: NetworkConditionService.isThrottled(emulatorInfo.network),
+      },
       startTime: emulatorInfo.startTime,
       uptime: Date.now() - emulatorInfo.startTime.getTime(),
+      bootJob: this.bootMonitor.activeFor(emulatorName),
     };
   }
 
-  async sendInput(emulatorName, action, coordinates, text) {
-    return new Promise((resolve, reject) => {
-      if (!this.runningEmulators.has(emulatorName)) {
-        reject(new Error("Emulator not running"));
-        return;
-      }
-
-      let command;
-
-      switch (action) {
-        case "tap":
-          command = `${this.adbPath} shell input tap ${coordinates.x} ${coordinates.y}`;
-          break;
-        case "swipe":
-          command = `${this.adbPath} shell input swipe ${coordinates.startX} ${coordinates.startY} ${coordinates.endX} ${coordinates.endY}`;
-          break;
-        case "text":
-          command = `${this.adbPath} shell input text "${text}"`;
-          break;
-        case "keyevent":
-          command = `${this.adbPath} shell input keyevent ${text}`;
-          break;
-        default:
-          reject(new Error(`Unknown action: ${action}`));
-          return;
-      }
-
-      exec(command, (error, stdout, stderr) => {
-        if (error) {
-          reject(new Error(`Input failed: ${error.message}`));
-          return;
-        }
-        resolve({ message: "Input sent successfully" });
-      });
-    });
+  getDevice(emulatorName) {
+    const device = this.registry.get(emulatorName);
+    if (!device) {
+      throw new Error("Emulator not running");
+    }
+    return device;
   }
 
-  async installApp(emulatorName, apkPath) {
-    return new Promise((resolve, reject) => {
-      if (!this.runningEmulators.has(emulatorName)) {
-        reject(new Error("Emulator not running"));
-        return;
-      }
-
-      if (!fs.existsSync(apkPath)) {
-        reject(new Error("APK file not found"));
-        return;
-      }
-
-      const command = `${this.adbPath} install "${apkPath}"`;
-
-      exec(command, (error, stdout, stderr) => {
-        if (error) {
-          reject(new Error(`App installation failed: ${error.message}`));
-          return;
-        }
+  async sendInput(emulatorName, action, coordinates, text) {
+    const device = this.getDevice(emulatorName);
+
+    let command;
+
+    switch (action) {
+      case "tap":
+        command = `input tap ${coordinates.x} ${coordinates.y}`;
+        break;
+      case "swipe":
+        command = `input swipe ${coordinates.startX} ${coordinates.startY} ${coordinates.endX} ${coordinates.endY}`;
+        break;
+      case "text":
+        command = `input text "${text}"`;
+        break;
+      case "keyevent":
+        command = `input keyevent ${text}`;
+        break;
+      default:
+        throw new Error(`Unknown action: ${action}`);
+    }
 
-        if (stdout.includes("Success")) {
-          resolve({ message: "App installed successfully" });
-        } else {
-          reject(new Error(`Installation failed: ${stdout}`));
-        }
-      });
-    });
+    try {
+      await this.adb.shell(device.serial, command);
+    } catch (error) {
+      throw new Error(`Input failed: ${error.message}`);
+    }
+    device.lastInputAt = Date.now();
+    return { message: "Input sent successfully" };
   }
 
-  async getInstalledApps(emulatorName) {
-    return new Promise((resolve, reject) => {
-      if (!this.runningEmulators.has(emulatorName)) {
-        reject(new Error("Emulator not running"));
-        return;
-      }
-
-      const command = `${this.adbPath} shell pm list packages -3`;
-
-      exec(command, (error, stdout, stderr) => {
-        if (error) {
-          reject(new Error(`Failed to get apps: ${error.message}`));
-          return;
-        }
+  async sendCommand(emulatorName, command, params = {}) {
+    if (KEY_COMMANDS[command]) {
+      return this.sendInput(
+        emulatorName,
+        "keyevent",
+        null,
+        KEY_COMMANDS[command]
+      );
+    }
 
-        const apps = stdout
-          .trim()
-          .split("\n")
-          .filter((line) => line.startsWith("package:"))
-          .map((line) => line.replace("package:", ""));
+    if (command === "type") {
+      return this.sendInput(emulatorName, "text", null, params.text);
+    }
 
-        resolve(apps);
-      });
-    });
+    throw new Error(`Unknown command: ${command}`);
   }
 
-  async launchApp(emulatorName, packageName) {
-    return new Promise((resolve, reject) => {
-      if (!this.runningEmulators.has(emulatorName)) {
-        reject(new Error("Emulator not running"));
-        return;
-      }
-
-      const command = `${this.adbPath} shell monkey -p ${packageName} -c android.intent.category.LAUNCHER 1`;
+  async installApp(emulatorName, apkPath) {
+    const device = this.getDevice(emulatorName);
 
-      exec(command, (error, stdout, stderr) => {
-        if (error) {
-          reject(new Error(`Failed to launch app: ${error.message}`));
-          return;
-        }
-        resolve({ message: `App ${packageName} launched successfully` });
-      });
-    });
-  }
+    if (!fs.existsSync(apkPath)) {
+      throw new Error("APK file not found");
+    }
 
-  async waitForEmulatorBoot(emulatorName) {
-    return new Promise((resolve, reject) => {
-      const maxAttempts = 30;
-      let attempts = 0;
-
-      const checkBoot = () => {
-        exec(
-          `${this.adbPath} shell getprop sys.boot_completed`,
-          (error, stdout) => {
-            attempts++;
-
-            if (stdout.trim() === "1") {
-              resolve();
-            } else if (attempts >= maxAttempts) {
-              reject(new Error("Emulator boot timeout"));
-            } else {
-              setTimeout(checkBoot, 2000);
-            }
-          }
-        );
-      };
-
-      checkBoot();
-    });
+    try {
+      await this.adb.install(device.serial, apkPath);
+    } catch (error) {
+      throw new Error(`App installation failed: ${error.message}`);
+    }
+    return { message: "App installed successfully" };
   }
 
-  async createEmulator(name, options = {}) {
-    const { apiLevel = 34, arch = "x86_64", device = "pixel_5" } = options;
-
-    return new Promise((resolve, reject) => {
-      // First check if emulator already exists
-      exec(`${this.emulatorPath} -list-avds`, (error, stdout) => {
-        if (error) {
-          reject(
-            new Error(`Failed to check existing emulators: ${error.message}`)
-          );
-          return;
-        }
-
-        const existingEmulators = stdout
-          .trim()
-          .split("\n")
-          .filter((line) => line.trim());
-        if (existingEmulators.includes(name)) {
-          reject(new Error(`Emulator with name '${name}' already exists`));
-          return;
-        }
-
-        // Create the emulator
-        const systemImage = `system-images;android-${apiLevel};google_apis;${arch}`;
-        const createCommand = `avdmanager create avd -n "${name}" -k "${systemImage}" -d "${device}" --force`;
-
-        console.log(`Creating emulator: ${createCommand}`);
-
-        exec(createCommand, (createError, createStdout, createStderr) => {
-          if (createError) {
-            reject(
-              new Error(
-                `Failed to create emulator: ${createError.message}. Stderr: ${createStderr}`
-              )
-            );
-            return;
-          }
-
-          console.log(`Emulator created successfully: ${createStdout}`);
-          resolve({
-            message: `Emulator '${name}' created successfully`,
-            name: name,
-            apiLevel: apiLevel,
-            arch: arch,
-            device: device,
-          });
-        });
-      });
-    });
+  async launchApp(emulatorName, packageName) {
+    const device = this.getDevice(emulatorName);
+
+    try {
+      await this.adb.shell(
+        device.serial,
+        `monkey -p ${packageName} -c android.intent.category.LAUNCHER 1`
+      );
+    } catch (error) {
+      throw new Error(`Failed to launch app: ${error.message}`);
+    }
+    return { message: `App ${packageName} launched successfully` };
   }
 }
 
@@ -0,0 +1,242 @@
+const { exec, spawn } = require("child_process");
+const fs = require("fs-extra");
+const net = require("net");
+const os = require("os");
+const path = require("path");
+const AdbClient = require("../services/AdbClient");
+
+// Drives real emulators through the Android SDK command line tools.
+class AndroidSdkDriver {
+  constructor() {
+    this.name = "sdk";
+    this.adb = new AdbClient();
+    this.adbPath = process.env.ADB_PATH || "adb";
+    this.emulatorPath = process.env.EMULATOR_PATH || "emulator";
+    this.avdmanagerPath = process.env.AVDMANAGER_PATH || "avdmanager";
+    this.sdkmanagerPath = process.env.SDKMANAGER_PATH || "sdkmanager";
+    this.avdHome =
+      process.env.ANDROID_AVD_HOME ||
+      path.join(os.homedir(), ".android", "avd");
+  }
+
+  avdPath(name) {
+    return path.join(this.avdHome, `${name}.avd`);
+  }
+
+  snapshotPath(avdName, snapshotName) {
+    return path.join(this.avdPath(avdName), "snapshots", snapshotName);
+  }
+
+  // Reads the snapshots an AVD has on disk, which works while it is stopped
+  async listSnapshots(avdName) {
+    const snapshotsDir = path.join(this.avdPath(avdName), "snapshots");
+    if (!(await fs.pathExists(snapshotsDir))) {
+      return [];
+    }
+
+    const names = await fs.readdir(snapshotsDir);
+    const snapshots = await Promise.all(
+      names.map(async (name) => {
+        const dir = path.join(snapshotsDir, name);
+        const protoPath = path.join(dir, "snapshot.pb");
+        if (!(await fs.pathExists(protoPath))) {
+          return null;
+        }
+
+        const files = await fs.readdir(dir);
+        const sizes = await Promise.all(
+          files.map(async (file) => (await fs.stat(path.join(dir, file))).size)
+        );
+        return {
+          name,
+          size: sizes.reduce((total, size) => total + size, 0),
+          createdAt: (await fs.stat(protoPath)).mtime,
+        };
+      })
+    );
+    return snapshots.filter((snapshot) => snapshot);
+  }
+
+  async listDeviceDefinitions() {
+    return new Promise((resolve, reject) => {
+      exec(`${this.avdmanagerPath} list device`, (error, stdout, stderr) => {
+        if (error) {
+          reject(new Error(`${error.message}. Stderr: ${stderr}`));
+          return;
+        }
+        resolve(stdout);
+      });
+    });
+  }
+
+  async readAvdConfig(name) {
+    return fs.readFile(path.join(this.avdPath(name), "config.ini"), "utf8");
+  }
+
+  async writeAvdConfig(name, text) {
+    await fs.writeFile(path.join(this.avdPath(name), "config.ini"), text);
+  }
+
+  // Copies the AVD directory and points a new <name>.ini at the copy
+  async cloneAvd(source, target) {
+    const targetPath = this.avdPath(target);
+    await fs.copy(this.avdPath(source), targetPath, {
+      // Lock files belong to a running instance of the source
+      filter: (src) => !path.basename(src).endsWith(".lock"),
+    });
+
+    const ini = await fs.readFile(
+      path.join(this.avdHome, `${source}.ini`),
+      "utf8"
+    );
+    await fs.writeFile(
+      path.join(this.avdHome, `${target}.ini`),
+      ini
+        .replace(/^path=.*$/m, `path=${targetPath}`)
+        .replace(/^path\.rel=.*$/m, `path.rel=avd/${target}.avd`)
+    );
+  }
+
+  async deleteAvd(name) {
+    return new Promise((resolve, reject) => {
+      exec(
+        `${this.avdmanagerPath} delete avd -n "${name}"`,
+        (error, stdout, stderr) => {
+          if (error) {
+            reject(new Error(`${error.message}. Stderr: ${stderr}`));
+            return;
+          }
+          resolve(stdout);
+        }
+      );
+    });
+  }
+
+  async renameSnapshot(avdName, from, to) {
+    await fs.move(
+      this.snapshotPath(avdName, from),
+      this.snapshotPath(avdName, to)
+    );
+  }
+
+  async deleteSnapshot(avdName, snapshotName) {
+    await fs.remove(this.snapshotPath(avdName, snapshotName));
+  }
+
+  async listAvds() {
+    return new Promise((resolve, reject) => {
+      exec(`${this.emulatorPath} -list-avds`, (error, stdout) => {
+        if (error) {
+          reject(error);
+          return;
+        }
+
+        resolve(
+          stdout
+            .trim()
+            .split("\n")
+            .map((line) => line.trim())
+            .filter((line) => line)
+        );
+      });
+    });
+  }
+
+  async createAvd(name, { systemImage, device }) {
+    const createCommand = `${this.avdmanagerPath} create avd -n "${name}" -k "${systemImage}" -d "${device}" --force`;
+
+    console.log(`Creating emulator: ${createCommand}`);
+
+    return new Promise((resolve, reject) => {
+      exec(createCommand, (error, stdout, stderr) => {
+        if (error) {
+          reject(new Error(`${error.message}. Stderr: ${stderr}`));
+          return;
+        }
+        resolve(stdout);
+      });
+    });
+  }
+
+  async listSdkPackages() {
+    return new Promise((resolve, reject) => {
+      // The catalog can be large; the default buffer truncates it
+      exec(
+        `${this.sdkmanagerPath} --list`,
+        { maxBuffer: 16 * 1024 * 1024 },
+        (error, stdout, stderr) => {
+          if (error) {
+            reject(new Error(`${error.message}. Stderr: ${stderr}`));
+            return;
+          }
+          resolve(stdout);
+        }
+      );
+    });
+  }
+
+  installSdkPackage(packageId) {
+    const installProcess = spawn(this.sdkmanagerPath, ["--install", packageId]);
+    // Accept the license prompt shown for packages not yet agreed to
+    installProcess.stdin.end("y\n");
+    return installProcess;
+  }
+
+  launchEmulator(name, args) {
+    return spawn(this.emulatorPath, ["-avd", name, ...args]);
+  }
+
+  // Runs an emulator console command through `adb emu`
+  async emu(serial, command) {
+    return new Promise((resolve, reject) => {
+      exec(`${this.adbPath} -s ${serial} emu ${command}`, (error, stdout) => {
+        if (error) {
+          reject(error);
+          return;
+        }
+
+        const lines = stdout
+          .split("\n")
+          .map((line) => line.trim())
+          .filter((line) => line);
+        if (lines[lines.length - 1] !== "OK") {
+          reject(new Error(lines.join("\n") || "No response from console"));
+          return;
+        }
+        resolve(lines.slice(0, -1).join("\n"));
+      });
+    });
+  }
+
+  // The emulator's telnet console only listens on loopback
+  openConsole(consolePort) {
+    return net.connect({ host: "127.0.0.1", port: consolePort });
+  }
+
+  // Shared by every emulator the user runs; an empty file turns auth off
+  async consoleAuthToken() {
+    const tokenPath = path.join(os.homedir(), ".emulator_console_auth_token");
+    try {
+      return (await fs.readFile(tokenPath, "utf8")).trim() || null;
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async killEmulator(serial) {
+    return new Promise((resolve, reject) => {
+      exec(`${this.adbPath} -s ${serial} emu kill`, (error) => {
+        if (error) {
+          reject(error);
+          return;
+        }
+        resolve();
+      });
+    });
+  }
+}
+
+module.exports = AndroidSdkDriver;
@@ -0,0 +1,406 @@
+const crypto = require("crypto");
+const { EventEmitter } = require("events");
+const { PassThrough } = require("stream");
+const SimulatedAdb = require("./simulated/SimulatedAdb");
+const SimulatedDevice = require("./simulated/SimulatedDevice");
+const SimulatedConsole = require("./simulated/SimulatedConsole");
+const DeviceRegistry = require("../services/DeviceRegistry");
+
+const DEFAULT_AVDS = [
+  { name: "Sim_Pixel_5_API_34", model: "Pixel 5", apiLevel: 34, release: "14" },
+  { name: "Sim_Pixel_7_API_33", model: "Pixel 7", apiLevel: 33, release: "13" },
+];
+
+// System images in the fake SDK catalog, and whether they start installed
+const SYSTEM_IMAGES = [
+  ["android-35", "google_apis", "x86_64", "Google APIs", 8, false],
+  ["android-35", "google_apis_playstore", "x86_64", "Google Play", 8, false],
+  ["android-34", "google_apis", "x86_64", "Google APIs", 13, true],
+  ["android-34", "google_apis_playstore", "x86_64", "Google Play", 12, false],
+  ["android-34", "google_apis", "arm64-v8a", "Google APIs", 13, false],
+  ["android-34", "default", "x86_64", "Intel", 4, false],
+  ["android-33", "google_apis", "x86_64", "Google APIs", 17, true],
+  ["android-33", "google_apis_playstore", "x86_64", "Google Play", 9, false],
+  ["android-33", "android-wear", "x86_64", "Wear OS", 5, false],
+  ["android-31", "default", "x86_64", "Intel", 5, false],
+].map(([platform, tag, abi, vendor, version, installed]) => ({
+  id: `system-images;${platform};${tag};${abi}`,
+  version: String(version),
+  description: `${vendor} ${abi} System Image`,
+  location: `system-images/${platform}/${tag}/${abi}`,
+  installed,
+}));
+
+function packageTable(packages, withLocation) {
+  const rows = packages.map((pkg) =>
+    [pkg.id, pkg.version, pkg.description]
+      .concat(withLocation ? [pkg.location] : [])
+      .join(" | ")
+  );
+  const header = ["Path", "Version", "Description"].concat(
+    withLocation ? ["Location"] : []
+  );
+  return [
+    `  ${header.join(" | ")}`,
+    `  ${header.map(() => "-------").join(" | ")}`,
+    ...rows.map((row) => `  ${row}`),
+  ].join("\n");
+}
+
+// Hardware profiles offered by the fake avdmanager
+const DEVICE_DEFINITIONS = [
+  ["pixel_5", "Pixel 5", "Google"],
+  ["pixel_7", "Pixel 7", "Google"],
+  ["pixel_tablet", "Pixel Tablet", "Google"],
+  ["medium_phone", "Medium Phone", "Generic"],
+  ["wearos_small_round", "Wear OS Small Round", "Google", "android-wear"],
+  ["tv_1080p", "Television (1080p)", "Google", "android-tv"],
+];
+
+// What avdmanager would write to a new AVD's config.ini
+function defaultConfig(avd) {
+  return [
+    `AvdId=${avd.name}`,
+    `avd.ini.displayname=${avd.name}`,
+    `abi.type=${avd.abi || "x86_64"}`,
+    "disk.dataPartition.size=6442450944",
+    "hw.gpu.enabled=yes",
+    "hw.gpu.mode=auto",
+    "hw.keyboard=yes",
+    "hw.lcd.density=440",
+    "hw.lcd.height=2340",
+    "hw.lcd.width=1080",
+    "hw.ramSize=2048",
+    `image.sysdir.1=system-images/android-${avd.apiLevel}/google_apis/${
+      avd.abi || "x86_64"
+    }/`,
+    "vm.heapSize=256",
+    "",
+  ].join("\n");
+}
+
+// Stands in for the emulator's ChildProcess
+class SimulatedProcess extends EventEmitter {
+  constructor(pid) {
+    super();
+    this.pid = pid;
+    this.exitCode = null;
+    this.stdout = new PassThrough();
+    this.stderr = new PassThrough();
+  }
+
+  writeLine(line) {
+    if (this.exitCode === null) {
+      this.stdout.write(`${line}\n`);
+    }
+  }
+
+  kill() {
+    this.exit(0);
+    return true;
+  }
+
+  exit(code) {
+    if (this.exitCode !== null) {
+      return;
+    }
+    this.exitCode = code;
+    this.stdout.end();
+    this.stderr.end();
+    this.emit("exit", code);
+    this.emit("close", code);
+  }
+}
+
+// Fake AVDs and devices so the stack runs without an Android SDK.
+// Boot stages are spread over SIMULATED_BOOT_DELAY milliseconds.
+class SimulatedDriver {
+  constructor() {
+    this.name = "simulated";
+    this.bootDelay = parseInt(process.env.SIMULATED_BOOT_DELAY) || 4000;
+    this.avds = new Map();
+    DEFAULT_AVDS.forEach((avd) => this.addAvd(avd));
+    this.devices = new Map();
+    this.processes = new Map();
+    this.adb = new SimulatedAdb(this.devices);
+    this.nextPid = 40000;
+    this.installDuration =
+      parseInt(process.env.SIMULATED_INSTALL_DURATION) || 3000;
+    this.sdkPackages = new Map(
+      SYSTEM_IMAGES.map((pkg) => [pkg.id, { ...pkg }])
+    );
+    this.consoleToken = crypto.randomBytes(12).toString("base64");
+  }
+
+  async listAvds() {
+    return Array.from(this.avds.keys());
+  }
+
+  async createAvd(name, { systemImage, device }) {
+    const image = this.sdkPackages.get(systemImage);
+    if (!image || !image.installed) {
+      throw new Error(
+        "Error: Package path is not valid. Valid system image paths are:\n" +
+          Array.from(this.sdkPackages.values())
+            .filter((pkg) => pkg.installed)
+            .map((pkg) => pkg.id)
+            .join("\n")
+      );
+    }
+    const [, platform = "", , abi = "x86_64"] = systemImage.split(";");
+    const apiLevel = parseInt(platform.replace("android-", "")) || 34;
+
+    this.addAvd({
+      name,
+      model: device,
+      apiLevel,
+      abi,
+      release: String(apiLevel - 20),
+    });
+    return `Simulated AVD '${name}' created`;
+  }
+
+  addAvd(avd) {
+    this.avds.set(avd.name, {
+      ...avd,
+      config: defaultConfig(avd),
+      snapshots: new Map(),
+    });
+  }
+
+  getAvd(name) {
+    const avd = this.avds.get(name);
+    if (!avd) {
+      throw new Error(`Unknown AVD name [${name}]`);
+    }
+    return avd;
+  }
+
+  async listDeviceDefinitions() {
+    const blocks = DEVICE_DEFINITIONS.map(([id, name, oem, tag], index) =>
+      [
+        `id: ${index} or "${id}"`,
+        `    Name: ${name}`,
+        `    OEM : ${oem}`,
+        ...(tag ? [`    Tag : ${tag}`] : []),
+      ].join("\n")
+    );
+    return `Available devices definitions:\n${blocks.join("\n---------\n")}\n`;
+  }
+
+  async readAvdConfig(name) {
+    return this.getAvd(name).config;
+  }
+
+  async writeAvdConfig(name, text) {
+    this.getAvd(name).config = text;
+  }
+
+  async cloneAvd(source, target) {
+    const avd = this.getAvd(source);
+    this.avds.set(target, {
+      ...avd,
+      name: target,
+      snapshots: new Map(avd.snapshots),
+    });
+  }
+
+  async deleteAvd(name) {
+    this.getAvd(name);
+    this.avds.delete(name);
+    return `AVD '${name}' deleted.`;
+  }
+
+  async listSdkPackages() {
+    const packages = Array.from(this.sdkPackages.values());
+    return [
+      "Installed packages:",
+      packageTable(
+        packages.filter((pkg) => pkg.installed),
+        true
+      ),
+      "",
+      "Available Packages:",
+      packageTable(packages, false),
+      "",
+    ].join("\n");
+  }
+
+  // Prints progress the way sdkmanager does, carriage returns included
+  installSdkPackage(packageId) {
+    const installProcess = new SimulatedProcess(this.nextPid++);
+    const pkg = this.sdkPackages.get(packageId);
+    const steps = 10;
+
+    if (!pkg) {
+      setImmediate(() => {
+        installProcess.stderr.write(
+          `Warning: Failed to find package '${packageId}'\n`
+        );
+        installProcess.exit(1);
+      });
+      return installProcess;
+    }
+
+    const fileName = `${pkg.location.split("/").slice(1).join("-")}_r${
+      pkg.version
+    }.zip`;
+    let step = 0;
+    let timer;
+    const advance = () => {
+      step++;
+      const percent = Math.round((step / steps) * 100);
+      const bar = "=".repeat(step * 4).padEnd(40);
+      const action =
+        step <= steps * 0.7
+          ? `Downloading ${fileName}...`
+          : `Unzipping... ${pkg.location}/system.img`;
+      installProcess.stdout.write(`[${bar}] ${percent}% ${action}\r`);
+
+      if (step < steps) {
+        timer = setTimeout(advance, this.installDuration / steps);
+        return;
+      }
+      pkg.installed = true;
+      installProcess.writeLine(`\n[${bar}] 100% Unzipping... done`);
+      installProcess.exit(0);
+    };
+
+    timer = setTimeout(advance, this.installDuration / steps);
+    installProcess.once("close", () => clearTimeout(timer));
+    return installProcess;
+  }
+
+  launchEmulator(name, args) {
+    const avd = this.avds.get(name);
+    const portIndex = args.indexOf("-port");
+    const consolePort = portIndex >= 0 ? parseInt(args[portIndex + 1]) : 5554;
+    const serial = DeviceRegistry.serialForPort(consolePort);
+    const snapshotIndex = args.indexOf("-snapshot");
+    const snapshotName = snapshotIndex >= 0 ? args[snapshotIndex + 1] : null;
+    const snapshot =
+      avd && snapshotName ? avd.snapshots.get(snapshotName) : null;
+    // Resuming from a snapshot skips most of the boot
+    const bootDelay = snapshot ? this.bootDelay / 4 : this.bootDelay;
+    const emulatorProcess = new SimulatedProcess(this.nextPid++);
+
+    const schedule = (fraction, step) => {
+      const timer = setTimeout(step, Math.round(bootDelay * fraction));
+      emulatorProcess.once("close", () => clearTimeout(timer));
+    };
+
+    setImmediate(() => {
+      if (!avd) {
+        emulatorProcess.stderr.write(
+          `PANIC: Unknown AVD name [${name}], use -list-avds to see valid list.\n`
+        );
+        emulatorProcess.exit(1);
+        return;
+      }
+      emulatorProcess.writeLine(
+        `INFO    | Android emulator version 34.1.0 (simulated) for ${name}`
+      );
+    });
+
+    if (!avd) {
+      return emulatorProcess;
+    }
+
+    schedule(0.25, () => {
+      const device = new SimulatedDevice(serial, avd);
+      if (snapshot) {
+        device.restoreState(snapshot);
+        emulatorProcess.writeLine(
+          `INFO    | Loading snapshot '${snapshotName}'`
+        );
+      } else if (snapshotName) {
+        emulatorProcess.writeLine(
+          `WARNING | Snapshot '${snapshotName}' not found, cold booting`
+        );
+      }
+      this.devices.set(serial, device);
+      this.processes.set(serial, emulatorProcess);
+      this.adb.notify();
+      emulatorProcess.writeLine("INFO    | Boot started");
+    });
+    schedule(0.5, () => {
+      this.devices.get(serial).state = "device";
+      this.adb.notify();
+      emulatorProcess.writeLine("INFO    | Device online on adb");
+    });
+    schedule(0.8, () => {
+      this.devices.get(serial).props["dev.bootcomplete"] = "1";
+    });
+    schedule(1, () => {
+      this.devices.get(serial).props["sys.boot_completed"] = "1";
+      emulatorProcess.writeLine("INFO    | Boot completed");
+    });
+
+    emulatorProcess.once("close", () => {
+      const device = this.devices.get(serial);
+      if (device) {
+        device.destroy();
+        this.devices.delete(serial);
+        this.processes.delete(serial);
+        this.adb.notify();
+      }
+    });
+
+    return emulatorProcess;
+  }
+
+  async emu(serial, command) {
+    const device = this.devices.get(serial);
+    if (!device) {
+      throw new Error(`error: could not connect to ${serial}`);
+    }
+    return device.console(command);
+  }
+
+  openConsole(consolePort) {
+    return new SimulatedConsole(
+      this.devices.get(DeviceRegistry.serialForPort(consolePort)),
+      this.consoleToken
+    );
+  }
+
+  async consoleAuthToken() {
+    return this.consoleToken;
+  }
+
+  async listSnapshots(avdName) {
+    const avd = this.avds.get(avdName);
+    if (!avd) {
+      return [];
+    }
+    return Array.from(avd.snapshots.entries()).map(([name, snapshot]) => ({
+      name,
+      size: snapshot.size,
+      createdAt: snapshot.createdAt,
+    }));
+  }
+
+  async renameSnapshot(avdName, from, to) {
+    const snapshots = this.getAvd(avdName).snapshots;
+    if (!snapshots.has(from)) {
+      throw new Error(`Snapshot '${from}' does not exist`);
+    }
+    snapshots.set(to, snapshots.get(from));
+    snapshots.delete(from);
+  }
+
+  async deleteSnapshot(avdName, snapshotName) {
+    this.getAvd(avdName).snapshots.delete(snapshotName);
+  }
+
+  async killEmulator(serial) {
+    const emulatorProcess = this.processes.get(serial);
+    if (!emulatorProcess) {
+      throw new Error(`error: could not connect to ${serial}`);
+    }
+    emulatorProcess.writeLine("INFO    | Received kill request");
+    emulatorProcess.exit(0);
+  }
+}
+
+module.exports = SimulatedDriver;
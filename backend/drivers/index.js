@@ -0,0 +1,40 @@
+const AndroidSdkDriver = require("./AndroidSdkDriver");
+const SimulatedDriver = require("./SimulatedDriver");
+
+// Every driver exposes the same surface to the controllers:
+//   adb                         AdbClient-compatible device access
+//   listAvds()                  names of the AVDs that can be started
+//   createAvd(name, options)    creates an AVD from a system image
+//   listDeviceDefinitions()     `avdmanager list device` output
+//   readAvdConfig(name)         an AVD's config.ini text
+//   writeAvdConfig(name, text)
+//   cloneAvd(source, target)    copies an AVD and its data under a new name
+//   deleteAvd(name)             removes an AVD and its data
+//   listSdkPackages()           `sdkmanager --list` output
+//   installSdkPackage(id)       ChildProcess-like `sdkmanager --install`
+//   launchEmulator(name, args)  returns a ChildProcess-like handle
+//   emu(serial, command)        runs an emulator console command
+//   openConsole(consolePort)    socket-like connection to the telnet console
+//   consoleAuthToken()          token the console expects, or null
+//   killEmulator(serial)        asks a running emulator to shut down
+//   listSnapshots(avdName)      snapshots stored for an AVD, running or not
+//   renameSnapshot(avdName, from, to)
+//   deleteSnapshot(avdName, snapshotName)
+const DRIVERS = {
+  sdk: AndroidSdkDriver,
+  simulated: SimulatedDriver,
+};
+
+function createDriver(name = process.env.DEVICE_DRIVER || "sdk") {
+  const Driver = DRIVERS[name];
+  if (!Driver) {
+    throw new Error(
+      `Unknown device driver '${name}'. Expected one of: ${Object.keys(
+        DRIVERS
+      ).join(", ")}`
+    );
+  }
+  return new Driver();
+}
+
+module.exports = { createDriver };
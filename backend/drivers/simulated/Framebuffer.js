@@ -0,0 +1,204 @@
+const zlib = require("zlib");
+
+// 3x5 pixel glyphs, rows separated by "/". Lowercase renders as uppercase.
+const GLYPHS = {
+  " ": ".../.../.../.../...",
+  0: "###/#.#/#.#/#.#/###",
+  1: ".#./##./.#./.#./###",
+  2: "###/..#/###/#../###",
+  3: "###/..#/.##/..#/###",
+  4: "#.#/#.#/###/..#/..#",
+  5: "###/#../###/..#/###",
+  6: "###/#../###/#.#/###",
+  7: "###/..#/.#./.#./.#.",
+  8: "###/#.#/###/#.#/###",
+  9: "###/#.#/###/..#/###",
+  A: ".#./#.#/###/#.#/#.#",
+  B: "##./#.#/##./#.#/##.",
+  C: ".##/#../#../#../.##",
+  D: "##./#.#/#.#/#.#/##.",
+  E: "###/#../##./#../###",
+  F: "###/#../##./#../#..",
+  G: ".##/#../#.#/#.#/.##",
+  H: "#.#/#.#/###/#.#/#.#",
+  I: "###/.#./.#./.#./###",
+  J: "..#/..#/..#/#.#/.#.",
+  K: "#.#/#.#/##./#.#/#.#",
+  L: "#../#../#../#../###",
+  M: "#.#/###/###/#.#/#.#",
+  N: "##./#.#/#.#/#.#/#.#",
+  O: ".#./#.#/#.#/#.#/.#.",
+  P: "##./#.#/##./#../#..",
+  Q: ".#./#.#/#.#/##./.##",
+  R: "##./#.#/##./#.#/#.#",
+  S: ".##/#../.#./..#/##.",
+  T: "###/.#./.#./.#./.#.",
+  U: "#.#/#.#/#.#/#.#/###",
+  V: "#.#/#.#/#.#/#.#/.#.",
+  W: "#.#/#.#/###/###/#.#",
+  X: "#.#/#.#/.#./#.#/#.#",
+  Y: "#.#/#.#/.#./.#./.#.",
+  Z: "###/..#/.#./#../###",
+  ".": ".../.../.../.../.#.",
+  ",": ".../.../.../.#./#..",
+  ":": ".../.#./.../.#./...",
+  ";": ".../.#./.../.#./#..",
+  "-": ".../.../###/.../...",
+  _: ".../.../.../.../###",
+  "/": "..#/..#/.#./#../#..",
+  "?": "###/..#/.##/.../.#.",
+  "!": ".#./.#./.#./.../.#.",
+  "@": "###/#.#/###/#../.##",
+  "%": "#.#/..#/.#./#../#.#",
+  "+": ".../.#./###/.#./...",
+  "=": ".../###/.../###/...",
+  "(": ".#./#../#../#../.#.",
+  ")": ".#./..#/..#/..#/.#.",
+  "'": ".#./.#./.../.../...",
+  '"': "#.#/#.#/.../.../...",
+  "#": "#.#/###/#.#/###/#.#",
+  "&": ".#./#.#/.#./#.#/.##",
+  "*": "#.#/.#./#.#/.../...",
+};
+
+const GLYPH_WIDTH = 3;
+const GLYPH_HEIGHT = 5;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, "ascii"), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+// A tiny RGB raster with just enough drawing to fake a phone screen.
+class Framebuffer {
+  constructor(width, height) {
+    this.width = width;
+    this.height = height;
+    this.pixels = Buffer.alloc(width * height * 3);
+  }
+
+  setPixel(x, y, [r, g, b]) {
+    if (x < 0 || y < 0 || x >= this.width || y >= this.height) {
+      return;
+    }
+    const offset = (y * this.width + x) * 3;
+    this.pixels[offset] = r;
+    this.pixels[offset + 1] = g;
+    this.pixels[offset + 2] = b;
+  }
+
+  fill(color) {
+    this.fillRect(0, 0, this.width, this.height, color);
+  }
+
+  fillRect(x, y, width, height, color) {
+    const x0 = Math.max(0, Math.round(x));
+    const y0 = Math.max(0, Math.round(y));
+    const x1 = Math.min(this.width, Math.round(x + width));
+    const y1 = Math.min(this.height, Math.round(y + height));
+
+    for (let row = y0; row < y1; row++) {
+      for (let col = x0; col < x1; col++) {
+        this.setPixel(col, row, color);
+      }
+    }
+  }
+
+  fillCircle(cx, cy, radius, color) {
+    for (let dy = -radius; dy <= radius; dy++) {
+      for (let dx = -radius; dx <= radius; dx++) {
+        if (dx * dx + dy * dy <= radius * radius) {
+          this.setPixel(Math.round(cx + dx), Math.round(cy + dy), color);
+        }
+      }
+    }
+  }
+
+  textWidth(text, scale = 2) {
+    return text.length * (GLYPH_WIDTH + 1) * scale;
+  }
+
+  drawText(x, y, text, color, scale = 2) {
+    let cursor = x;
+
+    for (const char of String(text).toUpperCase()) {
+      const rows = (GLYPHS[char] || GLYPHS["?"]).split("/");
+      rows.forEach((row, rowIndex) => {
+        for (let col = 0; col < GLYPH_WIDTH; col++) {
+          if (row[col] === "#") {
+            this.fillRect(
+              cursor + col * scale,
+              y + rowIndex * scale,
+              scale,
+              scale,
+              color
+            );
+          }
+        }
+      });
+      cursor += (GLYPH_WIDTH + 1) * scale;
+    }
+  }
+
+  // Breaks text into lines that fit the given pixel width
+  wrapText(text, maxWidth, scale = 2) {
+    const perLine = Math.max(
+      1,
+      Math.floor(maxWidth / ((GLYPH_WIDTH + 1) * scale))
+    );
+    const lines = [];
+    for (let i = 0; i < text.length; i += perLine) {
+      lines.push(text.slice(i, i + perLine));
+    }
+    return lines.length ? lines : [""];
+  }
+
+  toPNG() {
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(this.width, 0);
+    header.writeUInt32BE(this.height, 4);
+    header[8] = 8; // bit depth
+    header[9] = 2; // colour type: truecolour
+    header[10] = 0;
+    header[11] = 0;
+    header[12] = 0;
+
+    // Every scanline is prefixed with filter type 0 (none)
+    const stride = this.width * 3;
+    const raw = Buffer.alloc((stride + 1) * this.height);
+    for (let y = 0; y < this.height; y++) {
+      this.pixels.copy(raw, y * (stride + 1) + 1, y * stride, (y + 1) * stride);
+    }
+
+    return Buffer.concat([
+      Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+      pngChunk("IHDR", header),
+      pngChunk("IDAT", zlib.deflateSync(raw, { level: 1 })),
+      pngChunk("IEND", Buffer.alloc(0)),
+    ]);
+  }
+}
+
+Framebuffer.GLYPH_HEIGHT = GLYPH_HEIGHT;
+
+module.exports = Framebuffer;
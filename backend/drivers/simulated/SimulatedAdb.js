@@ -0,0 +1,261 @@
+const { EventEmitter } = require("events");
+const { Readable } = require("stream");
+const fs = require("fs-extra");
+const path = require("path");
+const SimulatedDevice = require("./SimulatedDevice");
+const AdbClient = require("../../services/AdbClient");
+const ApkManifest = require("../../services/ApkManifest");
+
+function toStream(output) {
+  const chunk = Buffer.isBuffer(output) ? output : Buffer.from(output);
+  return Readable.from(chunk.length ? [chunk] : [], { objectMode: false });
+}
+
+// Same surface as AdbClient, answered by the simulated devices instead of
+// an adb server.
+class SimulatedAdb extends EventEmitter {
+  constructor(devices) {
+    super();
+    this.devices = devices;
+    this.trackers = new Set();
+  }
+
+  getDevice(serial) {
+    const device = this.devices.get(serial);
+    if (!device) {
+      throw new Error(`ADB request failed: device '${serial}' not found`);
+    }
+    if (device.state !== "device") {
+      throw new Error(`ADB request failed: device ${device.state}`);
+    }
+    return device;
+  }
+
+  snapshot() {
+    return Array.from(this.devices.values()).map((device) => ({
+      serial: device.serial,
+      state: device.state,
+    }));
+  }
+
+  // Called by the driver whenever a device appears, changes or goes away
+  notify() {
+    const devices = this.snapshot();
+    this.trackers.forEach((stream) => stream.push(devices));
+    this.emit("devices", devices);
+  }
+
+  async version() {
+    return 41;
+  }
+
+  async listDevices() {
+    return this.snapshot();
+  }
+
+  async getState(serial) {
+    const device = this.devices.get(serial);
+    return device ? device.state : null;
+  }
+
+  async isOnline(serial) {
+    return (await this.getState(serial)) === "device";
+  }
+
+  trackDevices() {
+    const trackers = this.trackers;
+    const stream = new Readable({
+      objectMode: true,
+      read() {},
+      destroy(error, callback) {
+        trackers.delete(stream);
+        callback(error);
+      },
+    });
+    trackers.add(stream);
+    stream.push(this.snapshot());
+    return stream;
+  }
+
+  startTracking() {}
+
+  stopTracking() {}
+
+  async shellStream(serial, command) {
+    const device = this.getDevice(serial);
+    const [program, ...args] = SimulatedDevice.tokenize(command);
+
+    if (program === "logcat") {
+      return device.logcat(args);
+    }
+    return toStream(device.run(command));
+  }
+
+  async shell(serial, command) {
+    const stream = await this.shellStream(serial, command);
+    return (await AdbClient.readAll(stream)).toString("utf8");
+  }
+
+  execStream(serial, command) {
+    return this.shellStream(serial, command);
+  }
+
+  async exec(serial, command) {
+    return AdbClient.readAll(await this.execStream(serial, command));
+  }
+
+  async push(serial, source, remotePath, options = {}) {
+    const { mode = 0o644, onProgress } = options;
+    const device = this.getDevice(serial);
+    const input =
+      typeof source === "string" ? fs.createReadStream(source) : source;
+    const total =
+      typeof source === "string" ? (await fs.stat(source)).size : null;
+
+    const chunks = [];
+    let sent = 0;
+    for await (const chunk of input) {
+      chunks.push(chunk);
+      sent += chunk.length;
+      if (onProgress) {
+        onProgress({ sent, total });
+      }
+    }
+
+    const data = Buffer.concat(chunks);
+    device.files.set(remotePath, {
+      mode: SimulatedDevice.S_IFREG | mode,
+      data,
+      mtime: new Date(),
+      // What `pm install` would find in the APK, if this is one
+      manifest: remotePath.endsWith(".apk")
+        ? await ApkManifest.read(data).catch(() => null)
+        : null,
+    });
+    return { remotePath, bytes: sent };
+  }
+
+  async pull(serial, remotePath) {
+    const file = this.getDevice(serial).files.get(remotePath);
+    if (!file || !file.data) {
+      throw new Error(
+        `Pull failed: remote object '${remotePath}' does not exist`
+      );
+    }
+    return toStream(file.data);
+  }
+
+  async pullFile(serial, remotePath, localPath) {
+    await fs.writeFile(
+      localPath,
+      await AdbClient.readAll(await this.pull(serial, remotePath))
+    );
+    return localPath;
+  }
+
+  async stat(serial, remotePath) {
+    const file = this.getDevice(serial).files.get(remotePath);
+    if (!file) {
+      return null;
+    }
+    return {
+      mode: file.mode,
+      size: file.data ? file.data.length : 4096,
+      mtime: file.mtime,
+    };
+  }
+
+  async readdir(serial, remotePath) {
+    const device = this.getDevice(serial);
+    const dir = remotePath.replace(/\/+$/, "") || "/";
+
+    return Array.from(device.files.entries())
+      .filter(
+        ([filePath]) => filePath !== dir && path.posix.dirname(filePath) === dir
+      )
+      .map(([filePath, file]) => ({
+        name: path.posix.basename(filePath),
+        mode: file.mode,
+        size: file.data ? file.data.length : 4096,
+        mtime: file.mtime,
+      }));
+  }
+
+  async install(serial, apkPath, flags = [], options = {}) {
+    const remotePath = `/data/local/tmp/${path.basename(apkPath)}`;
+    await this.push(serial, apkPath, remotePath, {
+      onProgress: options.onProgress,
+    });
+
+    try {
+      const output = await this.shell(
+        serial,
+        `pm install ${flags.join(" ")} "${remotePath}"`
+      );
+      if (!output.includes("Success")) {
+        throw new Error(`Installation failed: ${output.trim()}`);
+      }
+      return output;
+    } finally {
+      await this.shell(serial, `rm -f "${remotePath}"`);
+    }
+  }
+
+  // Mirrors `adb install-multiple`: a base APK and its splits go into one
+  // install session, which is committed as a whole. `onProgress` follows
+  // the pushes, counting across all the APKs.
+  async installMultiple(serial, apkPaths, flags = [], options = {}) {
+    const prefix = `/data/local/tmp/install-${Date.now()}`;
+    const remotePaths = apkPaths.map(
+      (apkPath, index) => `${prefix}-${index}.apk`
+    );
+    let session = null;
+
+    try {
+      let pushed = 0;
+      for (const [index, apkPath] of apkPaths.entries()) {
+        const { bytes } = await this.push(serial, apkPath, remotePaths[index], {
+          onProgress: ({ sent }) =>
+            options.onProgress && options.onProgress({ sent: pushed + sent }),
+        });
+        pushed += bytes;
+      }
+
+      const created = await this.shell(
+        serial,
+        `pm install-create ${flags.join(" ")}`
+      );
+      session = (created.match(/\[(\d+)\]/) || [])[1];
+      if (!session) {
+        throw new Error(`Installation failed: ${created.trim()}`);
+      }
+      for (const [index, remotePath] of remotePaths.entries()) {
+        const written = await this.shell(
+          serial,
+          `pm install-write ${session} ${index}.apk "${remotePath}"`
+        );
+        if (!written.includes("Success")) {
+          throw new Error(`Installation failed: ${written.trim()}`);
+        }
+      }
+      const output = await this.shell(serial, `pm install-commit ${session}`);
+      session = null;
+      if (!output.includes("Success")) {
+        throw new Error(`Installation failed: ${output.trim()}`);
+      }
+      return output;
+    } finally {
+      if (session) {
+        await this.shell(serial, `pm install-abandon ${session}`).catch(
+          () => {}
+        );
+      }
+      await this.shell(
+        serial,
+        `rm -f ${remotePaths.map((remotePath) => `"${remotePath}"`).join(" ")}`
+      ).catch(() => {});
+    }
+  }
+}
+
+module.exports = SimulatedAdb;
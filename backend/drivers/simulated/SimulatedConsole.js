@@ -0,0 +1,109 @@
+const { EventEmitter } = require("events");
+
+const GREETING = [
+  "Android Console: Authentication required",
+  "Android Console: type 'auth <auth_token>' to authenticate",
+  "Android Console: you can find your <auth_token> in ",
+  "'~/.emulator_console_auth_token'",
+];
+
+// Socket-like connection to a simulated device's telnet console. Speaks the
+// same line protocol as the real one, including the auth handshake.
+class SimulatedConsole extends EventEmitter {
+  constructor(device, authToken) {
+    super();
+    this.device = device;
+    this.authToken = authToken;
+    this.authenticated = false;
+    this.closed = false;
+    this.buffer = "";
+
+    if (!device) {
+      setImmediate(() => {
+        const error = new Error("connect ECONNREFUSED 127.0.0.1");
+        error.code = "ECONNREFUSED";
+        this.emit("error", error);
+        this.destroy();
+      });
+      return;
+    }
+
+    this.onDestroyed = () => this.destroy();
+    device.once("destroyed", this.onDestroyed);
+    setImmediate(() => this.send([...GREETING, "OK"]));
+  }
+
+  send(lines) {
+    if (!this.closed) {
+      this.emit(
+        "data",
+        Buffer.from(lines.map((line) => `${line}\r\n`).join(""))
+      );
+    }
+  }
+
+  write(data) {
+    const lines = (this.buffer + data.toString()).split("\n");
+    this.buffer = lines.pop();
+    lines.forEach((line) => {
+      // The real console answers asynchronously too
+      setImmediate(() => this.handle(line.replace(/\r$/, "").trim()));
+    });
+    return true;
+  }
+
+  handle(line) {
+    if (this.closed || !line) {
+      return;
+    }
+    if (line === "quit" || line === "exit") {
+      this.destroy();
+      return;
+    }
+
+    if (!this.authenticated) {
+      const [command, token] = line.split(/\s+/);
+      if (command !== "auth") {
+        this.send(["KO: authentication required"]);
+      } else if (token !== this.authToken) {
+        this.send(["KO: authentication token does not match"]);
+      } else {
+        this.authenticated = true;
+        this.send([
+          "Android Console: type 'help' for a list of commands",
+          "OK",
+        ]);
+      }
+      return;
+    }
+
+    try {
+      const output = this.device.console(line);
+      this.send([...(output ? output.split("\n") : []), "OK"]);
+    } catch (error) {
+      this.send([
+        error.message.startsWith("KO") ? error.message : `KO: ${error.message}`,
+      ]);
+    }
+  }
+
+  end(data) {
+    if (data) {
+      this.write(data);
+    }
+    setImmediate(() => this.destroy());
+  }
+
+  destroy() {
+    if (this.closed) {
+      return;
+    }
+    this.closed = true;
+    if (this.device) {
+      this.device.removeListener("destroyed", this.onDestroyed);
+    }
+    this.emit("close");
+  }
+}
+
+module.exports = SimulatedConsole;
@@ -0,0 +1,1859 @@
+const { EventEmitter } = require("events");
+const { Readable } = require("stream");
+const path = require("path");
+const Framebuffer = require("./Framebuffer");
+
+const SCREEN_WIDTH = 360;
+const SCREEN_HEIGHT = 640;
+const SCREEN_DENSITY = 320;
+const TAP_FADE_MS = 1500;
+// How long system services are gone while the framework restarts
+const FRAMEWORK_RESTART_MS = 1500;
+// What /proc/stat counts CPU time in
+const CPU_CORES = 4;
+const CLOCK_TICKS = 100;
+const LOG_BUFFER_SIZE = 500;
+// What a snapshot of an idle device costs before any user data
+const SNAPSHOT_BASE_SIZE = 96 * 1024 * 1024;
+
+const S_IFDIR = 0o040000;
+const S_IFREG = 0o100000;
+
+const COLORS = {
+  launcher: [25, 55, 109],
+  launcherNight: [18, 18, 24],
+  statusBar: [15, 20, 35],
+  navBar: [10, 10, 10],
+  white: [255, 255, 255],
+  muted: [170, 180, 200],
+  field: [240, 242, 245],
+  fieldText: [20, 20, 20],
+  tap: [66, 165, 245],
+};
+
+const SYSTEM_PACKAGES = [
+  "android",
+  "com.android.launcher3",
+  "com.android.settings",
+  "com.android.systemui",
+  "com.android.chrome",
+  "com.google.android.gms",
+  "com.google.android.marvin.talkback",
+];
+
+const USER_PACKAGES = ["com.example.uat.demo", "com.example.uat.shop"];
+
+// What the demo apps request, and APKs without a readable manifest
+const REQUESTED_PERMISSIONS = {
+  "com.example.uat.demo": [
+    "android.permission.INTERNET",
+    "android.permission.ACCESS_FINE_LOCATION",
+    "android.permission.CAMERA",
+    "android.permission.ACCESS_COARSE_LOCATION",
+    "android.permission.POST_NOTIFICATIONS",
+    "android.permission.SYSTEM_ALERT_WINDOW",
+  ],
+  "com.example.uat.shop": [
+    "android.permission.INTERNET",
+    "android.permission.ACCESS_FINE_LOCATION",
+    "android.permission.READ_CONTACTS",
+    "android.permission.POST_NOTIFICATIONS",
+  ],
+};
+const INSTALLED_APP_PERMISSIONS = [
+  "android.permission.INTERNET",
+  "android.permission.ACCESS_FINE_LOCATION",
+  "android.permission.CAMERA",
+];
+
+// The requested permissions that are granted at runtime; the rest are
+// granted on install, or are app-ops
+const RUNTIME_PERMISSIONS = [
+  "android.permission.ACCESS_FINE_LOCATION",
+  "android.permission.ACCESS_COARSE_LOCATION",
+  "android.permission.CAMERA",
+  "android.permission.POST_NOTIFICATIONS",
+  "android.permission.READ_CONTACTS",
+];
+
+// Sensor values the console reports before anything is set
+const DEFAULT_SENSORS = {
+  acceleration: "0:9.77622:0.812349",
+  proximity: "1",
+  light: "20",
+};
+
+// Battery status names `dumpsys battery set status` takes, by number
+const BATTERY_STATUSES = {
+  1: "unknown",
+  2: "charging",
+  3: "discharging",
+  4: "not-charging",
+  5: "full",
+};
+
+// Chatter the fake logcat produces while nothing else is happening
+const BACKGROUND_LOGS = [
+  ["I", "ActivityManager", "Background concurrent copying GC freed 2048(96KB)"],
+  ["D", "ConnectivityService", "requestNetwork for uid/pid:10102/1234"],
+  ["W", "WindowManager", "Unable to find window for token"],
+  ["I", "chatty", "uid=1000(system) expire 3 lines"],
+  ["D", "BatteryService", "Processing new values: level=100 charging=true"],
+  ["V", "InputDispatcher", "Dropping event because there is no touched window"],
+  ["E", "GoogleApiManager", "Failed to get service from broker"],
+];
+
+function tokenize(command) {
+  const tokens = [];
+  const pattern = /"([^"]*)"|'([^']*)'|(\S+)/g;
+  let match;
+  while ((match = pattern.exec(command))) {
+    tokens.push(match[1] ?? match[2] ?? match[3]);
+  }
+  return tokens;
+}
+
+// Splits a shell command line into commands (at `;` and `&&`) and their
+// words, honouring quotes and backslashes the way sh does
+function parseCommandLine(line) {
+  const commands = [];
+  let words = [];
+  let word = null;
+  let quote = null;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quote === "'") {
+      if (char === "'") {
+        quote = null;
+      } else {
+        word += char;
+      }
+      continue;
+    }
+    if (quote === '"') {
+      if (char === '"') {
+        quote = null;
+      } else if (char === "\\" && '"\\$`'.includes(line[i + 1])) {
+        word += line[++i];
+      } else {
+        word += char;
+      }
+      continue;
+    }
+
+    if (char === "'" || char === '"') {
+      quote = char;
+      word = word ?? "";
+    } else if (char === "\\" && i + 1 < line.length) {
+      word = (word ?? "") + line[++i];
+    } else if (char === ";" || line.startsWith("&&", i) || /\s/.test(char)) {
+      if (word !== null) {
+        words.push(word);
+        word = null;
+      }
+      if (!/\s/.test(char)) {
+        if (words.length > 0) {
+          commands.push(words);
+        }
+        words = [];
+        i += char === ";" ? 0 : 1;
+      }
+    } else {
+      word = (word ?? "") + char;
+    }
+  }
+
+  if (word !== null) {
+    words.push(word);
+  }
+  if (words.length > 0) {
+    commands.push(words);
+  }
+  return commands;
+}
+
+function pad(value, length = 2) {
+  return String(value).padStart(length, "0");
+}
+
+function formatLogTime(date) {
+  return (
+    `${pad(date.getMonth() + 1)}-${pad(date.getDate())} ` +
+    `${pad(date.getHours())}:${pad(date.getMinutes())}:` +
+    `${pad(date.getSeconds())}.${pad(date.getMilliseconds(), 3)}`
+  );
+}
+
+function formatSize(bytes) {
+  return `${Math.max(1, Math.round(bytes / (1024 * 1024)))}M`;
+}
+
+function formatSnapshotDate(date) {
+  const day = [date.getFullYear(), date.getMonth() + 1, date.getDate()];
+  const time = [date.getHours(), date.getMinutes(), date.getSeconds()];
+  return `${day.map((part) => pad(part)).join("-")} ${time
+    .map((part) => pad(part))
+    .join(":")}`;
+}
+
+function cloneEntries(map) {
+  return new Map(
+    Array.from(map.entries()).map(([key, value]) => [key, { ...value }])
+  );
+}
+
+function colorFor(text) {
+  let hash = 0;
+  for (const char of text) {
+    hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
+  }
+  return [
+    60 + (hash % 140),
+    60 + ((hash >> 8) % 140),
+    60 + ((hash >> 16) % 140),
+  ];
+}
+
+// In-memory stand-in for one booted Android device. Shell commands are
+// dispatched to the handlers below; anything unknown fails the way sh would.
+class SimulatedDevice extends EventEmitter {
+  constructor(serial, avd) {
+    super();
+    this.serial = serial;
+    this.avd = avd;
+    this.state = "offline";
+    this.props = {
+      "ro.product.model": avd.model || "Simulated Pixel",
+      "ro.product.cpu.abi": avd.abi || "x86_64",
+      "ro.product.cpu.abilist":
+        (avd.abi || "x86_64") === "x86_64" ? "x86_64,x86" : avd.abi,
+      "ro.build.version.release": avd.release || "14",
+      "ro.build.version.sdk": String(avd.apiLevel || 34),
+      "ro.kernel.qemu": "1",
+      "ro.product.locale": "en-US",
+      "dev.bootcomplete": "",
+      "sys.boot_completed": "",
+    };
+    let nextUid = 10000;
+    this.packages = new Map(
+      [
+        ...SYSTEM_PACKAGES.map((name) => [name, { system: true }]),
+        ...USER_PACKAGES.map((name) => [
+          name,
+          {
+            system: false,
+            debuggable: true,
+            requested: REQUESTED_PERMISSIONS[name],
+          },
+        ]),
+      ].map(([name, info]) => [
+        name,
+        {
+          packageName: name,
+          uid: nextUid++,
+          installedAt: new Date(),
+          requested: [],
+          grants: new Set(),
+          appOps: {},
+          ...info,
+        },
+      ])
+    );
+    this.nextUid = nextUid;
+    // `pm install-create` sessions, until they are committed
+    this.installSessions = new Map();
+    this.nextInstallSession = 1000;
+    this.files = new Map();
+    [
+      "/",
+      "/sdcard",
+      "/sdcard/Download",
+      "/data",
+      "/data/local",
+      "/data/local/tmp",
+      "/data/app",
+      "/data/data",
+      "/data/tombstones",
+    ].forEach((dir) => this.mkdir(dir));
+    USER_PACKAGES.forEach((name) => this.createSandbox(name));
+
+    this.foregroundApp = null;
+    this.typedText = "";
+    this.taps = [];
+    this.logBuffer = [];
+    this.nextPid = 2000;
+    // When /proc/stat started counting
+    this.cpuSince = Date.now();
+    this.systemServerPid = 512;
+    // Until when the framework is restarting after `setprop ctl.restart`
+    this.restartingUntil = 0;
+    // Telephony and sensor state driven through the console
+    this.calls = new Map();
+    this.messages = [];
+    this.sensors = { ...DEFAULT_SENSORS };
+    this.fingerprint = null;
+    this.location = null;
+    this.network = {
+      speed: "full",
+      delay: "none",
+      airplaneMode: false,
+      wifi: true,
+      mobileData: true,
+    };
+    // The emulator's virtual battery, and what `dumpsys battery` overrides
+    this.battery = {
+      ac: true,
+      status: "charging",
+      capacity: 100,
+      health: "good",
+    };
+    this.batteryOverrides = null;
+    this.settings = { global: {}, secure: {}, system: {} };
+    this.clipboard = null;
+    this.nightMode = "no";
+    // `wm size` and `wm density` overrides
+    this.display = { size: null, density: null };
+
+    this.handlers = {
+      getprop: (args) => this.getprop(args),
+      setprop: ([key, value]) => {
+        if (key === "ctl.restart" && value === "zygote") {
+          this.log("I", "Zygote", "Restarting the framework");
+          this.systemServerPid = this.nextPid++;
+          this.restartingUntil = Date.now() + FRAMEWORK_RESTART_MS;
+          return "";
+        }
+        this.props[key] = value;
+        return "";
+      },
+      service: ([sub, name]) =>
+        sub === "check"
+          ? `Service ${name}: ${this.isRestarting() ? "not found" : "found"}\n`
+          : "",
+      // The shell runs as root, as after `adb root`
+      id: ([flag]) => (flag === "-u" ? "0" : "uid=0(root) gid=0(root)"),
+      input: (args) => this.input(args),
+      wm: (args) => this.wm(args),
+      pm: (args) => this.pm(args),
+      appops: (args) => this.appops(args),
+      monkey: (args) => this.monkey(args),
+      am: (args) => this.am(args),
+      cmd: (args) => this.cmd(args),
+      svc: (args) => this.svc(args),
+      dumpsys: (args) => this.dumpsys(args),
+      settings: (args) => this.settingsCommand(args),
+      pidof: ([name]) => {
+        if (!this.isBooted()) {
+          return "";
+        }
+        if (name === "com.android.launcher3") {
+          return "1042\n";
+        }
+        if (name === "system_server") {
+          return this.isRestarting() ? "" : `${this.systemServerPid}\n`;
+        }
+        const pid = this.packages.get(name)?.pid;
+        return pid ? `${pid}\n` : "";
+      },
+      rm: (args) => this.rm(args),
+      mkdir: (args) => this.mkdirCommand(args),
+      mv: ([from, to]) => this.mv(from, to),
+      cp: ([from, to]) => this.cp(from, to),
+      cat: (files) =>
+        files.length === 1
+          ? this.cat(files[0])
+          : files.map((file) => this.cat(file).toString()).join(""),
+      ps: () => this.ps(),
+      stat: (args) => this.stat(args),
+      find: (args) => this.find(args),
+      "run-as": (args) => this.runAs(args),
+      kill: (args) => this.kill(args),
+      echo: (args) => `${args.join(" ")}\n`,
+      screencap: () => this.render(),
+    };
+
+    // Emulator console commands, keyed by their first word
+    this.consoleHandlers = {
+      avd: ([sub, ...args]) => {
+        if (sub === "name") {
+          return this.avd.name;
+        }
+        if (sub === "snapshot") {
+          return this.snapshotCommand(args);
+        }
+        throw new Error(`KO: bad sub-command: avd ${sub}`);
+      },
+      gsm: (args) => this.gsmCommand(args),
+      network: ([sub, value]) => {
+        if (!["speed", "delay"].includes(sub) || !value) {
+          throw new Error(`KO: bad sub-command: network ${sub || ""}`);
+        }
+        this.network[sub] = value;
+        return "";
+      },
+      geo: ([sub, ...args]) => {
+        const [longitude, latitude, altitude = 0] = args.map(Number);
+        if (sub !== "fix" || isNaN(longitude) || isNaN(latitude)) {
+          throw new Error(`KO: bad sub-command: geo ${sub || ""}`);
+        }
+        this.location = { latitude, longitude, altitude };
+        return "";
+      },
+      power: ([sub, value]) => this.powerCommand(sub, value),
+      sms: ([sub, number, ...words]) => {
+        if (sub !== "send" || !number || words.length === 0) {
+          throw new Error(`KO: bad sub-command: sms ${sub || ""}`);
+        }
+        const text = words.join(" ");
+        this.messages.push({ from: number, text, receivedAt: new Date() });
+        this.log("I", "SmsReceiver", `SMS from ${number}: ${text}`);
+        return "";
+      },
+      finger: ([sub, id]) => {
+        if (sub === "touch" && /^\d+$/.test(id || "")) {
+          this.fingerprint = Number(id);
+          this.log("I", "FingerprintService", `Finger ${id} touched sensor`);
+          return "";
+        }
+        if (sub === "remove") {
+          this.fingerprint = null;
+          return "";
+        }
+        throw new Error(`KO: bad sub-command: finger ${sub || ""}`);
+      },
+      sensor: ([sub, name, value]) => {
+        if (!(name in this.sensors)) {
+          throw new Error(`KO: bad sensor name: ${name}`);
+        }
+        if (sub === "get") {
+          return `${name} = ${this.sensors[name]}`;
+        }
+        if (sub === "set" && value) {
+          this.sensors[name] = value;
+          return "";
+        }
+        throw new Error(`KO: bad sub-command: sensor ${sub || ""}`);
+      },
+    };
+
+    this.logInterval = setInterval(() => {
+      const [level, tag, message] =
+        BACKGROUND_LOGS[Math.floor(Math.random() * BACKGROUND_LOGS.length)];
+      this.log(level, tag, message);
+
+      const app = this.packages.get(this.foregroundApp);
+      if (app && app.pid) {
+        this.log("V", app.packageName.split(".").pop(), "Frame drawn", app.pid);
+      }
+    }, 1500);
+  }
+
+  isBooted() {
+    return this.props["sys.boot_completed"] === "1";
+  }
+
+  isRestarting() {
+    return Date.now() < this.restartingUntil;
+  }
+
+  cat(file) {
+    const proc = this.procFile(file);
+    if (proc !== null) {
+      return proc;
+    }
+    const entry = this.files.get(file);
+    if (!entry || !entry.data) {
+      return `cat: ${file}: ${
+        entry ? "Is a directory" : "No such file or directory"
+      }\n`;
+    }
+    return entry.data;
+  }
+
+  // `ps -A -o PID,NAME`
+  ps() {
+    const apps = Array.from(this.packages.values()).filter((app) => app.pid);
+    return [
+      "  PID NAME",
+      "    1 init",
+      `  ${this.systemServerPid} system_server`,
+      " 1042 com.android.launcher3",
+      ...apps.map((app) => ` ${app.pid} ${app.packageName}`),
+      "",
+    ].join("\n");
+  }
+
+  // /proc/stat and /proc/<pid>/stat of the running apps, with CPU time
+  // that grows with how busy each app is
+  procFile(file) {
+    if (file === "/proc/stat") {
+      const total = Math.round(
+        ((Date.now() - this.cpuSince) / 1000) * CLOCK_TICKS * CPU_CORES
+      );
+      const user = Math.round(total * 0.2);
+      const system = Math.round(total * 0.1);
+      return `cpu  ${user} 0 ${system} ${total - user - system} 0 0 0 0 0 0\n`;
+    }
+    const match = file.match(/^\/proc\/(\d+)\/stat$/);
+    if (!match) {
+      return null;
+    }
+    const app = Array.from(this.packages.values()).find(
+      (entry) => entry.pid && entry.pid === Number(match[1])
+    );
+    if (!app) {
+      return `cat: ${file}: No such file or directory\n`;
+    }
+    const ticks = this.appCpuTicks(app);
+    const utime = Math.round(ticks * 0.75);
+    const name = app.packageName.slice(0, 15);
+    return `${app.pid} (${name}) S 1 ${
+      app.pid
+    } 0 0 -1 4194624 9000 0 0 0 ${utime} ${
+      ticks - utime
+    } 0 0 20 0 24 0 1000 0 0\n`;
+  }
+
+  // Clock ticks the app's process has used: a share of the device's time,
+  // larger in the foreground
+  appCpuTicks(app) {
+    const now = Date.now();
+    const seconds = (now - (app.cpuAt || now)) / 1000;
+    const share =
+      this.foregroundApp === app.packageName
+        ? 0.05 + Math.random() * 0.3
+        : Math.random() * 0.02;
+    app.cpuAt = now;
+    app.cpuTicks =
+      (app.cpuTicks || 0) +
+      Math.round(seconds * CLOCK_TICKS * CPU_CORES * share);
+    return app.cpuTicks;
+  }
+
+  mkdir(dirPath) {
+    this.files.set(dirPath, { mode: S_IFDIR | 0o771, mtime: new Date() });
+  }
+
+  createSandbox(packageName) {
+    const root = `/data/data/${packageName}`;
+    [root, `${root}/files`, `${root}/cache`, `${root}/shared_prefs`].forEach(
+      (dir) => this.mkdir(dir)
+    );
+  }
+
+  // Where an app's base APK or one of its splits is installed
+  apkPath(app, split = "base") {
+    if (app.system) {
+      return `/system/app/${app.packageName}/${app.packageName}.apk`;
+    }
+    const name = split === "base" ? "base" : `split_${split}`;
+    return `/data/app/${app.packageName}/${name}.apk`;
+  }
+
+  // Paths at and below `filePath`
+  subtree(filePath) {
+    return Array.from(this.files.keys()).filter(
+      (entry) => entry === filePath || entry.startsWith(`${filePath}/`)
+    );
+  }
+
+  rm(args) {
+    const flags = args.filter((arg) => arg.startsWith("-")).join("");
+    for (const target of args.filter((arg) => !arg.startsWith("-"))) {
+      const entry = this.files.get(target);
+      if (!entry) {
+        if (!flags.includes("f")) {
+          return `rm: ${target}: No such file or directory\n`;
+        }
+      } else if (!entry.data && !/[rR]/.test(flags)) {
+        return `rm: ${target}: Is a directory\n`;
+      } else {
+        this.subtree(target).forEach((p) => this.files.delete(p));
+      }
+    }
+    return "";
+  }
+
+  mkdirCommand(args) {
+    const parents = args.includes("-p");
+    for (const dir of args.filter((arg) => !arg.startsWith("-"))) {
+      if (this.files.has(dir)) {
+        if (!parents) {
+          return `mkdir: '${dir}': File exists\n`;
+        }
+        continue;
+      }
+      if (!parents && !this.files.has(path.posix.dirname(dir))) {
+        return `mkdir: '${dir}': No such file or directory\n`;
+      }
+      // Every missing ancestor, outermost first
+      const missing = [];
+      for (let p = dir; !this.files.has(p); p = path.posix.dirname(p)) {
+        missing.unshift(p);
+      }
+      missing.forEach((p) => this.mkdir(p));
+    }
+    return "";
+  }
+
+  mv(from, to) {
+    if (!this.files.has(from)) {
+      return `mv: bad '${from}': No such file or directory\n`;
+    }
+    if (!this.files.has(path.posix.dirname(to))) {
+      return `mv: '${to}': No such file or directory\n`;
+    }
+    // Moving onto a directory moves into it
+    const existing = this.files.get(to);
+    const target =
+      existing && !existing.data
+        ? path.posix.join(to, path.posix.basename(from))
+        : to;
+    this.subtree(from).forEach((p) => {
+      const entry = this.files.get(p);
+      this.files.delete(p);
+      this.files.set(target + p.slice(from.length), entry);
+    });
+    return "";
+  }
+
+  cp(from, to) {
+    const entry = this.files.get(from);
+    if (!entry || !entry.data) {
+      return `cp: ${from}: ${
+        entry ? "Is a directory" : "No such file or directory"
+      }\n`;
+    }
+    if (!this.files.has(path.posix.dirname(to))) {
+      return `cp: ${to}: No such file or directory\n`;
+    }
+    this.files.set(to, { ...entry, mtime: new Date() });
+    return "";
+  }
+
+  // Only the `stat -c FORMAT path...` form, with %f %s %Y and %n
+  stat([flag, format, ...paths]) {
+    if (flag !== "-c" || !format) {
+      return "stat: Need -c FORMAT\n";
+    }
+    return paths
+      .map((p) => {
+        const entry = this.files.get(p);
+        if (!entry) {
+          return `stat: '${p}': No such file or directory\n`;
+        }
+        const values = {
+          f: entry.mode.toString(16),
+          s: entry.data ? entry.data.length : 4096,
+          Y: Math.floor(entry.mtime.getTime() / 1000),
+          n: p,
+        };
+        return `${format.replace(/%([fsYn])/g, (_, key) => values[key])}\n`;
+      })
+      .join("");
+  }
+
+  // Only `find DIR -mindepth 1 -maxdepth 1 -exec CMD... {} +`
+  find([dir, ...args]) {
+    if (!this.files.has(dir)) {
+      return `find: ${dir}: No such file or directory\n`;
+    }
+    const children = Array.from(this.files.keys()).filter(
+      (p) => p !== dir && path.posix.dirname(p) === dir
+    );
+    const exec = args.indexOf("-exec");
+    if (exec === -1) {
+      return children.map((p) => `${p}\n`).join("");
+    }
+    if (children.length === 0) {
+      return "";
+    }
+    const [command, ...commandArgs] = args.slice(exec + 1, -1);
+    return this.handlers[command](
+      commandArgs.flatMap((arg) => (arg === "{}" ? children : [arg]))
+    );
+  }
+
+  runAs([packageName, command, ...args]) {
+    const pkg = this.packages.get(packageName);
+    if (!pkg) {
+      return `run-as: unknown package: ${packageName}\n`;
+    }
+    if (!pkg.debuggable) {
+      return `run-as: package not debuggable: ${packageName}\n`;
+    }
+    const handler = this.handlers[command];
+    if (!handler) {
+      return `run-as: exec failed for ${command}: No such file or directory\n`;
+    }
+    return handler(args);
+  }
+
+  destroy() {
+    clearInterval(this.logInterval);
+    this.emit("destroyed");
+    this.removeAllListeners();
+  }
+
+  log(level, tag, message, pid = 1000) {
+    const line = `${formatLogTime(new Date())} ${String(pid).padStart(
+      5
+    )} ${String(pid + 17).padStart(5)} ${level} ${tag}: ${message}`;
+    this.logBuffer.push(line);
+    if (this.logBuffer.length > LOG_BUFFER_SIZE) {
+      this.logBuffer.shift();
+    }
+    this.emit("log", line);
+  }
+
+  // Runs one shell command line, returning what stdout would contain
+  run(commandLine) {
+    return parseCommandLine(commandLine)
+      .map(([command, ...args]) => {
+        const handler = this.handlers[command];
+        if (!handler) {
+          return `/system/bin/sh: ${command}: inaccessible or not found\n`;
+        }
+        return handler(args);
+      })
+      .reduce(
+        (output, result) =>
+          Buffer.isBuffer(result) ? result : output + (result || ""),
+        ""
+      );
+  }
+
+  // Runs one emulator console command, returning its text without "OK"
+  console(commandLine) {
+    const [command, ...args] = tokenize(commandLine);
+    const handler = this.consoleHandlers[command];
+    if (!handler) {
+      throw new Error(`KO: unknown command, try 'help'`);
+    }
+    return handler(args) || "";
+  }
+
+  // Calls are keyed by the remote number, like the real modem
+  gsmCommand([sub, number]) {
+    if (sub === "list") {
+      return Array.from(this.calls.entries())
+        .map(([remote, call]) =>
+          call.direction === "inbound"
+            ? `inbound from ${remote} : ${call.state}`
+            : `outbound to  ${remote} : ${call.state}`
+        )
+        .join("\n");
+    }
+    if (!number) {
+      throw new Error(`KO: missing argument`);
+    }
+
+    const call = this.calls.get(number);
+    switch (sub) {
+      case "call":
+        this.calls.set(number, { direction: "inbound", state: "incoming" });
+        this.log("I", "Telecom", `Incoming call from ${number}`);
+        return "";
+      case "accept":
+        if (!call) {
+          throw new Error(`KO: no call from or to ${number}`);
+        }
+        call.state = "active";
+        return "";
+      case "cancel":
+        if (!this.calls.delete(number)) {
+          throw new Error(`KO: no call from or to ${number}`);
+        }
+        this.log("I", "Telecom", `Call with ${number} ended`);
+        return "";
+      default:
+        throw new Error(`KO: bad sub-command: gsm ${sub}`);
+    }
+  }
+
+  snapshotCommand([action, name]) {
+    const snapshots = this.avd.snapshots;
+
+    if (action === "list") {
+      const rows = Array.from(snapshots.entries()).map(
+        ([tag, snapshot]) =>
+          `--        ${tag.padEnd(20)} ${formatSize(snapshot.size).padStart(
+            6
+          )} ${formatSnapshotDate(snapshot.createdAt)}   00:00:00.000`
+      );
+      return [
+        "List of snapshots present on all disks:",
+        "ID        TAG                   VM SIZE                DATE       VM CLOCK",
+        ...rows,
+      ].join("\n");
+    }
+
+    if (!name) {
+      throw new Error(`KO: missing snapshot name`);
+    }
+
+    switch (action) {
+      case "save":
+        snapshots.set(name, this.captureState());
+        this.log("I", "emulator", `Saved snapshot ${name}`);
+        return "";
+      case "load":
+        if (!snapshots.has(name)) {
+          throw new Error(`KO: snapshot '${name}' does not exist`);
+        }
+        this.restoreState(snapshots.get(name));
+        this.log("I", "emulator", `Loaded snapshot ${name}`);
+        return "";
+      case "delete":
+        if (!snapshots.delete(name)) {
+          throw new Error(`KO: snapshot '${name}' does not exist`);
+        }
+        return "";
+      default:
+        throw new Error(`KO: bad sub-command: avd snapshot ${action}`);
+    }
+  }
+
+  // Device state kept in a snapshot; boot progress is not part of it
+  captureState() {
+    const {
+      "dev.bootcomplete": _,
+      "sys.boot_completed": __,
+      ...props
+    } = this.props;
+    const files = cloneEntries(this.files);
+    const dataSize = Array.from(files.values()).reduce(
+      (total, file) => total + (file.data ? file.data.length : 0),
+      0
+    );
+
+    return {
+      props,
+      packages: cloneEntries(this.packages),
+      files,
+      foregroundApp: this.foregroundApp,
+      typedText: this.typedText,
+      createdAt: new Date(),
+      size: SNAPSHOT_BASE_SIZE + dataSize,
+    };
+  }
+
+  restoreState(snapshot) {
+    Object.assign(this.props, snapshot.props);
+    this.packages = cloneEntries(snapshot.packages);
+    this.files = cloneEntries(snapshot.files);
+    this.foregroundApp = snapshot.foregroundApp;
+    this.typedText = snapshot.typedText;
+    this.taps = [];
+  }
+
+  getprop([key]) {
+    if (!key) {
+      return Object.entries(this.props)
+        .map(([name, value]) => `[${name}]: [${value}]`)
+        .join("\n")
+        .concat("\n");
+    }
+    return `${this.props[key] || ""}\n`;
+  }
+
+  input([action, ...args]) {
+    switch (action) {
+      case "tap": {
+        const [x, y] = args.map(Number);
+        this.taps.push({ x, y, time: Date.now() });
+        this.log("I", "SimulatedInput", `tap at ${x},${y}`);
+        break;
+      }
+      case "swipe": {
+        const [x1, y1, x2, y2] = args.map(Number);
+        this.taps.push({ x: x1, y: y1, time: Date.now() });
+        this.taps.push({ x: x2, y: y2, time: Date.now() });
+        this.log("I", "SimulatedInput", `swipe ${x1},${y1} -> ${x2},${y2}`);
+        break;
+      }
+      case "text":
+        this.typedText += args.join(" ").replace(/%s/g, " ");
+        break;
+      case "keyevent":
+        this.keyevent(args[0]);
+        break;
+      default:
+        return `Unknown command: ${action}\n`;
+    }
+    return "";
+  }
+
+  keyevent(key) {
+    switch (key) {
+      case "KEYCODE_HOME":
+      case "3":
+        this.foregroundApp = null;
+        this.typedText = "";
+        break;
+      case "KEYCODE_BACK":
+      case "4":
+        if (this.typedText) {
+          this.typedText = "";
+        } else {
+          this.foregroundApp = null;
+        }
+        break;
+      case "KEYCODE_DEL":
+      case "67":
+        this.typedText = this.typedText.slice(0, -1);
+        break;
+      default:
+        break;
+    }
+    this.log("I", "SimulatedInput", `keyevent ${key}`);
+  }
+
+  pm([sub, ...args]) {
+    switch (sub) {
+      case "path": {
+        const app = this.packages.get(args[0]);
+        return app
+          ? (app.splits || ["base"])
+              .map((split) => `package:${this.apkPath(app, split)}\n`)
+              .join("")
+          : "";
+      }
+      case "list": {
+        const userOnly = args.includes("-3");
+        return Array.from(this.packages.values())
+          .filter((pkg) => !userOnly || !pkg.system)
+          .map((pkg) => `package:${pkg.packageName}\n`)
+          .join("");
+      }
+      case "install":
+        return this.install(args);
+      case "install-create": {
+        const id = this.nextInstallSession++;
+        this.installSessions.set(id, { flags: args, apks: [] });
+        return `Success: created install session [${id}]\n`;
+      }
+      case "install-write": {
+        // -S gives the size, for when the APK is streamed over stdin
+        const [id, name, apkPath] = args[0] === "-S" ? args.slice(2) : args;
+        const session = this.installSessions.get(Number(id));
+        const file = this.files.get(apkPath);
+        if (!session || !file || !file.data) {
+          return "Failure [INSTALL_FAILED_INVALID_URI]\n";
+        }
+        session.apks.push({ name, file });
+        return `Success: streamed ${file.data.length} bytes\n`;
+      }
+      case "install-commit":
+        return this.commitInstallSession(Number(args[0]));
+      case "install-abandon":
+        this.installSessions.delete(Number(args[0]));
+        return "Success\n";
+      case "uninstall": {
+        const packageName = args.filter((arg) => !arg.startsWith("-")).pop();
+        const app = this.packages.get(packageName);
+        if (!app || app.system) {
+          return "Failure [DELETE_FAILED_INTERNAL_ERROR]\n";
+        }
+        if (app.pid) {
+          this.processDied(app);
+        }
+        this.packages.delete(packageName);
+        this.subtree(`/data/app/${packageName}`).forEach((p) =>
+          this.files.delete(p)
+        );
+        // -k keeps the data and cache directories
+        if (!args.includes("-k")) {
+          this.subtree(`/data/data/${packageName}`).forEach((p) =>
+            this.files.delete(p)
+          );
+        }
+        this.log("I", "PackageManager", `Uninstalled ${packageName}`);
+        return "Success\n";
+      }
+      case "clear": {
+        const app = this.packages.get(args[0]);
+        if (!app) {
+          return "Failed\n";
+        }
+        if (app.pid) {
+          this.processDied(app);
+        }
+        this.subtree(`/data/data/${args[0]}`).forEach((p) =>
+          this.files.delete(p)
+        );
+        this.createSandbox(args[0]);
+        this.log("I", "ActivityManager", `Cleared data of ${args[0]}`);
+        return "Success\n";
+      }
+      case "grant":
+      case "revoke":
+      case "clear-permission-flags":
+        return this.changePermission(sub, args[0], args[1]);
+      // Takes no package: every app's permissions are reset
+      case "reset-permissions":
+        Array.from(this.packages.values()).forEach((app) => app.grants.clear());
+        return "";
+      default:
+        return `Unknown command: pm ${sub}\n`;
+    }
+  }
+
+  // `pm install` of a single APK. APKs pushed without a readable manifest
+  // get a made-up package name.
+  install(args) {
+    const apkPath = args.filter((arg) => !arg.startsWith("-")).pop();
+    const file = apkPath && this.files.get(apkPath);
+    if (!file || !file.data) {
+      return "Failure [INSTALL_FAILED_INVALID_URI]\n";
+    }
+    if (file.manifest?.split) {
+      return `Failure [INSTALL_FAILED_INVALID_APK: Missing split for ${file.manifest.packageName}]\n`;
+    }
+    return this.installPackage(
+      file.manifest || {
+        packageName: `com.simulated.${
+          path
+            .basename(apkPath, ".apk")
+            .replace(/[^A-Za-z0-9]/g, "")
+            .toLowerCase() || "app"
+        }`,
+        versionCode: 1,
+        versionName: "1.0",
+        permissions: INSTALLED_APP_PERMISSIONS,
+      },
+      args,
+      [{ split: "base", file }]
+    );
+  }
+
+  // A base APK and its splits, written to a session with `pm install-write`
+  commitInstallSession(id) {
+    const session = this.installSessions.get(id);
+    if (!session) {
+      return `Failure [INSTALL_FAILED_INTERNAL_ERROR: Session ${id} not found]\n`;
+    }
+    this.installSessions.delete(id);
+    const manifests = session.apks.map(({ file }) => file.manifest);
+    if (manifests.some((manifest) => !manifest)) {
+      return "Failure [INSTALL_PARSE_FAILED_NOT_APK: Failed to parse]\n";
+    }
+    const base = manifests.find((manifest) => !manifest.split);
+    if (!base) {
+      return `Failure [INSTALL_FAILED_INVALID_APK: Missing split for ${manifests[0].packageName}]\n`;
+    }
+    if (
+      manifests.some(
+        (manifest) =>
+          manifest.packageName !== base.packageName ||
+          manifest.versionCode !== base.versionCode
+      )
+    ) {
+      return "Failure [INSTALL_FAILED_INVALID_APK: Inconsistent package or version in splits]\n";
+    }
+    return this.installPackage(
+      base,
+      session.flags,
+      session.apks.map(({ file }) => ({
+        split: file.manifest.split || "base",
+        file,
+      }))
+    );
+  }
+
+  // Installs or updates an app, honouring -r (replace), -d (allow a lower
+  // version code), -t (allow test-only APKs) and -g (grant every runtime
+  // permission). The APKs are kept under /data/app, like on a device.
+  installPackage(manifest, args, apks) {
+    const { packageName } = manifest;
+    const existing = this.packages.get(packageName);
+    if (existing && !args.includes("-r")) {
+      return `Failure [INSTALL_FAILED_ALREADY_EXISTS: Attempt to re-install ${packageName} without first uninstalling.]\n`;
+    }
+    if (
+      existing &&
+      !args.includes("-d") &&
+      (manifest.versionCode || 0) < (existing.versionCode || 0)
+    ) {
+      return `Failure [INSTALL_FAILED_VERSION_DOWNGRADE: Downgrade detected: Update version code ${manifest.versionCode} is older than current ${existing.versionCode}]\n`;
+    }
+    if (manifest.testOnly && !args.includes("-t")) {
+      return "Failure [INSTALL_FAILED_TEST_ONLY: installPackageLI]\n";
+    }
+    if (manifest.minSdkVersion > this.apiLevel()) {
+      return `Failure [INSTALL_FAILED_OLDER_SDK: Requires newer sdk version #${
+        manifest.minSdkVersion
+      } (current version is #${this.apiLevel()})]\n`;
+    }
+
+    if (existing?.pid) {
+      this.processDied(existing);
+    }
+    const requested = manifest.permissions || [];
+    const app = {
+      packageName,
+      uid: existing ? existing.uid : this.nextUid++,
+      system: false,
+      debuggable: true,
+      installedAt: existing ? existing.installedAt : new Date(),
+      updatedAt: new Date(),
+      versionCode: manifest.versionCode,
+      versionName: manifest.versionName,
+      minSdk: manifest.minSdkVersion || 1,
+      targetSdk:
+        manifest.targetSdkVersion || manifest.minSdkVersion || this.apiLevel(),
+      splits: apks.map(({ split }) => split),
+      requested,
+      grants: new Set(
+        args.includes("-g")
+          ? requested.filter((permission) =>
+              RUNTIME_PERMISSIONS.includes(permission)
+            )
+          : existing
+          ? [...existing.grants].filter((permission) =>
+              requested.includes(permission)
+            )
+          : []
+      ),
+      appOps: existing ? existing.appOps : {},
+    };
+    this.packages.set(packageName, app);
+    if (!existing) {
+      this.createSandbox(packageName);
+    }
+    this.subtree(`/data/app/${packageName}`).forEach((p) =>
+      this.files.delete(p)
+    );
+    this.mkdir(`/data/app/${packageName}`);
+    apks.forEach(({ split, file }) =>
+      this.files.set(this.apkPath(app, split), {
+        ...file,
+        mode: S_IFREG | 0o644,
+        mtime: new Date(),
+      })
+    );
+    this.log(
+      "I",
+      "PackageManager",
+      `${existing ? "Updated" : "Installed"} ${packageName}`
+    );
+    return "Success\n";
+  }
+
+  changePermission(sub, packageName, permission) {
+    const app = this.packages.get(packageName);
+    const failure = (message) =>
+      `Exception occurred while executing '${sub}':\n${message}\n`;
+    if (!app) {
+      return failure(
+        `java.lang.IllegalArgumentException: Unknown package: ${packageName}`
+      );
+    }
+    if (!app.requested.includes(permission)) {
+      return failure(
+        `java.lang.SecurityException: Package ${packageName} has not requested permission ${permission}`
+      );
+    }
+    if (!RUNTIME_PERMISSIONS.includes(permission)) {
+      return failure(
+        `java.lang.SecurityException: Permission ${permission} requested by ${packageName} is not a changeable permission type`
+      );
+    }
+    if (sub === "clear-permission-flags") {
+      // Flags such as user-set and user-fixed aren't kept here
+      return "";
+    }
+    if (sub === "grant") {
+      app.grants.add(permission);
+    } else if (app.grants.delete(permission) && app.pid) {
+      this.log(
+        "I",
+        "ActivityManager",
+        `Killing ${app.pid}:${packageName}/u0a${
+          app.uid - 10000
+        } (adj 0): permissions revoked`
+      );
+      this.processDied(app);
+    }
+    return "";
+  }
+
+  appops([sub, packageName, op, mode]) {
+    const app = this.packages.get(packageName);
+    if (!app) {
+      return `Error: Unknown package: ${packageName}\n`;
+    }
+    switch (sub) {
+      case "get":
+        return app.appOps[op]
+          ? `${op}: ${app.appOps[op]}\n`
+          : "No operations.\n";
+      case "set":
+        if (!["allow", "ignore", "deny", "default"].includes(mode)) {
+          return `Error: Mode ${mode} is not valid\n`;
+        }
+        if (mode === "default") {
+          delete app.appOps[op];
+        } else {
+          app.appOps[op] = mode;
+        }
+        return "";
+      case "reset":
+        app.appOps = {};
+        return `Reset all modes for: user 0, package ${packageName}\n`;
+      default:
+        return `Error: Unknown command: ${sub}\n`;
+    }
+  }
+
+  launch(packageName) {
+    if (!this.packages.has(packageName)) {
+      return false;
+    }
+    this.foregroundApp = packageName;
+    this.typedText = "";
+    const pid = this.nextPid++;
+    const app = this.packages.get(packageName);
+    app.pid = pid;
+    app.cpuTicks = 0;
+    app.cpuAt = Date.now();
+    this.log(
+      "I",
+      "ActivityManager",
+      `Start proc ${pid}:${packageName}/u0a102 for activity`
+    );
+    const tag = packageName.split(".").pop();
+    this.log("D", tag, "onCreate", pid);
+    this.log("I", tag, "Activity resumed", pid);
+    return true;
+  }
+
+  monkey(args) {
+    const packageName = args[args.indexOf("-p") + 1];
+    if (!this.launch(packageName)) {
+      return "** No activities found to run, monkey aborted.\n";
+    }
+    return "Events injected: 1\n";
+  }
+
+  am([sub, ...args]) {
+    if (sub === "crash") {
+      const app = this.packages.get(args[0]);
+      if (!app || !app.pid) {
+        return `Error: No process found for: ${args[0]}\n`;
+      }
+      this.crash(app);
+      return "";
+    }
+    if (sub === "force-stop") {
+      if (this.foregroundApp === args[0]) {
+        this.foregroundApp = null;
+      }
+      if (this.packages.has(args[0])) {
+        delete this.packages.get(args[0]).pid;
+      }
+      return "";
+    }
+    if (sub === "start" && args.includes("android.intent.action.CALL")) {
+      const uri = args[args.indexOf("-d") + 1] || "";
+      const number = uri.replace(/^tel:/, "");
+      this.calls.set(number, { direction: "outbound", state: "alerting" });
+      this.log("I", "Telecom", `Outgoing call to ${number}`);
+      return `Starting: Intent { act=android.intent.action.CALL dat=${uri} }\n`;
+    }
+    if (sub === "start") {
+      const component = args.find((arg) => arg.includes("/"));
+      if (component && this.launch(component.split("/")[0])) {
+        return `Starting: Intent { cmp=${component} }\n`;
+      }
+    }
+    return `Error: Activity not started\n`;
+  }
+
+  // Like `am crash`: the app dies with an uncaught exception
+  crash(app) {
+    const { packageName, pid } = app;
+    [
+      "FATAL EXCEPTION: main",
+      `Process: ${packageName}, PID: ${pid}`,
+      "android.app.RemoteServiceException$CrashedByAdbException: shell-induced crash",
+      "\tat android.app.ActivityThread.throwRemoteServiceException(ActivityThread.java:2063)",
+      "\tat android.app.ActivityThread.-$$Nest$mthrowRemoteServiceException(Unknown Source:0)",
+      "\tat android.os.Handler.dispatchMessage(Handler.java:106)",
+      "\tat android.os.Looper.loop(Looper.java:317)",
+      "\tat android.app.ActivityThread.main(ActivityThread.java:8705)",
+    ].forEach((line) => this.log("E", "AndroidRuntime", line, pid));
+    this.log("I", "Process", `Sending signal. PID: ${pid} SIG: 9`, pid);
+    this.processDied(app);
+  }
+
+  // Signal 11: crash_dump logs the native crash and tombstoned saves it
+  nativeCrash(app) {
+    const { packageName, pid } = app;
+    const shortName = packageName.slice(-15);
+    this.log(
+      "F",
+      "libc",
+      `Fatal signal 11 (SIGSEGV), code 0 (SI_USER) in tid ${pid} (${shortName}), pid ${pid} (${shortName})`,
+      pid
+    );
+    const dumpPid = this.nextPid++;
+    const dump = [
+      "*** *** *** *** *** *** *** *** *** *** *** *** *** *** *** ***",
+      `Build fingerprint: 'google/sdk_gphone64_x86_64/emu64xa:${this.props["ro.build.version.release"]}/simulated:userdebug/dev-keys'`,
+      `pid: ${pid}, tid: ${pid}, name: ${shortName}  >>> ${packageName} <<<`,
+      "signal 11 (SIGSEGV), code 0 (SI_USER), fault addr --------",
+      "backtrace:",
+      "      #00 pc 000000000005b0ee  /apex/com.android.runtime/lib64/bionic/libc.so (syscall+30)",
+      `      #01 pc 0000000000012a40  /data/app/${packageName}/lib/x86_64/libnative.so`,
+    ];
+    dump.forEach((line) => this.log("F", "DEBUG", line, dumpPid));
+
+    const tombstones = this.subtree("/data/tombstones").length - 1;
+    const tombstone = `/data/tombstones/tombstone_${String(tombstones).padStart(
+      2,
+      "0"
+    )}`;
+    this.files.set(tombstone, {
+      mode: S_IFREG | 0o600,
+      mtime: new Date(),
+      data: Buffer.from(`${dump.join("\n")}\n`),
+    });
+    this.log("E", "tombstoned", `Tombstone written to: ${tombstone}`, 170);
+    this.processDied(app);
+  }
+
+  processDied(app) {
+    this.log(
+      "I",
+      "ActivityManager",
+      `Process ${app.packageName} (pid ${app.pid}) has died: fg  TOP`
+    );
+    if (this.foregroundApp === app.packageName) {
+      this.foregroundApp = null;
+    }
+    delete app.pid;
+  }
+
+  // Only signals to app processes; 11 (SEGV) crashes them natively
+  kill(args) {
+    let signal = "TERM";
+    if (args[0] === "-s") {
+      signal = args[1];
+    } else if (args.length > 1) {
+      signal = args[0].slice(1);
+    }
+    const pid = Number(args[args.length - 1]);
+    const app = Array.from(this.packages.values()).find(
+      (info) => info.pid && info.pid === pid
+    );
+    if (!app) {
+      return `/system/bin/sh: kill: ${
+        args[args.length - 1]
+      }: No such process\n`;
+    }
+    if (signal === "11" || signal === "SEGV") {
+      this.nativeCrash(app);
+    } else {
+      this.processDied(app);
+    }
+    return "";
+  }
+
+  cmd([service, sub, ...args]) {
+    if (service === "package" && sub === "resolve-activity") {
+      if (!this.isBooted()) {
+        return "No activity found\n";
+      }
+      return args.includes("android.intent.category.HOME")
+        ? "priority=0 preferredOrder=0 match=0x108000 specificIndex=-1 isDefault=true\ncom.android.launcher3/.uioverrides.QuickstepLauncher\n"
+        : "No activity found\n";
+    }
+    if (service === "connectivity" && sub === "airplane-mode") {
+      if (args[0] === "enable" || args[0] === "disable") {
+        this.network.airplaneMode = args[0] === "enable";
+        this.log("I", "ConnectivityService", `Airplane mode ${args[0]}d`);
+        return "";
+      }
+      return `${this.network.airplaneMode ? "enabled" : "disabled"}\n`;
+    }
+    if (service === "uimode" && sub === "night") {
+      if (["yes", "no", "auto"].includes(args[0])) {
+        this.nightMode = args[0];
+      } else if (args[0] !== undefined) {
+        return `Error: mode must be 'yes', 'no', 'auto' or 'custom'\n`;
+      }
+      return `Night mode: ${this.nightMode}\n`;
+    }
+    if (service === "clipboard" && this.apiLevel() >= 33) {
+      return this.clipboardCommand(sub, args);
+    }
+    return `cmd: Can't find service: ${service}\n`;
+  }
+
+  apiLevel() {
+    return Number(this.props["ro.build.version.sdk"]);
+  }
+
+  clipboardCommand(sub, [text]) {
+    if (sub === "get-primary-clip") {
+      return `${this.clipboard ?? "null"}\n`;
+    }
+    if (sub === "set-primary-clip" && text !== undefined) {
+      this.clipboard = text;
+      return "";
+    }
+    return `Unknown command: ${sub}\n`;
+  }
+
+  svc([service, state]) {
+    const radios = { wifi: "wifi", data: "mobileData" };
+    if (!radios[service] || !["enable", "disable"].includes(state)) {
+      return `Unknown command: svc ${service || ""}\n`;
+    }
+    this.network[radios[service]] = state === "enable";
+    this.log("I", "ConnectivityService", `${service} ${state}d`);
+    return "";
+  }
+
+  powerCommand(sub, value) {
+    const choices = {
+      ac: ["on", "off"],
+      status: ["unknown", ...Object.values(BATTERY_STATUSES).slice(1)],
+      health: ["unknown", "good", "overheat", "dead", "overvoltage", "failure"],
+    };
+    if (sub === "display") {
+      return [
+        `AC: ${this.battery.ac ? "online" : "offline"}`,
+        `status: ${this.battery.status}`,
+        `health: ${this.battery.health}`,
+        "present: true",
+        `capacity: ${this.battery.capacity}`,
+      ].join("\n");
+    }
+    if (sub === "capacity" && /^\d+$/.test(value || "")) {
+      this.battery.capacity = Math.min(100, Number(value));
+      return "";
+    }
+    if (choices[sub] && choices[sub].includes(value)) {
+      this.battery[sub] = sub === "ac" ? value === "on" : value;
+      return "";
+    }
+    throw new Error(`KO: bad sub-command: power ${sub || ""}`);
+  }
+
+  // What the framework believes, which `dumpsys battery` can override
+  batteryState() {
+    return {
+      ac: this.battery.ac,
+      usb: false,
+      status: this.battery.status,
+      level: this.battery.capacity,
+      ...this.batteryOverrides,
+    };
+  }
+
+  dumpsys([service, ...args]) {
+    const services = {
+      battery: () => this.dumpsysBattery(args),
+      meminfo: () => this.dumpsysMeminfo(args),
+      cpuinfo: () => this.dumpsysCpuinfo(),
+      gfxinfo: () => this.dumpsysGfxinfo(args),
+      package: () => this.dumpsysPackage(args),
+      netstats: () => this.dumpsysNetstats(args),
+    };
+    if (!services[service]) {
+      return `Can't find service: ${service}\n`;
+    }
+    return services[service]();
+  }
+
+  // Moves an app's made-up usage counters up to now. They only grow while
+  // it runs, and frames are only drawn in the foreground.
+  appStats(app) {
+    const now = Date.now();
+    if (!app.stats) {
+      app.stats = { frames: 0, janky: 0, rx: 0, tx: 0, pss: 42000, at: now };
+    }
+    const { stats } = app;
+    const seconds = (now - stats.at) / 1000;
+    stats.at = now;
+    if (app.pid) {
+      const frames =
+        this.foregroundApp === app.packageName ? Math.round(seconds * 60) : 0;
+      stats.frames += frames;
+      stats.janky += Math.round(frames * (0.02 + Math.random() * 0.08));
+      stats.rx += Math.round(seconds * (2000 + Math.random() * 30000));
+      stats.tx += Math.round(seconds * (500 + Math.random() * 5000));
+      stats.pss = Math.max(
+        30000,
+        stats.pss + Math.round((Math.random() - 0.4) * 3000)
+      );
+    }
+    return stats;
+  }
+
+  runningApp(packageName) {
+    const app = this.packages.get(packageName);
+    return app && app.pid ? app : null;
+  }
+
+  dumpsysMeminfo([packageName]) {
+    const app = this.runningApp(packageName);
+    if (!app) {
+      return `No process found for: ${packageName}\n`;
+    }
+    const { pss } = this.appStats(app);
+    const javaHeap = Math.round(pss * 0.3);
+    const nativeHeap = Math.round(pss * 0.35);
+    return [
+      "Applications Memory Usage (in Kilobytes):",
+      "",
+      `** MEMINFO in pid ${app.pid} [${packageName}] **`,
+      "",
+      " App Summary",
+      "                       Pss(KB)                        Rss(KB)",
+      "                        ------                         ------",
+      `           Java Heap:    ${javaHeap}                          ${javaHeap}`,
+      `         Native Heap:    ${nativeHeap}                          ${nativeHeap}`,
+      `             Unknown:    ${pss - javaHeap - nativeHeap}`,
+      "",
+      `           TOTAL PSS:    ${pss}            TOTAL RSS:   ${pss * 2}`,
+      "",
+    ].join("\n");
+  }
+
+  dumpsysCpuinfo() {
+    const apps = Array.from(this.packages.values()).filter((app) => app.pid);
+    const lines = apps.map((app) => {
+      const user =
+        this.foregroundApp === app.packageName
+          ? 5 + Math.round(Math.random() * 30)
+          : Math.round(Math.random() * 2);
+      const kernel = Math.round(user / 3);
+      return `  ${user + kernel}% ${app.pid}/${
+        app.packageName
+      }: ${user}% user + ${kernel}% kernel`;
+    });
+    return [
+      "Load: 1.02 / 0.87 / 0.65",
+      "CPU usage from 5003ms to 2ms ago:",
+      ...lines,
+      "  6% 512/system_server: 4% user + 2% kernel",
+      "",
+    ].join("\n");
+  }
+
+  dumpsysGfxinfo([packageName, option]) {
+    const app = this.runningApp(packageName);
+    if (!app) {
+      return `No process found for: ${packageName}\n`;
+    }
+    const stats = this.appStats(app);
+    if (option === "reset") {
+      stats.frames = 0;
+      stats.janky = 0;
+      return "";
+    }
+    const jank = stats.frames ? (stats.janky / stats.frames) * 100 : 0;
+    return [
+      "Applications Graphics Acceleration Info:",
+      "",
+      `** Graphics info for pid ${app.pid} [${packageName}] **`,
+      "",
+      `Total frames rendered: ${stats.frames}`,
+      `Janky frames: ${stats.janky} (${jank.toFixed(2)}%)`,
+      `50th percentile: ${stats.frames ? 7 : 0}ms`,
+      `90th percentile: ${stats.frames ? 12 + Math.round(jank / 2) : 0}ms`,
+      `95th percentile: ${stats.frames ? 17 + Math.round(jank) : 0}ms`,
+      `99th percentile: ${stats.frames ? 32 + Math.round(jank * 2) : 0}ms`,
+      "",
+    ].join("\n");
+  }
+
+  // `dumpsys package <name>` for one app, `dumpsys package packages` for
+  // every app
+  dumpsysPackage([packageName]) {
+    if (packageName === "packages") {
+      return [
+        "Packages:",
+        ...Array.from(this.packages.values()).map((app) =>
+          this.describePackage(app)
+        ),
+        "",
+      ].join("\n");
+    }
+    const app = this.packages.get(packageName);
+    if (!app) {
+      return `Unable to find package: ${packageName}\n`;
+    }
+    return ["Packages:", this.describePackage(app), ""].join("\n");
+  }
+
+  describePackage(app) {
+    const flags = app.system ? "SYSTEM HAS_CODE" : "HAS_CODE";
+    return [
+      `  Package [${app.packageName}] (${app.uid.toString(16)}):`,
+      `    userId=${app.uid}`,
+      `    codePath=${path.posix.dirname(this.apkPath(app))}`,
+      `    versionCode=${app.versionCode || this.apiLevel()} minSdk=${
+        app.minSdk || 24
+      } targetSdk=${app.targetSdk || this.apiLevel()}`,
+      `    versionName=${
+        app.versionName || this.props["ro.build.version.release"]
+      }`,
+      `    splits=[${(app.splits || ["base"]).join(", ")}]`,
+      `    flags=[ ${app.debuggable ? `${flags} DEBUGGABLE` : flags} ]`,
+      `    firstInstallTime=${formatSnapshotDate(app.installedAt)}`,
+      `    lastUpdateTime=${formatSnapshotDate(
+        app.updatedAt || app.installedAt
+      )}`,
+      "    requested permissions:",
+      ...app.requested.map((permission) => `      ${permission}`),
+      "    install permissions:",
+      ...app.requested
+        .filter((permission) => !RUNTIME_PERMISSIONS.includes(permission))
+        .map((permission) => `      ${permission}: granted=true`),
+      `    User 0: ceDataInode=0 installed=true hidden=false enabled=0`,
+      "      runtime permissions:",
+      ...app.requested
+        .filter((permission) => RUNTIME_PERMISSIONS.includes(permission))
+        .map(
+          (permission) =>
+            `        ${permission}: granted=${app.grants.has(permission)}`
+        ),
+    ].join("\n");
+  }
+
+  dumpsysNetstats([option]) {
+    if (option === "--poll") {
+      return "Forced poll\n";
+    }
+    const blocks = Array.from(this.packages.values())
+      .filter((app) => app.stats || app.pid)
+      .map((app) => {
+        const { rx, tx } = this.appStats(app);
+        return [
+          `  ident=[{type=WIFI, ratType=COMBINED, metered=false}] uid=${app.uid} set=DEFAULT tag=0x0`,
+          "    NetworkStatsHistory: bucketDuration=7200",
+          `      st=${
+            Math.floor(Date.now() / 7200000) * 7200
+          } rb=${rx} rp=${Math.ceil(rx / 1400)} tb=${tx} tp=${Math.ceil(
+            tx / 1400
+          )} op=0`,
+        ].join("\n");
+      });
+    return [
+      "Active interfaces:",
+      "  iface=wlan0 ident=[{type=WIFI, ratType=COMBINED, metered=false}]",
+      "UID stats:",
+      ...blocks,
+      "UID tag stats:",
+      "",
+    ].join("\n");
+  }
+
+  dumpsysBattery([sub, key, value]) {
+    switch (sub) {
+      case undefined: {
+        const state = this.batteryState();
+        return [
+          "Current Battery Service state:",
+          ...(this.batteryOverrides ? ["  (UPDATES STOPPED)"] : []),
+          `  AC powered: ${state.ac}`,
+          `  USB powered: ${state.usb}`,
+          `  status: ${
+            Object.keys(BATTERY_STATUSES).find(
+              (code) => BATTERY_STATUSES[code] === state.status
+            ) || 1
+          }`,
+          `  level: ${state.level}`,
+          "",
+        ].join("\n");
+      }
+      case "set": {
+        const fields = {
+          ac: (v) => v !== "0",
+          usb: (v) => v !== "0",
+          status: (v) => BATTERY_STATUSES[v] || "unknown",
+          level: (v) => Number(v),
+        };
+        if (!fields[key] || value === undefined) {
+          return `Unknown set option: ${key}\n`;
+        }
+        this.batteryOverrides = {
+          ...this.batteryState(),
+          [key]: fields[key](value),
+        };
+        return "";
+      }
+      case "unplug":
+        this.batteryOverrides = {
+          ...this.batteryState(),
+          ac: false,
+          usb: false,
+        };
+        return "";
+      case "reset":
+        this.batteryOverrides = null;
+        return "";
+      default:
+        return `Unknown battery command: ${sub}\n`;
+    }
+  }
+
+  // Only `wm size` and `wm density`, with an optional override or "reset"
+  wm([sub, value]) {
+    const physical = {
+      size: `${SCREEN_WIDTH}x${SCREEN_HEIGHT}`,
+      density: String(SCREEN_DENSITY),
+    }[sub];
+    if (!physical) {
+      return "";
+    }
+    if (value === "reset") {
+      this.display[sub] = null;
+      return "";
+    }
+    if (value !== undefined) {
+      const valid = sub === "size" ? /^\d+x\d+$/ : /^\d+$/;
+      if (!valid.test(value)) {
+        return `Error: bad ${sub} ${value}\n`;
+      }
+      this.display[sub] = value;
+      return "";
+    }
+    return `Physical ${sub}: ${physical}\n${
+      this.display[sub] ? `Override ${sub}: ${this.display[sub]}\n` : ""
+    }`;
+  }
+
+  settingsCommand([action, namespace, key, value]) {
+    const table = this.settings[namespace];
+    if (!table || !key) {
+      return `Invalid namespace or key\n`;
+    }
+    if (action === "get") {
+      return `${table[key] ?? "null"}\n`;
+    }
+    if (action === "delete") {
+      const deleted = key in table;
+      delete table[key];
+      return `Deleted ${deleted ? 1 : 0} rows\n`;
+    }
+    if (action === "put" && value !== undefined) {
+      table[key] = value;
+      return "";
+    }
+    return `Invalid command: ${action}\n`;
+  }
+
+  render() {
+    const fb = new Framebuffer(SCREEN_WIDTH, SCREEN_HEIGHT);
+    const now = Date.now();
+    const clock = new Date();
+
+    fb.fill(
+      this.foregroundApp
+        ? colorFor(this.foregroundApp)
+        : COLORS[this.nightMode === "yes" ? "launcherNight" : "launcher"]
+    );
+
+    // Status bar
+    fb.fillRect(0, 0, SCREEN_WIDTH, 24, COLORS.statusBar);
+    fb.drawText(
+      8,
+      7,
+      `${pad(clock.getHours())}:${pad(clock.getMinutes())}`,
+      COLORS.white
+    );
+    const state = this.batteryState();
+    const battery = `${state.ac || state.usb ? "+" : ""}${state.level}%`;
+    fb.drawText(
+      SCREEN_WIDTH - fb.textWidth(battery) - 8,
+      7,
+      battery,
+      COLORS.white
+    );
+
+    // Title
+    const title = this.foregroundApp || "Home";
+    fb.wrapText(title, SCREEN_WIDTH - 32, 3).forEach((line, index) => {
+      fb.drawText(16, 48 + index * 22, line, COLORS.white, 3);
+    });
+
+    // Text field showing everything typed so far
+    fb.fillRect(16, 120, SCREEN_WIDTH - 32, 120, COLORS.field);
+    fb.wrapText(this.typedText, SCREEN_WIDTH - 48, 2)
+      .slice(-8)
+      .forEach((line, index) => {
+        fb.drawText(24, 128 + index * 14, line, COLORS.fieldText);
+      });
+
+    fb.drawText(
+      16,
+      SCREEN_HEIGHT - 80,
+      `Simulated ${this.avd.name}`,
+      COLORS.muted
+    );
+    fb.drawText(16, SCREEN_HEIGHT - 64, this.serial, COLORS.muted);
+
+    // Navigation bar
+    fb.fillRect(0, SCREEN_HEIGHT - 40, SCREEN_WIDTH, 40, COLORS.navBar);
+    [0.25, 0.5, 0.75].forEach((position) => {
+      fb.fillCircle(
+        SCREEN_WIDTH * position,
+        SCREEN_HEIGHT - 20,
+        8,
+        COLORS.muted
+      );
+    });
+
+    // Recent taps fade out as they age
+    this.taps = this.taps.filter((tap) => now - tap.time < TAP_FADE_MS);
+    this.taps.forEach((tap) => {
+      const age = (now - tap.time) / TAP_FADE_MS;
+      fb.fillCircle(tap.x, tap.y, Math.round(10 + age * 20), COLORS.tap);
+    });
+
+    return fb.toPNG();
+  }
+
+  // Emulates `logcat`: dumps the buffer, then follows unless -d was given
+  logcat(args) {
+    if (args.includes("-c")) {
+      this.logBuffer = [];
+      return Readable.from([], { objectMode: false });
+    }
+
+    const lines = this.logBuffer.map((line) => `${line}\n`);
+    if (args.includes("-d")) {
+      return Readable.from([Buffer.from(lines.join(""))], {
+        objectMode: false,
+      });
+    }
+
+    const onLog = (line) => stream.push(`${line}\n`);
+    const onDestroyed = () => stream.push(null);
+    const stream = new Readable({
+      read() {},
+      destroy: (error, callback) => {
+        this.removeListener("log", onLog);
+        this.removeListener("destroyed", onDestroyed);
+        callback(error);
+      },
+    });
+
+    lines.forEach((line) => stream.push(line));
+    this.on("log", onLog);
+    this.once("destroyed", onDestroyed);
+    return stream;
+  }
+}
+
+SimulatedDevice.S_IFDIR = S_IFDIR;
+SimulatedDevice.S_IFREG = S_IFREG;
+SimulatedDevice.tokenize = tokenize;
+
+module.exports = SimulatedDevice;
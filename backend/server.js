@@ -3,87 +3,1159 @@ const http = require("http");
 const socketIo = require("socket.io");
 const cors = require("cors");
 const path = require("path");
+const crypto = require("crypto");
+const multer = require("multer");
 const EmulatorController = require("./controllers/EmulatorController");
 const ScreenCaptureService = require("./services/ScreenCaptureService");
+const DeviceRegistry = require("./services/DeviceRegistry");
+const DeviceReconciler = require("./services/DeviceReconciler");
+const EmulatorSupervisor = require("./services/EmulatorSupervisor");
+const SnapshotService = require("./services/SnapshotService");
+const AvdService = require("./services/AvdService");
+const NotFoundError = require("./services/NotFoundError");
+const ValidationError = require("./services/ValidationError");
+const SystemImageService = require("./services/SystemImageService");
+const LaunchOptionsService = require("./services/LaunchOptionsService");
+const ConsoleConnections = require("./services/ConsoleConnections");
+const DeviceSimulationService = require("./services/DeviceSimulationService");
+const LocationService = require("./services/LocationService");
+const NetworkConditionService = require("./services/NetworkConditionService");
+const BatteryService = require("./services/BatteryService");
+const ClipboardService = require("./services/ClipboardService");
+const FileExplorerService = require("./services/FileExplorerService");
+const LogcatService = require("./services/LogcatService");
+const IncidentService = require("./services/IncidentService");
+const PerformanceService = require("./services/PerformanceService");
+const DeviceSettingsService = require("./services/DeviceSettingsService");
+const PermissionService = require("./services/PermissionService");
+const AppService = require("./services/AppService");
+const AppListService = require("./services/AppListService");
+const { createDriver } = require("./drivers");
 
 const app = express();
 const server = http.createServer(app);
 const io = socketIo(server, {
   cors: {
     origin: "http://localhost:3000",
-    methods: ["GET", "POST"],
+    methods: ["GET", "POST", "PUT", "DELETE"],
   },
 });
 
 const PORT = process.env.PORT || 3001;
 
+// Route files are parsed in memory and never written to disk
+const routeUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024 },
+});
+
+// APKs can be far bigger, so they wait on disk until they are installed
+const apkUpload = multer({
+  storage: multer.diskStorage({
+    destination: AppService.UPLOAD_DIR,
+    filename: (req, file, callback) =>
+      callback(
+        null,
+        `${crypto.randomUUID()}${path.extname(file.originalname).toLowerCase()}`
+      ),
+  }),
+  limits: { fileSize: AppService.MAX_APK_SIZE, files: AppService.MAX_FILES },
+});
+
 // Middleware
 app.use(cors());
 app.use(express.json());
 app.use(express.static("public"));
 
 // Initialize services
-const emulatorController = new EmulatorController(io);
-const screenCaptureService = new ScreenCaptureService(io);
+const deviceRegistry = new DeviceRegistry();
+const deviceDriver = createDriver();
+const systemImageService = new SystemImageService(io, deviceDriver);
+const launchOptionsService = new LaunchOptionsService();
+const emulatorController = new EmulatorController(
+  io,
+  deviceRegistry,
+  deviceDriver,
+  launchOptionsService
+);
+const screenCaptureService = new ScreenCaptureService(
+  io,
+  deviceRegistry,
+  deviceDriver
+);
+
+const deviceReconciler = new DeviceReconciler(deviceRegistry, deviceDriver);
+const emulatorSupervisor = new EmulatorSupervisor(
+  io,
+  deviceRegistry,
+  deviceDriver,
+  emulatorController
+);
+
+const snapshotService = new SnapshotService(deviceRegistry, deviceDriver);
+const avdService = new AvdService(
+  deviceRegistry,
+  deviceDriver,
+  systemImageService,
+  launchOptionsService
+);
+const emulatorConsoles = new ConsoleConnections(deviceRegistry, deviceDriver);
+const deviceSimulationService = new DeviceSimulationService(
+  io,
+  emulatorConsoles,
+  deviceDriver.adb
+);
+const locationService = new LocationService(
+  io,
+  deviceRegistry,
+  emulatorConsoles
+);
+const networkConditionService = new NetworkConditionService(
+  io,
+  deviceRegistry,
+  emulatorConsoles,
+  deviceDriver.adb
+);
+const batteryService = new BatteryService(
+  io,
+  deviceRegistry,
+  emulatorConsoles,
+  deviceDriver.adb
+);
+const clipboardService = new ClipboardService(
+  io,
+  deviceRegistry,
+  emulatorConsoles,
+  deviceDriver.adb
+);
+const fileExplorerService = new FileExplorerService(
+  io,
+  emulatorConsoles,
+  deviceDriver.adb
+);
+const logcatService = new LogcatService(io, deviceRegistry, deviceDriver.adb);
+const incidentService = new IncidentService(
+  io,
+  deviceRegistry,
+  logcatService,
+  deviceDriver.adb
+);
+const performanceService = new PerformanceService(
+  io,
+  deviceRegistry,
+  emulatorConsoles,
+  deviceDriver.adb
+);
+const deviceSettingsService = new DeviceSettingsService(
+  io,
+  emulatorConsoles,
+  deviceDriver.adb
+);
+const permissionService = new PermissionService(
+  io,
+  emulatorConsoles,
+  deviceDriver.adb
+);
+const appService = new AppService(io, emulatorConsoles, deviceDriver.adb);
+const appListService = new AppListService(emulatorConsoles, deviceDriver.adb);
+
+// Every registry change is pushed to the dashboards
+deviceRegistry.on("status-changed", (status) => {
+  io.emit("emulator-status-changed", status);
+});
+
+// Keep a live device list so state checks don't hit the adb server
+deviceDriver.adb.startTracking();
 
 // Routes
 app.get("/api/health", (req, res) => {
-  res.json({ status: "healthy", timestamp: new Date().toISOString() });
+  res.json({
+    status: "healthy",
+    driver: deviceDriver.name,
+    timestamp: new Date().toISOString(),
+  });
+});
+
+app.get("/api/emulators", async (req, res) => {
+  try {
+    const emulators = await emulatorController.getAvailableEmulators();
+    res.json(emulators);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post("/api/emulators", async (req, res) => {
+  try {
+    const { device = "pixel_5", ...options } = req.body;
+    const result = await avdService.create({ ...options, device });
+    res.json(result);
+  } catch (error) {
+    const status = error instanceof ValidationError ? 400 : 500;
+    res.status(status).json({ error: error.message, fields: error.fields });
+  }
+});
+
+app.get("/api/device-profiles", async (req, res) => {
+  try {
+    res.json(await avdService.listDeviceProfiles());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get("/api/system-images", async (req, res) => {
+  try {
+    const refresh = req.query.refresh === "true";
+    res.json(await systemImageService.listImages({ refresh }));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post("/api/system-images/install", async (req, res) => {
+  try {
+    const { id } = req.body;
+    res.json(await systemImageService.install(id));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get("/api/system-images/jobs", (req, res) => {
+  res.json(systemImageService.listJobs());
+});
+
+app.get("/api/system-images/jobs/:jobId", (req, res) => {
+  try {
+    const { jobId } = req.params;
+    res.json(systemImageService.getJob(jobId));
+  } catch (error) {
+    res.status(404).json({ error: error.message });
+  }
+});
+
+app.get("/api/launch-profiles", (req, res) => {
+  res.json(launchOptionsService.listProfiles());
+});
+
+app.get("/api/launch-profiles/:profile", (req, res) => {
+  try {
+    const { profile } = req.params;
+    res.json(launchOptionsService.getProfile(profile));
+  } catch (error) {
+    res.status(404).json({ error: error.message });
+  }
+});
+
+app.put("/api/launch-profiles/:profile", async (req, res) => {
+  try {
+    const { profile } = req.params;
+    const { description, options } = req.body;
+    res.json(
+      await launchOptionsService.saveProfile(profile, { description, options })
+    );
+  } catch (error) {
+    const status = error instanceof ValidationError ? 400 : 500;
+    res.status(status).json({ error: error.message, fields: error.fields });
+  }
+});
+
+app.delete("/api/launch-profiles/:profile", async (req, res) => {
+  try {
+    const { profile } = req.params;
+    res.json(await launchOptionsService.deleteProfile(profile));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get("/api/emulators/:name/config", async (req, res) => {
+  try {
+    const { name } = req.params;
+    res.json(await avdService.getConfig(name));
+  } catch (error) {
+    const status =
+      error instanceof ValidationError
+        ? 400
+        : error instanceof NotFoundError
+        ? 404
+        : 500;
+    res.status(status).json({ error: error.message, fields: error.fields });
+  }
+});
+
+app.put("/api/emulators/:name/config", async (req, res) => {
+  try {
+    const { name } = req.params;
+    res.json(await avdService.updateConfig(name, req.body));
+  } catch (error) {
+    const status =
+      error instanceof ValidationError
+        ? 400
+        : error instanceof NotFoundError
+        ? 404
+        : 500;
+    res.status(status).json({ error: error.message, fields: error.fields });
+  }
+});
+
+app.post("/api/emulators/:name/clone", async (req, res) => {
+  try {
+    const { name } = req.params;
+    const { newName } = req.body;
+    res.json(await avdService.clone(name, newName));
+  } catch (error) {
+    const status =
+      error instanceof ValidationError
+        ? 400
+        : error instanceof NotFoundError
+        ? 404
+        : 500;
+    res.status(status).json({ error: error.message, fields: error.fields });
+  }
+});
+
+app.delete("/api/emulators/:name", async (req, res) => {
+  try {
+    const { name } = req.params;
+    const result = await avdService.delete(name);
+    await emulatorSupervisor.clearPolicy(name);
+    res.json(result);
+  } catch (error) {
+    const status =
+      error instanceof ValidationError
+        ? 400
+        : error instanceof NotFoundError
+        ? 404
+        : 500;
+    res.status(status).json({ error: error.message, fields: error.fields });
+  }
+});
+
+app.post("/api/emulators/:name/start", async (req, res) => {
+  try {
+    const { name } = req.params;
+    const { bootTimeout, snapshot, profile } = req.body || {};
+    const result = await emulatorController.startEmulator(name, {
+      bootTimeout,
+      snapshot,
+      profile,
+    });
+    res.json(result);
+  } catch (error) {
+    const status = error instanceof ValidationError ? 400 : 500;
+    res.status(status).json({ error: error.message, fields: error.fields });
+  }
+});
+
+app.get("/api/emulators/:name/boot", (req, res) => {
+  try {
+    const { name } = req.params;
+    res.json(emulatorController.getLatestBootJob(name));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get("/api/boot-jobs/:jobId", (req, res) => {
+  try {
+    const { jobId } = req.params;
+    res.json(emulatorController.getBootJob(jobId));
+  } catch (error) {
+    res.status(404).json({ error: error.message });
+  }
+});
+
+app.post("/api/emulators/:name/stop", async (req, res) => {
+  try {
+    const { name } = req.params;
+    const result = await emulatorController.stopEmulator(name);
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get("/api/emulators/:name/status", async (req, res) => {
+  try {
+    const { name } = req.params;
+    const status = await emulatorController.getEmulatorStatus(name);
+    res.json(status);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get("/api/emulators/:name/health", (req, res) => {
+  try {
+    const { name } = req.params;
+    res.json(emulatorSupervisor.getHealth(name));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get("/api/emulators/:name/restart-policy", (req, res) => {
+  try {
+    const { name } = req.params;
+    res.json(emulatorSupervisor.getPolicy(name));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.put("/api/emulators/:name/restart-policy", async (req, res) => {
+  try {
+    const { name } = req.params;
+    const { mode, maxRestarts, initialDelay, maxDelay } = req.body;
+    const policy = await emulatorSupervisor.setPolicy(name, {
+      mode,
+      maxRestarts,
+      initialDelay,
+      maxDelay,
+    });
+    res.json(policy);
+  } catch (error) {
+    const status = error instanceof ValidationError ? 400 : 500;
+    res.status(status).json({ error: error.message, fields: error.fields });
+  }
+});
+
+app.get("/api/emulators/:name/snapshots", async (req, res) => {
+  try {
+    const { name } = req.params;
+    res.json(await snapshotService.list(name));
+  } catch (error) {
+    const status = error instanceof ValidationError ? 400 : 500;
+    res.status(status).json({ error: error.message, fields: error.fields });
+  }
+});
+
+app.post("/api/emulators/:name/snapshots", async (req, res) => {
+  try {
+    const { name } = req.params;
+    const { snapshot } = req.body;
+    res.json(await snapshotService.save(name, snapshot));
+  } catch (error) {
+    const status = error instanceof ValidationError ? 400 : 500;
+    res.status(status).json({ error: error.message, fields: error.fields });
+  }
+});
+
+app.post("/api/emulators/:name/snapshots/:snapshot/load", async (req, res) => {
+  try {
+    const { name, snapshot } = req.params;
+    res.json(await snapshotService.load(name, snapshot));
+  } catch (error) {
+    const status =
+      error instanceof ValidationError
+        ? 400
+        : error instanceof NotFoundError
+        ? 404
+        : 500;
+    res.status(status).json({ error: error.message, fields: error.fields });
+  }
+});
+
+app.put("/api/emulators/:name/snapshots/:snapshot", async (req, res) => {
+  try {
+    const { name, snapshot } = req.params;
+    const { newName } = req.body;
+    res.json(await snapshotService.rename(name, snapshot, newName));
+  } catch (error) {
+    const status =
+      error instanceof ValidationError
+        ? 400
+        : error instanceof NotFoundError
+        ? 404
+        : 500;
+    res.status(status).json({ error: error.message, fields: error.fields });
+  }
+});
+
+app.delete("/api/emulators/:name/snapshots/:snapshot", async (req, res) => {
+  try {
+    const { name, snapshot } = req.params;
+    res.json(await snapshotService.delete(name, snapshot));
+  } catch (error) {
+    const status =
+      error instanceof ValidationError
+        ? 400
+        : error instanceof NotFoundError
+        ? 404
+        : 500;
+    res.status(status).json({ error: error.message, fields: error.fields });
+  }
+});
+
+app.get("/api/emulators/:name/simulation/calls", async (req, res) => {
+  try {
+    const { name } = req.params;
+    res.json(await deviceSimulationService.listCalls(name));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post("/api/emulators/:name/simulation/calls", async (req, res) => {
+  try {
+    const { name } = req.params;
+    const { number, direction } = req.body;
+    res.json(await deviceSimulationService.call(name, number, direction));
+  } catch (error) {
+    const status = error instanceof ValidationError ? 400 : 500;
+    res.status(status).json({ error: error.message, fields: error.fields });
+  }
+});
+
+app.post(
+  "/api/emulators/:name/simulation/calls/:number/accept",
+  async (req, res) => {
+    try {
+      const { name, number } = req.params;
+      res.json(await deviceSimulationService.acceptCall(name, number));
+    } catch (error) {
+      const status = error instanceof ValidationError ? 400 : 500;
+      res.status(status).json({ error: error.message, fields: error.fields });
+    }
+  }
+);
+
+app.delete(
+  "/api/emulators/:name/simulation/calls/:number",
+  async (req, res) => {
+    try {
+      const { name, number } = req.params;
+      res.json(await deviceSimulationService.cancelCall(name, number));
+    } catch (error) {
+      const status = error instanceof ValidationError ? 400 : 500;
+      res.status(status).json({ error: error.message, fields: error.fields });
+    }
+  }
+);
+
+app.post("/api/emulators/:name/simulation/sms", async (req, res) => {
+  try {
+    const { name } = req.params;
+    const { number, text } = req.body;
+    res.json(await deviceSimulationService.sendSms(name, number, text));
+  } catch (error) {
+    const status = error instanceof ValidationError ? 400 : 500;
+    res.status(status).json({ error: error.message, fields: error.fields });
+  }
+});
+
+app.post("/api/emulators/:name/simulation/fingerprint", async (req, res) => {
+  try {
+    const { name } = req.params;
+    const { fingerId } = req.body;
+    res.json(await deviceSimulationService.touchFingerprint(name, fingerId));
+  } catch (error) {
+    const status = error instanceof ValidationError ? 400 : 500;
+    res.status(status).json({ error: error.message, fields: error.fields });
+  }
+});
+
+app.get("/api/emulators/:name/simulation/sensors", async (req, res) => {
+  try {
+    const { name } = req.params;
+    res.json(await deviceSimulationService.getSensors(name));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.put("/api/emulators/:name/simulation/sensors/:sensor", async (req, res) => {
+  try {
+    const { name, sensor } = req.params;
+    const { values } = req.body;
+    res.json(await deviceSimulationService.setSensor(name, sensor, values));
+  } catch (error) {
+    const status = error instanceof ValidationError ? 400 : 500;
+    res.status(status).json({ error: error.message, fields: error.fields });
+  }
+});
+
+app.get("/api/emulators/:name/location", (req, res) => {
+  const { name } = req.params;
+  res.json(locationService.getLocation(name));
+});
+
+app.put("/api/emulators/:name/location", async (req, res) => {
+  try {
+    const { name } = req.params;
+    res.json(await locationService.setPosition(name, req.body));
+  } catch (error) {
+    const status = error instanceof ValidationError ? 400 : 500;
+    res.status(status).json({ error: error.message, fields: error.fields });
+  }
+});
+
+app.get("/api/places", (req, res) => {
+  res.json(locationService.listPlaces());
+});
+
+app.put("/api/places/:place", async (req, res) => {
+  try {
+    const { place } = req.params;
+    res.json(await locationService.savePlace(place, req.body));
+  } catch (error) {
+    const status = error instanceof ValidationError ? 400 : 500;
+    res.status(status).json({ error: error.message, fields: error.fields });
+  }
+});
+
+app.delete("/api/places/:place", async (req, res) => {
+  try {
+    const { place } = req.params;
+    res.json(await locationService.deletePlace(place));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post(
+  "/api/emulators/:name/location/route",
+  routeUpload.single("route"),
+  async (req, res) => {
+    try {
+      const { name } = req.params;
+      if (!req.file) {
+        throw new ValidationError({ route: "Upload a GPX or KML file" });
+      }
+      const speed = req.body.speed ? parseFloat(req.body.speed) : undefined;
+      res.json(
+        await locationService.playRoute(name, {
+          fileName: req.file.originalname,
+          text: req.file.buffer.toString("utf8"),
+          speed,
+        })
+      );
+    } catch (error) {
+      const status = error instanceof ValidationError ? 400 : 500;
+      res.status(status).json({ error: error.message, fields: error.fields });
+    }
+  }
+);
+
+app.post("/api/emulators/:name/location/route/pause", (req, res) => {
+  try {
+    const { name } = req.params;
+    res.json(locationService.pause(name));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post("/api/emulators/:name/location/route/resume", async (req, res) => {
+  try {
+    const { name } = req.params;
+    res.json(await locationService.resume(name));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post("/api/emulators/:name/location/route/seek", async (req, res) => {
+  try {
+    const { name } = req.params;
+    const { offset } = req.body;
+    res.json(await locationService.seek(name, offset));
+  } catch (error) {
+    const status = error instanceof ValidationError ? 400 : 500;
+    res.status(status).json({ error: error.message, fields: error.fields });
+  }
+});
+
+app.put("/api/emulators/:name/location/route/speed", (req, res) => {
+  try {
+    const { name } = req.params;
+    const { speed } = req.body;
+    res.json(locationService.setSpeed(name, speed));
+  } catch (error) {
+    const status = error instanceof ValidationError ? 400 : 500;
+    res.status(status).json({ error: error.message, fields: error.fields });
+  }
+});
+
+app.delete("/api/emulators/:name/location/route", (req, res) => {
+  try {
+    const { name } = req.params;
+    res.json(locationService.stop(name));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get("/api/emulators/:name/network", (req, res) => {
+  try {
+    const { name } = req.params;
+    res.json(networkConditionService.get(name));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.put("/api/emulators/:name/network", async (req, res) => {
+  try {
+    const { name } = req.params;
+    res.json(await networkConditionService.update(name, req.body));
+  } catch (error) {
+    const status = error instanceof ValidationError ? 400 : 500;
+    res.status(status).json({ error: error.message, fields: error.fields });
+  }
+});
+
+app.put("/api/emulators/:name/network/outage", async (req, res) => {
+  try {
+    const { name } = req.params;
+    res.json(await networkConditionService.setOutage(name, req.body));
+  } catch (error) {
+    const status = error instanceof ValidationError ? 400 : 500;
+    res.status(status).json({ error: error.message, fields: error.fields });
+  }
 });
 
-app.get("/api/emulators", async (req, res) => {
+app.delete("/api/emulators/:name/network/outage", async (req, res) => {
   try {
-    const emulators = await emulatorController.getAvailableEmulators();
-    res.json(emulators);
+    const { name } = req.params;
+    res.json(await networkConditionService.clearOutage(name));
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-app.post("/api/emulators", async (req, res) => {
+app.get("/api/emulators/:name/battery", (req, res) => {
   try {
-    const { name, apiLevel, arch, device } = req.body;
-    const result = await emulatorController.createEmulator(name, {
-      apiLevel,
-      arch,
-      device,
-    });
-    res.json(result);
+    const { name } = req.params;
+    res.json(batteryService.get(name));
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-app.post("/api/emulators/:name/start", async (req, res) => {
+app.put("/api/emulators/:name/battery", async (req, res) => {
   try {
     const { name } = req.params;
-    const result = await emulatorController.startEmulator(name);
-    res.json(result);
+    res.json(await batteryService.update(name, req.body));
+  } catch (error) {
+    const status = error instanceof ValidationError ? 400 : 500;
+    res.status(status).json({ error: error.message, fields: error.fields });
+  }
+});
+
+app.post("/api/emulators/:name/battery/reset", async (req, res) => {
+  try {
+    const { name } = req.params;
+    res.json(await batteryService.reset(name));
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-app.post("/api/emulators/:name/stop", async (req, res) => {
+app.put("/api/emulators/:name/battery/drain", async (req, res) => {
   try {
     const { name } = req.params;
-    const result = await emulatorController.stopEmulator(name);
-    res.json(result);
+    res.json(await batteryService.drain(name, req.body));
+  } catch (error) {
+    const status = error instanceof ValidationError ? 400 : 500;
+    res.status(status).json({ error: error.message, fields: error.fields });
+  }
+});
+
+app.delete("/api/emulators/:name/battery/drain", async (req, res) => {
+  try {
+    const { name } = req.params;
+    res.json(await batteryService.stopDrain(name));
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-app.get("/api/emulators/:name/status", async (req, res) => {
+app.get("/api/emulators/:name/clipboard", async (req, res) => {
   try {
     const { name } = req.params;
-    const status = await emulatorController.getEmulatorStatus(name);
-    res.json(status);
+    res.json(await clipboardService.read(name));
+  } catch (error) {
+    const status = error instanceof ValidationError ? 400 : 500;
+    res.status(status).json({ error: error.message, fields: error.fields });
+  }
+});
+
+app.put("/api/emulators/:name/clipboard", async (req, res) => {
+  try {
+    const { name } = req.params;
+    res.json(await clipboardService.write(name, req.body.text));
+  } catch (error) {
+    const status = error instanceof ValidationError ? 400 : 500;
+    res.status(status).json({ error: error.message, fields: error.fields });
+  }
+});
+
+// File paths travel in the query (`path`, and `package` for an app sandbox)
+app.get("/api/emulators/:name/files", async (req, res) => {
+  try {
+    const { name } = req.params;
+    const { path: dirPath = "/sdcard", package: packageName } = req.query;
+    res.json(await fileExplorerService.list(name, dirPath, packageName));
+  } catch (error) {
+    const status = error instanceof ValidationError ? 400 : 500;
+    res.status(status).json({ error: error.message, fields: error.fields });
+  }
+});
+
+app.get("/api/emulators/:name/files/stat", async (req, res) => {
+  try {
+    const { name } = req.params;
+    const { path: filePath, package: packageName } = req.query;
+    res.json(await fileExplorerService.stat(name, filePath, packageName));
+  } catch (error) {
+    const status = error instanceof ValidationError ? 400 : 500;
+    res.status(status).json({ error: error.message, fields: error.fields });
+  }
+});
+
+app.get("/api/emulators/:name/files/content", async (req, res) => {
+  try {
+    const { name } = req.params;
+    const { path: filePath, package: packageName } = req.query;
+    const { entry, stream } = await fileExplorerService.download(
+      name,
+      filePath,
+      packageName
+    );
+
+    res.setHeader("Content-Type", "application/octet-stream");
+    res.setHeader("Content-Length", entry.size);
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename*=UTF-8''${encodeURIComponent(entry.name)}`
+    );
+    // Too late for a JSON error once the body has started
+    stream.on("error", () => res.destroy());
+    stream.pipe(res);
+  } catch (error) {
+    const status = error instanceof ValidationError ? 400 : 500;
+    res.status(status).json({ error: error.message, fields: error.fields });
+  }
+});
+
+// The request body is the file itself, streamed straight to the device
+app.put("/api/emulators/:name/files/content", async (req, res) => {
+  try {
+    const { name } = req.params;
+    const { path: filePath, package: packageName } = req.query;
+    const total = parseInt(req.headers["content-length"]) || null;
+    res.json(
+      await fileExplorerService.upload(name, filePath, req, {
+        packageName,
+        total,
+      })
+    );
+  } catch (error) {
+    const status = error instanceof ValidationError ? 400 : 500;
+    res.status(status).json({ error: error.message, fields: error.fields });
+  }
+});
+
+app.post("/api/emulators/:name/files/rename", async (req, res) => {
+  try {
+    const { name } = req.params;
+    const { from, to, package: packageName } = req.body;
+    res.json(await fileExplorerService.rename(name, from, to, packageName));
+  } catch (error) {
+    const status = error instanceof ValidationError ? 400 : 500;
+    res.status(status).json({ error: error.message, fields: error.fields });
+  }
+});
+
+app.post("/api/emulators/:name/files/directories", async (req, res) => {
+  try {
+    const { name } = req.params;
+    const { path: dirPath, package: packageName } = req.body;
+    res.json(await fileExplorerService.mkdir(name, dirPath, packageName));
+  } catch (error) {
+    const status = error instanceof ValidationError ? 400 : 500;
+    res.status(status).json({ error: error.message, fields: error.fields });
+  }
+});
+
+app.delete("/api/emulators/:name/files", async (req, res) => {
+  try {
+    const { name } = req.params;
+    const { path: filePath, package: packageName } = req.query;
+    res.json(await fileExplorerService.remove(name, filePath, packageName));
+  } catch (error) {
+    const status = error instanceof ValidationError ? 400 : 500;
+    res.status(status).json({ error: error.message, fields: error.fields });
+  }
+});
+
+// Query: level, tag, package, text and limit
+app.get("/api/emulators/:name/logcat", async (req, res) => {
+  try {
+    const { name } = req.params;
+    const { limit, ...filters } = req.query;
+    res.json(
+      await logcatService.recent(name, filters, parseInt(limit) || undefined)
+    );
+  } catch (error) {
+    const status = error instanceof ValidationError ? 400 : 500;
+    res.status(status).json({ error: error.message, fields: error.fields });
+  }
+});
+
+app.get("/api/emulators/:name/incidents", async (req, res) => {
+  try {
+    const { name } = req.params;
+    res.json(await incidentService.list(name));
+  } catch (error) {
+    const status = error instanceof ValidationError ? 400 : 500;
+    res.status(status).json({ error: error.message, fields: error.fields });
+  }
+});
+
+app.get("/api/emulators/:name/incidents/settings", (req, res) => {
+  res.json(incidentService.getSettings(req.params.name));
+});
+
+app.put("/api/emulators/:name/incidents/settings", async (req, res) => {
+  try {
+    const { name } = req.params;
+    res.json(await incidentService.updateSettings(name, req.body));
+  } catch (error) {
+    const status = error instanceof ValidationError ? 400 : 500;
+    res.status(status).json({ error: error.message, fields: error.fields });
+  }
+});
+
+app.get("/api/emulators/:name/incidents/:incident", async (req, res) => {
+  try {
+    const { name, incident } = req.params;
+    res.json(await incidentService.get(name, incident));
+  } catch (error) {
+    const status = error instanceof ValidationError ? 400 : 404;
+    res.status(status).json({ error: error.message, fields: error.fields });
+  }
+});
+
+app.get("/api/emulators/:name/incidents/:incident/report", async (req, res) => {
+  try {
+    const { name, incident } = req.params;
+    const report = await incidentService.report(name, incident);
+    res.setHeader("Content-Type", "text/plain; charset=utf-8");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="incident-${incident}.txt"`
+    );
+    res.send(report);
+  } catch (error) {
+    const status = error instanceof ValidationError ? 400 : 404;
+    res.status(status).json({ error: error.message, fields: error.fields });
+  }
+});
+
+app.get(
+  "/api/emulators/:name/incidents/:incident/screenshot",
+  async (req, res) => {
+    try {
+      const { name, incident } = req.params;
+      res.sendFile(await incidentService.screenshotPath(name, incident));
+    } catch (error) {
+      const status = error instanceof ValidationError ? 400 : 404;
+      res.status(status).json({ error: error.message, fields: error.fields });
+    }
+  }
+);
+
+app.delete("/api/emulators/:name/incidents/:incident", async (req, res) => {
+  try {
+    const { name, incident } = req.params;
+    res.json(await incidentService.remove(name, incident));
+  } catch (error) {
+    const status = error instanceof ValidationError ? 400 : 404;
+    res.status(status).json({ error: error.message, fields: error.fields });
+  }
+});
+
+app.get("/api/emulators/:name/performance/sessions", (req, res) => {
+  res.json(performanceService.list(req.params.name));
+});
+
+// Body: packageName, and optionally interval (ms) and thresholds
+app.post("/api/emulators/:name/performance/sessions", async (req, res) => {
+  try {
+    const { name } = req.params;
+    res.json(await performanceService.start(name, req.body));
+  } catch (error) {
+    const status = error instanceof ValidationError ? 400 : 500;
+    res.status(status).json({ error: error.message, fields: error.fields });
+  }
+});
+
+app.get("/api/emulators/:name/performance/sessions/:session", (req, res) => {
+  try {
+    const { name, session } = req.params;
+    res.json(performanceService.get(name, session));
+  } catch (error) {
+    res.status(404).json({ error: error.message });
+  }
+});
+
+app.put(
+  "/api/emulators/:name/performance/sessions/:session/thresholds",
+  async (req, res) => {
+    try {
+      const { name, session } = req.params;
+      res.json(
+        await performanceService.updateThresholds(name, session, req.body)
+      );
+    } catch (error) {
+      const status = error instanceof ValidationError ? 400 : 404;
+      res.status(status).json({ error: error.message, fields: error.fields });
+    }
+  }
+);
+
+app.post(
+  "/api/emulators/:name/performance/sessions/:session/stop",
+  async (req, res) => {
+    try {
+      const { name, session } = req.params;
+      res.json(await performanceService.stop(name, session));
+    } catch (error) {
+      res.status(404).json({ error: error.message });
+    }
+  }
+);
+
+// Query: format, csv or json
+app.get(
+  "/api/emulators/:name/performance/sessions/:session/export",
+  (req, res) => {
+    try {
+      const { name, session } = req.params;
+      const { format = "json" } = req.query;
+      const body = performanceService.export(name, session, format);
+      res.setHeader(
+        "Content-Type",
+        format === "csv" ? "text/csv" : "application/json"
+      );
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="performance-${session}.${format}"`
+      );
+      res.send(body);
+    } catch (error) {
+      const status = error instanceof ValidationError ? 400 : 404;
+      res.status(status).json({ error: error.message, fields: error.fields });
+    }
+  }
+);
+
+app.delete(
+  "/api/emulators/:name/performance/sessions/:session",
+  async (req, res) => {
+    try {
+      const { name, session } = req.params;
+      res.json(await performanceService.remove(name, session));
+    } catch (error) {
+      res.status(404).json({ error: error.message });
+    }
+  }
+);
+
+app.get("/api/emulators/:name/device-settings", async (req, res) => {
+  try {
+    const { name } = req.params;
+    res.json(await deviceSettingsService.get(name));
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
+app.put("/api/emulators/:name/device-settings", async (req, res) => {
+  try {
+    const { name } = req.params;
+    res.json(await deviceSettingsService.update(name, req.body));
+  } catch (error) {
+    const status = error instanceof ValidationError ? 400 : 500;
+    res.status(status).json({ error: error.message, fields: error.fields });
+  }
+});
+
+app.post("/api/emulators/:name/device-settings/reset", async (req, res) => {
+  try {
+    const { name } = req.params;
+    res.json(await deviceSettingsService.reset(name));
+  } catch (error) {
+    const status = error instanceof ValidationError ? 400 : 500;
+    res.status(status).json({ error: error.message, fields: error.fields });
+  }
+});
+
+app.get(
+  "/api/emulators/:name/apps/:packageName/permissions",
+  async (req, res) => {
+    try {
+      const { name, packageName } = req.params;
+      res.json(await permissionService.get(name, packageName));
+    } catch (error) {
+      const status = error instanceof ValidationError ? 400 : 500;
+      res.status(status).json({ error: error.message, fields: error.fields });
+    }
+  }
+);
+
+app.put(
+  "/api/emulators/:name/apps/:packageName/permissions/:permission",
+  async (req, res) => {
+    try {
+      const { name, packageName, permission } = req.params;
+      res.json(
+        await permissionService.setPermission(
+          name,
+          packageName,
+          permission,
+          req.body.granted
+        )
+      );
+    } catch (error) {
+      const status = error instanceof ValidationError ? 400 : 500;
+      res.status(status).json({ error: error.message, fields: error.fields });
+    }
+  }
+);
+
+app.post(
+  "/api/emulators/:name/apps/:packageName/permissions/reset",
+  async (req, res) => {
+    try {
+      const { name, packageName } = req.params;
+      res.json(await permissionService.reset(name, packageName));
+    } catch (error) {
+      const status = error instanceof ValidationError ? 400 : 500;
+      res.status(status).json({ error: error.message, fields: error.fields });
+    }
+  }
+);
+
+app.put(
+  "/api/emulators/:name/apps/:packageName/app-ops/:op",
+  async (req, res) => {
+    try {
+      const { name, packageName, op } = req.params;
+      res.json(
+        await permissionService.setAppOp(name, packageName, op, req.body.mode)
+      );
+    } catch (error) {
+      const status = error instanceof ValidationError ? 400 : 500;
+      res.status(status).json({ error: error.message, fields: error.fields });
+    }
+  }
+);
+
 app.post("/api/emulators/:name/input", async (req, res) => {
   try {
     const { name } = req.params;
@@ -114,13 +1186,95 @@ app.post("/api/emulators/:name/install-app", async (req, res) => {
 app.get("/api/emulators/:name/apps", async (req, res) => {
   try {
     const { name } = req.params;
-    const apps = await emulatorController.getInstalledApps(name);
-    res.json(apps);
+    const includeSystem = req.query.includeSystem === "true";
+    const readApks = req.query.details !== "false";
+    res.json(await appListService.list(name, { includeSystem, readApks }));
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    const status = error instanceof ValidationError ? 400 : 500;
+    res.status(status).json({ error: error.message, fields: error.fields });
+  }
+});
+
+// Icon URLs from the app list change with the app's version, so the
+// icons can be cached for long
+app.get("/api/emulators/:name/apps/:packageName/icon", async (req, res) => {
+  try {
+    const { name, packageName } = req.params;
+    res.sendFile(await appListService.iconPath(name, packageName), {
+      maxAge: "7d",
+    });
+  } catch (error) {
+    const status = error instanceof ValidationError ? 400 : 404;
+    res.status(status).json({ error: error.message, fields: error.fields });
+  }
+});
+
+// Multipart with the files as "apk" and the install options as "true" or
+// "false" fields
+app.post("/api/emulators/:name/apps/install", (req, res) => {
+  apkUpload.array("apk", AppService.MAX_FILES)(
+    req,
+    res,
+    async (uploadError) => {
+      try {
+        if (uploadError) {
+          throw new ValidationError({
+            apk:
+              uploadError.code === "LIMIT_FILE_SIZE"
+                ? `Files can be at most ${AppService.MAX_APK_SIZE / 1048576} MB`
+                : uploadError.message,
+          });
+        }
+        const { name } = req.params;
+        const options = Object.fromEntries(
+          Object.entries(req.body || {}).map(([option, value]) => [
+            option,
+            value === "true" ? true : value === "false" ? false : value,
+          ])
+        );
+        res.json(await appService.install(name, req.files, options));
+      } catch (error) {
+        const status = error instanceof ValidationError ? 400 : 500;
+        res.status(status).json({ error: error.message, fields: error.fields });
+      }
+    }
+  );
+});
+
+app.delete("/api/emulators/:name/apps/:packageName", async (req, res) => {
+  try {
+    const { name, packageName } = req.params;
+    const keepData = req.query.keepData === "true";
+    res.json(await appService.uninstall(name, packageName, { keepData }));
+  } catch (error) {
+    const status = error instanceof ValidationError ? 400 : 500;
+    res.status(status).json({ error: error.message, fields: error.fields });
   }
 });
 
+app.post("/api/emulators/:name/apps/:packageName/clear", async (req, res) => {
+  try {
+    const { name, packageName } = req.params;
+    res.json(await appService.clearData(name, packageName));
+  } catch (error) {
+    const status = error instanceof ValidationError ? 400 : 500;
+    res.status(status).json({ error: error.message, fields: error.fields });
+  }
+});
+
+app.post(
+  "/api/emulators/:name/apps/:packageName/force-stop",
+  async (req, res) => {
+    try {
+      const { name, packageName } = req.params;
+      res.json(await appService.forceStop(name, packageName));
+    } catch (error) {
+      const status = error instanceof ValidationError ? 400 : 500;
+      res.status(status).json({ error: error.message, fields: error.fields });
+    }
+  }
+);
+
 app.post("/api/emulators/:name/apps/:packageName/launch", async (req, res) => {
   try {
     const { name, packageName } = req.params;
@@ -135,7 +1289,13 @@ app.post("/api/emulators/:name/apps/:packageName/launch", async (req, res) => {
 io.on("connection", (socket) => {
   console.log("Client connected:", socket.id);
 
-  socket.on("start-screen-capture", (emulatorName) => {
+  socket.on("start-screen-capture", (data) => {
+    // Accept either the AVD name or { emulatorId }
+    const emulatorName = typeof data === "string" ? data : data?.emulatorId;
+    if (!emulatorName) {
+      socket.emit("error", { message: "No emulator specified for capture" });
+      return;
+    }
     screenCaptureService.startCapture(emulatorName, socket);
   });
 
@@ -157,15 +1317,74 @@ io.on("connection", (socket) => {
     }
   });
 
+  socket.on("emulator-command", async (data) => {
+    try {
+      const { emulatorId, command, ...params } = data;
+      await emulatorController.sendCommand(emulatorId, command, params);
+    } catch (error) {
+      socket.emit("error", { message: error.message });
+    }
+  });
+
+  // Dashboards join a room per emulator for updates only its viewers need
+  socket.on("watch-emulator", (data) => {
+    const emulatorName = data?.emulatorId;
+    if (!emulatorName) {
+      return;
+    }
+    socket.join(DeviceRegistry.room(emulatorName));
+    socket.emit("emulator-location-changed", {
+      id: emulatorName,
+      name: emulatorName,
+      ...locationService.getLocation(emulatorName),
+    });
+  });
+
+  socket.on("unwatch-emulator", (data) => {
+    if (data?.emulatorId) {
+      socket.leave(DeviceRegistry.room(data.emulatorId));
+    }
+  });
+
+  socket.on("device-simulation", async (data) => {
+    try {
+      const { emulatorId, action, ...params } = data;
+      await deviceSimulationService.perform(emulatorId, action, params);
+    } catch (error) {
+      socket.emit("error", { message: error.message });
+    }
+  });
+
+  socket.on("subscribe-logcat", async (data) => {
+    try {
+      const { emulatorId, ...filters } = data;
+      await logcatService.subscribe(socket, emulatorId, filters);
+    } catch (error) {
+      socket.emit("error", { message: error.message, fields: error.fields });
+    }
+  });
+
+  socket.on("unsubscribe-logcat", (data) => {
+    if (data?.emulatorId) {
+      logcatService.unsubscribe(socket, data.emulatorId);
+    }
+  });
+
   socket.on("disconnect", () => {
     console.log("Client disconnected:", socket.id);
     screenCaptureService.stopCapture(socket);
+    logcatService.unsubscribeAll(socket);
   });
 });
 
 server.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
   console.log(`WebSocket server ready for connections`);
+  console.log(`Using ${deviceDriver.name} device driver`);
+
+  // Pick up emulators that were already running before this process started
+  deviceReconciler.start();
+  emulatorSupervisor.start();
 });
 
 module.exports = app;
@@ -0,0 +1,618 @@
+const net = require("net");
+const path = require("path");
+const { exec } = require("child_process");
+const { EventEmitter, once } = require("events");
+const { Readable } = require("stream");
+const fs = require("fs-extra");
+
+// Largest payload the sync protocol accepts in a single DATA packet
+const SYNC_DATA_MAX = 64 * 1024;
+// Stop reading from the socket once this much is buffered and unread
+const READ_HIGH_WATER_MARK = 1024 * 1024;
+const TRACK_RECONNECT_DELAY = 2000;
+
+function encodeRequest(payload) {
+  const body = Buffer.from(payload, "utf8");
+  const length = body.length.toString(16).padStart(4, "0");
+  return Buffer.concat([Buffer.from(length, "ascii"), body]);
+}
+
+function encodeSyncPacket(id, payload) {
+  const body = Buffer.isBuffer(payload) ? payload : Buffer.from(payload);
+  const header = Buffer.alloc(8);
+  header.write(id, 0, "ascii");
+  header.writeUInt32LE(body.length, 4);
+  return Buffer.concat([header, body]);
+}
+
+function parseDevices(data) {
+  return data
+    .split("\n")
+    .map((line) => line.trim())
+    .filter((line) => line)
+    .map((line) => {
+      const [serial, state] = line.split(/\s+/);
+      return { serial, state };
+    });
+}
+
+// Quotes one argument for the device shell
+function quote(text) {
+  return `'${String(text).replace(/'/g, "'\\''")}'`;
+}
+
+async function readAll(stream) {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+// Lets the protocol code await an exact number of bytes from a socket.
+class PacketReader {
+  constructor(socket) {
+    this.socket = socket;
+    this.buffer = Buffer.alloc(0);
+    this.pending = null;
+    this.ended = false;
+    this.error = null;
+
+    this.onData = (chunk) => {
+      this.buffer = this.buffer.length
+        ? Buffer.concat([this.buffer, chunk])
+        : chunk;
+      if (this.buffer.length >= READ_HIGH_WATER_MARK) {
+        socket.pause();
+      }
+      this.flush();
+    };
+    this.onEnd = () => {
+      this.ended = true;
+      this.flush();
+    };
+    this.onError = (error) => {
+      this.error = error;
+      this.flush();
+    };
+
+    socket.on("data", this.onData);
+    socket.on("end", this.onEnd);
+    socket.on("error", this.onError);
+  }
+
+  read(length) {
+    return new Promise((resolve, reject) => {
+      this.pending = { length, resolve, reject };
+      this.socket.resume();
+      this.flush();
+    });
+  }
+
+  flush() {
+    if (!this.pending) {
+      return;
+    }
+
+    const { length, resolve, reject } = this.pending;
+
+    if (this.buffer.length >= length) {
+      this.pending = null;
+      const chunk = this.buffer.subarray(0, length);
+      this.buffer = this.buffer.subarray(length);
+      resolve(chunk);
+    } else if (this.error) {
+      this.pending = null;
+      reject(this.error);
+    } else if (this.ended) {
+      this.pending = null;
+      reject(new Error("ADB connection closed unexpectedly"));
+    }
+  }
+
+  // Hands the rest of the connection over as a plain readable stream
+  release() {
+    this.socket.pause();
+    this.socket.removeListener("data", this.onData);
+    this.socket.removeListener("end", this.onEnd);
+    this.socket.removeListener("error", this.onError);
+
+    if (this.ended) {
+      const rest = this.buffer;
+      return Readable.from(rest.length ? [rest] : [], { objectMode: false });
+    }
+
+    if (this.buffer.length) {
+      this.socket.unshift(this.buffer);
+    }
+    return this.socket;
+  }
+}
+
+class AdbClient extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.host = options.host || process.env.ADB_HOST || "127.0.0.1";
+    this.port = options.port || parseInt(process.env.ADB_PORT) || 5037;
+    this.adbPath = process.env.ADB_PATH || "adb";
+    // Latest state per serial while device tracking is connected
+    this.devices = null;
+    this.tracker = null;
+    this.trackerTimer = null;
+  }
+
+  openSocket() {
+    return new Promise((resolve, reject) => {
+      const socket = net.connect({ host: this.host, port: this.port });
+      socket.once("connect", () => {
+        socket.removeListener("error", reject);
+        socket.setNoDelay(true);
+        resolve(socket);
+      });
+      socket.once("error", reject);
+    });
+  }
+
+  startServer() {
+    return new Promise((resolve, reject) => {
+      exec(`${this.adbPath} start-server`, (error) => {
+        if (error) {
+          reject(new Error(`Failed to start ADB server: ${error.message}`));
+          return;
+        }
+        resolve();
+      });
+    });
+  }
+
+  async connect() {
+    try {
+      return await this.openSocket();
+    } catch (error) {
+      if (error.code !== "ECONNREFUSED") {
+        throw error;
+      }
+      // The adb binary is still what launches the server itself
+      await this.startServer();
+      return this.openSocket();
+    }
+  }
+
+  async readStatus(reader) {
+    const status = (await reader.read(4)).toString("ascii");
+
+    if (status === "OKAY") {
+      return;
+    }
+    if (status === "FAIL") {
+      const message = await this.readLengthPrefixed(reader);
+      throw new Error(`ADB request failed: ${message}`);
+    }
+    throw new Error(`Unexpected ADB response: ${status}`);
+  }
+
+  async readLengthPrefixed(reader) {
+    const length = parseInt((await reader.read(4)).toString("ascii"), 16);
+    return (await reader.read(length)).toString("utf8");
+  }
+
+  async send(socket, reader, payload) {
+    socket.write(encodeRequest(payload));
+    await this.readStatus(reader);
+  }
+
+  async hostCommand(payload) {
+    const socket = await this.connect();
+    const reader = new PacketReader(socket);
+
+    try {
+      await this.send(socket, reader, payload);
+      return await this.readLengthPrefixed(reader);
+    } finally {
+      socket.destroy();
+    }
+  }
+
+  async openService(serial, service) {
+    const socket = await this.connect();
+    const reader = new PacketReader(socket);
+
+    try {
+      await this.send(socket, reader, `host:transport:${serial}`);
+      await this.send(socket, reader, service);
+    } catch (error) {
+      socket.destroy();
+      throw error;
+    }
+
+    return { socket, reader };
+  }
+
+  async openStream(serial, service) {
+    const { reader } = await this.openService(serial, service);
+    return reader.release();
+  }
+
+  async version() {
+    return parseInt(await this.hostCommand("host:version"), 16);
+  }
+
+  async listDevices() {
+    return parseDevices(await this.hostCommand("host:devices"));
+  }
+
+  async getState(serial) {
+    if (this.devices) {
+      return this.devices.get(serial) || null;
+    }
+
+    try {
+      return await this.hostCommand(`host-serial:${serial}:get-state`);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async isOnline(serial) {
+    return (await this.getState(serial)) === "device";
+  }
+
+  // Streams the device list every time the adb server sees it change
+  trackDevices() {
+    let socket = null;
+    const stream = new Readable({
+      objectMode: true,
+      read() {},
+      destroy(error, callback) {
+        if (socket) {
+          socket.destroy();
+        }
+        callback(error);
+      },
+    });
+
+    (async () => {
+      try {
+        socket = await this.connect();
+        if (stream.destroyed) {
+          socket.destroy();
+          return;
+        }
+
+        const reader = new PacketReader(socket);
+        await this.send(socket, reader, "host:track-devices");
+
+        for (;;) {
+          stream.push(parseDevices(await this.readLengthPrefixed(reader)));
+        }
+      } catch (error) {
+        if (!stream.destroyed) {
+          stream.destroy(error);
+        }
+      }
+    })();
+
+    return stream;
+  }
+
+  // Keeps one track-devices connection open so device state lookups never
+  // need a round trip to the adb server.
+  startTracking() {
+    if (this.tracker) {
+      return;
+    }
+
+    this.trackerTimer = null;
+    this.tracker = this.trackDevices();
+
+    this.tracker.on("data", (devices) => {
+      this.devices = new Map(devices.map((d) => [d.serial, d.state]));
+      this.emit("devices", devices);
+    });
+
+    this.tracker.on("error", (error) => {
+      console.error("ADB device tracking failed:", error.message);
+    });
+
+    this.tracker.on("close", () => {
+      this.tracker = null;
+      this.devices = null;
+      if (this.trackerTimer !== false) {
+        this.trackerTimer = setTimeout(
+          () => this.startTracking(),
+          TRACK_RECONNECT_DELAY
+        );
+      }
+    });
+  }
+
+  stopTracking() {
+    clearTimeout(this.trackerTimer);
+    this.trackerTimer = false;
+    if (this.tracker) {
+      this.tracker.destroy();
+    }
+  }
+
+  shellStream(serial, command) {
+    return this.openStream(serial, `shell:${command}`);
+  }
+
+  async shell(serial, command) {
+    const stream = await this.shellStream(serial, command);
+    return (await readAll(stream)).toString("utf8");
+  }
+
+  // exec: skips the pty, so binary output such as screencap stays intact
+  execStream(serial, command) {
+    return this.openStream(serial, `exec:${command}`);
+  }
+
+  async exec(serial, command) {
+    return readAll(await this.execStream(serial, command));
+  }
+
+  async readSyncStatus(reader) {
+    const id = (await reader.read(4)).toString("ascii");
+    const length = (await reader.read(4)).readUInt32LE(0);
+
+    if (id === "OKAY") {
+      return;
+    }
+
+    const message = length ? (await reader.read(length)).toString() : "";
+    if (id === "FAIL") {
+      throw new Error(`Sync failed: ${message}`);
+    }
+    throw new Error(`Unexpected sync response: ${id}`);
+  }
+
+  async push(serial, source, remotePath, options = {}) {
+    const { mode = 0o644, onProgress } = options;
+    const input =
+      typeof source === "string" ? fs.createReadStream(source) : source;
+    const total =
+      typeof source === "string" ? (await fs.stat(source)).size : null;
+
+    const { socket, reader } = await this.openService(serial, "sync:");
+
+    try {
+      socket.write(encodeSyncPacket("SEND", `${remotePath},${mode}`));
+
+      let sent = 0;
+      for await (const chunk of input) {
+        for (let offset = 0; offset < chunk.length; offset += SYNC_DATA_MAX) {
+          const part = chunk.subarray(offset, offset + SYNC_DATA_MAX);
+          if (!socket.write(encodeSyncPacket("DATA", part))) {
+            await once(socket, "drain");
+          }
+          sent += part.length;
+          if (onProgress) {
+            onProgress({ sent, total });
+          }
+        }
+      }
+
+      const done = Buffer.alloc(8);
+      done.write("DONE", 0, "ascii");
+      done.writeUInt32LE(Math.floor(Date.now() / 1000), 4);
+      socket.write(done);
+
+      await this.readSyncStatus(reader);
+      socket.write(encodeSyncPacket("QUIT", ""));
+
+      return { remotePath, bytes: sent };
+    } finally {
+      socket.destroy();
+    }
+  }
+
+  async pull(serial, remotePath) {
+    const { socket, reader } = await this.openService(serial, "sync:");
+    socket.write(encodeSyncPacket("RECV", remotePath));
+
+    let reading = false;
+    const stream = new Readable({
+      read() {
+        if (!reading) {
+          reading = true;
+          pump();
+        }
+      },
+      destroy(error, callback) {
+        socket.destroy();
+        callback(error);
+      },
+    });
+
+    const pump = async () => {
+      try {
+        for (;;) {
+          const id = (await reader.read(4)).toString("ascii");
+          const length = (await reader.read(4)).readUInt32LE(0);
+
+          if (id === "DATA") {
+            if (!stream.push(await reader.read(length))) {
+              reading = false;
+              return;
+            }
+          } else if (id === "DONE") {
+            stream.push(null);
+            socket.destroy();
+            return;
+          } else if (id === "FAIL") {
+            const message = (await reader.read(length)).toString();
+            throw new Error(`Pull failed: ${message}`);
+          } else {
+            throw new Error(`Unexpected sync response: ${id}`);
+          }
+        }
+      } catch (error) {
+        stream.destroy(error);
+      }
+    };
+
+    return stream;
+  }
+
+  async pullFile(serial, remotePath, localPath) {
+    const input = await this.pull(serial, remotePath);
+    const output = fs.createWriteStream(localPath);
+
+    await new Promise((resolve, reject) => {
+      input.on("error", reject);
+      output.on("error", reject);
+      output.on("finish", resolve);
+      input.pipe(output);
+    });
+
+    return localPath;
+  }
+
+  async stat(serial, remotePath) {
+    const { socket, reader } = await this.openService(serial, "sync:");
+
+    try {
+      socket.write(encodeSyncPacket("STAT", remotePath));
+      const id = (await reader.read(4)).toString("ascii");
+      if (id !== "STAT") {
+        throw new Error(`Unexpected sync response: ${id}`);
+      }
+
+      const body = await reader.read(12);
+      const mode = body.readUInt32LE(0);
+
+      // The v1 protocol reports a missing file as all zeroes
+      if (mode === 0) {
+        return null;
+      }
+
+      return {
+        mode,
+        size: body.readUInt32LE(4),
+        mtime: new Date(body.readUInt32LE(8) * 1000),
+      };
+    } finally {
+      socket.destroy();
+    }
+  }
+
+  async readdir(serial, remotePath) {
+    const { socket, reader } = await this.openService(serial, "sync:");
+
+    try {
+      socket.write(encodeSyncPacket("LIST", remotePath));
+
+      const entries = [];
+      for (;;) {
+        const id = (await reader.read(4)).toString("ascii");
+        const body = await reader.read(16);
+
+        if (id === "DONE") {
+          return entries;
+        }
+        if (id !== "DENT") {
+          throw new Error(`Unexpected sync response: ${id}`);
+        }
+
+        const name = (await reader.read(body.readUInt32LE(12))).toString();
+        if (name === "." || name === "..") {
+          continue;
+        }
+
+        entries.push({
+          name,
+          mode: body.readUInt32LE(0),
+          size: body.readUInt32LE(4),
+          mtime: new Date(body.readUInt32LE(8) * 1000),
+        });
+      }
+    } finally {
+      socket.destroy();
+    }
+  }
+
+  // Mirrors what `adb install` does for a single APK. `onProgress` follows
+  // the push to the device.
+  async install(serial, apkPath, flags = [], options = {}) {
+    const remotePath = `/data/local/tmp/${path.basename(apkPath)}`;
+
+    await this.push(serial, apkPath, remotePath, {
+      onProgress: options.onProgress,
+    });
+
+    try {
+      const output = await this.shell(
+        serial,
+        `pm install ${flags.join(" ")} "${remotePath}"`
+      );
+      if (!output.includes("Success")) {
+        throw new Error(`Installation failed: ${output.trim()}`);
+      }
+      return output;
+    } finally {
+      await this.shell(serial, `rm -f "${remotePath}"`).catch(() => {});
+    }
+  }
+
+  // Mirrors `adb install-multiple`: a base APK and its splits go into one
+  // install session, which is committed as a whole. `onProgress` follows
+  // the pushes, counting across all the APKs.
+  async installMultiple(serial, apkPaths, flags = [], options = {}) {
+    const prefix = `/data/local/tmp/install-${Date.now()}`;
+    const remotePaths = apkPaths.map(
+      (apkPath, index) => `${prefix}-${index}.apk`
+    );
+    let session = null;
+
+    try {
+      let pushed = 0;
+      for (const [index, apkPath] of apkPaths.entries()) {
+        const { bytes } = await this.push(serial, apkPath, remotePaths[index], {
+          onProgress: ({ sent }) =>
+            options.onProgress && options.onProgress({ sent: pushed + sent }),
+        });
+        pushed += bytes;
+      }
+
+      const created = await this.shell(
+        serial,
+        `pm install-create ${flags.join(" ")}`
+      );
+      session = (created.match(/\[(\d+)\]/) || [])[1];
+      if (!session) {
+        throw new Error(`Installation failed: ${created.trim()}`);
+      }
+      for (const [index, remotePath] of remotePaths.entries()) {
+        const written = await this.shell(
+          serial,
+          `pm install-write ${session} ${index}.apk "${remotePath}"`
+        );
+        if (!written.includes("Success")) {
+          throw new Error(`Installation failed: ${written.trim()}`);
+        }
+      }
+      const output = await this.shell(serial, `pm install-commit ${session}`);
+      session = null;
+      if (!output.includes("Success")) {
+        throw new Error(`Installation failed: ${output.trim()}`);
+      }
+      return output;
+    } finally {
+      if (session) {
+        await this.shell(serial, `pm install-abandon ${session}`).catch(
+          () => {}
+        );
+      }
+      await this.shell(
+        serial,
+        `rm -f ${remotePaths.map((remotePath) => `"${remotePath}"`).join(" ")}`
+      ).catch(() => {});
+    }
+  }
+}
+
+AdbClient.readAll = readAll;
+AdbClient.quote = quote;
+
+module.exports = AdbClient;
@@ -0,0 +1,176 @@
+const ZipArchive = require("./ZipArchive");
+
+// Chunk types of Android's compiled XML
+const RES_STRING_POOL_TYPE = 0x0001;
+const RES_XML_TYPE = 0x0003;
+const RES_XML_START_ELEMENT_TYPE = 0x0102;
+const RES_XML_RESOURCE_MAP_TYPE = 0x0180;
+const UTF8_FLAG = 0x100;
+
+// Typed value types
+const TYPE_REFERENCE = 0x01;
+const TYPE_STRING = 0x03;
+const TYPE_INT_BOOLEAN = 0x12;
+
+// Attribute names can be stripped by shrinkers, but the resource map still
+// gives their android:attr IDs
+const ATTRIBUTE_IDS = {
+  0x01010001: "label",
+  0x01010002: "icon",
+  0x01010003: "name",
+  0x0101000f: "debuggable",
+  0x01010119: "src",
+  0x01010199: "drawable",
+  0x0101020c: "minSdkVersion",
+  0x0101021b: "versionCode",
+  0x0101021c: "versionName",
+  0x01010270: "targetSdkVersion",
+  0x01010272: "testOnly",
+  0x0101052c: "roundIcon",
+};
+
+function readStringPool(buffer, start) {
+  const count = buffer.readUInt32LE(start + 8);
+  const utf8 = (buffer.readUInt32LE(start + 16) & UTF8_FLAG) !== 0;
+  const stringsStart = start + buffer.readUInt32LE(start + 20);
+  const strings = [];
+  for (let index = 0; index < count; index++) {
+    let offset = stringsStart + buffer.readUInt32LE(start + 28 + index * 4);
+    if (utf8) {
+      // Lengths in UTF-16 units, then in bytes; each is one or two bytes
+      offset += buffer[offset] & 0x80 ? 2 : 1;
+      let length = buffer[offset];
+      if (length & 0x80) {
+        length = ((length & 0x7f) << 8) | buffer[offset + 1];
+        offset += 2;
+      } else {
+        offset += 1;
+      }
+      strings.push(buffer.toString("utf8", offset, offset + length));
+    } else {
+      let length = buffer.readUInt16LE(offset);
+      if (length & 0x8000) {
+        length = ((length & 0x7fff) << 16) | buffer.readUInt16LE(offset + 2);
+        offset += 4;
+      } else {
+        offset += 2;
+      }
+      strings.push(buffer.toString("utf16le", offset, offset + length * 2));
+    }
+  }
+  return strings;
+}
+
+// The start tags of a compiled XML document, as [{ name, attributes }]
+function readElements(buffer) {
+  if (buffer.length < 8 || buffer.readUInt16LE(0) !== RES_XML_TYPE) {
+    throw new Error("Not a compiled Android XML file");
+  }
+  let strings = [];
+  let resourceIds = [];
+  const elements = [];
+  let offset = buffer.readUInt16LE(2);
+  while (offset + 8 <= buffer.length) {
+    const type = buffer.readUInt16LE(offset);
+    const headerSize = buffer.readUInt16LE(offset + 2);
+    const size = buffer.readUInt32LE(offset + 4);
+    if (size < 8) {
+      throw new Error("Corrupt compiled XML chunk");
+    }
+
+    if (type === RES_STRING_POOL_TYPE) {
+      strings = readStringPool(buffer, offset);
+    } else if (type === RES_XML_RESOURCE_MAP_TYPE) {
+      resourceIds = [];
+      for (let at = offset + headerSize; at < offset + size; at += 4) {
+        resourceIds.push(buffer.readUInt32LE(at));
+      }
+    } else if (type === RES_XML_START_ELEMENT_TYPE) {
+      const body = offset + headerSize;
+      const attributeStart = body + buffer.readUInt16LE(body + 8);
+      const attributeSize = buffer.readUInt16LE(body + 10);
+      const attributeCount = buffer.readUInt16LE(body + 12);
+      const attributes = {};
+      for (let index = 0; index < attributeCount; index++) {
+        const at = attributeStart + index * attributeSize;
+        const nameIndex = buffer.readUInt32LE(at + 4);
+        const name =
+          ATTRIBUTE_IDS[resourceIds[nameIndex]] || strings[nameIndex];
+        const raw = buffer.readInt32LE(at + 8);
+        const dataType = buffer[at + 15];
+        const data = buffer.readUInt32LE(at + 16);
+        if (dataType === TYPE_STRING || raw !== -1) {
+          attributes[name] = strings[raw];
+        } else if (dataType === TYPE_INT_BOOLEAN) {
+          attributes[name] = data !== 0;
+        } else if (dataType === TYPE_REFERENCE) {
+          attributes[name] = `@0x${data.toString(16).padStart(8, "0")}`;
+        } else {
+          attributes[name] = data;
+        }
+      }
+      elements.push({
+        name: strings[buffer.readUInt32LE(body + 4)],
+        attributes,
+      });
+    }
+    offset += size;
+  }
+  return elements;
+}
+
+// What an APK says about itself in its compiled AndroidManifest.xml:
+// package name, version, SDK levels, the flags that affect installing and
+// the permissions it asks for. The label and icon are usually resource
+// references like "@0x7f0e001b", for ApkResources to look up.
+class ApkManifest {
+  // `apk` is a file path, or the APK itself as a Buffer
+  static async read(apk) {
+    const archive = await ZipArchive.open(apk);
+    if (!archive.has("AndroidManifest.xml")) {
+      throw new Error("No AndroidManifest.xml, so not an APK");
+    }
+    return ApkManifest.parse(await archive.read("AndroidManifest.xml"));
+  }
+
+  static parse(xml) {
+    const elements = readElements(xml);
+    const manifest = elements.find((element) => element.name === "manifest");
+    if (!manifest || !manifest.attributes.package) {
+      throw new Error("AndroidManifest.xml has no package name");
+    }
+    const attributesOf = (name) =>
+      elements.find((element) => element.name === name)?.attributes || {};
+    const usesSdk = attributesOf("uses-sdk");
+    const application = attributesOf("application");
+    const number = (value) => (typeof value === "number" ? value : null);
+
+    const { attributes } = manifest;
+    return {
+      packageName: attributes.package,
+      versionCode: number(attributes.versionCode),
+      versionName:
+        typeof attributes.versionName === "string"
+          ? attributes.versionName
+          : null,
+      minSdkVersion: number(usesSdk.minSdkVersion),
+      targetSdkVersion: number(usesSdk.targetSdkVersion),
+      // Set on the config and feature splits of an app bundle
+      split: attributes.split || null,
+      testOnly: application.testOnly === true,
+      debuggable: application.debuggable === true,
+      label: typeof application.label === "string" ? application.label : null,
+      icon: typeof application.icon === "string" ? application.icon : null,
+      permissions: elements
+        .filter((element) => element.name === "uses-permission")
+        .map((element) => element.attributes.name)
+        .filter((name) => typeof name === "string"),
+    };
+  }
+}
+
+// For the other compiled XML and resource table readers
+ApkManifest.readElements = readElements;
+ApkManifest.readStringPool = readStringPool;
+
+module.exports = ApkManifest;
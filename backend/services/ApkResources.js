@@ -0,0 +1,203 @@
+const ApkManifest = require("./ApkManifest");
+
+// Chunk types of Android's compiled resource table, resources.arsc
+const RES_STRING_POOL_TYPE = 0x0001;
+const RES_TABLE_TYPE = 0x0002;
+const RES_TABLE_PACKAGE_TYPE = 0x0200;
+const RES_TABLE_TYPE_TYPE = 0x0201;
+
+// How a type chunk lists its entries
+const FLAG_SPARSE = 0x01;
+const FLAG_OFFSET16 = 0x02;
+const NO_ENTRY = 0xffffffff;
+const NO_ENTRY16 = 0xffff;
+
+// Entry flags: bags (styles, plurals) are skipped, and compact entries
+// hold their value inline
+const ENTRY_FLAG_COMPLEX = 0x0001;
+const ENTRY_FLAG_COMPACT = 0x0008;
+
+// Typed value types
+const TYPE_REFERENCE = 0x01;
+const TYPE_STRING = 0x03;
+
+// Densities with a meaning of their own rather than a dpi
+const DENSITY_ANY = 0xfffe;
+const DENSITY_NONE = 0xffff;
+
+// Resolving stops after this many references to references
+const MAX_REFERENCE_DEPTH = 8;
+
+// "en" from the two bytes of a configuration's language. Three-letter
+// languages are packed into the bits and are left out.
+function readLanguage(buffer, offset) {
+  const [first, second] = [buffer[offset], buffer[offset + 1]];
+  if (first === 0 || first & 0x80) {
+    return first === 0 ? "" : null;
+  }
+  return String.fromCharCode(first, second);
+}
+
+// The simple values of one type chunk, for one configuration
+function readType(buffer, start, packageId, entries) {
+  const headerSize = buffer.readUInt16LE(start + 2);
+  const typeId = buffer[start + 8];
+  const flags = buffer[start + 9];
+  const entryCount = buffer.readUInt32LE(start + 12);
+  const entriesStart = start + buffer.readUInt32LE(start + 16);
+  const configStart = start + 20;
+  const configSize = buffer.readUInt32LE(configStart);
+  const config = {
+    language: configSize >= 12 ? readLanguage(buffer, configStart + 8) : "",
+    density: configSize >= 16 ? buffer.readUInt16LE(configStart + 14) : 0,
+  };
+
+  const offsetsStart = start + headerSize;
+  const offsets = [];
+  for (let index = 0; index < entryCount; index++) {
+    if (flags & FLAG_SPARSE) {
+      const at = offsetsStart + index * 4;
+      offsets.push([buffer.readUInt16LE(at), buffer.readUInt16LE(at + 2) * 4]);
+    } else if (flags & FLAG_OFFSET16) {
+      const offset = buffer.readUInt16LE(offsetsStart + index * 2);
+      if (offset !== NO_ENTRY16) {
+        offsets.push([index, offset * 4]);
+      }
+    } else {
+      const offset = buffer.readUInt32LE(offsetsStart + index * 4);
+      if (offset !== NO_ENTRY) {
+        offsets.push([index, offset]);
+      }
+    }
+  }
+
+  offsets.forEach(([index, offset]) => {
+    const at = entriesStart + offset;
+    const entryFlags = buffer.readUInt16LE(at + 2);
+    let value;
+    if (entryFlags & ENTRY_FLAG_COMPACT) {
+      value = { type: entryFlags >> 8, data: buffer.readUInt32LE(at + 4) };
+    } else if (entryFlags & ENTRY_FLAG_COMPLEX) {
+      return;
+    } else {
+      const valueStart = at + buffer.readUInt16LE(at);
+      value = {
+        type: buffer[valueStart + 3],
+        data: buffer.readUInt32LE(valueStart + 4),
+      };
+    }
+    const id = ((packageId << 24) | (typeId << 16) | index) >>> 0;
+    if (!entries.has(id)) {
+      entries.set(id, []);
+    }
+    entries.get(id).push({ config, value });
+  });
+}
+
+function readPackage(buffer, start, entries) {
+  const headerSize = buffer.readUInt16LE(start + 2);
+  const end = start + buffer.readUInt32LE(start + 4);
+  const packageId = buffer.readUInt32LE(start + 8);
+  let offset = start + headerSize;
+  while (offset + 8 <= end) {
+    const size = buffer.readUInt32LE(offset + 4);
+    if (size < 8) {
+      throw new Error("Corrupt resource table chunk");
+    }
+    if (buffer.readUInt16LE(offset) === RES_TABLE_TYPE_TYPE) {
+      readType(buffer, offset, packageId, entries);
+    }
+    offset += size;
+  }
+}
+
+// The string and file values of an APK's resources.arsc, which is where
+// an app's label and launcher icon are found when the manifest refers to
+// them as "@0x7f0e001b". Only the language and density of each
+// configuration are kept, as those are all that tell the values apart here.
+class ApkResources {
+  constructor(strings, entries) {
+    this.strings = strings;
+    this.entries = entries;
+  }
+
+  static parse(buffer) {
+    if (buffer.length < 12 || buffer.readUInt16LE(0) !== RES_TABLE_TYPE) {
+      throw new Error("Not a compiled Android resource table");
+    }
+    let strings = [];
+    const entries = new Map();
+    let offset = buffer.readUInt16LE(2);
+    while (offset + 8 <= buffer.length) {
+      const type = buffer.readUInt16LE(offset);
+      const size = buffer.readUInt32LE(offset + 4);
+      if (size < 8) {
+        throw new Error("Corrupt resource table chunk");
+      }
+      if (type === RES_STRING_POOL_TYPE) {
+        strings = ApkManifest.readStringPool(buffer, offset);
+      } else if (type === RES_TABLE_PACKAGE_TYPE) {
+        readPackage(buffer, offset, entries);
+      }
+      offset += size;
+    }
+    return new ApkResources(strings, entries);
+  }
+
+  // The resource ID in "@0x7f0e001b", or null for a plain value
+  static referenceId(value) {
+    const match = typeof value === "string" && value.match(/^@0x([\da-f]+)$/i);
+    return match ? parseInt(match[1], 16) : null;
+  }
+
+  // A string resource in the default language, or English without one.
+  // Values that aren't references come back as they are.
+  string(value, depth = 0) {
+    const id = ApkResources.referenceId(value);
+    if (id === null) {
+      return value;
+    }
+    const values = this.entries.get(id) || [];
+    const entry =
+      values.find(({ config }) => config.language === "") ||
+      values.find(({ config }) => config.language === "en") ||
+      values[0];
+    if (!entry) {
+      return null;
+    }
+    if (entry.value.type === TYPE_STRING) {
+      return this.strings[entry.value.data] ?? null;
+    }
+    if (entry.value.type === TYPE_REFERENCE && depth < MAX_REFERENCE_DEPTH) {
+      return this.string(`@0x${entry.value.data.toString(16)}`, depth + 1);
+    }
+    return null;
+  }
+
+  // The files a drawable or mipmap resource has in the APK, by density,
+  // highest first. Density-independent files, such as adaptive icons,
+  // come last.
+  files(value, depth = 0) {
+    const id = ApkResources.referenceId(value);
+    if (id === null || depth >= MAX_REFERENCE_DEPTH) {
+      return [];
+    }
+    const files = [];
+    (this.entries.get(id) || []).forEach(({ config, value: entry }) => {
+      if (entry.type === TYPE_STRING && this.strings[entry.data]) {
+        files.push({ path: this.strings[entry.data], density: config.density });
+      } else if (entry.type === TYPE_REFERENCE) {
+        files.push(
+          ...this.files(`@0x${entry.data.toString(16)}`, depth + 1).map(
+            (file) => ({ ...file, density: config.density || file.density })
+          )
+        );
+      }
+    });
+    const rank = (density) =>
+      density === DENSITY_ANY || density === DENSITY_NONE ? -1 : density;
+    return files.sort((a, b) => rank(b.density) - rank(a.density));
+  }
+}
+
+module.exports = ApkResources;
@@ -0,0 +1,301 @@
+const crypto = require("crypto");
+const fs = require("fs-extra");
+const os = require("os");
+const path = require("path");
+const AdbClient = require("./AdbClient");
+const ApkManifest = require("./ApkManifest");
+const ApkResources = require("./ApkResources");
+const JsonStore = require("./JsonStore");
+const ValidationError = require("./ValidationError");
+const ZipArchive = require("./ZipArchive");
+
+const PACKAGE_NAME = /^[a-zA-Z][\w]*(\.[a-zA-Z][\w]*)+$/;
+const ICONS_DIR = path.join(JsonStore.DATA_DIR, "app-icons");
+const PULL_DIR = path.join(os.tmpdir(), "android-uat-apks");
+const ICON_EXTENSIONS = [".png", ".webp", ".jpg", ".jpeg"];
+// Adaptive icons that point at other adaptive icons are followed this far
+const MAX_ICON_DEPTH = 4;
+// APKs a listing pulls and reads at the same time
+const READ_CONCURRENCY = 4;
+// The "enabled=" states of `dumpsys package` that mean disabled: by the
+// app, by the user and until the app is next used
+const DISABLED_STATES = ["2", "3", "4"];
+
+const quote = AdbClient.quote;
+
+// "2024-03-01 09:30:00" in the device's local time, read as the server's
+function parseDeviceTime(value) {
+  const date = value && new Date(value.trim().replace(" ", "T"));
+  return date && !isNaN(date) ? date.toISOString() : null;
+}
+
+// The apps under "Packages:" in `dumpsys package`. Updated system apps
+// are listed again under "Hidden system packages:", which is left out.
+function parsePackages(output) {
+  const lines = output.split("\n");
+  const start = lines.findIndex((line) => line.trim() === "Packages:");
+  if (start === -1) {
+    return [];
+  }
+  const packages = [];
+  let current = null;
+  for (const line of lines.slice(start + 1)) {
+    if (/^\S/.test(line)) {
+      break;
+    }
+    const header = line.match(/^\s*Package \[([\w.]+)\]/);
+    if (header) {
+      current = {
+        packageName: header[1],
+        versionCode: null,
+        versionName: null,
+        minSdk: null,
+        targetSdk: null,
+        installedAt: null,
+        updatedAt: null,
+        system: false,
+        installed: true,
+        enabled: true,
+      };
+      packages.push(current);
+      continue;
+    }
+    if (!current) {
+      continue;
+    }
+
+    const text = line.trim();
+    // Values that run to the end of the line, spaces and all
+    const [key, ...rest] = text.split("=");
+    const value = rest.join("=");
+    if (key === "versionName") {
+      current.versionName = value;
+    } else if (key === "firstInstallTime") {
+      current.installedAt = parseDeviceTime(value);
+    } else if (key === "lastUpdateTime") {
+      current.updatedAt = parseDeviceTime(value);
+    } else if (/^(pkg)?[fF]lags$/.test(key)) {
+      current.system = /\[.*\bSYSTEM\b.*\]/.test(value);
+    } else if (text.startsWith("versionCode=")) {
+      // "versionCode=34 minSdk=24 targetSdk=34"
+      const number = (name) => {
+        const match = text.match(new RegExp(`\\b${name}=(\\d+)`));
+        return match ? Number(match[1]) : null;
+      };
+      current.versionCode = number("versionCode");
+      current.minSdk = number("minSdk");
+      current.targetSdk = number("targetSdk");
+    } else if (text.startsWith("User 0:")) {
+      const installed = text.match(/\binstalled=(true|false)/);
+      const enabled = text.match(/\benabled=(\d)/);
+      current.installed = !installed || installed[1] === "true";
+      current.enabled = !enabled || !DISABLED_STATES.includes(enabled[1]);
+    }
+  }
+  return packages;
+}
+
+// The launcher icon of an APK: the highest density bitmap of its icon
+// resource, or of the foreground layer when it is an adaptive icon
+async function findIcon(archive, resources, value, depth = 0) {
+  const files = resources.files(value).filter((file) => archive.has(file.path));
+  const bitmap = files.find((file) =>
+    ICON_EXTENSIONS.includes(path.extname(file.path).toLowerCase())
+  );
+  if (bitmap) {
+    return {
+      data: await archive.read(bitmap.path),
+      extension: path.extname(bitmap.path).toLowerCase(),
+    };
+  }
+
+  if (depth >= MAX_ICON_DEPTH) {
+    return null;
+  }
+  for (const file of files.filter((entry) => entry.path.endsWith(".xml"))) {
+    const elements = ApkManifest.readElements(await archive.read(file.path));
+    const layer =
+      elements.find((element) => element.name === "foreground")?.attributes
+        .drawable ||
+      elements.find((element) => element.name === "bitmap")?.attributes.src;
+    const icon =
+      layer && (await findIcon(archive, resources, layer, depth + 1));
+    if (icon) {
+      return icon;
+    }
+  }
+  return null;
+}
+
+// The label and launcher icon an APK shows in the launcher
+async function readLauncherInfo(apkPath) {
+  const archive = await ZipArchive.open(apkPath);
+  const manifest = ApkManifest.parse(await archive.read("AndroidManifest.xml"));
+  const resources = archive.has("resources.arsc")
+    ? ApkResources.parse(await archive.read("resources.arsc"))
+    : new ApkResources([], new Map());
+  return {
+    label: resources.string(manifest.label),
+    icon: await findIcon(
+      archive,
+      resources,
+      manifest.icon || manifest.roundIcon
+    ),
+  };
+}
+
+// The apps installed on a running emulator, with the label and launcher
+// icon read from each app's base APK. Both are cached by package, version
+// and update time, under the data directory, so an APK is only pulled
+// again once the app changes. Listing reads the user apps' APKs that are
+// not cached yet, a few at a time; system apps, of which there are
+// hundreds, only once their icon is asked for.
+class AppListService {
+  constructor(consoles, adb) {
+    this.consoles = consoles;
+    this.adb = adb;
+    this.details = new JsonStore("app-details.json");
+    // Reads in progress by cache key, so an APK is pulled once at a time
+    this.reading = new Map();
+  }
+
+  cacheKey(app) {
+    return `${app.packageName}-${app.versionCode}-${
+      Date.parse(app.updatedAt) || 0
+    }`;
+  }
+
+  async readDetails(device, app) {
+    const key = this.cacheKey(app);
+    if (this.details.has(key)) {
+      return this.details.get(key);
+    }
+    if (!this.reading.has(key)) {
+      this.reading.set(
+        key,
+        this.pullDetails(device, app, key).finally(() =>
+          this.reading.delete(key)
+        )
+      );
+    }
+    return this.reading.get(key);
+  }
+
+  async pullDetails(device, app, key) {
+    const paths = (
+      await this.adb.shell(device.serial, `pm path ${quote(app.packageName)}`)
+    )
+      .split("\n")
+      .map((line) => line.trim().replace(/^package:/, ""))
+      .filter(Boolean);
+    const apkPath =
+      paths.find((remotePath) => remotePath.endsWith("/base.apk")) || paths[0];
+    const localPath = path.join(PULL_DIR, `${crypto.randomUUID()}.apk`);
+
+    try {
+      await fs.ensureDir(PULL_DIR);
+      try {
+        if (!apkPath) {
+          throw new Error(`${app.packageName} has no APK path`);
+        }
+        await this.adb.pullFile(device.serial, apkPath, localPath);
+      } catch (error) {
+        // Not cached, as the next listing may well be able to pull it
+        return { label: null, icon: null };
+      }
+
+      let info = { label: null, icon: null };
+      try {
+        info = await readLauncherInfo(localPath);
+      } catch (error) {
+        console.error(
+          `Failed to read the label and icon of ${app.packageName}:`,
+          error.message
+        );
+      }
+      let icon = null;
+      if (info.icon) {
+        icon = `${key}${info.icon.extension}`;
+        await fs.outputFile(path.join(ICONS_DIR, icon), info.icon.data);
+      }
+      return this.details.set(key, { label: info.label, icon });
+    } finally {
+      await fs.remove(localPath);
+    }
+  }
+
+  describe(emulatorName, app, details) {
+    const { installed, system, ...fields } = app;
+    return {
+      ...fields,
+      label: details?.label || app.packageName,
+      isUserApp: !system,
+      // Until the APK has been read, whether there is an icon is unknown
+      icon:
+        details && !details.icon
+          ? null
+          : `/api/emulators/${encodeURIComponent(emulatorName)}/apps/${
+              app.packageName
+            }/icon?v=${encodeURIComponent(this.cacheKey(app))}`,
+    };
+  }
+
+  // The user apps, sorted by label, and the system apps too with
+  // `includeSystem`. Without `readApks`, only cached labels are used.
+  async list(emulatorName, { includeSystem = false, readApks = true } = {}) {
+    const device = this.consoles.requireRunningDevice(emulatorName);
+    const packages = parsePackages(
+      await this.adb.shell(device.serial, "dumpsys package packages")
+    ).filter((app) => app.installed && (includeSystem || !app.system));
+
+    const details = packages.map((app) => this.details.get(this.cacheKey(app)));
+    const unread = packages
+      .map((app, index) => index)
+      .filter(
+        (index) => readApks && !details[index] && !packages[index].system
+      );
+    const worker = async () => {
+      while (unread.length > 0) {
+        const index = unread.shift();
+        details[index] = await this.readDetails(device, packages[index]);
+      }
+    };
+    await Promise.all(
+      Array.from({ length: Math.min(READ_CONCURRENCY, unread.length) }, worker)
+    );
+
+    return packages
+      .map((app, index) => this.describe(emulatorName, app, details[index]))
+      .sort((a, b) => a.label.localeCompare(b.label));
+  }
+
+  // Where the app's cached launcher icon is, extracting it first when the
+  // app is new or has changed since
+  async iconPath(emulatorName, packageName) {
+    const device = this.consoles.requireRunningDevice(emulatorName);
+    if (!packageName || !PACKAGE_NAME.test(packageName)) {
+      throw new ValidationError({
+        packageName: "Must be a package name like com.example.app",
+      });
+    }
+    const app = parsePackages(
+      await this.adb.shell(
+        device.serial,
+        `dumpsys package ${quote(packageName)}`
+      )
+    ).find((entry) => entry.packageName === packageName);
+    if (!app || !app.installed) {
+      throw new ValidationError({
+        packageName: `${packageName} is not installed on ${emulatorName}`,
+      });
+    }
+
+    const details = await this.readDetails(device, app);
+    if (!details.icon) {
+      throw new Error(`${packageName} has no launcher icon`);
+    }
+    return path.join(ICONS_DIR, details.icon);
+  }
+}
+
+module.exports = AppListService;
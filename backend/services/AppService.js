@@ -0,0 +1,543 @@
+const crypto = require("crypto");
+const { execFile } = require("child_process");
+const fs = require("fs-extra");
+const os = require("os");
+const path = require("path");
+const AdbClient = require("./AdbClient");
+const ApkManifest = require("./ApkManifest");
+const DeviceRegistry = require("./DeviceRegistry");
+const ValidationError = require("./ValidationError");
+const ZipArchive = require("./ZipArchive");
+
+const PACKAGE_NAME = /^[a-zA-Z][\w]*(\.[a-zA-Z][\w]*)+$/;
+const MAX_APK_SIZE = (parseInt(process.env.MAX_APK_SIZE_MB) || 512) * 1048576;
+const BUNDLETOOL_PATH = process.env.BUNDLETOOL_PATH || null;
+const BUNDLETOOL_TIMEOUT = 5 * 60 * 1000;
+// Density qualifiers of config splits, in dpi
+const DENSITIES = {
+  ldpi: 120,
+  mdpi: 160,
+  tvdpi: 213,
+  hdpi: 240,
+  xhdpi: 320,
+  xxhdpi: 480,
+  xxxhdpi: 640,
+};
+// ABI qualifiers of config splits, by the ABI they are for
+const ABIS = {
+  armeabi: "armeabi",
+  armeabi_v7a: "armeabi-v7a",
+  arm64_v8a: "arm64-v8a",
+  x86: "x86",
+  x86_64: "x86_64",
+};
+// Install options and the `pm install` flags they turn on
+const INSTALL_FLAGS = {
+  replace: "-r",
+  downgrade: "-d",
+  grantPermissions: "-g",
+  testOnly: "-t",
+};
+// Install failures that an option or an uninstall gets around, with the
+// field to report them on
+const INSTALL_FAILURES = {
+  INSTALL_FAILED_ALREADY_EXISTS: [
+    "replace",
+    "The app is already installed; replace it to update",
+  ],
+  INSTALL_FAILED_VERSION_DOWNGRADE: [
+    "downgrade",
+    "A newer version is installed; allow a downgrade to replace it",
+  ],
+  INSTALL_FAILED_TEST_ONLY: [
+    "testOnly",
+    "The APK is test-only; allow test-only APKs to install it",
+  ],
+  INSTALL_FAILED_UPDATE_INCOMPATIBLE: [
+    "apk",
+    "The installed app is signed with a different key; uninstall it first",
+  ],
+};
+
+const quote = AdbClient.quote;
+
+// Picks the config splits of each module that fit the device, the way
+// bundletool does: the first of the device's ABIs that has one, the
+// nearest density at or above the screen's and the device's language.
+// Every module is kept, like `bundletool install-apks --modules=_ALL_`.
+function selectSplits(apks, spec) {
+  const language = spec.supportedLocales[0].split("-")[0];
+  const selected = [];
+  const skipped = [];
+  // Candidate splits by module and dimension
+  const groups = new Map();
+  apks.forEach((apk) => {
+    // "config.xxhdpi" for the base module, "camera.config.xxhdpi" for others
+    const config = (apk.manifest.split || "").match(
+      /^(?:(.+)\.)?config\.(.+)$/
+    );
+    if (!config) {
+      selected.push(apk);
+      return;
+    }
+    const [, module = "base", value] = config;
+    const dimension = DENSITIES[value]
+      ? "density"
+      : ABIS[value]
+      ? "abi"
+      : /^[a-z]{2,3}$/.test(value)
+      ? "language"
+      : null;
+    if (!dimension) {
+      skipped.push(apk);
+      return;
+    }
+    const key = `${module}/${dimension}`;
+    groups.set(key, [...(groups.get(key) || []), { apk, value }]);
+  });
+
+  groups.forEach((candidates, key) => {
+    const [module, dimension] = key.split("/");
+    let best;
+    if (dimension === "abi") {
+      best = spec.supportedAbis
+        .map((abi) => candidates.find(({ value }) => ABIS[value] === abi))
+        .find(Boolean);
+      if (!best) {
+        throw new ValidationError({
+          apk: `The ${module} module has no native code for ${spec.supportedAbis.join(
+            ", "
+          )}`,
+        });
+      }
+    } else if (dimension === "density") {
+      const sorted = [...candidates].sort(
+        (a, b) => DENSITIES[a.value] - DENSITIES[b.value]
+      );
+      best =
+        sorted.find(({ value }) => DENSITIES[value] >= spec.screenDensity) ||
+        sorted[sorted.length - 1];
+    } else {
+      best = candidates.find(({ value }) => value === language);
+    }
+    candidates.forEach((candidate) =>
+      (candidate === best ? selected : skipped).push(candidate.apk)
+    );
+  });
+  return { selected, skipped };
+}
+
+// The base APK's manifest, once the APKs are known to be one app's base
+// and splits of the same version
+function checkSplitSet(apks) {
+  const bases = apks.filter((apk) => !apk.manifest.split);
+  if (bases.length !== 1) {
+    throw new ValidationError({
+      apk:
+        bases.length === 0
+          ? "The base APK is missing; splits can't be installed alone"
+          : "Only one base APK can be installed at once",
+    });
+  }
+  const base = bases[0].manifest;
+  const stranger = apks.find(
+    (apk) =>
+      apk.manifest.packageName !== base.packageName ||
+      apk.manifest.versionCode !== base.versionCode
+  );
+  if (stranger) {
+    throw new ValidationError({
+      apk: `${stranger.fileName} is not a split of ${base.packageName} version ${base.versionCode}`,
+    });
+  }
+  return base;
+}
+
+// Installs uploaded APKs, split APKs, APK sets and app bundles on a
+// running emulator once their manifests have been read, and uninstalls,
+// clears and force-stops apps. Install progress
+// is sent to the emulator's viewers as "app-install-progress", and every
+// dashboard hears of finished installs and uninstalls through
+// "app-installed" and "app-uninstalled".
+class AppService {
+  constructor(io, consoles, adb) {
+    this.io = io;
+    this.consoles = consoles;
+    this.adb = adb;
+  }
+
+  checkPackageName(packageName) {
+    if (!packageName || !PACKAGE_NAME.test(packageName)) {
+      throw new ValidationError({
+        packageName: "Must be a package name like com.example.app",
+      });
+    }
+  }
+
+  async requireInstalled(emulatorName, device, packageName) {
+    this.checkPackageName(packageName);
+    const installed = await this.adb.shell(
+      device.serial,
+      `pm path ${quote(packageName)}`
+    );
+    if (!installed.trim()) {
+      throw new ValidationError({
+        packageName: `${packageName} is not installed on ${emulatorName}`,
+      });
+    }
+  }
+
+  emitInstall(install) {
+    if (this.io) {
+      this.io
+        .to(DeviceRegistry.room(install.emulator))
+        .emit("app-install-progress", install);
+    }
+  }
+
+  // The device as bundletool describes one, for picking splits
+  async deviceSpec(device) {
+    const shell = async (command) =>
+      (await this.adb.shell(device.serial, command)).trim();
+    const [abiList, abi, density, locale, productLocale, sdk] =
+      await Promise.all([
+        shell("getprop ro.product.cpu.abilist"),
+        shell("getprop ro.product.cpu.abi"),
+        shell("wm density"),
+        shell("getprop persist.sys.locale"),
+        shell("getprop ro.product.locale"),
+        shell("getprop ro.build.version.sdk"),
+      ]);
+    const dpi =
+      density.match(/Override density: (\d+)/) ||
+      density.match(/Physical density: (\d+)/);
+    return {
+      supportedAbis: (abiList || abi).split(",").filter(Boolean),
+      supportedLocales: [locale || productLocale || "en-US"],
+      screenDensity: dpi ? Number(dpi[1]) : 160,
+      sdkVersion: Number(sdk),
+    };
+  }
+
+  // Runs `bundletool build-apks` for just this device, giving an APK set
+  async buildApks(bundlePath, workDir, spec) {
+    if (!BUNDLETOOL_PATH) {
+      throw new ValidationError({
+        apk: "Installing app bundles needs bundletool; set BUNDLETOOL_PATH",
+      });
+    }
+    const specPath = path.join(workDir, "device-spec.json");
+    const output = path.join(workDir, "bundle.apks");
+    await fs.writeJson(specPath, spec);
+    const [command, ...args] = BUNDLETOOL_PATH.endsWith(".jar")
+      ? [process.env.JAVA_PATH || "java", "-jar", BUNDLETOOL_PATH]
+      : [BUNDLETOOL_PATH];
+    await new Promise((resolve, reject) => {
+      execFile(
+        command,
+        [
+          ...args,
+          "build-apks",
+          `--bundle=${bundlePath}`,
+          `--output=${output}`,
+          `--device-spec=${specPath}`,
+          "--overwrite",
+        ],
+        { timeout: BUNDLETOOL_TIMEOUT, maxBuffer: 10 * 1048576 },
+        (error, stdout, stderr) => {
+          if (error) {
+            const reason = (stderr || error.message).trim().split("\n")[0];
+            reject(
+              new ValidationError({ apk: `bundletool failed: ${reason}` })
+            );
+            return;
+          }
+          resolve();
+        }
+      );
+    });
+    return output;
+  }
+
+  // Extracts the splits of an APK set that fit the device, or its
+  // universal APK when it was built without splits
+  async extractApks(archivePath, workDir, spec) {
+    let archive;
+    try {
+      archive = await ZipArchive.open(archivePath);
+    } catch (error) {
+      throw new ValidationError({
+        apk: `Not a valid APK set: ${error.message}`,
+      });
+    }
+    const names = archive
+      .names()
+      .filter((name) => /^splits\/[^/]+\.apk$/.test(name));
+    if (names.length === 0 && archive.has("universal.apk")) {
+      names.push("universal.apk");
+    }
+    if (names.length === 0) {
+      throw new ValidationError({
+        apk: "The APK set has no splits or universal APK",
+      });
+    }
+
+    const apks = await this.readApks(
+      await Promise.all(
+        names.map(async (name, index) => ({
+          path: await archive.extract(
+            name,
+            path.join(workDir, `${index}-${path.basename(name)}`)
+          ),
+          fileName: name,
+        }))
+      )
+    );
+    return selectSplits(apks, spec);
+  }
+
+  // Adds each APK's manifest, failing on the first that isn't an APK
+  async readApks(files) {
+    return Promise.all(
+      files.map(async (file) => {
+        try {
+          return { ...file, manifest: await ApkManifest.read(file.path) };
+        } catch (error) {
+          throw new ValidationError({
+            apk: `${file.fileName} is not a valid APK: ${error.message}`,
+          });
+        }
+      })
+    );
+  }
+
+  // `files` are the uploads as multer saved them, { path, originalname,
+  // size }: one APK, the base and split APKs of one app, one APK set
+  // (.apks) or one app bundle (.aab). They are deleted once the install is
+  // over, whatever the outcome.
+  async install(emulatorName, files = [], options = {}) {
+    const workDir = path.join(AppService.UPLOAD_DIR, crypto.randomUUID());
+    try {
+      const device = this.consoles.requireRunningDevice(emulatorName);
+      const fields = {};
+      const kinds = new Set(
+        files.map((file) => path.extname(file.originalname).toLowerCase())
+      );
+      if (files.length === 0) {
+        fields.apk = "Upload an APK, APK set or app bundle";
+      } else if (
+        kinds.size > 1 ||
+        ![".apk", ".apks", ".aab"].includes([...kinds][0])
+      ) {
+        fields.apk = "Must be .apk files, or one .apks or .aab file";
+      } else if (!kinds.has(".apk") && files.length > 1) {
+        fields.apk = "Only one APK set or app bundle can be installed at once";
+      }
+      Object.entries(options).forEach(([option, value]) => {
+        if (!INSTALL_FLAGS[option]) {
+          fields[option] = `Unknown install option ${option}`;
+        } else if (typeof value !== "boolean") {
+          fields[option] = "Must be true or false";
+        }
+      });
+      if (Object.keys(fields).length > 0) {
+        throw new ValidationError(fields);
+      }
+
+      let selection;
+      if (kinds.has(".apk")) {
+        selection = {
+          selected: await this.readApks(
+            files.map((file) => ({
+              path: file.path,
+              fileName: file.originalname,
+            }))
+          ),
+          skipped: [],
+        };
+      } else {
+        await fs.ensureDir(workDir);
+        selection = {
+          spec: await this.deviceSpec(device),
+        };
+        const archivePath = kinds.has(".aab")
+          ? await this.buildApks(files[0].path, workDir, selection.spec)
+          : files[0].path;
+        Object.assign(
+          selection,
+          await this.extractApks(archivePath, workDir, selection.spec)
+        );
+      }
+
+      const manifest = checkSplitSet(selection.selected);
+      if (manifest.testOnly && !options.testOnly) {
+        throw new ValidationError({
+          testOnly: INSTALL_FAILURES.INSTALL_FAILED_TEST_ONLY[1],
+        });
+      }
+
+      return await this.installOnDevice(emulatorName, device, {
+        fileName: files.map((file) => file.originalname).join(", "),
+        manifest,
+        selection,
+        options,
+      });
+    } finally {
+      await Promise.all(
+        [workDir, ...files.map((file) => file.path)].map((target) =>
+          fs.remove(target).catch(() => {})
+        )
+      );
+    }
+  }
+
+  // Copies the APKs to the device and installs them, in one `pm install`
+  // session when there are splits
+  async installOnDevice(
+    emulatorName,
+    device,
+    { fileName, manifest, selection, options }
+  ) {
+    const apks = selection.selected;
+    const sizes = await Promise.all(
+      apks.map(async (apk) => (await fs.stat(apk.path)).size)
+    );
+    const total = sizes.reduce((sum, size) => sum + size, 0);
+    const install = {
+      id: crypto.randomUUID(),
+      emulator: emulatorName,
+      fileName,
+      packageName: manifest.packageName,
+      versionName: manifest.versionName,
+      versionCode: manifest.versionCode,
+      // The split names, "base" for the base APK
+      splits: apks.map((apk) => apk.manifest.split || "base"),
+      skippedSplits: selection.skipped.map((apk) => apk.manifest.split),
+      deviceSpec: selection.spec || null,
+      status: "pushing",
+      bytes: 0,
+      total,
+      progress: 0,
+      error: null,
+      startedAt: new Date(),
+      finishedAt: null,
+    };
+    this.emitInstall(install);
+
+    const flags = Object.keys(INSTALL_FLAGS)
+      .filter((option) => options[option])
+      .map((option) => INSTALL_FLAGS[option]);
+    const onProgress = ({ sent }) => {
+      const progress = Math.min(100, Math.floor((sent / total) * 100));
+      install.bytes = sent;
+      if (sent >= total) {
+        install.status = "installing";
+      }
+      if (progress !== install.progress || sent >= total) {
+        install.progress = progress;
+        this.emitInstall(install);
+      }
+    };
+    try {
+      if (apks.length === 1) {
+        await this.adb.install(device.serial, apks[0].path, flags, {
+          onProgress,
+        });
+      } else {
+        await this.adb.installMultiple(
+          device.serial,
+          apks.map((apk) => apk.path),
+          flags,
+          { onProgress }
+        );
+      }
+    } catch (error) {
+      install.status = "failed";
+      install.error = error.message;
+      install.finishedAt = new Date();
+      this.emitInstall(install);
+      console.log(
+        `Install of ${install.fileName} on ${emulatorName} failed: ${error.message}`
+      );
+
+      const code = error.message.match(/Failure \[(\w+)/);
+      if (!code) {
+        throw error;
+      }
+      const [field, message] = INSTALL_FAILURES[code[1]] || [
+        "apk",
+        `The device refused the APK: ${code[1]}`,
+      ];
+      throw new ValidationError({ [field]: message });
+    }
+
+    install.status = "completed";
+    install.progress = 100;
+    install.finishedAt = new Date();
+    this.emitInstall(install);
+    console.log(
+      `Installed ${manifest.packageName} ${manifest.versionName} on ${emulatorName}` +
+        (apks.length > 1 ? ` with splits ${install.splits.join(", ")}` : "")
+    );
+    if (this.io) {
+      this.io.emit("app-installed", {
+        id: emulatorName,
+        name: emulatorName,
+        packageName: manifest.packageName,
+        versionName: manifest.versionName,
+        versionCode: manifest.versionCode,
+      });
+    }
+    return { ...install, manifest };
+  }
+
+  // Shell commands of pm that answer "Success" when they work
+  async runPm(device, command, action) {
+    const output = await this.adb.shell(device.serial, command);
+    if (!output.includes("Success")) {
+      throw new Error(`${action} failed: ${output.trim() || "no output"}`);
+    }
+  }
+
+  async uninstall(emulatorName, packageName, { keepData = false } = {}) {
+    const device = this.consoles.requireRunningDevice(emulatorName);
+    await this.requireInstalled(emulatorName, device, packageName);
+    await this.runPm(
+      device,
+      `pm uninstall ${keepData ? "-k " : ""}${quote(packageName)}`,
+      "Uninstall"
+    );
+    if (this.io) {
+      this.io.emit("app-uninstalled", {
+        id: emulatorName,
+        name: emulatorName,
+        packageName,
+      });
+    }
+    return { message: `${packageName} uninstalled`, packageName };
+  }
+
+  // Deletes the app's data, like "Clear storage" in Settings. Android stops
+  // the app first.
+  async clearData(emulatorName, packageName) {
+    const device = this.consoles.requireRunningDevice(emulatorName);
+    await this.requireInstalled(emulatorName, device, packageName);
+    await this.runPm(device, `pm clear ${quote(packageName)}`, "Clearing data");
+    return { message: `Cleared the data of ${packageName}`, packageName };
+  }
+
+  async forceStop(emulatorName, packageName) {
+    const device = this.consoles.requireRunningDevice(emulatorName);
+    await this.requireInstalled(emulatorName, device, packageName);
+    await this.adb.shell(device.serial, `am force-stop ${quote(packageName)}`);
+    return { message: `${packageName} stopped`, packageName };
+  }
+}
+
+// Where uploads wait until they are installed
+AppService.UPLOAD_DIR = path.join(os.tmpdir(), "android-uat-uploads");
+AppService.MAX_APK_SIZE = MAX_APK_SIZE;
+// Split APKs uploaded together, at most
+AppService.MAX_FILES = 50;
+
+module.exports = AppService;
@@ -0,0 +1,402 @@
+const NotFoundError = require("./NotFoundError");
+const ValidationError = require("./ValidationError");
+
+const AVD_NAME = /^[A-Za-z0-9._-]+$/;
+const GPU_MODES = [
+  "auto",
+  "host",
+  "swiftshader_indirect",
+  "angle_indirect",
+  "guest",
+  "off",
+];
+
+// Editable hardware settings and the config.ini keys behind them. Sizes
+// are exposed in megabytes.
+const SETTINGS = {
+  ramSize: { key: "hw.ramSize", type: "size", min: 512, max: 16384 },
+  heapSize: { key: "vm.heapSize", type: "size", min: 16, max: 2048 },
+  width: { key: "hw.lcd.width", type: "int", min: 240, max: 4096 },
+  height: { key: "hw.lcd.height", type: "int", min: 320, max: 4096 },
+  density: { key: "hw.lcd.density", type: "int", min: 120, max: 640 },
+  storage: {
+    key: "disk.dataPartition.size",
+    type: "size",
+    min: 512,
+    max: 131072,
+  },
+  keyboard: { key: "hw.keyboard", type: "boolean" },
+  gpuMode: { key: "hw.gpu.mode", type: "enum", values: GPU_MODES },
+};
+
+// Images and device profiles for anything but phones and tablets carry a
+// tag naming their form factor
+const FORM_FACTORS = [
+  ["wear", "Wear OS"],
+  ["tv", "TV"],
+  ["automotive", "Automotive"],
+  ["desktop", "Desktop"],
+];
+
+// ABIs the emulator can run natively on each host architecture
+const HOST_ABIS = {
+  x64: ["x86_64", "x86"],
+  ia32: ["x86"],
+  arm64: ["arm64-v8a"],
+};
+
+function formFactorOf(tag) {
+  const match = FORM_FACTORS.find(([key]) => tag && tag.includes(key));
+  return match ? match[1] : "Phone";
+}
+
+const SIZE_UNITS = { K: 1 / 1024, M: 1, G: 1024 };
+
+// "2048", "2048M", "2G" and "6442450944" are all valid sizes. Bare numbers
+// are megabytes unless they are too large to be.
+function parseSize(value) {
+  const match = String(value)
+    .trim()
+    .match(/^(\d+(?:\.\d+)?)\s*([KMG])?B?$/i);
+  if (!match) {
+    return null;
+  }
+
+  const amount = parseFloat(match[1]);
+  if (match[2]) {
+    return Math.round(amount * SIZE_UNITS[match[2].toUpperCase()]);
+  }
+  return amount >= 1024 * 1024 ? Math.round(amount / (1024 * 1024)) : amount;
+}
+
+function parseIni(text) {
+  return text.split(/\r?\n/).reduce((config, line) => {
+    const index = line.indexOf("=");
+    if (index > 0 && !line.trim().startsWith("#")) {
+      config[line.slice(0, index).trim()] = line.slice(index + 1).trim();
+    }
+    return config;
+  }, {});
+}
+
+// Rewrites changed keys in place so comments and ordering survive
+function updateIni(text, changes) {
+  const remaining = { ...changes };
+  const lines = text
+    .replace(/\r?\n$/, "")
+    .split(/\r?\n/)
+    .map((line) => {
+      const key = line.slice(0, line.indexOf("=")).trim();
+      if (line.includes("=") && key in remaining) {
+        const value = remaining[key];
+        delete remaining[key];
+        return `${key}=${value}`;
+      }
+      return line;
+    });
+
+  Object.entries(remaining).forEach(([key, value]) => {
+    lines.push(`${key}=${value}`);
+  });
+  return `${lines.join("\n")}\n`;
+}
+
+// Reads and edits AVD hardware configuration, and clones and deletes AVDs.
+// AVDs are only changed while stopped, since the emulator reads its config
+// at boot and holds its data files open while running.
+class AvdService {
+  constructor(registry, driver, systemImages, launchOptions) {
+    this.registry = registry;
+    this.driver = driver;
+    this.systemImages = systemImages;
+    this.launchOptions = launchOptions;
+    this.deviceProfiles = null;
+  }
+
+  // Parses `avdmanager list device` into { id, name, oem, tag } profiles
+  static parseDeviceList(output) {
+    return output
+      .split(/^-{3,}\s*$/m)
+      .map((block) => {
+        const id = block.match(/^id:\s*\d+\s+or\s+"([^"]+)"/m);
+        if (!id) {
+          return null;
+        }
+        const field = (label) => {
+          const match = block.match(
+            new RegExp(`^\\s*${label}\\s*:\\s*(.+)$`, "m")
+          );
+          return match ? match[1].trim() : null;
+        };
+        return {
+          id: id[1],
+          name: field("Name") || id[1],
+          oem: field("OEM"),
+          tag: field("Tag"),
+          formFactor: formFactorOf(field("Tag")),
+        };
+      })
+      .filter((profile) => profile);
+  }
+
+  async listDeviceProfiles() {
+    if (!this.deviceProfiles) {
+      this.deviceProfiles = AvdService.parseDeviceList(
+        await this.driver.listDeviceDefinitions()
+      );
+    }
+    return this.deviceProfiles;
+  }
+
+  async requireAvd(name) {
+    const names = await this.driver.listAvds();
+    if (!names.includes(name)) {
+      throw new NotFoundError(`AVD ${name} not found`);
+    }
+    return names;
+  }
+
+  requireStopped(name, action) {
+    if (this.registry.has(name)) {
+      throw new Error(`Stop emulator ${name} before ${action}`);
+    }
+  }
+
+  async getConfig(name) {
+    await this.requireAvd(name);
+    const config = parseIni(await this.driver.readAvdConfig(name));
+
+    const settings = {};
+    Object.entries(SETTINGS).forEach(([field, setting]) => {
+      const value = config[setting.key];
+      if (value === undefined) {
+        settings[field] = null;
+      } else if (setting.type === "size") {
+        settings[field] = parseSize(value);
+      } else if (setting.type === "int") {
+        settings[field] = parseInt(value);
+      } else if (setting.type === "boolean") {
+        settings[field] = value === "yes";
+      } else {
+        settings[field] = value;
+      }
+    });
+
+    return {
+      name,
+      running: this.registry.has(name),
+      settings,
+      gpuModes: GPU_MODES,
+      config,
+    };
+  }
+
+  // Collects config.ini changes for the given settings, along with a
+  // message for every field that is not acceptable
+  checkSettings(settings) {
+    const fields = {};
+    const changes = {};
+
+    Object.entries(settings).forEach(([field, value]) => {
+      const setting = SETTINGS[field];
+      if (!setting) {
+        fields[field] = `Unknown setting ${field}`;
+        return;
+      }
+      if (value === undefined || value === null) {
+        return;
+      }
+
+      if (setting.type === "size" || setting.type === "int") {
+        if (
+          !Number.isInteger(value) ||
+          value < setting.min ||
+          value > setting.max
+        ) {
+          fields[
+            field
+          ] = `Must be a whole number between ${setting.min} and ${setting.max}`;
+          return;
+        }
+        changes[setting.key] = setting.type === "size" ? `${value}M` : value;
+      } else if (setting.type === "boolean") {
+        if (typeof value !== "boolean") {
+          fields[field] = "Must be true or false";
+          return;
+        }
+        changes[setting.key] = value ? "yes" : "no";
+      } else if (!setting.values.includes(value)) {
+        fields[field] = `Must be one of: ${setting.values.join(", ")}`;
+      } else {
+        changes[setting.key] = value;
+      }
+    });
+
+    if (changes["hw.gpu.mode"]) {
+      changes["hw.gpu.enabled"] =
+        changes["hw.gpu.mode"] === "off" ? "no" : "yes";
+    }
+    return { fields, changes };
+  }
+
+  validateSettings(settings) {
+    const { fields, changes } = this.checkSettings(settings);
+    if (Object.keys(fields).length > 0) {
+      throw new ValidationError(fields);
+    }
+    return changes;
+  }
+
+  async updateConfig(name, settings = {}) {
+    await this.requireAvd(name);
+    this.requireStopped(name, "changing its configuration");
+
+    const changes = this.validateSettings(settings);
+    const text = await this.driver.readAvdConfig(name);
+    await this.driver.writeAvdConfig(name, updateIni(text, changes));
+
+    return this.getConfig(name);
+  }
+
+  async clone(name, newName) {
+    const names = await this.requireAvd(name);
+    this.requireStopped(name, "cloning it");
+
+    if (typeof newName !== "string" || !AVD_NAME.test(newName)) {
+      throw new ValidationError({
+        newName: "Use only letters, digits, dots, dashes and underscores",
+      });
+    }
+    if (names.includes(newName)) {
+      throw new ValidationError({ newName: `AVD ${newName} already exists` });
+    }
+
+    await this.driver.cloneAvd(name, newName);
+
+    // The copy still carries the source's identity
+    const text = await this.driver.readAvdConfig(newName);
+    await this.driver.writeAvdConfig(
+      newName,
+      updateIni(text, { AvdId: newName, "avd.ini.displayname": newName })
+    );
+
+    await this.launchOptions.set(newName, this.launchOptions.get(name));
+
+    return { message: `AVD ${name} cloned to ${newName}`, name: newName };
+  }
+
+  async delete(name) {
+    await this.requireAvd(name);
+    this.requireStopped(name, "deleting it");
+
+    await this.driver.deleteAvd(name);
+    await this.launchOptions.clear(name);
+    return { message: `AVD ${name} deleted` };
+  }
+
+  async validateCreate(options) {
+    const {
+      name,
+      device,
+      systemImage,
+      ramSize,
+      storage,
+      locale,
+      launchOptions = {},
+    } = options;
+    const fields = {};
+
+    const [names, profiles] = await Promise.all([
+      this.driver.listAvds(),
+      this.listDeviceProfiles(),
+    ]);
+
+    if (typeof name !== "string" || !name) {
+      fields.name = "Name is required";
+    } else if (!AVD_NAME.test(name)) {
+      fields.name = "Use only letters, digits, dots, dashes and underscores";
+    } else if (names.includes(name)) {
+      fields.name = `AVD ${name} already exists`;
+    }
+
+    const profile = profiles.find((entry) => entry.id === device);
+    if (!device) {
+      fields.device = "Device profile is required";
+    } else if (!profile) {
+      fields.device = `Unknown device profile ${device}`;
+    }
+
+    const image = systemImage
+      ? await this.systemImages.getImage(systemImage)
+      : null;
+    const hostAbis = HOST_ABIS[process.arch];
+    if (!systemImage) {
+      fields.systemImage = "System image is required";
+    } else if (!image) {
+      fields.systemImage = `Unknown system image ${systemImage}`;
+    } else if (!image.installed) {
+      fields.systemImage = `System image ${systemImage} is not installed`;
+    } else if (hostAbis && !hostAbis.includes(image.abi)) {
+      fields.systemImage = `${image.abi} images can't run on this ${process.arch} host`;
+    } else if (profile && formFactorOf(image.tag) !== profile.formFactor) {
+      fields.systemImage = `${formFactorOf(
+        image.tag
+      )} images can't run on the ${profile.name} profile`;
+    }
+
+    const hardware = this.checkSettings({ ramSize, storage });
+    Object.assign(fields, hardware.fields);
+
+    let normalizedLaunchOptions = null;
+    try {
+      normalizedLaunchOptions = this.launchOptions.validate({
+        ...launchOptions,
+        ...(locale !== undefined ? { locale } : {}),
+      });
+    } catch (error) {
+      if (!(error instanceof ValidationError)) {
+        throw error;
+      }
+      Object.entries(error.fields).forEach(([field, message]) => {
+        fields[field === "launchOptions.locale" ? "locale" : field] = message;
+      });
+    }
+
+    if (Object.keys(fields).length > 0) {
+      throw new ValidationError(fields);
+    }
+
+    return {
+      changes: hardware.changes,
+      launchOptions: normalizedLaunchOptions,
+    };
+  }
+
+  async create(options = {}) {
+    const { name, device, systemImage } = options;
+    const { changes, launchOptions } = await this.validateCreate(options);
+
+    try {
+      const output = await this.driver.createAvd(name, { systemImage, device });
+      console.log(`Emulator created successfully: ${output}`);
+    } catch (error) {
+      throw new Error(`Failed to create emulator: ${error.message}`);
+    }
+
+    if (Object.keys(changes).length > 0) {
+      const text = await this.driver.readAvdConfig(name);
+      await this.driver.writeAvdConfig(name, updateIni(text, changes));
+    }
+    await this.launchOptions.set(name, launchOptions);
+
+    return {
+      message: `Emulator '${name}' created successfully`,
+      name,
+      device,
+      systemImage,
+      launchOptions,
+    };
+  }
+}
+
+module.exports = AvdService;
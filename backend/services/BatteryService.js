@@ -0,0 +1,309 @@
+const ValidationError = require("./ValidationError");
+
+const CHARGING = ["ac", "usb", "none"];
+const HEALTH = [
+  "unknown",
+  "good",
+  "overheat",
+  "dead",
+  "overvoltage",
+  "failure",
+];
+// BatteryManager.BATTERY_STATUS_CHARGING and BATTERY_STATUS_DISCHARGING
+const BATTERY_STATUS_CHARGING = 2;
+const BATTERY_STATUS_DISCHARGING = 3;
+// A drain can't go faster than one percent per this many ms
+const MIN_DRAIN_STEP = 1000;
+
+// What a freshly booted emulator reports: full and on AC power
+const DEFAULT_BATTERY = {
+  level: 100,
+  charging: "ac",
+  health: "good",
+  powerSave: false,
+};
+
+// Battery level, charger, health and power-save mode for a running
+// emulator. The console drives the emulator's virtual battery; the charger
+// type and unplugging go through `dumpsys battery`, which only the
+// framework sees. A drain lowers the level one percent at a time until it
+// reaches its target; when a step fails, the drain stops and `drainError`
+// says why. Every change is broadcast as "emulator-battery-changed".
+class BatteryService {
+  constructor(io, registry, consoles, adb) {
+    this.io = io;
+    this.registry = registry;
+    this.consoles = consoles;
+    this.adb = adb;
+    this.timers = new Map();
+
+    registry.on("registered", (device) => {
+      device.battery = { ...DEFAULT_BATTERY, drain: null, drainError: null };
+    });
+
+    registry.on("status-changed", ({ name, status }) => {
+      if (status === "stopping" || status === "stopped") {
+        clearTimeout(this.timers.get(name));
+        this.timers.delete(name);
+      }
+    });
+  }
+
+  get(emulatorName) {
+    const device = this.consoles.requireRunningDevice(emulatorName);
+    return { ...device.battery };
+  }
+
+  emitChange(emulatorName) {
+    if (this.io) {
+      this.io.emit("emulator-battery-changed", {
+        id: emulatorName,
+        name: emulatorName,
+        battery: this.get(emulatorName),
+      });
+    }
+  }
+
+  checkState(state) {
+    const fields = {};
+    Object.keys(state).forEach((field) => {
+      if (!(field in DEFAULT_BATTERY)) {
+        fields[field] = `Unknown battery setting ${field}`;
+      }
+    });
+    if (
+      state.level !== undefined &&
+      (!Number.isInteger(state.level) || state.level < 0 || state.level > 100)
+    ) {
+      fields.level = "Must be a whole number from 0 to 100";
+    }
+    if (state.charging !== undefined && !CHARGING.includes(state.charging)) {
+      fields.charging = `Must be one of: ${CHARGING.join(", ")}`;
+    }
+    if (state.health !== undefined && !HEALTH.includes(state.health)) {
+      fields.health = `Must be one of: ${HEALTH.join(", ")}`;
+    }
+    if (state.powerSave !== undefined && typeof state.powerSave !== "boolean") {
+      fields.powerSave = "Must be true or false";
+    }
+    return fields;
+  }
+
+  async shell(device, command) {
+    return this.adb.shell(device.serial, command);
+  }
+
+  async applyCharging(device, charging) {
+    const name = device.name;
+    if (charging === "none") {
+      await this.consoles.command(name, "power ac off");
+      await this.consoles.command(name, "power status discharging");
+      await this.shell(
+        device,
+        "dumpsys battery unplug && " +
+          `dumpsys battery set status ${BATTERY_STATUS_DISCHARGING}`
+      );
+      return;
+    }
+
+    await this.consoles.command(
+      name,
+      `power ac ${charging === "ac" ? "on" : "off"}`
+    );
+    await this.consoles.command(name, "power status charging");
+    await this.shell(
+      device,
+      `dumpsys battery set ac ${charging === "ac" ? 1 : 0} && ` +
+        `dumpsys battery set usb ${charging === "usb" ? 1 : 0} && ` +
+        `dumpsys battery set status ${BATTERY_STATUS_CHARGING}`
+    );
+  }
+
+  async applyLevel(device, level) {
+    await this.consoles.command(device.name, `power capacity ${level}`);
+    // Once `dumpsys battery set` was used the framework stops listening to
+    // the emulator until a reset, so it gets the level too
+    await this.shell(device, `dumpsys battery set level ${level}`);
+    device.battery.level = level;
+  }
+
+  // Applies any of level, charging, health and powerSave. Setting the
+  // level or plugging in a charger ends a running drain.
+  async update(emulatorName, state = {}) {
+    const device = this.consoles.requireRunningDevice(emulatorName);
+    const fields = this.checkState(state);
+    if (Object.keys(fields).length > 0) {
+      throw new ValidationError(fields);
+    }
+
+    if (
+      state.level !== undefined ||
+      (state.charging !== undefined && state.charging !== "none")
+    ) {
+      this.stopDrainTimer(device);
+    }
+
+    const { battery } = device;
+    if (state.charging !== undefined && state.charging !== battery.charging) {
+      await this.applyCharging(device, state.charging);
+      battery.charging = state.charging;
+    }
+    if (state.level !== undefined && state.level !== battery.level) {
+      await this.applyLevel(device, state.level);
+    }
+    if (state.health !== undefined && state.health !== battery.health) {
+      await this.consoles.command(emulatorName, `power health ${state.health}`);
+      battery.health = state.health;
+    }
+    if (
+      state.powerSave !== undefined &&
+      state.powerSave !== battery.powerSave
+    ) {
+      await this.shell(
+        device,
+        `settings put global low_power ${state.powerSave ? 1 : 0}`
+      );
+      battery.powerSave = state.powerSave;
+    }
+
+    this.emitChange(emulatorName);
+    return this.get(emulatorName);
+  }
+
+  // Back to a full battery on AC power, handing the battery back to the
+  // emulator
+  async reset(emulatorName) {
+    const device = this.consoles.requireRunningDevice(emulatorName);
+    this.stopDrainTimer(device);
+
+    await this.shell(device, "dumpsys battery reset");
+    await this.consoles.command(emulatorName, "power ac on");
+    await this.consoles.command(emulatorName, "power status charging");
+    await this.consoles.command(
+      emulatorName,
+      `power capacity ${DEFAULT_BATTERY.level}`
+    );
+    await this.consoles.command(
+      emulatorName,
+      `power health ${DEFAULT_BATTERY.health}`
+    );
+    if (device.battery.powerSave) {
+      await this.shell(device, "settings put global low_power 0");
+    }
+    device.battery = { ...DEFAULT_BATTERY, drain: null, drainError: null };
+
+    this.emitChange(emulatorName);
+    return this.get(emulatorName);
+  }
+
+  // Unplugs the device and lowers the level to `to` over `duration` ms, one
+  // percent per step
+  async drain(emulatorName, { to = 5, duration } = {}) {
+    const device = this.consoles.requireRunningDevice(emulatorName);
+    const { level } = device.battery;
+    const fields = {};
+    if (!Number.isInteger(to) || to < 0 || to >= level) {
+      fields.to = `Must be a whole number below the current level (${level})`;
+    }
+    if (!Number.isInteger(duration)) {
+      fields.duration = "Must be a whole number of ms";
+    } else if (!fields.to && duration < (level - to) * MIN_DRAIN_STEP) {
+      fields.duration = `Must be at least ${
+        (level - to) * MIN_DRAIN_STEP
+      } ms to drain ${level - to}%`;
+    }
+    if (Object.keys(fields).length > 0) {
+      throw new ValidationError(fields);
+    }
+
+    this.stopDrainTimer(device);
+    if (device.battery.charging !== "none") {
+      await this.applyCharging(device, "none");
+      device.battery.charging = "none";
+    }
+
+    const startedAt = new Date();
+    device.battery.drain = {
+      from: level,
+      to,
+      duration,
+      step: Math.floor(duration / (level - to)),
+      startedAt,
+      endsAt: new Date(startedAt.getTime() + duration),
+    };
+    this.schedule(device);
+
+    this.emitChange(emulatorName);
+    return this.get(emulatorName);
+  }
+
+  schedule(device) {
+    const { drain } = device.battery;
+
+    this.timers.set(
+      device.name,
+      setTimeout(async () => {
+        // The drain was stopped or replaced meanwhile, or the emulator is
+        // going away
+        if (
+          device.battery.drain !== drain ||
+          !this.consoles.isRunning(device)
+        ) {
+          return;
+        }
+
+        const level = device.battery.level - 1;
+        try {
+          await this.applyLevel(device, level);
+        } catch (error) {
+          console.error(
+            `Battery drain on ${device.name} failed:`,
+            error.message
+          );
+          if (device.battery.drain === drain) {
+            this.stopDrainTimer(device);
+            device.battery.drainError = `Draining stopped at ${device.battery.level}%: ${error.message}`;
+            if (this.consoles.isRunning(device)) {
+              this.emitChange(device.name);
+            }
+          }
+          return;
+        }
+        if (
+          device.battery.drain !== drain ||
+          !this.consoles.isRunning(device)
+        ) {
+          return;
+        }
+        if (device.battery.level <= drain.to) {
+          device.battery.drain = null;
+          this.timers.delete(device.name);
+        } else {
+          this.schedule(device);
+        }
+        this.emitChange(device.name);
+      }, drain.step)
+    );
+  }
+
+  stopDrainTimer(device) {
+    clearTimeout(this.timers.get(device.name));
+    this.timers.delete(device.name);
+    device.battery.drain = null;
+    device.battery.drainError = null;
+  }
+
+  // Leaves the level where the drain got to
+  async stopDrain(emulatorName) {
+    const device = this.consoles.requireRunningDevice(emulatorName);
+    this.stopDrainTimer(device);
+
+    this.emitChange(emulatorName);
+    return this.get(emulatorName);
+  }
+}
+
+BatteryService.CHARGING = CHARGING;
+BatteryService.HEALTH = HEALTH;
+
+module.exports = BatteryService;
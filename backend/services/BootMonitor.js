@@ -0,0 +1,223 @@
+const crypto = require("crypto");
+
+const BOOT_STAGES = [
+  { id: "process-spawned", label: "Emulator process spawned" },
+  { id: "adb-online", label: "ADB device online" },
+  { id: "dev-bootcomplete", label: "dev.bootcomplete set" },
+  { id: "sys-boot-completed", label: "sys.boot_completed set" },
+  { id: "launcher-ready", label: "Launcher ready" },
+];
+
+const POLL_INTERVAL = 1000;
+const DEFAULT_BOOT_TIMEOUT = parseInt(process.env.BOOT_TIMEOUT) || 120000;
+// Finished jobs stay queryable for a while after they settle
+const FINISHED_JOB_TTL = 10 * 60 * 1000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Follows an emulator through its boot stages as a job, pushing every stage
+// to the dashboards as an "emulator-boot-progress" event.
+class BootMonitor {
+  constructor(io, registry, adb) {
+    this.io = io;
+    this.registry = registry;
+    this.adb = adb;
+    this.jobs = new Map();
+    this.waiters = new Map();
+
+    this.checks = {
+      "adb-online": (serial) => this.adb.isOnline(serial),
+      "dev-bootcomplete": (serial) => this.getprop(serial, "dev.bootcomplete"),
+      "sys-boot-completed": (serial) =>
+        this.getprop(serial, "sys.boot_completed"),
+      "launcher-ready": (serial) => this.isLauncherRunning(serial),
+    };
+  }
+
+  static get defaultTimeout() {
+    return DEFAULT_BOOT_TIMEOUT;
+  }
+
+  async getprop(serial, name) {
+    return (await this.adb.shell(serial, `getprop ${name}`)).trim() === "1";
+  }
+
+  async isLauncherRunning(serial) {
+    const resolved = await this.adb.shell(
+      serial,
+      "cmd package resolve-activity --brief -a android.intent.action.MAIN -c android.intent.category.HOME"
+    );
+    const component = resolved.trim().split("\n").pop().trim();
+    if (!component.includes("/")) {
+      return false;
+    }
+
+    const pid = await this.adb.shell(
+      serial,
+      `pidof ${component.split("/")[0]}`
+    );
+    return pid.trim().length > 0;
+  }
+
+  start(device, { timeout = DEFAULT_BOOT_TIMEOUT, onTimeout } = {}) {
+    const job = {
+      id: crypto.randomUUID(),
+      name: device.name,
+      serial: device.serial,
+      status: "booting",
+      timeout,
+      startedAt: new Date(),
+      finishedAt: null,
+      error: null,
+      stages: [],
+      currentStage: BOOT_STAGES[0].id,
+      progress: 0,
+      totalStages: BOOT_STAGES.length,
+    };
+
+    this.jobs.set(job.id, job);
+    this.waiters.set(
+      job.id,
+      new Promise((resolve, reject) => {
+        job.settle = { resolve, reject };
+      })
+    );
+    // Nobody has to wait on a job, so an unobserved failure is fine
+    this.waiters.get(job.id).catch(() => {});
+
+    this.completeStage(job, BOOT_STAGES[0]);
+    this.poll(job, device, onTimeout);
+
+    return this.describe(job);
+  }
+
+  get(jobId) {
+    const job = this.jobs.get(jobId);
+    return job ? this.describe(job) : null;
+  }
+
+  latestFor(emulatorName) {
+    const jobs = Array.from(this.jobs.values()).filter(
+      (job) => job.name === emulatorName
+    );
+    return jobs.length ? this.describe(jobs[jobs.length - 1]) : null;
+  }
+
+  activeFor(emulatorName) {
+    const job = this.latestFor(emulatorName);
+    return job && job.status === "booting" ? job : null;
+  }
+
+  async wait(jobId) {
+    const waiter = this.waiters.get(jobId);
+    if (!waiter) {
+      throw new Error(`Boot job ${jobId} not found`);
+    }
+    await waiter;
+    return this.get(jobId);
+  }
+
+  describe(job) {
+    const { settle, ...rest } = job;
+    return { ...rest, stages: job.stages.slice() };
+  }
+
+  emitProgress(job) {
+    if (this.io) {
+      this.io.emit("emulator-boot-progress", this.describe(job));
+    }
+  }
+
+  completeStage(job, stage) {
+    const now = new Date();
+    job.stages.push({
+      id: stage.id,
+      label: stage.label,
+      timestamp: now,
+      elapsed: now - job.startedAt,
+    });
+
+    const next = BOOT_STAGES[job.stages.length];
+    job.currentStage = next ? next.id : null;
+    job.progress = Math.round((job.stages.length / BOOT_STAGES.length) * 100);
+    this.emitProgress(job);
+  }
+
+  finish(job, error = null) {
+    job.status = error ? "failed" : "completed";
+    job.error = error ? error.message : null;
+    job.finishedAt = new Date();
+    this.emitProgress(job);
+
+    if (error) {
+      job.settle.reject(error);
+    } else {
+      job.settle.resolve();
+    }
+
+    setTimeout(() => {
+      this.jobs.delete(job.id);
+      this.waiters.delete(job.id);
+    }, FINISHED_JOB_TTL).unref();
+  }
+
+  async poll(job, device, onTimeout) {
+    while (job.status === "booting") {
+      // The registry entry goes away when the process exits
+      if (this.registry.get(job.name) !== device) {
+        this.finish(job, new Error(`Emulator ${job.name} exited during boot`));
+        return;
+      }
+
+      await this.advance(job);
+
+      if (job.stages.length === BOOT_STAGES.length) {
+        this.registry.setStatus(job.name, "running");
+        this.finish(job);
+        return;
+      }
+
+      if (Date.now() - job.startedAt.getTime() > job.timeout) {
+        const waitingFor = BOOT_STAGES[job.stages.length].label;
+        this.finish(
+          job,
+          new Error(
+            `Emulator boot timed out after ${Math.round(
+              job.timeout / 1000
+            )}s waiting for: ${waitingFor}`
+          )
+        );
+        if (onTimeout) {
+          onTimeout(job);
+        }
+        return;
+      }
+
+      await sleep(POLL_INTERVAL);
+    }
+  }
+
+  // Completes as many consecutive stages as are already satisfied
+  async advance(job) {
+    for (;;) {
+      const stage = BOOT_STAGES[job.stages.length];
+      if (!stage) {
+        return;
+      }
+
+      // The device is not visible to adb for the first few seconds
+      const reached = await this.checks[stage.id](job.serial).catch(
+        () => false
+      );
+      if (!reached) {
+        return;
+      }
+
+      this.completeStage(job, stage);
+    }
+  }
+}
+
+BootMonitor.STAGES = BOOT_STAGES;
+
+module.exports = BootMonitor;
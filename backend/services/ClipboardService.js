@@ -0,0 +1,117 @@
+const AdbClient = require("./AdbClient");
+const DeviceRegistry = require("./DeviceRegistry");
+const ValidationError = require("./ValidationError");
+
+// adbd rejects longer shell command lines on older images
+const MAX_TEXT_BYTES = 4000;
+// `cmd clipboard` arrived in Android 13. The emulator console has no
+// clipboard command to fall back on, and this server doesn't use gRPC.
+const MIN_API_LEVEL = 33;
+// What `cmd` prints when the image has no clipboard shell command
+const UNSUPPORTED = /Can't find service|Unknown command|No shell command/;
+
+// Copies text between the browser and a running emulator's clipboard with
+// `cmd clipboard`, which needs Android 13 (API 33) or newer; older images
+// get a ValidationError saying so. Changes either way are sent to
+// the emulator's viewers as "emulator-clipboard-changed".
+class ClipboardService {
+  constructor(io, registry, consoles, adb) {
+    this.io = io;
+    this.consoles = consoles;
+    this.adb = adb;
+    // Last clipboard text seen on each device
+    this.known = new Map();
+    // API level of each running device, read on first use
+    this.apiLevels = new Map();
+
+    registry.on("status-changed", ({ name, status }) => {
+      if (status === "stopped") {
+        this.known.delete(name);
+        this.apiLevels.delete(name);
+      }
+    });
+  }
+
+  unsupported(device) {
+    return new ValidationError({
+      clipboard: `Clipboard sharing needs Android 13 (API ${MIN_API_LEVEL}) or newer, and ${device.name} runs an older image`,
+    });
+  }
+
+  async requireSupport(device) {
+    if (!this.apiLevels.has(device.name)) {
+      const sdk = await this.adb.shell(
+        device.serial,
+        "getprop ro.build.version.sdk"
+      );
+      this.apiLevels.set(device.name, parseInt(sdk.trim(), 10));
+    }
+    // An unreadable level is left to the command itself to report
+    if (this.apiLevels.get(device.name) < MIN_API_LEVEL) {
+      throw this.unsupported(device);
+    }
+  }
+
+  async clipboardCommand(device, command) {
+    await this.requireSupport(device);
+    // exec skips the pty, which would turn newlines in the text into \r\n
+    const output = (await this.adb.exec(device.serial, command)).toString(
+      "utf8"
+    );
+    if (UNSUPPORTED.test(output)) {
+      throw this.unsupported(device);
+    }
+    return output;
+  }
+
+  emitChange(emulatorName, text, source) {
+    this.known.set(emulatorName, text);
+    if (this.io) {
+      this.io
+        .to(DeviceRegistry.room(emulatorName))
+        .emit("emulator-clipboard-changed", {
+          id: emulatorName,
+          name: emulatorName,
+          text,
+          source,
+        });
+    }
+  }
+
+  // The device clipboard; text is null when nothing was copied yet
+  async read(emulatorName) {
+    const device = this.consoles.requireRunningDevice(emulatorName);
+    const output = await this.clipboardCommand(
+      device,
+      "cmd clipboard get-primary-clip"
+    );
+    const clip = output.replace(/\n$/, "");
+    const text = clip === "null" ? null : clip;
+
+    if (text !== (this.known.get(emulatorName) ?? null)) {
+      this.emitChange(emulatorName, text, "device");
+    }
+    return { text };
+  }
+
+  async write(emulatorName, text) {
+    const device = this.consoles.requireRunningDevice(emulatorName);
+    if (typeof text !== "string") {
+      throw new ValidationError({ text: "Clipboard text is required" });
+    }
+    if (Buffer.byteLength(text) > MAX_TEXT_BYTES) {
+      throw new ValidationError({
+        text: `Clipboard text is limited to ${MAX_TEXT_BYTES} bytes`,
+      });
+    }
+
+    await this.clipboardCommand(
+      device,
+      `cmd clipboard set-primary-clip ${AdbClient.quote(text)}`
+    );
+    this.emitChange(emulatorName, text, "browser");
+    return { text };
+  }
+}
+
+module.exports = ClipboardService;
@@ -0,0 +1,83 @@
+const EmulatorConsole = require("./EmulatorConsole");
+
+// One authenticated console connection per running emulator, shared by the
+// services that drive the emulator console. Connections are opened on first
+// use and dropped when the emulator stops.
+class ConsoleConnections {
+  constructor(registry, driver) {
+    this.registry = registry;
+    this.driver = driver;
+    this.consoles = new Map();
+
+    registry.on("status-changed", ({ name, status }) => {
+      if (status === "stopped" || status === "stopping") {
+        this.disconnect(name);
+      }
+    });
+  }
+
+  requireRunningDevice(emulatorName) {
+    const device = this.registry.get(emulatorName);
+    if (
+      !device ||
+      device.status === "stopping" ||
+      device.status === "starting"
+    ) {
+      throw new Error(`Emulator ${emulatorName} must be running`);
+    }
+    return device;
+  }
+
+  // Whether `device` is still the registered, running instance. Timers that
+  // outlive a request check this before touching the emulator again, since
+  // requireRunningDevice throws once it is stopping.
+  isRunning(device) {
+    return (
+      this.registry.get(device.name) === device &&
+      device.status !== "stopping" &&
+      device.status !== "starting"
+    );
+  }
+
+  // The open console for the emulator, connecting on first use
+  get(emulatorName) {
+    const device = this.requireRunningDevice(emulatorName);
+    const entry = this.consoles.get(emulatorName);
+    if (entry && entry.device === device) {
+      return entry.client;
+    }
+    this.disconnect(emulatorName);
+
+    const client = EmulatorConsole.connect(this.driver, device.consolePort);
+    this.consoles.set(emulatorName, { device, client });
+    client.then(
+      (connection) =>
+        connection.on("close", () => {
+          if (this.consoles.get(emulatorName)?.client === client) {
+            this.consoles.delete(emulatorName);
+          }
+        }),
+      () => this.consoles.delete(emulatorName)
+    );
+    return client;
+  }
+
+  disconnect(emulatorName) {
+    const entry = this.consoles.get(emulatorName);
+    if (!entry) {
+      return;
+    }
+    this.consoles.delete(emulatorName);
+    entry.client.then(
+      (connection) => connection.close(),
+      () => {}
+    );
+  }
+
+  async command(emulatorName, text) {
+    const client = await this.get(emulatorName);
+    return client.command(text);
+  }
+}
+
+module.exports = ConsoleConnections;
@@ -0,0 +1,121 @@
+const DeviceRegistry = require("./DeviceRegistry");
+
+// Full resync in case a device change event was missed
+const RECONCILE_INTERVAL = 15000;
+
+// Keeps the registry in line with the emulators adb can actually see, so
+// running emulators survive a backend restart and emulators started or
+// stopped outside the dashboard show up there too.
+class DeviceReconciler {
+  constructor(registry, driver) {
+    this.registry = registry;
+    this.driver = driver;
+    this.adb = driver.adb;
+    this.pending = new Set();
+    this.interval = null;
+
+    this.onDevices = (devices) => {
+      this.reconcile(devices).catch((error) => {
+        console.error("Device reconciliation failed:", error.message);
+      });
+    };
+  }
+
+  async start() {
+    this.adb.on("devices", this.onDevices);
+    this.interval = setInterval(() => this.refresh(), RECONCILE_INTERVAL);
+    await this.refresh();
+  }
+
+  stop() {
+    this.adb.removeListener("devices", this.onDevices);
+    clearInterval(this.interval);
+  }
+
+  async refresh() {
+    try {
+      await this.reconcile(await this.adb.listDevices());
+    } catch (error) {
+      console.error("Device reconciliation failed:", error.message);
+    }
+  }
+
+  async reconcile(devices) {
+    const emulators = devices.filter(
+      (device) => DeviceRegistry.portForSerial(device.serial) !== null
+    );
+    const present = new Set(emulators.map((device) => device.serial));
+
+    // Anything we track that adb no longer lists has gone away. Emulators we
+    // launched ourselves are not visible to adb until partway through boot.
+    this.registry.list().forEach((device) => {
+      const launching = !device.adopted && device.status === "starting";
+      if (
+        present.has(device.serial) ||
+        launching ||
+        device.status === "stopping"
+      ) {
+        return;
+      }
+
+      console.log(`Emulator ${device.name} (${device.serial}) disappeared`);
+      this.registry.remove(device.name);
+    });
+
+    await Promise.all(
+      emulators
+        .filter((device) => device.state === "device")
+        .map((device) => this.adopt(device.serial))
+    );
+
+    // Adopted emulators that were still booting when we found them
+    await Promise.all(
+      this.registry
+        .list()
+        .filter((device) => device.adopted && device.status === "starting")
+        .map(async (device) => {
+          if (await this.isBooted(device.serial)) {
+            this.registry.setStatus(device.name, "running");
+          }
+        })
+    );
+  }
+
+  async adopt(serial) {
+    if (this.registry.getBySerial(serial) || this.pending.has(serial)) {
+      return;
+    }
+
+    this.pending.add(serial);
+
+    try {
+      const name = (await this.driver.emu(serial, "avd name")).trim();
+      if (!name || this.registry.has(name)) {
+        return;
+      }
+
+      const booted = await this.isBooted(serial);
+      console.log(`Adopting running emulator ${name} (${serial})`);
+
+      this.registry.register(name, {
+        consolePort: DeviceRegistry.portForSerial(serial),
+        status: booted ? "running" : "starting",
+        adopted: true,
+      });
+    } catch (error) {
+      // Retried on the next device change or periodic refresh
+      console.error(`Could not identify emulator ${serial}: ${error.message}`);
+    } finally {
+      this.pending.delete(serial);
+    }
+  }
+
+  async isBooted(serial) {
+    const output = await this.adb
+      .shell(serial, "getprop sys.boot_completed")
+      .catch(() => "");
+    return output.trim() === "1";
+  }
+}
+
+module.exports = DeviceReconciler;
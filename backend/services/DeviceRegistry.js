@@ -0,0 +1,162 @@
+const { EventEmitter } = require("events");
+
+// The emulator binds its console to an even port and adb to the next odd
+// one. adb only auto-discovers consoles in this range.
+const FIRST_CONSOLE_PORT = 5554;
+const LAST_CONSOLE_PORT = 5682;
+// Lines of emulator stdout/stderr kept for crash reports
+const OUTPUT_LINES = 100;
+
+// Tracks running emulators by AVD name. Emits "registered" with each new
+// entry and "status-changed" whenever one is added, changes status or goes
+// away.
+class DeviceRegistry extends EventEmitter {
+  constructor() {
+    super();
+    this.devices = new Map();
+  }
+
+  static serialForPort(consolePort) {
+    return `emulator-${consolePort}`;
+  }
+
+  static portForSerial(serial) {
+    const match = /^emulator-(\d+)$/.exec(serial);
+    return match ? parseInt(match[1]) : null;
+  }
+
+  // Socket.IO room of the dashboards viewing an emulator
+  static room(emulatorName) {
+    return `emulator:${emulatorName}`;
+  }
+
+  allocatePort(reservedSerials = []) {
+    const usedPorts = new Set(
+      reservedSerials.map((serial) => DeviceRegistry.portForSerial(serial))
+    );
+    this.devices.forEach((device) => usedPorts.add(device.consolePort));
+
+    for (let port = FIRST_CONSOLE_PORT; port <= LAST_CONSOLE_PORT; port += 2) {
+      if (!usedPorts.has(port)) {
+        return port;
+      }
+    }
+
+    throw new Error("No free emulator console ports available");
+  }
+
+  register(
+    emulatorName,
+    {
+      consolePort,
+      process = null,
+      status = "starting",
+      adopted = false,
+      snapshot = null,
+      launch = null,
+    }
+  ) {
+    if (this.devices.has(emulatorName)) {
+      throw new Error(`Emulator ${emulatorName} is already registered`);
+    }
+
+    const device = {
+      name: emulatorName,
+      consolePort,
+      adbPort: consolePort + 1,
+      serial: DeviceRegistry.serialForPort(consolePort),
+      process,
+      startTime: new Date(),
+      status,
+      // Adopted emulators were already running when the backend found them
+      adopted,
+      // Snapshot the emulator was started from, if any
+      snapshot,
+      // Launch profile, options and command line it was started with
+      launch,
+      output: [],
+      lastInputAt: null,
+    };
+
+    this.devices.set(emulatorName, device);
+    this.emit("registered", device);
+    this.emit("status-changed", this.toStatus(device));
+    return device;
+  }
+
+  setStatus(emulatorName, status) {
+    const device = this.devices.get(emulatorName);
+    if (!device || device.status === status) {
+      return;
+    }
+    device.status = status;
+    this.emit("status-changed", this.toStatus(device));
+  }
+
+  recordOutput(device, stream, chunk) {
+    String(chunk)
+      .split("\n")
+      .map((line) => line.trimEnd())
+      .filter((line) => line)
+      .forEach((line) => {
+        device.output.push({ stream, line, time: new Date() });
+      });
+
+    if (device.output.length > OUTPUT_LINES) {
+      device.output.splice(0, device.output.length - OUTPUT_LINES);
+    }
+  }
+
+  toStatus(device) {
+    return {
+      id: device.name,
+      name: device.name,
+      status: device.status,
+      serial: device.serial,
+      consolePort: device.consolePort,
+    };
+  }
+
+  has(emulatorName) {
+    return this.devices.has(emulatorName);
+  }
+
+  get(emulatorName) {
+    return this.devices.get(emulatorName) || null;
+  }
+
+  getBySerial(serial) {
+    for (const device of this.devices.values()) {
+      if (device.serial === serial) {
+        return device;
+      }
+    }
+    return null;
+  }
+
+  getSerial(emulatorName) {
+    const device = this.devices.get(emulatorName);
+    if (!device) {
+      throw new Error("Emulator not running");
+    }
+    return device.serial;
+  }
+
+  remove(emulatorName) {
+    if (!this.devices.delete(emulatorName)) {
+      return false;
+    }
+    this.emit("status-changed", {
+      id: emulatorName,
+      name: emulatorName,
+      status: "stopped",
+    });
+    return true;
+  }
+
+  list() {
+    return Array.from(this.devices.values());
+  }
+}
+
+module.exports = DeviceRegistry;
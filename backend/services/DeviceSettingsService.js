@@ -0,0 +1,325 @@
+const AdbClient = require("./AdbClient");
+const DeviceRegistry = require("./DeviceRegistry");
+const ValidationError = require("./ValidationError");
+
+const TALKBACK_PACKAGE = "com.google.android.marvin.talkback";
+const TALKBACK_SERVICE = `${TALKBACK_PACKAGE}/${TALKBACK_PACKAGE}.TalkBackService`;
+// The choices the developer options offer
+const ANIMATION_SCALES = [0, 0.5, 1, 1.5, 2, 5, 10];
+const DARK_MODES = { off: "no", on: "yes", auto: "auto" };
+const TIME_FORMATS = ["12", "24"];
+// "fr-FR", "ar-EG", "zh-Hant-TW"
+const LOCALE = /^[a-z]{2,3}(-[A-Z][a-z]{3})?(-([A-Z]{2}|\d{3}))?$/;
+const DISPLAY_SIZE = /^\d{3,4}x\d{3,4}$/;
+// How long the framework gets to come back after a locale change
+const FRAMEWORK_RESTART_TIMEOUT = 60000;
+const POLL_INTERVAL = 1000;
+
+const quote = AdbClient.quote;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const LOCALE_RESTART_WARNING =
+  "Changing the locale restarted the Android framework, which closed every running app";
+
+// `wm size` and `wm density` print the physical value, then the override
+// when there is one
+function override(output) {
+  const match = output.match(/Override \w+: (\S+)/);
+  return match ? match[1] : null;
+}
+
+// Settings that were never written read as "null"
+function numberSetting(output, defaultValue) {
+  return output === "null" || output === "" ? defaultValue : Number(output);
+}
+
+// Waits for a new system_server whose services are up again, so settings
+// aren't read back from a framework that is still going down or starting
+async function waitForFramework(shell, previousPid) {
+  const deadline = Date.now() + FRAMEWORK_RESTART_TIMEOUT;
+  while (Date.now() < deadline) {
+    await sleep(POLL_INTERVAL);
+    const pid = await shell("pidof system_server").catch(() => "");
+    if (pid && pid !== previousPid) {
+      const services = await Promise.all(
+        ["activity", "package", "settings"].map((name) =>
+          shell(`service check ${name}`).catch(() => "")
+        )
+      );
+      if (services.every((output) => output.endsWith(": found"))) {
+        return;
+      }
+    }
+  }
+  throw new Error(
+    `The Android framework didn't come back within ${
+      FRAMEWORK_RESTART_TIMEOUT / 1000
+    }s of the locale change`
+  );
+}
+
+function systemToggle(key) {
+  return {
+    read: async (shell) => (await shell(`settings get system ${key}`)) === "1",
+    write: (shell, on) => shell(`settings put system ${key} ${on ? 1 : 0}`),
+    check: (on) => (typeof on === "boolean" ? null : "Must be true or false"),
+    defaultValue: false,
+  };
+}
+
+function animationScale(key) {
+  return {
+    read: async (shell) =>
+      numberSetting(await shell(`settings get global ${key}`), 1),
+    write: (shell, scale) => shell(`settings put global ${key} ${scale}`),
+    check: (scale) =>
+      ANIMATION_SCALES.includes(scale)
+        ? null
+        : `Must be one of: ${ANIMATION_SCALES.join(", ")}`,
+    defaultValue: 1,
+  };
+}
+
+// How each setting is read, written and checked, and its value on a fresh
+// device. The locale goes last since changing it restarts the framework.
+const SETTINGS = {
+  darkMode: {
+    read: async (shell) => {
+      const mode = (await shell("cmd uimode night")).match(/Night mode: (\w+)/);
+      return (
+        Object.keys(DARK_MODES).find(
+          (name) => mode && DARK_MODES[name] === mode[1]
+        ) || "off"
+      );
+    },
+    write: (shell, mode) => shell(`cmd uimode night ${DARK_MODES[mode]}`),
+    check: (mode) =>
+      Object.keys(DARK_MODES).includes(mode)
+        ? null
+        : `Must be one of: ${Object.keys(DARK_MODES).join(", ")}`,
+    defaultValue: "off",
+  },
+  fontScale: {
+    read: async (shell) =>
+      numberSetting(await shell("settings get system font_scale"), 1),
+    write: (shell, scale) => shell(`settings put system font_scale ${scale}`),
+    check: (scale) =>
+      typeof scale === "number" && scale >= 0.5 && scale <= 2
+        ? null
+        : "Must be a number from 0.5 to 2",
+    defaultValue: 1,
+  },
+  displaySize: {
+    read: async (shell) => override(await shell("wm size")),
+    write: (shell, size) => shell(`wm size ${size || "reset"}`),
+    check: (size) =>
+      size === null || DISPLAY_SIZE.test(size)
+        ? null
+        : "Must be WIDTHxHEIGHT in pixels, or null for the physical size",
+    defaultValue: null,
+  },
+  density: {
+    read: async (shell) => {
+      const density = override(await shell("wm density"));
+      return density ? Number(density) : null;
+    },
+    write: (shell, density) => shell(`wm density ${density || "reset"}`),
+    check: (density) =>
+      density === null ||
+      (Number.isInteger(density) && density >= 100 && density <= 800)
+        ? null
+        : "Must be a dpi from 100 to 800, or null for the physical density",
+    defaultValue: null,
+  },
+  windowAnimationScale: animationScale("window_animation_scale"),
+  transitionAnimationScale: animationScale("transition_animation_scale"),
+  animatorDurationScale: animationScale("animator_duration_scale"),
+  timeFormat: {
+    read: async (shell) => {
+      const format = await shell("settings get system time_12_24");
+      return TIME_FORMATS.includes(format) ? format : null;
+    },
+    write: (shell, format) =>
+      format
+        ? shell(`settings put system time_12_24 ${format}`)
+        : shell("settings delete system time_12_24"),
+    check: (format) =>
+      format === null || TIME_FORMATS.includes(format)
+        ? null
+        : "Must be 12, 24, or null to follow the locale",
+    defaultValue: null,
+  },
+  talkBack: {
+    read: async (shell) =>
+      (await shell("settings get secure enabled_accessibility_services"))
+        .split(":")
+        .includes(TALKBACK_SERVICE),
+    write: async (shell, on) => {
+      const current = await shell(
+        "settings get secure enabled_accessibility_services"
+      );
+      const services = current
+        .split(":")
+        .filter((service) => service && service !== "null")
+        .filter((service) => service !== TALKBACK_SERVICE)
+        .concat(on ? [TALKBACK_SERVICE] : []);
+      await shell(
+        services.length > 0
+          ? `settings put secure enabled_accessibility_services ${quote(
+              services.join(":")
+            )}`
+          : "settings delete secure enabled_accessibility_services"
+      );
+      await shell(
+        `settings put secure accessibility_enabled ${
+          services.length > 0 ? 1 : 0
+        }`
+      );
+    },
+    check: (on) => (typeof on === "boolean" ? null : "Must be true or false"),
+    defaultValue: false,
+  },
+  showTaps: systemToggle("show_touches"),
+  pointerLocation: systemToggle("pointer_location"),
+  locale: {
+    read: async (shell) =>
+      (await shell("getprop persist.sys.locale")) ||
+      shell("getprop ro.product.locale"),
+    // Needs a root shell (`adb root`), as on Google APIs images, which
+    // update() checks for first
+    write: async (shell, locale) => {
+      const previousPid = await shell("pidof system_server");
+      const output = await shell(
+        `setprop persist.sys.locale ${quote(locale)} && ` +
+          "setprop ctl.restart zygote"
+      );
+      if (output) {
+        throw new Error(
+          `Changing the locale needs a root shell: ${output.split("\n")[0]}`
+        );
+      }
+      await waitForFramework(shell, previousPid);
+    },
+    check: (locale) =>
+      typeof locale === "string" && LOCALE.test(locale)
+        ? null
+        : "Must be a language tag like fr-FR",
+    // The image's own locale, looked up on reset
+    defaultValue: undefined,
+  },
+};
+
+// Display, accessibility and locale settings of a running emulator that
+// UAT flows are commonly repeated under: dark mode, font scale, display
+// size and density, animation scales, 12/24-hour time, TalkBack, touch
+// feedback and the system locale. Every value is read back from the
+// device, and changes are sent to the emulator's viewers as
+// "emulator-device-settings-changed". Changing the locale restarts the
+// Android framework, which the update's `warnings` say.
+class DeviceSettingsService {
+  constructor(io, consoles, adb) {
+    this.io = io;
+    this.consoles = consoles;
+    this.adb = adb;
+  }
+
+  shell(device) {
+    return async (command) =>
+      (await this.adb.shell(device.serial, command)).trim();
+  }
+
+  async read(device) {
+    const shell = this.shell(device);
+    const names = Object.keys(SETTINGS);
+    const values = await Promise.all(
+      names.map((name) => SETTINGS[name].read(shell))
+    );
+    return Object.fromEntries(
+      names.map((name, index) => [name, values[index]])
+    );
+  }
+
+  async get(emulatorName) {
+    const device = this.consoles.requireRunningDevice(emulatorName);
+    return this.read(device);
+  }
+
+  // Applies any of the settings, skipping those already at the value,
+  // and returns them with `warnings` about side effects
+  async update(emulatorName, changes = {}) {
+    const device = this.consoles.requireRunningDevice(emulatorName);
+    const fields = {};
+    Object.entries(changes).forEach(([name, value]) => {
+      if (!SETTINGS[name]) {
+        fields[name] = `Unknown device setting ${name}`;
+      } else {
+        const error = SETTINGS[name].check(value);
+        if (error) {
+          fields[name] = error;
+        }
+      }
+    });
+    if (Object.keys(fields).length > 0) {
+      throw new ValidationError(fields);
+    }
+
+    const shell = this.shell(device);
+    if (changes.talkBack) {
+      const installed = await shell(`pm path ${TALKBACK_PACKAGE}`);
+      if (!installed) {
+        throw new ValidationError({
+          talkBack: `TalkBack is not installed on ${emulatorName}`,
+        });
+      }
+    }
+
+    const current = await this.read(device);
+    const warnings = [];
+    if ("locale" in changes && changes.locale !== current.locale) {
+      if ((await shell("id -u")) !== "0") {
+        throw new ValidationError({
+          locale: `Changing the locale needs a root shell; run adb root for ${emulatorName} first (Google APIs images allow it)`,
+        });
+      }
+      warnings.push(LOCALE_RESTART_WARNING);
+    }
+    for (const name of Object.keys(SETTINGS)) {
+      if (name in changes && changes[name] !== current[name]) {
+        await SETTINGS[name].write(shell, changes[name]);
+      }
+    }
+
+    const settings = await this.read(device);
+    if (this.io) {
+      this.io
+        .to(DeviceRegistry.room(emulatorName))
+        .emit("emulator-device-settings-changed", {
+          id: emulatorName,
+          name: emulatorName,
+          settings,
+        });
+    }
+    return { ...settings, warnings };
+  }
+
+  // Puts every setting back to what a fresh device has
+  async reset(emulatorName) {
+    const device = this.consoles.requireRunningDevice(emulatorName);
+    const defaults = Object.fromEntries(
+      Object.entries(SETTINGS).map(([name, setting]) => [
+        name,
+        setting.defaultValue,
+      ])
+    );
+    defaults.locale = (
+      await this.adb.shell(device.serial, "getprop ro.product.locale")
+    ).trim();
+    if (!defaults.locale) {
+      delete defaults.locale;
+    }
+    return this.update(emulatorName, defaults);
+  }
+}
+
+module.exports = DeviceSettingsService;
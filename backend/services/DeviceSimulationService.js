@@ -0,0 +1,197 @@
+const ValidationError = require("./ValidationError");
+
+const PHONE_NUMBER = /^\+?[0-9]{1,20}$/;
+// `gsm list` rows: "inbound from 5551234 : incoming"
+const CALL_ROW = /^(inbound from|outbound to)\s+(\S+)\s*:\s*(\w+)$/;
+
+const SENSORS = {
+  acceleration: { label: "m/s²", values: 3 },
+  proximity: { label: "cm", values: 1 },
+  light: { label: "lux", values: 1 },
+};
+
+// Telephony, SMS, fingerprint and sensor simulation through the emulator
+// console, reporting every change as a "device-simulation-event".
+class DeviceSimulationService {
+  constructor(io, consoles, adb) {
+    this.io = io;
+    this.consoles = consoles;
+    this.adb = adb;
+  }
+
+  static parseCalls(output) {
+    return output
+      .split("\n")
+      .map((line) => line.trim().match(CALL_ROW))
+      .filter((match) => match)
+      .map(([, direction, number, state]) => ({
+        number,
+        direction: direction === "inbound from" ? "incoming" : "outgoing",
+        state,
+      }));
+  }
+
+  async command(emulatorName, text) {
+    return this.consoles.command(emulatorName, text);
+  }
+
+  emit(emulatorName, type, details) {
+    if (this.io) {
+      this.io.emit("device-simulation-event", {
+        id: emulatorName,
+        name: emulatorName,
+        type,
+        ...details,
+        time: new Date(),
+      });
+    }
+  }
+
+  validateNumber(number) {
+    if (typeof number !== "string" || !PHONE_NUMBER.test(number)) {
+      throw new ValidationError({
+        number: "Use a phone number of up to 20 digits, optionally with +",
+      });
+    }
+  }
+
+  async listCalls(emulatorName) {
+    return DeviceSimulationService.parseCalls(
+      await this.command(emulatorName, "gsm list")
+    );
+  }
+
+  // Incoming calls ring on the device; outgoing ones are dialed from it
+  async call(emulatorName, number, direction = "incoming") {
+    this.validateNumber(number);
+    if (direction === "incoming") {
+      await this.command(emulatorName, `gsm call ${number}`);
+    } else if (direction === "outgoing") {
+      const device = this.consoles.requireRunningDevice(emulatorName);
+      await this.adb.shell(
+        device.serial,
+        `am start -a android.intent.action.CALL -d tel:${number}`
+      );
+    } else {
+      throw new ValidationError({
+        direction: "Must be incoming or outgoing",
+      });
+    }
+
+    const calls = await this.listCalls(emulatorName);
+    this.emit(emulatorName, "call", { action: direction, number, calls });
+    return calls;
+  }
+
+  // Answers an incoming call, or has the remote side pick up an outgoing one
+  async acceptCall(emulatorName, number) {
+    this.validateNumber(number);
+    await this.command(emulatorName, `gsm accept ${number}`);
+
+    const calls = await this.listCalls(emulatorName);
+    this.emit(emulatorName, "call", { action: "accept", number, calls });
+    return calls;
+  }
+
+  async cancelCall(emulatorName, number) {
+    this.validateNumber(number);
+    await this.command(emulatorName, `gsm cancel ${number}`);
+
+    const calls = await this.listCalls(emulatorName);
+    this.emit(emulatorName, "call", { action: "cancel", number, calls });
+    return calls;
+  }
+
+  async sendSms(emulatorName, number, text) {
+    this.validateNumber(number);
+    if (typeof text !== "string" || !text.trim()) {
+      throw new ValidationError({ text: "Message text is required" });
+    }
+    if (/[\r\n]/.test(text)) {
+      throw new ValidationError({
+        text: "The console can only send single-line messages",
+      });
+    }
+
+    await this.command(emulatorName, `sms send ${number} ${text}`);
+    this.emit(emulatorName, "sms", { number, text });
+    return { message: `SMS from ${number} delivered` };
+  }
+
+  // Places the finger on the sensor and lifts it again
+  async touchFingerprint(emulatorName, fingerId = 1) {
+    if (!Number.isInteger(fingerId) || fingerId < 1 || fingerId > 10) {
+      throw new ValidationError({
+        fingerId: "Must be a whole number from 1 to 10",
+      });
+    }
+
+    await this.command(emulatorName, `finger touch ${fingerId}`);
+    await this.command(emulatorName, "finger remove");
+    this.emit(emulatorName, "fingerprint", { fingerId });
+    return { message: `Finger ${fingerId} touched the sensor` };
+  }
+
+  async getSensors(emulatorName) {
+    const sensors = {};
+    for (const name of Object.keys(SENSORS)) {
+      // "acceleration = 0:9.77622:0.812349"
+      const output = await this.command(emulatorName, `sensor get ${name}`);
+      sensors[name] = output.split("=").pop().trim().split(":").map(Number);
+    }
+    return sensors;
+  }
+
+  async setSensor(emulatorName, sensor, values) {
+    const spec = SENSORS[sensor];
+    if (!spec) {
+      throw new ValidationError({
+        sensor: `Must be one of: ${Object.keys(SENSORS).join(", ")}`,
+      });
+    }
+
+    const list = Array.isArray(values) ? values : [values];
+    if (
+      list.length !== spec.values ||
+      list.some((value) => typeof value !== "number" || !isFinite(value))
+    ) {
+      throw new ValidationError({
+        values:
+          spec.values === 1
+            ? `${sensor} takes a single number (${spec.label})`
+            : `${sensor} takes ${spec.values} numbers (${spec.label})`,
+      });
+    }
+    if (spec.values === 1 && list[0] < 0) {
+      throw new ValidationError({ values: `${sensor} can't be negative` });
+    }
+
+    await this.command(emulatorName, `sensor set ${sensor} ${list.join(":")}`);
+    this.emit(emulatorName, "sensor", { sensor, values: list });
+    return { sensor, values: list };
+  }
+
+  // Socket entry point: { emulatorId, action, ...params }
+  async perform(emulatorName, action, params = {}) {
+    switch (action) {
+      case "call":
+        return this.call(emulatorName, params.number, params.direction);
+      case "accept-call":
+        return this.acceptCall(emulatorName, params.number);
+      case "cancel-call":
+        return this.cancelCall(emulatorName, params.number);
+      case "sms":
+        return this.sendSms(emulatorName, params.number, params.text);
+      case "fingerprint":
+        return this.touchFingerprint(emulatorName, params.fingerId);
+      case "sensor":
+        return this.setSensor(emulatorName, params.sensor, params.values);
+      default:
+        throw new Error(`Unknown simulation action: ${action}`);
+    }
+  }
+}
+
+DeviceSimulationService.SENSORS = SENSORS;
+
+module.exports = DeviceSimulationService;
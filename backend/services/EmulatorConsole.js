@@ -0,0 +1,156 @@
+const { EventEmitter } = require("events");
+
+const COMMAND_TIMEOUT = 5000;
+
+// Client for an emulator's telnet console (the port in emulator-<port>).
+// Every response, including the greeting, is a run of lines ending in "OK"
+// or "KO: <reason>". Commands are queued so responses never interleave.
+// Emits "close" once the connection is gone.
+class EmulatorConsole extends EventEmitter {
+  constructor(socket, { timeout = COMMAND_TIMEOUT } = {}) {
+    super();
+    this.socket = socket;
+    this.timeout = timeout;
+    this.closed = false;
+    this.buffer = "";
+    this.queue = [];
+    this.current = null;
+
+    // The greeting is answered like a command nobody sent
+    this.greeting = this.enqueue(null);
+
+    socket.on("data", (data) => this.onData(data.toString()));
+    socket.on("error", (error) => this.onClose(error));
+    socket.on("close", () => this.onClose());
+  }
+
+  // Connects and authenticates with the token from the driver. Emulators
+  // started with an empty token file don't ask for one.
+  static async connect(driver, consolePort, options) {
+    const client = new EmulatorConsole(
+      driver.openConsole(consolePort),
+      options
+    );
+
+    try {
+      const greeting = await client.greeting;
+      if (/Authentication required/i.test(greeting)) {
+        const token = await driver.consoleAuthToken();
+        if (!token) {
+          throw new Error(
+            "Emulator console requires an auth token but none was found"
+          );
+        }
+        await client.command(`auth ${token}`);
+      }
+    } catch (error) {
+      client.close();
+      throw new Error(
+        `Console on port ${consolePort} unavailable: ${error.message}`
+      );
+    }
+
+    return client;
+  }
+
+  // Resolves with the response text without the closing "OK", or rejects
+  // with the reason the console gave
+  command(text) {
+    if (/[\r\n]/.test(text)) {
+      return Promise.reject(
+        new Error("Console commands must be a single line")
+      );
+    }
+    return this.enqueue(text);
+  }
+
+  enqueue(text) {
+    if (this.closed) {
+      return Promise.reject(new Error("Emulator console is closed"));
+    }
+    return new Promise((resolve, reject) => {
+      this.queue.push({ text, resolve, reject, lines: [] });
+      this.next();
+    });
+  }
+
+  next() {
+    if (this.current || this.queue.length === 0) {
+      return;
+    }
+
+    const request = this.queue.shift();
+    this.current = request;
+    request.timer = setTimeout(() => {
+      this.settle(
+        new Error(
+          request.text
+            ? `Console command '${request.text}' timed out`
+            : "No greeting from the emulator console"
+        )
+      );
+    }, this.timeout);
+
+    if (request.text !== null) {
+      this.socket.write(`${request.text}\r\n`);
+    }
+  }
+
+  onData(data) {
+    const lines = (this.buffer + data).split("\n");
+    this.buffer = lines.pop();
+
+    lines
+      .map((line) => line.replace(/\r$/, ""))
+      .forEach((line) => {
+        if (!this.current) {
+          // Nothing was asked; the console has no unsolicited output we use
+          return;
+        }
+        if (line === "OK") {
+          this.settle(null, this.current.lines.join("\n"));
+        } else if (line.startsWith("KO")) {
+          this.settle(new Error(line.replace(/^KO:?\s*/, "") || "KO"));
+        } else {
+          this.current.lines.push(line);
+        }
+      });
+  }
+
+  settle(error, result) {
+    const request = this.current;
+    if (!request) {
+      return;
+    }
+    clearTimeout(request.timer);
+    this.current = null;
+
+    if (error) {
+      request.reject(error);
+    } else {
+      request.resolve(result);
+    }
+    this.next();
+  }
+
+  onClose(error) {
+    if (this.closed) {
+      return;
+    }
+    this.closed = true;
+
+    const reason = error || new Error("Emulator console connection closed");
+    this.queue.splice(0).forEach((request) => request.reject(reason));
+    this.settle(reason);
+    this.emit("close");
+  }
+
+  close() {
+    if (!this.closed) {
+      this.socket.end("quit\r\n");
+      this.onClose();
+    }
+  }
+}
+
+module.exports = EmulatorConsole;
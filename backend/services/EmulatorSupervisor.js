@@ -0,0 +1,376 @@
+const crypto = require("crypto");
+const JsonStore = require("./JsonStore");
+const ValidationError = require("./ValidationError");
+
+const HEALTH_CHECK_INTERVAL =
+  parseInt(process.env.HEALTH_CHECK_INTERVAL) || 10000;
+const CHECK_TIMEOUT = 5000;
+// Consecutive failed checks before an emulator is declared unresponsive
+const FAILURE_THRESHOLD = 3;
+// A restart streak is forgotten once the emulator has been healthy this long
+const RESTART_RESET_WINDOW = 5 * 60 * 1000;
+
+const RESTART_MODES = ["never", "on-crash", "on-failure"];
+
+const DEFAULT_POLICY = {
+  mode: "never",
+  maxRestarts: 3,
+  initialDelay: 5000,
+  maxDelay: 60000,
+};
+
+function withTimeout(promise, ms, message) {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(message)), ms);
+    }),
+  ]).finally(() => clearTimeout(timer));
+}
+
+// Watches every registered emulator: notices when its process dies, runs
+// periodic health checks, tells the dashboards and applies the AVD's
+// restart policy.
+class EmulatorSupervisor {
+  constructor(io, registry, driver, controller) {
+    this.io = io;
+    this.registry = registry;
+    this.adb = driver.adb;
+    this.controller = controller;
+    this.policies = new JsonStore("restart-policies.json");
+    this.health = new Map();
+    this.restarts = new Map();
+    this.lastExits = new Map();
+    this.interval = null;
+
+    this.registry.on("registered", (device) => this.watch(device));
+  }
+
+  start() {
+    this.interval = setInterval(() => this.checkAll(), HEALTH_CHECK_INTERVAL);
+  }
+
+  stop() {
+    clearInterval(this.interval);
+  }
+
+  emit(event, data) {
+    if (this.io) {
+      this.io.emit(event, data);
+    }
+  }
+
+  getPolicy(emulatorName) {
+    return { ...DEFAULT_POLICY, ...this.policies.get(emulatorName) };
+  }
+
+  // Changes the given fields of the policy; the others keep their value
+  async setPolicy(emulatorName, policy) {
+    const changes = Object.fromEntries(
+      Object.entries(policy).filter(([, value]) => value !== undefined)
+    );
+    const merged = { ...this.getPolicy(emulatorName), ...changes };
+
+    const fields = {};
+    if (!RESTART_MODES.includes(merged.mode)) {
+      fields.mode = `Must be one of: ${RESTART_MODES.join(", ")}`;
+    }
+    ["maxRestarts", "initialDelay", "maxDelay"].forEach((field) => {
+      if (!Number.isInteger(merged[field]) || merged[field] < 0) {
+        fields[field] = "Must be a non-negative integer";
+      }
+    });
+    if (Object.keys(fields).length > 0) {
+      throw new ValidationError(fields);
+    }
+
+    return this.policies.set(emulatorName, merged);
+  }
+
+  async clearPolicy(emulatorName) {
+    if (this.policies.has(emulatorName)) {
+      await this.policies.delete(emulatorName);
+    }
+  }
+
+  getHealth(emulatorName) {
+    const device = this.registry.get(emulatorName);
+    const health = device ? this.health.get(device) : null;
+
+    return {
+      name: emulatorName,
+      status: device ? device.status : "stopped",
+      healthy: health ? health.healthy : null,
+      checks: health ? health.checks : null,
+      failures: health ? health.failures : 0,
+      lastCheck: health ? health.lastCheck : null,
+      restarts: this.restarts.get(emulatorName) || { count: 0 },
+      lastExit: this.lastExits.get(emulatorName) || null,
+      output: device ? device.output : [],
+      policy: this.getPolicy(emulatorName),
+    };
+  }
+
+  watch(device) {
+    this.health.set(device, {
+      healthy: null,
+      checks: null,
+      failures: 0,
+      lastCheck: null,
+      frameHash: null,
+      frozenChecks: 0,
+    });
+
+    if (!device.process) {
+      return;
+    }
+
+    device.process.on("close", (code, signal) => {
+      this.health.delete(device);
+
+      // A requested stop is not a crash
+      if (device.status === "stopping") {
+        return;
+      }
+
+      const exit = {
+        id: device.name,
+        name: device.name,
+        serial: device.serial,
+        code,
+        signal,
+        reason: signal
+          ? `Emulator process killed by ${signal}`
+          : `Emulator process exited with code ${code}`,
+        output: device.output.slice(),
+        launch: device.launch,
+        time: new Date(),
+      };
+      this.lastExits.set(device.name, exit);
+
+      console.error(`Emulator ${device.name} crashed: ${exit.reason}`);
+      this.emit("emulator-crashed", exit);
+
+      const policy = this.getPolicy(device.name);
+      if (policy.mode !== "never") {
+        this.scheduleRestart(device.name, exit.reason);
+      }
+    });
+  }
+
+  async checkAll() {
+    await Promise.all(
+      this.registry
+        .list()
+        .filter((device) => ["running", "unresponsive"].includes(device.status))
+        .map((device) =>
+          this.checkDevice(device).catch((error) => {
+            console.error(`Health check for ${device.name} failed:`, error);
+          })
+        )
+    );
+  }
+
+  async checkDevice(device) {
+    const health = this.health.get(device);
+    if (!health) {
+      return;
+    }
+
+    const previousCheck = health.lastCheck;
+    const checks = {
+      // Adopted emulators have no process handle to inspect
+      processAlive: device.process ? device.process.exitCode === null : null,
+      adbOnline: await this.adb.isOnline(device.serial),
+      adbResponsive: false,
+      bootCompleted: false,
+      screenLive: false,
+    };
+
+    if (checks.adbOnline) {
+      try {
+        const output = await withTimeout(
+          this.adb.shell(device.serial, "getprop sys.boot_completed"),
+          CHECK_TIMEOUT,
+          "adb shell timed out"
+        );
+        checks.adbResponsive = true;
+        checks.bootCompleted = output.trim() === "1";
+      } catch (error) {
+        checks.adbResponsive = false;
+      }
+    }
+
+    if (checks.adbResponsive) {
+      checks.screenLive = await this.checkScreen(device, health, previousCheck);
+    }
+
+    const failed = Object.keys(checks).filter((key) => checks[key] === false);
+
+    health.checks = checks;
+    health.lastCheck = new Date();
+    health.healthy = failed.length === 0;
+
+    if (health.healthy) {
+      health.failures = 0;
+      this.onHealthy(device);
+      return;
+    }
+
+    health.failures++;
+    if (
+      health.failures >= FAILURE_THRESHOLD &&
+      device.status !== "unresponsive"
+    ) {
+      this.onUnresponsive(device, failed);
+    }
+  }
+
+  // The screen counts as frozen when screencap hangs, or when input was sent
+  // since the last check and the picture has not changed for two checks.
+  async checkScreen(device, health, previousCheck) {
+    let frame;
+    try {
+      frame = await withTimeout(
+        this.adb.exec(device.serial, "screencap -p"),
+        CHECK_TIMEOUT,
+        "screencap timed out"
+      );
+    } catch (error) {
+      return false;
+    }
+
+    const hash = crypto.createHash("md5").update(frame).digest("hex");
+    const inputSinceLastCheck =
+      previousCheck && device.lastInputAt > previousCheck.getTime();
+
+    if (hash === health.frameHash && inputSinceLastCheck) {
+      health.frozenChecks++;
+    } else if (hash !== health.frameHash) {
+      health.frozenChecks = 0;
+    }
+    health.frameHash = hash;
+
+    return frame.length > 0 && health.frozenChecks < 2;
+  }
+
+  onHealthy(device) {
+    const restarts = this.restarts.get(device.name);
+    if (
+      restarts &&
+      restarts.lastAt &&
+      Date.now() - restarts.lastAt > RESTART_RESET_WINDOW
+    ) {
+      this.restarts.delete(device.name);
+    }
+
+    if (device.status === "unresponsive") {
+      this.registry.setStatus(device.name, "running");
+      console.log(`Emulator ${device.name} recovered`);
+      this.emit("emulator-recovered", {
+        id: device.name,
+        name: device.name,
+        time: new Date(),
+      });
+    }
+  }
+
+  onUnresponsive(device, failed) {
+    const health = this.health.get(device);
+    this.registry.setStatus(device.name, "unresponsive");
+
+    console.error(
+      `Emulator ${device.name} is unresponsive: ${failed.join(", ")}`
+    );
+    this.emit("emulator-unresponsive", {
+      id: device.name,
+      name: device.name,
+      failedChecks: failed,
+      checks: health.checks,
+      output: device.output.slice(),
+      time: new Date(),
+    });
+
+    if (this.getPolicy(device.name).mode === "on-failure") {
+      this.scheduleRestart(device.name, `Unresponsive: ${failed.join(", ")}`);
+    }
+  }
+
+  scheduleRestart(emulatorName, reason) {
+    const policy = this.getPolicy(emulatorName);
+    const restarts = this.restarts.get(emulatorName) || { count: 0 };
+
+    // Failures during a restart in progress are retried once it settles
+    if (restarts.pending) {
+      restarts.retryReason = reason;
+      return;
+    }
+
+    if (restarts.count >= policy.maxRestarts) {
+      console.error(
+        `Not restarting ${emulatorName}: ${restarts.count} restarts already attempted`
+      );
+      this.emit("emulator-restart-abandoned", {
+        id: emulatorName,
+        name: emulatorName,
+        attempts: restarts.count,
+        reason,
+      });
+      return;
+    }
+
+    // Exponential backoff between consecutive restarts
+    const delay = Math.min(
+      policy.initialDelay * 2 ** restarts.count,
+      policy.maxDelay
+    );
+    restarts.count++;
+    restarts.pending = true;
+    this.restarts.set(emulatorName, restarts);
+
+    // Restarts keep the launch profile the emulator was started with
+    const device = this.registry.get(emulatorName);
+    const launch = device
+      ? device.launch
+      : (this.lastExits.get(emulatorName) || {}).launch;
+    const profile = launch ? launch.profile : null;
+
+    console.log(
+      `Restarting ${emulatorName} in ${delay}ms (attempt ${restarts.count})`
+    );
+    this.emit("emulator-restarting", {
+      id: emulatorName,
+      name: emulatorName,
+      attempt: restarts.count,
+      delay,
+      reason,
+    });
+
+    setTimeout(async () => {
+      try {
+        if (this.registry.has(emulatorName)) {
+          await this.controller.stopEmulator(emulatorName);
+        }
+        restarts.lastAt = Date.now();
+        const { jobId } = await this.controller.startEmulator(emulatorName, {
+          profile,
+        });
+        if (jobId) {
+          await this.controller.waitForBoot(jobId);
+        }
+      } catch (error) {
+        console.error(`Restart of ${emulatorName} failed:`, error.message);
+      } finally {
+        restarts.pending = false;
+        if (restarts.retryReason) {
+          const retryReason = restarts.retryReason;
+          restarts.retryReason = null;
+          this.scheduleRestart(emulatorName, retryReason);
+        }
+      }
+    }, delay);
+  }
+}
+
+module.exports = EmulatorSupervisor;
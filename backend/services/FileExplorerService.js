@@ -0,0 +1,338 @@
+const crypto = require("crypto");
+const path = require("path");
+const { Transform } = require("stream");
+const AdbClient = require("./AdbClient");
+const DeviceRegistry = require("./DeviceRegistry");
+const ValidationError = require("./ValidationError");
+
+const PACKAGE_NAME = /^[a-zA-Z][\w]*(\.[a-zA-Z][\w]*)+$/;
+const S_IFMT = 0o170000;
+const FILE_TYPES = {
+  0o040000: "directory",
+  0o100000: "file",
+  0o120000: "symlink",
+};
+// `stat -c` format for run-as listings: raw mode (hex), size, mtime, path
+const STAT_FORMAT = "%f %s %Y %n";
+const STAT_LINE = /^([0-9a-f]+) (\d+) (\d+) (.+)$/;
+// Files only pass through here on their way in and out of app sandboxes
+const STAGING_DIR = "/data/local/tmp";
+
+const quote = AdbClient.quote;
+
+function describe(entryPath, { mode, size, mtime }) {
+  return {
+    name: path.posix.basename(entryPath) || "/",
+    path: entryPath,
+    type: FILE_TYPES[mode & S_IFMT] || "other",
+    permissions: (mode & 0o7777).toString(8).padStart(4, "0"),
+    size,
+    mtime,
+  };
+}
+
+function parseStatLine(line) {
+  const match = line.match(STAT_LINE);
+  if (!match) {
+    return null;
+  }
+  const [, mode, size, mtime, entryPath] = match;
+  return describe(entryPath, {
+    mode: parseInt(mode, 16),
+    size: Number(size),
+    mtime: new Date(Number(mtime) * 1000),
+  });
+}
+
+// Browses and edits the file system of a running emulator. Shared storage
+// such as /sdcard goes through the adb sync protocol; with `packageName`
+// set, paths are inside that app's sandbox and every operation runs
+// through `run-as`, which only works for debuggable apps. Uploads and
+// downloads stream through the backend and report their progress to the
+// emulator's viewers as "file-transfer-progress".
+class FileExplorerService {
+  constructor(io, consoles, adb) {
+    this.io = io;
+    this.consoles = consoles;
+    this.adb = adb;
+  }
+
+  // The device for a file operation, after checking the path and package
+  resolve(emulatorName, filePath, packageName) {
+    const device = this.consoles.requireRunningDevice(emulatorName);
+    const fields = {};
+    if (
+      typeof filePath !== "string" ||
+      !filePath.startsWith("/") ||
+      filePath.includes("\0")
+    ) {
+      fields.path = "Must be an absolute path on the device";
+    }
+    if (
+      packageName !== undefined &&
+      packageName !== null &&
+      packageName !== "" &&
+      !PACKAGE_NAME.test(packageName)
+    ) {
+      fields.package = "Must be a package name like com.example.app";
+    }
+    if (Object.keys(fields).length > 0) {
+      throw new ValidationError(fields);
+    }
+    return device;
+  }
+
+  // Runs a command as the app when there is one. Commands used here print
+  // nothing on success, so any output is the error.
+  async runQuietly(device, packageName, command) {
+    const output = (await this.runAs(device, packageName, command)).trim();
+    if (output) {
+      throw new Error(output.split("\n")[0]);
+    }
+  }
+
+  async runAs(device, packageName, command) {
+    const output = await this.adb.exec(
+      device.serial,
+      packageName ? `run-as ${quote(packageName)} ${command}` : command
+    );
+    const text = output.toString("utf8");
+    // run-as explains itself on the first line, e.g. "package not debuggable"
+    if (packageName && text.startsWith("run-as:")) {
+      throw new Error(text.split("\n")[0]);
+    }
+    return text;
+  }
+
+  async list(emulatorName, dirPath, packageName) {
+    const device = this.resolve(emulatorName, dirPath, packageName);
+    let entries;
+
+    if (packageName) {
+      const output = await this.runAs(
+        device,
+        packageName,
+        `find ${quote(dirPath)} -mindepth 1 -maxdepth 1 ` +
+          `-exec stat -c ${quote(STAT_FORMAT)} {} +`
+      );
+      const lines = output.split("\n").filter((line) => line.trim());
+      entries = lines.map(parseStatLine);
+      if (entries.includes(null)) {
+        throw new Error(lines[entries.indexOf(null)]);
+      }
+    } else {
+      const stat = await this.adb.stat(device.serial, dirPath);
+      if (!stat) {
+        throw new Error(`${dirPath} does not exist`);
+      }
+      entries = (await this.adb.readdir(device.serial, dirPath)).map((entry) =>
+        describe(path.posix.join(dirPath, entry.name), entry)
+      );
+    }
+
+    return entries.sort(
+      (a, b) =>
+        (b.type === "directory") - (a.type === "directory") ||
+        a.name.localeCompare(b.name)
+    );
+  }
+
+  async stat(emulatorName, filePath, packageName) {
+    const device = this.resolve(emulatorName, filePath, packageName);
+
+    if (packageName) {
+      const output = await this.runAs(
+        device,
+        packageName,
+        `stat -c ${quote(STAT_FORMAT)} ${quote(filePath)}`
+      );
+      const entry = parseStatLine(output.trim());
+      if (!entry) {
+        throw new Error(output.trim() || `${filePath} does not exist`);
+      }
+      return entry;
+    }
+
+    const stat = await this.adb.stat(device.serial, filePath);
+    if (!stat) {
+      throw new Error(`${filePath} does not exist`);
+    }
+    return describe(filePath, stat);
+  }
+
+  async rename(emulatorName, from, to, packageName) {
+    const device = this.resolve(emulatorName, from, packageName);
+    this.resolve(emulatorName, to, packageName);
+    await this.runQuietly(
+      device,
+      packageName,
+      `mv ${quote(from)} ${quote(to)}`
+    );
+    return this.stat(emulatorName, to, packageName);
+  }
+
+  async remove(emulatorName, filePath, packageName) {
+    const device = this.resolve(emulatorName, filePath, packageName);
+    if (path.posix.normalize(filePath) === "/") {
+      throw new ValidationError({ path: "Refusing to delete /" });
+    }
+    await this.runQuietly(device, packageName, `rm -r ${quote(filePath)}`);
+    return { message: `Deleted ${filePath}` };
+  }
+
+  async mkdir(emulatorName, dirPath, packageName) {
+    const device = this.resolve(emulatorName, dirPath, packageName);
+    await this.runQuietly(device, packageName, `mkdir -p ${quote(dirPath)}`);
+    return this.stat(emulatorName, dirPath, packageName);
+  }
+
+  // Transfers look like install jobs: a record that is updated in place
+  // and re-sent whenever the percentage moves
+  startTransfer(emulatorName, direction, filePath, total) {
+    return {
+      id: crypto.randomUUID(),
+      emulator: emulatorName,
+      direction,
+      path: filePath,
+      status: "running",
+      bytes: 0,
+      total,
+      progress: total ? 0 : null,
+      error: null,
+      startedAt: new Date(),
+      finishedAt: null,
+    };
+  }
+
+  emitTransfer(transfer) {
+    if (this.io) {
+      this.io
+        .to(DeviceRegistry.room(transfer.emulator))
+        .emit("file-transfer-progress", transfer);
+    }
+  }
+
+  // Counts the bytes flowing through a transfer
+  meter(transfer) {
+    return new Transform({
+      transform: (chunk, encoding, callback) => {
+        transfer.bytes += chunk.length;
+        const progress = transfer.total
+          ? Math.min(100, Math.floor((transfer.bytes / transfer.total) * 100))
+          : null;
+        if (progress !== transfer.progress) {
+          transfer.progress = progress;
+          this.emitTransfer(transfer);
+        }
+        callback(null, chunk);
+      },
+    });
+  }
+
+  finishTransfer(transfer, error) {
+    transfer.status = error ? "failed" : "completed";
+    transfer.error = error ? error.message : null;
+    transfer.finishedAt = new Date();
+    if (!error) {
+      transfer.progress = 100;
+    }
+    console.log(
+      `File ${transfer.direction} ${transfer.path} on ${transfer.emulator} ` +
+        `${transfer.status}${error ? `: ${error.message}` : ""}`
+    );
+    this.emitTransfer(transfer);
+  }
+
+  // A readable stream of the file, along with its transfer record. The
+  // transfer finishes when the stream ends or fails.
+  async download(emulatorName, filePath, packageName) {
+    const device = this.resolve(emulatorName, filePath, packageName);
+    const entry = await this.stat(emulatorName, filePath, packageName);
+    if (entry.type === "directory") {
+      throw new ValidationError({ path: "Only files can be downloaded" });
+    }
+
+    const transfer = this.startTransfer(
+      emulatorName,
+      "download",
+      filePath,
+      entry.size
+    );
+    const source = packageName
+      ? await this.adb.execStream(
+          device.serial,
+          `run-as ${quote(packageName)} cat ${quote(filePath)}`
+        )
+      : await this.adb.pull(device.serial, filePath);
+
+    const stream = source.pipe(this.meter(transfer));
+    source.on("error", (error) => stream.destroy(error));
+    stream.on("end", () => this.finishTransfer(transfer));
+    stream.on("error", (error) => this.finishTransfer(transfer, error));
+    this.emitTransfer(transfer);
+
+    return { entry, transfer, stream };
+  }
+
+  // Writes `input` to the device as `filePath`; `total` is the expected
+  // size when known, for progress
+  async upload(emulatorName, filePath, input, { packageName, total } = {}) {
+    const device = this.resolve(emulatorName, filePath, packageName);
+    if (filePath.endsWith("/")) {
+      throw new ValidationError({ path: "Must include the file name" });
+    }
+
+    const transfer = this.startTransfer(
+      emulatorName,
+      "upload",
+      filePath,
+      total || null
+    );
+    this.emitTransfer(transfer);
+
+    // Sandboxes aren't reachable over sync, so stage the file and copy it
+    // in as the app
+    const target = packageName
+      ? `${STAGING_DIR}/upload-${transfer.id}`
+      : filePath;
+    try {
+      const metered = input.pipe(this.meter(transfer));
+      input.on("error", (error) => metered.destroy(error));
+      await this.adb.push(device.serial, metered, target);
+      // An aborted request just ends early
+      if (total && transfer.bytes !== total) {
+        await this.adb
+          .shell(device.serial, `rm -f ${quote(target)}`)
+          .catch(() => {});
+        throw new Error(
+          `Upload ended after ${transfer.bytes} of ${total} bytes`
+        );
+      }
+
+      if (packageName) {
+        await this.runQuietly(
+          device,
+          packageName,
+          `cp ${quote(target)} ${quote(filePath)}`
+        );
+      }
+      this.finishTransfer(transfer);
+    } catch (error) {
+      this.finishTransfer(transfer, error);
+      throw error;
+    } finally {
+      if (packageName) {
+        await this.adb
+          .shell(device.serial, `rm -f ${quote(target)}`)
+          .catch(() => {});
+      }
+    }
+
+    return {
+      transfer,
+      entry: await this.stat(emulatorName, filePath, packageName),
+    };
+  }
+}
+
+module.exports = FileExplorerService;
@@ -0,0 +1,413 @@
+const crypto = require("crypto");
+const fs = require("fs-extra");
+const path = require("path");
+const AdbClient = require("./AdbClient");
+const JsonStore = require("./JsonStore");
+const ValidationError = require("./ValidationError");
+
+const PACKAGE_NAME = /^[a-zA-Z][\w]*(\.[a-zA-Z][\w]*)+$/;
+// AVD names are limited to these, which also keeps them safe as directories
+const EMULATOR_NAME = /^[\w.-]+$/;
+const INCIDENT_ID = /^[0-9a-f-]{36}$/;
+const INCIDENTS_DIR = path.join(JsonStore.DATA_DIR, "incidents");
+// A report is complete once its process has logged nothing more for this long
+const QUIET_PERIOD = 1000;
+// Log entries kept from before the incident started
+const LOG_WINDOW = 200;
+const MAX_INCIDENTS = 50;
+
+// "Process: com.example.app, PID: 4321"
+const JAVA_PROCESS = /^Process: ([^,\s]+), PID: (\d+)/;
+// "pid: 4321, tid: 4321, name: example.app  >>> com.example.app <<<"
+const NATIVE_PROCESS = /^pid: (\d+), tid: \d+, name: .*>>> (\S+) <<<$/;
+const NATIVE_SIGNAL = /^signal \d+ \(\w+\)/;
+const TOMBSTONE_WRITTEN = /^Tombstone written to: (\S+)/;
+// "ANR in com.example.app (com.example.app/.MainActivity)"
+const ANR_IN = /^ANR in ([^\s(]+)/;
+const ANR_PID = /^PID: (\d+)/;
+// Event log form: "[0,4321,com.example.app,952745541,Input dispatching timed out]"
+const AM_ANR = /^\[\d+,(\d+),([^,]+),\d+,(.*)\]$/;
+
+// Watches the log stream of every emulator for app crashes, native crashes
+// and ANRs. Each one becomes an incident holding its stack trace, the log
+// around it and a screenshot, stored under the data directory, and is
+// announced to the dashboard as "emulator-incident". When an emulator has
+// an app under test set, only that app's incidents are recorded.
+class IncidentService {
+  constructor(io, registry, logcat, adb) {
+    this.io = io;
+    this.registry = registry;
+    this.logcat = logcat;
+    this.adb = adb;
+    this.settings = new JsonStore("incident-settings.json");
+    // "<emulator>:<pid>" -> report still being logged
+    this.captures = new Map();
+
+    logcat.on("entry", (emulatorName, entry) =>
+      this.inspect(emulatorName, entry)
+    );
+  }
+
+  // Starts, continues or completes a capture with one log entry
+  inspect(emulatorName, entry) {
+    const key = `${emulatorName}:${entry.pid}`;
+    const capture = this.captures.get(key);
+
+    if (capture && this.continues(capture, entry)) {
+      this.extend(capture, entry);
+      return;
+    }
+
+    const tombstone =
+      entry.tag === "tombstoned" && entry.message.match(TOMBSTONE_WRITTEN);
+    if (tombstone) {
+      // tombstoned reports under its own pid once the dump is done
+      const native = Array.from(this.captures.values()).find(
+        (open) => open.emulator === emulatorName && open.type === "native-crash"
+      );
+      if (native) {
+        native.tracePath = tombstone[1];
+      }
+      return;
+    }
+
+    const type = this.startType(entry);
+    if (type === "anr" && capture && capture.type === "anr") {
+      // The event log and ActivityManager both report the same ANR
+      capture.tag = entry.tag;
+      capture.level = entry.level;
+      this.extend(capture, entry);
+      return;
+    }
+    if (type) {
+      if (capture) {
+        this.finish(key);
+      }
+      this.captures.set(key, {
+        key,
+        emulator: emulatorName,
+        type,
+        pid: entry.pid,
+        packageName: null,
+        title: null,
+        tag: entry.tag,
+        level: entry.level,
+        lines: [],
+        firstSeq: entry.seq,
+        lastSeq: entry.seq,
+        occurredAt: entry.time,
+        tracePath: null,
+        timer: null,
+      });
+      this.extend(this.captures.get(key), entry);
+    }
+  }
+
+  startType(entry) {
+    if (
+      entry.tag === "AndroidRuntime" &&
+      entry.message.startsWith("FATAL EXCEPTION")
+    ) {
+      return "crash";
+    }
+    if (entry.tag === "DEBUG" && entry.message.startsWith("*** *** ***")) {
+      return "native-crash";
+    }
+    if (
+      (entry.tag === "ActivityManager" && ANR_IN.test(entry.message)) ||
+      (entry.tag === "am_anr" && AM_ANR.test(entry.message))
+    ) {
+      return "anr";
+    }
+    return null;
+  }
+
+  // A report is the run of lines its process logs with the same tag and level
+  continues(capture, entry) {
+    return (
+      entry.tag === capture.tag &&
+      entry.level === capture.level &&
+      !this.startType(entry)
+    );
+  }
+
+  extend(capture, entry) {
+    const { message } = entry;
+    capture.lines.push(message);
+    capture.lastSeq = entry.seq;
+
+    if (capture.type === "crash") {
+      const process = message.match(JAVA_PROCESS);
+      if (process) {
+        capture.packageName = process[1];
+        capture.pid = Number(process[2]);
+      } else if (capture.lines.length > 1 && !capture.title && message.trim()) {
+        // The exception itself comes right after the process line
+        capture.title = message.trim();
+      }
+    } else if (capture.type === "native-crash") {
+      const process = message.match(NATIVE_PROCESS);
+      if (process) {
+        // The dump is logged by crash_dump, not the app
+        capture.pid = Number(process[1]);
+        capture.packageName = process[2];
+      } else if (NATIVE_SIGNAL.test(message)) {
+        capture.title = message.trim();
+      }
+    } else {
+      const anr = message.match(ANR_IN);
+      const event = message.match(AM_ANR);
+      if (anr) {
+        capture.packageName = anr[1];
+      } else if (event) {
+        capture.pid = Number(event[1]);
+        capture.packageName = event[2];
+        capture.title = event[3];
+      } else if (ANR_PID.test(message)) {
+        capture.pid = Number(message.match(ANR_PID)[1]);
+      } else if (message.startsWith("Reason: ")) {
+        capture.title = message.slice("Reason: ".length);
+      }
+    }
+
+    clearTimeout(capture.timer);
+    capture.timer = setTimeout(() => this.finish(capture.key), QUIET_PERIOD);
+  }
+
+  finish(key) {
+    const capture = this.captures.get(key);
+    this.captures.delete(key);
+    clearTimeout(capture.timer);
+
+    this.record(capture).catch((error) => {
+      console.error(
+        `Failed to record ${capture.type} on ${capture.emulator}:`,
+        error.message
+      );
+    });
+  }
+
+  getSettings(emulatorName) {
+    return { appUnderTest: null, ...this.settings.get(emulatorName) };
+  }
+
+  // Limits recording to one package; null records every app
+  async updateSettings(emulatorName, { appUnderTest = null } = {}) {
+    if (appUnderTest !== null && !PACKAGE_NAME.test(appUnderTest)) {
+      throw new ValidationError({
+        appUnderTest: "Must be a package name like com.example.app",
+      });
+    }
+    await this.settings.set(emulatorName, { appUnderTest });
+    return this.getSettings(emulatorName);
+  }
+
+  isUnderTest(emulatorName, packageName) {
+    const { appUnderTest } = this.getSettings(emulatorName);
+    return (
+      !appUnderTest ||
+      packageName === appUnderTest ||
+      // The app's other processes, e.g. com.example.app:remote
+      (packageName || "").startsWith(`${appUnderTest}:`)
+    );
+  }
+
+  async record(capture) {
+    const { emulator: emulatorName } = capture;
+    if (!this.isUnderTest(emulatorName, capture.packageName)) {
+      return null;
+    }
+
+    const device = this.registry.get(emulatorName);
+    const incident = {
+      id: crypto.randomUUID(),
+      emulator: emulatorName,
+      type: capture.type,
+      packageName: capture.packageName,
+      pid: capture.pid,
+      title:
+        capture.title ||
+        `${capture.type} in ${capture.packageName || "an unknown app"}`,
+      occurredAt: capture.occurredAt,
+      recordedAt: new Date(),
+      stackTrace: capture.lines.join("\n"),
+      tracePath: capture.tracePath,
+      trace: null,
+      screenshot: false,
+      log: this.logcat
+        .log(emulatorName)
+        .entries.filter(
+          (entry) =>
+            entry.seq >= capture.firstSeq - LOG_WINDOW &&
+            entry.seq <= capture.lastSeq
+        )
+        .map((entry) => entry.raw),
+    };
+
+    const dir = this.incidentDir(emulatorName);
+    await fs.ensureDir(dir);
+    if (device && device.status === "running") {
+      if (capture.type === "anr" && !incident.tracePath) {
+        incident.tracePath = await this.latestAnrTrace(device);
+      }
+      if (incident.tracePath) {
+        incident.trace = await this.readTrace(device, incident.tracePath);
+      }
+      try {
+        const png = await this.adb.exec(device.serial, "screencap -p");
+        if (png.length > 0) {
+          await fs.writeFile(path.join(dir, `${incident.id}.png`), png);
+          incident.screenshot = true;
+        }
+      } catch (error) {
+        console.error(
+          `Screenshot for incident on ${emulatorName} failed:`,
+          error.message
+        );
+      }
+    }
+
+    await fs.writeJson(path.join(dir, `${incident.id}.json`), incident, {
+      spaces: 2,
+    });
+    await this.prune(emulatorName);
+
+    console.log(
+      `Recorded ${incident.type} of ${incident.packageName} on ${emulatorName}`
+    );
+    if (this.io) {
+      this.io.emit("emulator-incident", {
+        id: emulatorName,
+        name: emulatorName,
+        incident: IncidentService.summarize(incident),
+      });
+    }
+    return incident;
+  }
+
+  // The newest file in /data/anr, which needs a root shell on most images
+  async latestAnrTrace(device) {
+    try {
+      const output = await this.adb.shell(device.serial, "ls -t /data/anr");
+      const [newest] = output.split(/\s+/).filter((name) => name.trim());
+      return newest && !newest.includes(":") ? `/data/anr/${newest}` : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Tombstones and ANR traces are only readable as root; without it the
+  // incident goes without
+  async readTrace(device, tracePath) {
+    try {
+      const output = (
+        await this.adb.exec(device.serial, `cat ${AdbClient.quote(tracePath)}`)
+      ).toString("utf8");
+      return output.startsWith("cat:") ? null : output;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  incidentDir(emulatorName) {
+    if (!EMULATOR_NAME.test(emulatorName)) {
+      throw new ValidationError({ name: "Not a valid emulator name" });
+    }
+    return path.join(INCIDENTS_DIR, emulatorName);
+  }
+
+  // Drops the oldest incidents past the limit
+  async prune(emulatorName) {
+    const incidents = await this.list(emulatorName);
+    const dir = this.incidentDir(emulatorName);
+    await Promise.all(
+      incidents
+        .slice(MAX_INCIDENTS)
+        .map((incident) =>
+          Promise.all([
+            fs.remove(path.join(dir, `${incident.id}.json`)),
+            fs.remove(path.join(dir, `${incident.id}.png`)),
+          ])
+        )
+    );
+  }
+
+  // Summaries of the emulator's incidents, newest first
+  async list(emulatorName) {
+    const dir = this.incidentDir(emulatorName);
+    if (!(await fs.pathExists(dir))) {
+      return [];
+    }
+    const files = (await fs.readdir(dir)).filter((file) =>
+      file.endsWith(".json")
+    );
+    const incidents = await Promise.all(
+      files.map((file) => fs.readJson(path.join(dir, file)).catch(() => null))
+    );
+    return incidents
+      .filter((incident) => incident)
+      .map(IncidentService.summarize)
+      .sort((a, b) => new Date(b.occurredAt) - new Date(a.occurredAt));
+  }
+
+  async get(emulatorName, incidentId) {
+    if (!INCIDENT_ID.test(incidentId)) {
+      throw new ValidationError({ incident: "Not a valid incident id" });
+    }
+    const dir = this.incidentDir(emulatorName);
+    try {
+      return await fs.readJson(path.join(dir, `${incidentId}.json`));
+    } catch (error) {
+      throw new Error(`Incident ${incidentId} not found on ${emulatorName}`);
+    }
+  }
+
+  async screenshotPath(emulatorName, incidentId) {
+    const incident = await this.get(emulatorName, incidentId);
+    if (!incident.screenshot) {
+      throw new Error(`Incident ${incidentId} has no screenshot`);
+    }
+    return path.join(this.incidentDir(emulatorName), `${incidentId}.png`);
+  }
+
+  // The whole incident as plain text, for attaching to bug reports
+  async report(emulatorName, incidentId) {
+    const incident = await this.get(emulatorName, incidentId);
+    const sections = [
+      [
+        incident.title,
+        `Type: ${incident.type}`,
+        `Package: ${incident.packageName || "unknown"}`,
+        `PID: ${incident.pid}`,
+        `Emulator: ${incident.emulator}`,
+        `Occurred: ${new Date(incident.occurredAt).toISOString()}`,
+      ].join("\n"),
+      `--- Stack trace ---\n${incident.stackTrace}`,
+    ];
+    if (incident.trace) {
+      sections.push(
+        `--- ${incident.tracePath} ---\n${incident.trace.trimEnd()}`
+      );
+    }
+    sections.push(
+      `--- Log (${incident.log.length} lines) ---\n${incident.log.join("\n")}`
+    );
+    return `${sections.join("\n\n")}\n`;
+  }
+
+  async remove(emulatorName, incidentId) {
+    await this.get(emulatorName, incidentId);
+    const dir = this.incidentDir(emulatorName);
+    await fs.remove(path.join(dir, `${incidentId}.json`));
+    await fs.remove(path.join(dir, `${incidentId}.png`));
+    return { message: `Deleted incident ${incidentId}` };
+  }
+
+  // What lists and alerts need, without the stack trace and log
+  static summarize(incident) {
+    const { stackTrace, trace, log, ...summary } = incident;
+    return summary;
+  }
+}
+
+module.exports = IncidentService;
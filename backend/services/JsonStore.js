@@ -0,0 +1,51 @@
+const fs = require("fs-extra");
+const path = require("path");
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, "../data");
+
+// Small key/value store persisted as a JSON file under the data directory.
+class JsonStore {
+  constructor(fileName) {
+    this.filePath = path.join(DATA_DIR, fileName);
+    this.data = {};
+
+    try {
+      this.data = fs.readJsonSync(this.filePath);
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        console.error(`Failed to read ${this.filePath}:`, error.message);
+      }
+    }
+  }
+
+  get(key) {
+    return this.data[key];
+  }
+
+  has(key) {
+    return Object.prototype.hasOwnProperty.call(this.data, key);
+  }
+
+  all() {
+    return { ...this.data };
+  }
+
+  async set(key, value) {
+    this.data[key] = value;
+    await this.save();
+    return value;
+  }
+
+  async delete(key) {
+    delete this.data[key];
+    await this.save();
+  }
+
+  async save() {
+    await fs.outputJson(this.filePath, this.data, { spaces: 2 });
+  }
+}
+
+JsonStore.DATA_DIR = DATA_DIR;
+
+module.exports = JsonStore;
@@ -0,0 +1,290 @@
+const JsonStore = require("./JsonStore");
+const ValidationError = require("./ValidationError");
+
+const GPU_MODES = [
+  "auto",
+  "host",
+  "swiftshader_indirect",
+  "angle_indirect",
+  "guest",
+];
+const NET_SPEEDS = [
+  "full",
+  "gsm",
+  "hscsd",
+  "gprs",
+  "edge",
+  "umts",
+  "hsdpa",
+  "lte",
+  "evdo",
+  "5g",
+];
+const NET_DELAYS = [
+  "none",
+  "gsm",
+  "gprs",
+  "edge",
+  "umts",
+  "hsdpa",
+  "lte",
+  "evdo",
+  "5g",
+];
+// Custom rates in kbps ("up:down") and delays in ms ("min:max")
+const NET_CUSTOM = /^\d+(:\d+)?$/;
+const CAMERA = /^(emulated|none|webcam\d+)$/;
+const LOCALE = /^[a-z]{2,3}(-[A-Z]{2})?$/;
+const PROFILE_NAME = /^[\w .-]{1,64}$/;
+// Flags the controller sets itself
+const RESERVED_FLAGS = ["-avd", "-port", "-ports", "-snapshot"];
+
+const DEFAULT_OPTIONS = {
+  headless: false,
+  // Changes are thrown away on exit, and the same AVD can run more than
+  // once; snapshots can only be saved with this off
+  readOnly: true,
+  gpu: null,
+  netspeed: null,
+  netdelay: null,
+  memory: null,
+  cameraBack: "webcam0",
+  cameraFront: "webcam0",
+  locale: null,
+  extraArgs: [],
+};
+
+const BUILT_IN_PROFILES = {
+  "headless CI": {
+    description: "No window, software rendering and no cameras",
+    options: {
+      headless: true,
+      gpu: "swiftshader_indirect",
+      cameraBack: "none",
+      cameraFront: "none",
+    },
+  },
+  "slow 3G": {
+    description: "UMTS network speed and latency",
+    options: { netspeed: "umts", netdelay: "umts" },
+  },
+  writable: {
+    description: "Keeps changes in the AVD and allows saving snapshots",
+    options: { readOnly: false },
+  },
+  "low-memory device": {
+    description: "1 GB of guest RAM",
+    options: { memory: 1024 },
+  },
+};
+
+// Options that shape the emulator command line. Every AVD has its own
+// options, chosen when it is created; named launch profiles are layered on
+// top of them for a single start.
+class LaunchOptionsService {
+  constructor() {
+    this.store = new JsonStore("launch-options.json");
+    this.profiles = new JsonStore("launch-profiles.json");
+  }
+
+  static toArgs(options) {
+    return [
+      ...(options.headless ? ["-no-window"] : []),
+      ...(options.readOnly ? ["-read-only"] : []),
+      ...(options.gpu ? ["-gpu", options.gpu] : []),
+      ...(options.netspeed ? ["-netspeed", options.netspeed] : []),
+      ...(options.netdelay ? ["-netdelay", options.netdelay] : []),
+      ...(options.memory ? ["-memory", String(options.memory)] : []),
+      ...(options.cameraBack ? ["-camera-back", options.cameraBack] : []),
+      ...(options.cameraFront ? ["-camera-front", options.cameraFront] : []),
+      ...(options.locale ? ["-change-locale", options.locale] : []),
+      ...options.extraArgs,
+    ];
+  }
+
+  // The AVD's own options, as stored
+  get(emulatorName) {
+    return { ...this.store.get(emulatorName) };
+  }
+
+  // Messages for invalid fields, checked against the options they would
+  // end up combined with
+  checkOptions(options, base = DEFAULT_OPTIONS) {
+    const fields = {};
+    const merged = { ...base, ...options };
+    const oneOf = (field, values, custom) => {
+      const value = merged[field];
+      if (
+        value !== null &&
+        !values.includes(value) &&
+        !(custom && custom.test(value))
+      ) {
+        fields[field] = `Must be one of: ${values.join(", ")}`;
+      }
+    };
+
+    Object.keys(options).forEach((field) => {
+      if (!(field in DEFAULT_OPTIONS)) {
+        fields[field] = `Unknown launch option ${field}`;
+      }
+    });
+
+    ["headless", "readOnly"]
+      .filter((field) => typeof merged[field] !== "boolean")
+      .forEach((field) => {
+        fields[field] = "Must be true or false";
+      });
+    oneOf("gpu", GPU_MODES);
+    if (!fields.gpu && merged.headless && merged.gpu === "host") {
+      // Host rendering needs a window to render into
+      fields.gpu = "Host GPU rendering is not available for headless emulators";
+    }
+    oneOf("netspeed", NET_SPEEDS, NET_CUSTOM);
+    oneOf("netdelay", NET_DELAYS, NET_CUSTOM);
+    if (
+      merged.memory !== null &&
+      (!Number.isInteger(merged.memory) ||
+        merged.memory < 512 ||
+        merged.memory > 16384)
+    ) {
+      fields.memory = "Must be a whole number of MB between 512 and 16384";
+    }
+    if (merged.cameraBack !== null && !CAMERA.test(merged.cameraBack)) {
+      if (merged.cameraBack !== "virtualscene") {
+        fields.cameraBack = "Use emulated, virtualscene, none or webcamN";
+      }
+    }
+    if (merged.cameraFront !== null && !CAMERA.test(merged.cameraFront)) {
+      fields.cameraFront = "Use emulated, none or webcamN";
+    }
+    if (merged.locale !== null && !LOCALE.test(merged.locale)) {
+      fields.locale = "Use a locale tag such as en-US";
+    }
+
+    if (
+      !Array.isArray(merged.extraArgs) ||
+      merged.extraArgs.some((arg) => typeof arg !== "string" || !arg.trim())
+    ) {
+      fields.extraArgs = "Must be a list of non-empty arguments";
+    } else {
+      const reserved = merged.extraArgs.filter((arg) =>
+        RESERVED_FLAGS.includes(arg)
+      );
+      if (reserved.length > 0) {
+        fields.extraArgs = `${reserved.join(", ")} cannot be overridden`;
+      }
+    }
+
+    return fields;
+  }
+
+  // Returns the options unchanged, or throws with every invalid field.
+  // `prefix` lets the fields be merged with those of a larger form.
+  validate(options = {}, prefix = "launchOptions") {
+    const fields = this.checkOptions(options);
+    if (Object.keys(fields).length > 0) {
+      throw new ValidationError(
+        Object.fromEntries(
+          Object.entries(fields).map(([field, message]) => [
+            prefix ? `${prefix}.${field}` : field,
+            message,
+          ])
+        )
+      );
+    }
+    return options;
+  }
+
+  async set(emulatorName, options) {
+    return this.store.set(emulatorName, this.validate(options));
+  }
+
+  async clear(emulatorName) {
+    if (this.store.has(emulatorName)) {
+      await this.store.delete(emulatorName);
+    }
+  }
+
+  listProfiles() {
+    const builtIn = Object.entries(BUILT_IN_PROFILES).map(
+      ([name, profile]) => ({ name, ...profile, builtIn: true })
+    );
+    const saved = Object.entries(this.profiles.all()).map(
+      ([name, profile]) => ({ name, ...profile, builtIn: false })
+    );
+    return [...builtIn, ...saved];
+  }
+
+  getProfile(name) {
+    const profile = this.listProfiles().find((entry) => entry.name === name);
+    if (!profile) {
+      throw new Error(`Launch profile ${name} not found`);
+    }
+    return profile;
+  }
+
+  async saveProfile(name, { description = "", options = {} } = {}) {
+    if (typeof name !== "string" || !PROFILE_NAME.test(name)) {
+      throw new ValidationError({
+        name: "Use 1-64 letters, digits, spaces, dots, dashes or underscores",
+      });
+    }
+    if (BUILT_IN_PROFILES[name]) {
+      throw new ValidationError({
+        name: `${name} is a built-in profile and cannot be changed`,
+      });
+    }
+
+    const profile = {
+      description: String(description),
+      options: this.validate(options, "options"),
+      updatedAt: new Date(),
+    };
+    await this.profiles.set(name, profile);
+    return { name, ...profile, builtIn: false };
+  }
+
+  async deleteProfile(name) {
+    if (BUILT_IN_PROFILES[name]) {
+      throw new Error(`${name} is a built-in profile and cannot be deleted`);
+    }
+    if (!this.profiles.has(name)) {
+      throw new Error(`Launch profile ${name} not found`);
+    }
+    await this.profiles.delete(name);
+    return { message: `Launch profile ${name} deleted` };
+  }
+
+  // The options and flags for one start: defaults, then the AVD's own
+  // options, then the profile
+  resolve(emulatorName, profileName = null) {
+    const profile = profileName ? this.getProfile(profileName) : null;
+    const avdOptions = { ...DEFAULT_OPTIONS, ...this.get(emulatorName) };
+    const options = { ...avdOptions, ...(profile ? profile.options : {}) };
+
+    const fields = this.checkOptions(
+      profile ? profile.options : {},
+      avdOptions
+    );
+    if (Object.keys(fields).length > 0) {
+      const conflicts = Object.values(fields).join("; ");
+      throw new ValidationError(
+        fields,
+        `Launch profile ${profileName} conflicts with the options of ${emulatorName}: ${conflicts}`
+      );
+    }
+
+    return {
+      profile: profile ? profile.name : null,
+      options,
+      args: LaunchOptionsService.toArgs(options),
+    };
+  }
+}
+
+LaunchOptionsService.GPU_MODES = GPU_MODES;
+LaunchOptionsService.NET_SPEEDS = NET_SPEEDS;
+LaunchOptionsService.NET_DELAYS = NET_DELAYS;
+LaunchOptionsService.NET_CUSTOM = NET_CUSTOM;
+
+module.exports = LaunchOptionsService;
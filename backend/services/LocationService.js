@@ -0,0 +1,424 @@
+const crypto = require("crypto");
+const DeviceRegistry = require("./DeviceRegistry");
+const JsonStore = require("./JsonStore");
+const ValidationError = require("./ValidationError");
+
+// How often a playing route moves the device, in wall-clock time
+const PLAYBACK_INTERVAL = 1000;
+// Routes without timestamps are driven at this speed, in m/s (50 km/h)
+const DEFAULT_ROUTE_SPEED = 13.9;
+const MIN_SPEED = 0.1;
+const MAX_SPEED = 100;
+const PLACE_NAME = /^[\w .,'-]{1,64}$/;
+const EARTH_RADIUS = 6371000;
+
+function toRadians(degrees) {
+  return (degrees * Math.PI) / 180;
+}
+
+// Great-circle distance in metres
+function distance(from, to) {
+  const dLat = toRadians(to.latitude - from.latitude);
+  const dLon = toRadians(to.longitude - from.longitude);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.latitude)) *
+      Math.cos(toRadians(to.latitude)) *
+      Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS * Math.asin(Math.sqrt(a));
+}
+
+function attribute(tag, name) {
+  const match = tag.match(new RegExp(`\\b${name}\\s*=\\s*["']([^"']+)["']`));
+  return match ? parseFloat(match[1]) : NaN;
+}
+
+function childText(body, name) {
+  const match = body.match(new RegExp(`<${name}>\\s*([^<]*?)\\s*</${name}>`));
+  return match ? match[1] : null;
+}
+
+function checkPosition({ latitude, longitude, altitude = 0 }) {
+  const fields = {};
+  if (typeof latitude !== "number" || !(latitude >= -90 && latitude <= 90)) {
+    fields.latitude = "Must be a number between -90 and 90";
+  }
+  if (
+    typeof longitude !== "number" ||
+    !(longitude >= -180 && longitude <= 180)
+  ) {
+    fields.longitude = "Must be a number between -180 and 180";
+  }
+  if (typeof altitude !== "number" || !isFinite(altitude)) {
+    fields.altitude = "Must be a number of metres";
+  }
+  return fields;
+}
+
+// Sets emulator positions with `geo fix` and plays GPX/KML routes back at
+// a speed multiplier. Position changes are sent as
+// "emulator-location-changed" to the sockets watching that emulator.
+class LocationService {
+  constructor(io, registry, consoles) {
+    this.io = io;
+    this.registry = registry;
+    this.consoles = consoles;
+    this.places = new JsonStore("places.json");
+    this.positions = new Map();
+    this.playbacks = new Map();
+
+    registry.on("status-changed", ({ name, status }) => {
+      if (status === "stopped") {
+        this.clearPlayback(name);
+        this.positions.delete(name);
+      }
+    });
+  }
+
+  // Track, route and waypoint points of a GPX file, in that order of
+  // preference
+  static parseGpx(text) {
+    for (const element of ["trkpt", "rtept", "wpt"]) {
+      const pattern = new RegExp(
+        `<${element}\\b([^>]*?)(?:/>|>([\\s\\S]*?)</${element}>)`,
+        "g"
+      );
+      const points = Array.from(text.matchAll(pattern)).map(
+        ([, attributes, body = ""]) => {
+          const time = childText(body, "time");
+          const elevation = parseFloat(childText(body, "ele"));
+          return {
+            latitude: attribute(attributes, "lat"),
+            longitude: attribute(attributes, "lon"),
+            altitude: isNaN(elevation) ? 0 : elevation,
+            time: time ? new Date(time).getTime() : null,
+          };
+        }
+      );
+      if (points.length > 0) {
+        return points;
+      }
+    }
+    return [];
+  }
+
+  // <gx:Track> points with their <when> times, else plain <coordinates>
+  // lists ("lon,lat[,alt]" separated by whitespace)
+  static parseKml(text) {
+    const whens = Array.from(text.matchAll(/<when>([^<]+)<\/when>/g));
+    const coords = Array.from(text.matchAll(/<gx:coord>([^<]+)<\/gx:coord>/g));
+    if (coords.length > 0) {
+      return coords.map(([, coord], index) => {
+        const [longitude, latitude, altitude = 0] = coord
+          .trim()
+          .split(/\s+/)
+          .map(parseFloat);
+        const when = whens[index] ? new Date(whens[index][1]).getTime() : NaN;
+        return {
+          latitude,
+          longitude,
+          altitude,
+          time: isNaN(when) ? null : when,
+        };
+      });
+    }
+
+    return Array.from(
+      text.matchAll(/<coordinates>([\s\S]*?)<\/coordinates>/g)
+    ).flatMap(([, list]) =>
+      list
+        .trim()
+        .split(/\s+/)
+        .filter((tuple) => tuple)
+        .map((tuple) => {
+          const [longitude, latitude, altitude = 0] = tuple
+            .split(",")
+            .map(parseFloat);
+          return { latitude, longitude, altitude, time: null };
+        })
+    );
+  }
+
+  // Turns an uploaded route into points with playback offsets in ms
+  static parseRoute(fileName, text) {
+    const kml = /\.kml$/i.test(fileName) || /<kml[\s>]/.test(text);
+    const points = (
+      kml ? LocationService.parseKml(text) : LocationService.parseGpx(text)
+    ).filter((point) => Object.keys(checkPosition(point)).length === 0);
+    if (points.length < 2) {
+      throw new ValidationError({
+        route: `No route with at least two points found in ${fileName}`,
+      });
+    }
+
+    // Recorded times are used when every point has one and they move forward
+    const timed = points.every(
+      (point, index) =>
+        point.time !== null &&
+        (index === 0 || point.time >= points[index - 1].time)
+    );
+    let offset = 0;
+    return points.map((point, index) => {
+      if (index > 0) {
+        offset += timed
+          ? point.time - points[index - 1].time
+          : (distance(points[index - 1], point) / DEFAULT_ROUTE_SPEED) * 1000;
+      }
+      const { latitude, longitude, altitude } = point;
+      return { latitude, longitude, altitude, offset: Math.round(offset) };
+    });
+  }
+
+  getLocation(emulatorName) {
+    return {
+      position: this.positions.get(emulatorName) || null,
+      playback: this.toStatus(this.playbacks.get(emulatorName)),
+    };
+  }
+
+  emitLocation(emulatorName) {
+    if (this.io) {
+      this.io
+        .to(DeviceRegistry.room(emulatorName))
+        .emit("emulator-location-changed", {
+          id: emulatorName,
+          name: emulatorName,
+          ...this.getLocation(emulatorName),
+        });
+    }
+  }
+
+  // `geo fix` takes longitude before latitude
+  async fix(emulatorName, { latitude, longitude, altitude = 0 }) {
+    await this.consoles.command(
+      emulatorName,
+      `geo fix ${longitude} ${latitude} ${altitude}`
+    );
+    this.positions.set(emulatorName, {
+      latitude,
+      longitude,
+      altitude,
+      updatedAt: new Date(),
+    });
+  }
+
+  async setPosition(emulatorName, position = {}) {
+    const fields = checkPosition(position);
+    if (Object.keys(fields).length > 0) {
+      throw new ValidationError(fields);
+    }
+
+    // A manual position ends any route being played
+    this.clearPlayback(emulatorName);
+    await this.fix(emulatorName, position);
+    this.emitLocation(emulatorName);
+    return this.getLocation(emulatorName);
+  }
+
+  listPlaces() {
+    return Object.entries(this.places.all()).map(([name, place]) => ({
+      name,
+      ...place,
+    }));
+  }
+
+  async savePlace(name, position = {}) {
+    const fields = checkPosition(position);
+    if (typeof name !== "string" || !PLACE_NAME.test(name)) {
+      fields.name = "Use 1-64 letters, digits, spaces or punctuation";
+    }
+    if (Object.keys(fields).length > 0) {
+      throw new ValidationError(fields);
+    }
+
+    const { latitude, longitude, altitude = 0 } = position;
+    await this.places.set(name, { latitude, longitude, altitude });
+    return { name, latitude, longitude, altitude };
+  }
+
+  async deletePlace(name) {
+    if (!this.places.has(name)) {
+      throw new Error(`Place ${name} not found`);
+    }
+    await this.places.delete(name);
+    return { message: `Place ${name} deleted` };
+  }
+
+  validateSpeed(speed) {
+    if (
+      typeof speed !== "number" ||
+      !(speed >= MIN_SPEED && speed <= MAX_SPEED)
+    ) {
+      throw new ValidationError({
+        speed: `Must be a multiplier between ${MIN_SPEED} and ${MAX_SPEED}`,
+      });
+    }
+  }
+
+  toStatus(playback) {
+    if (!playback) {
+      return null;
+    }
+    const { timer, points, ...status } = playback;
+    return {
+      ...status,
+      points: points.length,
+      progress: playback.duration
+        ? Math.round((playback.elapsed / playback.duration) * 1000) / 10
+        : 100,
+    };
+  }
+
+  requirePlayback(emulatorName) {
+    const playback = this.playbacks.get(emulatorName);
+    if (!playback) {
+      throw new Error(`No route is playing on ${emulatorName}`);
+    }
+    return playback;
+  }
+
+  async playRoute(emulatorName, { fileName, text, speed = 1 }) {
+    this.consoles.requireRunningDevice(emulatorName);
+    this.validateSpeed(speed);
+    const points = LocationService.parseRoute(fileName, text);
+
+    this.clearPlayback(emulatorName);
+    const playback = {
+      id: crypto.randomUUID(),
+      route: fileName,
+      status: "playing",
+      error: null,
+      speed,
+      elapsed: 0,
+      duration: points[points.length - 1].offset,
+      points,
+      timer: null,
+    };
+    this.playbacks.set(emulatorName, playback);
+
+    await this.step(emulatorName, playback);
+    return this.toStatus(playback);
+  }
+
+  // Sends the interpolated position for the playback's elapsed route time
+  // and schedules the next step while playing
+  async step(emulatorName, playback) {
+    const { points, elapsed } = playback;
+    const nextIndex = points.findIndex((point) => point.offset > elapsed);
+    let position;
+    if (nextIndex === -1) {
+      position = points[points.length - 1];
+    } else {
+      const from = points[nextIndex - 1];
+      const to = points[nextIndex];
+      const ratio = (elapsed - from.offset) / (to.offset - from.offset);
+      position = {
+        latitude: from.latitude + (to.latitude - from.latitude) * ratio,
+        longitude: from.longitude + (to.longitude - from.longitude) * ratio,
+        altitude: from.altitude + (to.altitude - from.altitude) * ratio,
+      };
+    }
+
+    try {
+      await this.fix(emulatorName, position);
+    } catch (error) {
+      console.error(`Route playback on ${emulatorName} failed:`, error.message);
+      playback.status = "failed";
+      playback.error = error.message;
+    }
+
+    // Stopped or replaced while the fix was in flight
+    if (this.playbacks.get(emulatorName) !== playback) {
+      return;
+    }
+    if (playback.status === "playing" && elapsed >= playback.duration) {
+      playback.status = "finished";
+    }
+    this.emitLocation(emulatorName);
+
+    // A seek during the fix may already have scheduled the next step
+    if (playback.status === "playing" && !playback.timer) {
+      playback.timer = setTimeout(() => {
+        playback.timer = null;
+        playback.elapsed = Math.min(
+          playback.duration,
+          playback.elapsed + PLAYBACK_INTERVAL * playback.speed
+        );
+        this.step(emulatorName, playback);
+      }, PLAYBACK_INTERVAL);
+    }
+  }
+
+  pause(emulatorName) {
+    const playback = this.requirePlayback(emulatorName);
+    if (playback.status !== "playing") {
+      throw new Error(`Route on ${emulatorName} is not playing`);
+    }
+    clearTimeout(playback.timer);
+    playback.timer = null;
+    playback.status = "paused";
+    this.emitLocation(emulatorName);
+    return this.toStatus(playback);
+  }
+
+  async resume(emulatorName) {
+    const playback = this.requirePlayback(emulatorName);
+    if (playback.status === "playing") {
+      return this.toStatus(playback);
+    }
+    // Resuming a finished route plays it again from the start
+    if (playback.elapsed >= playback.duration) {
+      playback.elapsed = 0;
+    }
+    playback.status = "playing";
+    playback.error = null;
+    await this.step(emulatorName, playback);
+    return this.toStatus(playback);
+  }
+
+  async seek(emulatorName, offset) {
+    const playback = this.requirePlayback(emulatorName);
+    if (
+      typeof offset !== "number" ||
+      !(offset >= 0 && offset <= playback.duration)
+    ) {
+      throw new ValidationError({
+        offset: `Must be between 0 and ${playback.duration} ms`,
+      });
+    }
+
+    clearTimeout(playback.timer);
+    playback.timer = null;
+    playback.elapsed = offset;
+    if (playback.status === "finished") {
+      playback.status = "paused";
+    }
+    await this.step(emulatorName, playback);
+    return this.toStatus(playback);
+  }
+
+  setSpeed(emulatorName, speed) {
+    const playback = this.requirePlayback(emulatorName);
+    this.validateSpeed(speed);
+    playback.speed = speed;
+    this.emitLocation(emulatorName);
+    return this.toStatus(playback);
+  }
+
+  stop(emulatorName) {
+    this.requirePlayback(emulatorName);
+    this.clearPlayback(emulatorName);
+    this.emitLocation(emulatorName);
+    return { message: `Route playback on ${emulatorName} stopped` };
+  }
+
+  clearPlayback(emulatorName) {
+    const playback = this.playbacks.get(emulatorName);
+    if (playback) {
+      clearTimeout(playback.timer);
+      this.playbacks.delete(emulatorName);
+    }
+  }
+}
+
+module.exports = LocationService;
@@ -0,0 +1,383 @@
+const { EventEmitter } = require("events");
+const AdbClient = require("./AdbClient");
+const ValidationError = require("./ValidationError");
+
+const LEVELS = ["V", "D", "I", "W", "E", "F"];
+const PACKAGE_NAME = /^[a-zA-Z][\w]*(\.[a-zA-Z][\w]*)+$/;
+// "10-19 07:05:35.516  1234  1251 I ActivityManager: message"
+const THREADTIME_LINE =
+  /^(\d\d)-(\d\d) (\d\d):(\d\d):(\d\d)\.(\d{3})\s+(\d+)\s+(\d+) ([VDIWEFA]) (.*?)\s*: (.*)$/;
+// ActivityManager's note of a new app process: "Start proc 4321:com.example/u0a102"
+const START_PROC = /^Start proc (\d+):([^/\s]+)/;
+const BUFFER_SIZE = 5000;
+// Entries are sent to subscribers in batches at most this often
+const FLUSH_INTERVAL = 250;
+const RECONNECT_DELAY = 2000;
+const MAX_TEXT_LENGTH = 200;
+
+function parseLine(line) {
+  const match = line.match(THREADTIME_LINE);
+  if (!match) {
+    return null;
+  }
+  const [, month, day, hours, minutes, seconds, ms, pid, tid, level, tag] =
+    match;
+  // threadtime leaves out the year
+  const time = new Date(
+    new Date().getFullYear(),
+    Number(month) - 1,
+    Number(day),
+    Number(hours),
+    Number(minutes),
+    Number(seconds),
+    Number(ms)
+  );
+  return {
+    time,
+    pid: Number(pid),
+    tid: Number(tid),
+    // Assert shows up as A; treat it like fatal
+    level: level === "A" ? "F" : level,
+    tag,
+    message: match[11],
+  };
+}
+
+// The `text` filter: case-insensitive text to find, where * stands for any
+// run of characters and | separates alternatives. It is matched with
+// indexOf rather than compiled to a RegExp, so the time per entry stays
+// linear and no filter can stall the server with catastrophic backtracking.
+function compileText(text) {
+  const alternatives = text
+    .toLowerCase()
+    .split("|")
+    .map((alternative) => alternative.split("*").filter(Boolean))
+    .filter((parts) => parts.length > 0);
+  return (value) => {
+    const haystack = value.toLowerCase();
+    return alternatives.some((parts) => {
+      let from = 0;
+      return parts.every((part) => {
+        const at = haystack.indexOf(part, from);
+        from = at + part.length;
+        return at !== -1;
+      });
+    });
+  };
+}
+
+// Follows `logcat -v threadtime` on every running emulator and parses it
+// into entries. The most recent entries are kept per emulator, including
+// after it stops, so late joiners and incident reports can see them.
+// Sockets subscribe with their own filters and receive matching entries as
+// "logcat-entries" batches. Each parsed entry is also emitted as "entry"
+// with the emulator name.
+class LogcatService extends EventEmitter {
+  constructor(io, registry, adb) {
+    super();
+    this.io = io;
+    this.registry = registry;
+    this.adb = adb;
+    this.logs = new Map();
+    // emulator name -> socket id -> { socket, filters, match }
+    this.subscriptions = new Map();
+
+    registry.on("registered", (device) => {
+      this.reset(device.name);
+      if (device.status === "running") {
+        this.follow(device);
+      }
+    });
+
+    registry.on("status-changed", ({ name, status }) => {
+      const device = registry.get(name);
+      if (status === "running" && device) {
+        this.follow(device);
+      } else if (status === "stopping" || status === "stopped") {
+        this.unfollow(name);
+      }
+    });
+  }
+
+  reset(emulatorName) {
+    this.unfollow(emulatorName);
+    this.logs.set(emulatorName, {
+      device: null,
+      stream: null,
+      connecting: false,
+      reconnectTimer: null,
+      entries: [],
+      batch: [],
+      flushTimer: null,
+      nextSeq: 1,
+      // pid -> process name, from "Start proc" lines and pidof lookups
+      processes: new Map(),
+    });
+  }
+
+  log(emulatorName) {
+    if (!this.logs.has(emulatorName)) {
+      this.reset(emulatorName);
+    }
+    return this.logs.get(emulatorName);
+  }
+
+  async follow(device) {
+    const log = this.log(device.name);
+    if (log.stream || log.reconnectTimer || log.connecting) {
+      return;
+    }
+    log.device = device;
+    log.connecting = true;
+
+    // After a dropped connection, only ask for what came after the last entry
+    const last = log.entries[log.entries.length - 1];
+    const since = last ? ` -T '${last.raw.slice(0, 18)}'` : "";
+    let stream;
+    try {
+      stream = await this.adb.shellStream(
+        device.serial,
+        `logcat -v threadtime${since}`
+      );
+    } catch (error) {
+      console.error(`Logcat for ${device.name} failed:`, error.message);
+      this.scheduleReconnect(device);
+      return;
+    } finally {
+      log.connecting = false;
+    }
+    if (log.device !== device) {
+      stream.destroy();
+      return;
+    }
+    log.stream = stream;
+
+    let pending = "";
+    stream.on("data", (chunk) => {
+      const lines = (pending + chunk.toString("utf8")).split(/\r?\n/);
+      pending = lines.pop();
+      lines.forEach((line) => this.add(device.name, line));
+    });
+    stream.on("error", (error) => {
+      console.error(`Logcat for ${device.name} failed:`, error.message);
+    });
+    stream.on("close", () => {
+      if (log.stream === stream) {
+        log.stream = null;
+        this.scheduleReconnect(device);
+      }
+    });
+  }
+
+  scheduleReconnect(device) {
+    const log = this.log(device.name);
+    if (log.device !== device || this.registry.get(device.name) !== device) {
+      return;
+    }
+    log.reconnectTimer = setTimeout(() => {
+      log.reconnectTimer = null;
+      this.follow(device);
+    }, RECONNECT_DELAY);
+  }
+
+  unfollow(emulatorName) {
+    const log = this.logs.get(emulatorName);
+    if (!log) {
+      return;
+    }
+    log.device = null;
+    clearTimeout(log.reconnectTimer);
+    log.reconnectTimer = null;
+    if (log.stream) {
+      const { stream } = log;
+      log.stream = null;
+      stream.destroy();
+    }
+  }
+
+  add(emulatorName, line) {
+    const entry = parseLine(line);
+    if (!entry) {
+      return;
+    }
+    const log = this.log(emulatorName);
+    entry.seq = log.nextSeq++;
+    entry.raw = line;
+
+    const started =
+      entry.tag === "ActivityManager" && entry.message.match(START_PROC);
+    if (started) {
+      log.processes.set(Number(started[1]), started[2]);
+    }
+
+    log.entries.push(entry);
+    if (log.entries.length > BUFFER_SIZE) {
+      log.entries.shift();
+    }
+
+    this.emit("entry", emulatorName, entry);
+
+    log.batch.push(entry);
+    if (!log.flushTimer) {
+      log.flushTimer = setTimeout(
+        () => this.flush(emulatorName),
+        FLUSH_INTERVAL
+      );
+    }
+  }
+
+  flush(emulatorName) {
+    const log = this.log(emulatorName);
+    const { batch } = log;
+    log.batch = [];
+    log.flushTimer = null;
+
+    const subscribers = this.subscriptions.get(emulatorName);
+    if (!subscribers) {
+      return;
+    }
+    subscribers.forEach(({ socket, match }) => {
+      const entries = batch.filter(match);
+      if (entries.length > 0) {
+        socket.emit("logcat-entries", {
+          id: emulatorName,
+          name: emulatorName,
+          entries,
+        });
+      }
+    });
+  }
+
+  // Checks { level, tag, package, text } and returns the entry predicate
+  compileFilters(emulatorName, filters = {}) {
+    const { level, tag, package: packageName, text } = filters;
+    const fields = {};
+    if (level && !LEVELS.includes(level)) {
+      fields.level = `Must be one of: ${LEVELS.join(", ")}`;
+    }
+    if (tag !== undefined && tag !== null && typeof tag !== "string") {
+      fields.tag = "Must be a tag name, or several separated by commas";
+    }
+    if (packageName && !PACKAGE_NAME.test(packageName)) {
+      fields.package = "Must be a package name like com.example.app";
+    }
+
+    let contains = null;
+    if (text) {
+      if (typeof text !== "string" || text.length > MAX_TEXT_LENGTH) {
+        fields.text = `Must be text of at most ${MAX_TEXT_LENGTH} characters`;
+      } else {
+        contains = compileText(text);
+      }
+    }
+    if (Object.keys(fields).length > 0) {
+      throw new ValidationError(fields);
+    }
+
+    const minLevel = level ? LEVELS.indexOf(level) : 0;
+    const tags = tag
+      ? tag
+          .split(",")
+          .map((name) => name.trim())
+          .filter((name) => name)
+      : [];
+    const log = this.log(emulatorName);
+
+    return (entry) => {
+      if (LEVELS.indexOf(entry.level) < minLevel) {
+        return false;
+      }
+      if (tags.length > 0 && !tags.includes(entry.tag)) {
+        return false;
+      }
+      if (packageName) {
+        // Also matches the app's other processes, e.g. com.example:remote
+        const process = log.processes.get(entry.pid);
+        if (
+          !process ||
+          (process !== packageName && !process.startsWith(`${packageName}:`))
+        ) {
+          return false;
+        }
+      }
+      return !contains || contains(`${entry.tag}: ${entry.message}`);
+    };
+  }
+
+  // Learns the pids of a package that was already running before logcat
+  // saw it start
+  async lookUpProcesses(emulatorName, packageName) {
+    const device = this.registry.get(emulatorName);
+    if (!device || !packageName) {
+      return;
+    }
+    try {
+      const output = await this.adb.shell(
+        device.serial,
+        `pidof ${AdbClient.quote(packageName)}`
+      );
+      const log = this.log(emulatorName);
+      output
+        .trim()
+        .split(/\s+/)
+        .filter((pid) => /^\d+$/.test(pid))
+        .forEach((pid) => log.processes.set(Number(pid), packageName));
+    } catch (error) {
+      // Filtering still works for processes started from now on
+    }
+  }
+
+  // Recent entries matching the filters, oldest first
+  async recent(emulatorName, filters = {}, limit = BUFFER_SIZE) {
+    const match = this.compileFilters(emulatorName, filters);
+    await this.lookUpProcesses(emulatorName, filters.package);
+    return this.log(emulatorName).entries.filter(match).slice(-limit);
+  }
+
+  // Replaces the socket's subscription to the emulator and sends it the
+  // matching history
+  async subscribe(socket, emulatorName, filters = {}) {
+    const match = this.compileFilters(emulatorName, filters);
+    await this.lookUpProcesses(emulatorName, filters.package);
+
+    if (!this.subscriptions.has(emulatorName)) {
+      this.subscriptions.set(emulatorName, new Map());
+    }
+    this.subscriptions
+      .get(emulatorName)
+      .set(socket.id, { socket, filters, match });
+
+    // Entries still waiting in the batch reach the socket with it
+    const log = this.log(emulatorName);
+    const pending = log.batch.length > 0 ? log.batch[0].seq : log.nextSeq;
+    socket.emit("logcat-history", {
+      id: emulatorName,
+      name: emulatorName,
+      filters,
+      entries: log.entries.filter(
+        (entry) => entry.seq < pending && match(entry)
+      ),
+    });
+  }
+
+  unsubscribe(socket, emulatorName) {
+    const subscribers = this.subscriptions.get(emulatorName);
+    if (subscribers) {
+      subscribers.delete(socket.id);
+      if (subscribers.size === 0) {
+        this.subscriptions.delete(emulatorName);
+      }
+    }
+  }
+
+  unsubscribeAll(socket) {
+    Array.from(this.subscriptions.keys()).forEach((emulatorName) =>
+      this.unsubscribe(socket, emulatorName)
+    );
+  }
+}
+
+LogcatService.LEVELS = LEVELS;
+LogcatService.parseLine = parseLine;
+
+module.exports = LogcatService;
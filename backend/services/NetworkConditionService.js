@@ -0,0 +1,281 @@
+const LaunchOptionsService = require("./LaunchOptionsService");
+const ValidationError = require("./ValidationError");
+
+const { NET_SPEEDS, NET_DELAYS, NET_CUSTOM } = LaunchOptionsService;
+const TOGGLES = ["airplaneMode", "wifi", "mobileData"];
+// What an outage switches off
+const OUTAGE_TARGETS = ["all", "wifi", "mobileData"];
+const MIN_OUTAGE = 1000;
+
+// Shell commands that switch each radio on (true) or off (false)
+const TOGGLE_COMMANDS = {
+  airplaneMode: (on) =>
+    `cmd connectivity airplane-mode ${on ? "enable" : "disable"}`,
+  wifi: (on) => `svc wifi ${on ? "enable" : "disable"}`,
+  mobileData: (on) => `svc data ${on ? "enable" : "disable"}`,
+};
+
+// Changes a running emulator's network on the fly: speed and latency
+// through the console, radios through adb, and scripted outages that drop
+// the connection on a schedule. The conditions live on the registry entry
+// as `network` so they show up in the emulator's status, and every change
+// is broadcast as "emulator-network-changed".
+class NetworkConditionService {
+  constructor(io, registry, consoles, adb) {
+    this.io = io;
+    this.registry = registry;
+    this.consoles = consoles;
+    this.adb = adb;
+    // Radio states last sent to each device, and outage timers
+    this.applied = new Map();
+    this.timers = new Map();
+
+    registry.on("registered", (device) => {
+      const options = device.launch ? device.launch.options : {};
+      device.network = {
+        speed: options.netspeed || "full",
+        delay: options.netdelay || "none",
+        airplaneMode: false,
+        wifi: true,
+        mobileData: true,
+        outage: null,
+      };
+      this.applied.set(device.name, {
+        airplaneMode: false,
+        wifi: true,
+        mobileData: true,
+      });
+    });
+
+    registry.on("status-changed", ({ name, status }) => {
+      if (status === "stopping" || status === "stopped") {
+        clearTimeout(this.timers.get(name));
+        this.timers.delete(name);
+        this.applied.delete(name);
+      }
+    });
+  }
+
+  static isThrottled(network) {
+    return Boolean(
+      network &&
+        (network.speed !== "full" ||
+          network.delay !== "none" ||
+          network.airplaneMode ||
+          !network.wifi ||
+          !network.mobileData ||
+          network.outage)
+    );
+  }
+
+  get(emulatorName) {
+    const device = this.consoles.requireRunningDevice(emulatorName);
+    return {
+      ...device.network,
+      throttled: NetworkConditionService.isThrottled(device.network),
+    };
+  }
+
+  emitChange(emulatorName) {
+    if (this.io) {
+      this.io.emit("emulator-network-changed", {
+        id: emulatorName,
+        name: emulatorName,
+        network: this.get(emulatorName),
+      });
+    }
+  }
+
+  checkConditions(conditions) {
+    const fields = {};
+    const oneOf = (field, values) => {
+      const value = conditions[field];
+      if (
+        value !== undefined &&
+        !values.includes(value) &&
+        !NET_CUSTOM.test(value)
+      ) {
+        fields[field] = `Must be one of: ${values.join(", ")}`;
+      }
+    };
+
+    Object.keys(conditions).forEach((field) => {
+      if (!["speed", "delay", ...TOGGLES].includes(field)) {
+        fields[field] = `Unknown network condition ${field}`;
+      }
+    });
+    oneOf("speed", NET_SPEEDS);
+    oneOf("delay", NET_DELAYS);
+    TOGGLES.forEach((field) => {
+      if (
+        conditions[field] !== undefined &&
+        typeof conditions[field] !== "boolean"
+      ) {
+        fields[field] = "Must be true or false";
+      }
+    });
+
+    return fields;
+  }
+
+  // Applies any of speed, delay, airplaneMode, wifi and mobileData
+  async update(emulatorName, conditions = {}) {
+    const device = this.consoles.requireRunningDevice(emulatorName);
+    const fields = this.checkConditions(conditions);
+    if (Object.keys(fields).length > 0) {
+      throw new ValidationError(fields);
+    }
+
+    const { speed, delay } = conditions;
+    if (speed !== undefined && speed !== device.network.speed) {
+      await this.consoles.command(emulatorName, `network speed ${speed}`);
+      device.network.speed = speed;
+    }
+    if (delay !== undefined && delay !== device.network.delay) {
+      await this.consoles.command(emulatorName, `network delay ${delay}`);
+      device.network.delay = delay;
+    }
+
+    TOGGLES.filter((field) => conditions[field] !== undefined).forEach(
+      (field) => {
+        device.network[field] = conditions[field];
+      }
+    );
+    await this.applyRadios(device);
+
+    this.emitChange(emulatorName);
+    return this.get(emulatorName);
+  }
+
+  // The radio states the device should have now: what was asked for, with
+  // a running outage switching its target off
+  effectiveRadios(network) {
+    const radios = {
+      airplaneMode: network.airplaneMode,
+      wifi: network.wifi,
+      mobileData: network.mobileData,
+    };
+    if (network.outage && network.outage.down) {
+      if (network.outage.target === "all") {
+        radios.airplaneMode = true;
+      } else {
+        radios[network.outage.target] = false;
+      }
+    }
+    return radios;
+  }
+
+  async applyRadios(device) {
+    const applied = this.applied.get(device.name);
+    const radios = this.effectiveRadios(device.network);
+
+    // Airplane mode goes first so the radios end up as asked afterwards
+    for (const field of TOGGLES) {
+      if (radios[field] !== applied[field]) {
+        await this.adb.shell(
+          device.serial,
+          TOGGLE_COMMANDS[field](radios[field])
+        );
+        applied[field] = radios[field];
+      }
+    }
+  }
+
+  // Drops the connection for `duration` ms out of every `interval` ms; the
+  // first drop ends one interval from now
+  async setOutage(emulatorName, { interval, duration, target = "all" } = {}) {
+    const device = this.consoles.requireRunningDevice(emulatorName);
+    const fields = {};
+    if (!Number.isInteger(interval) || interval < 2 * MIN_OUTAGE) {
+      fields.interval = `Must be at least ${2 * MIN_OUTAGE} ms`;
+    }
+    if (!Number.isInteger(duration) || duration < MIN_OUTAGE) {
+      fields.duration = `Must be at least ${MIN_OUTAGE} ms`;
+    } else if (!fields.interval && duration >= interval) {
+      fields.duration = "Must be shorter than the interval";
+    }
+    if (!OUTAGE_TARGETS.includes(target)) {
+      fields.target = `Must be one of: ${OUTAGE_TARGETS.join(", ")}`;
+    }
+    if (Object.keys(fields).length > 0) {
+      throw new ValidationError(fields);
+    }
+
+    await this.clearOutage(emulatorName, { silent: true });
+    device.network.outage = {
+      interval,
+      duration,
+      target,
+      down: false,
+      nextChangeAt: new Date(Date.now() + interval - duration),
+    };
+    this.schedule(device);
+
+    this.emitChange(emulatorName);
+    return this.get(emulatorName);
+  }
+
+  schedule(device) {
+    const { outage } = device.network;
+    const delay = Math.max(0, outage.nextChangeAt.getTime() - Date.now());
+
+    this.timers.set(
+      device.name,
+      setTimeout(async () => {
+        // The outage was cleared or replaced meanwhile, or the emulator
+        // is going away
+        if (
+          device.network.outage !== outage ||
+          !this.consoles.isRunning(device)
+        ) {
+          return;
+        }
+
+        outage.down = !outage.down;
+        outage.nextChangeAt = new Date(
+          Date.now() +
+            (outage.down ? outage.duration : outage.interval - outage.duration)
+        );
+        console.log(
+          `Network outage on ${device.name}: ${
+            outage.down ? "dropping" : "restoring"
+          } ${outage.target}`
+        );
+
+        try {
+          await this.applyRadios(device);
+        } catch (error) {
+          console.error(
+            `Network outage on ${device.name} failed:`,
+            error.message
+          );
+        }
+        if (this.consoles.isRunning(device)) {
+          this.schedule(device);
+          this.emitChange(device.name);
+        }
+      }, delay)
+    );
+  }
+
+  async clearOutage(emulatorName, { silent = false } = {}) {
+    const device = this.consoles.requireRunningDevice(emulatorName);
+    clearTimeout(this.timers.get(emulatorName));
+    this.timers.delete(emulatorName);
+
+    if (device.network.outage) {
+      device.network.outage = null;
+      // Bring back whatever the outage had switched off
+      await this.applyRadios(device);
+    }
+
+    if (!silent) {
+      this.emitChange(emulatorName);
+    }
+    return this.get(emulatorName);
+  }
+}
+
+NetworkConditionService.OUTAGE_TARGETS = OUTAGE_TARGETS;
+
+module.exports = NetworkConditionService;
@@ -0,0 +1,10 @@
+// A request for something that doesn't exist, such as an AVD or snapshot
+// by a name nobody created. Routes answer it with 404.
+class NotFoundError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "NotFoundError";
+  }
+}
+
+module.exports = NotFoundError;
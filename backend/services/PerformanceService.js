@@ -0,0 +1,522 @@
+const crypto = require("crypto");
+const AdbClient = require("./AdbClient");
+const DeviceRegistry = require("./DeviceRegistry");
+const ValidationError = require("./ValidationError");
+
+const PACKAGE_NAME = /^[a-zA-Z][\w]*(\.[a-zA-Z][\w]*)+$/;
+const MIN_INTERVAL = 1000;
+const DEFAULT_INTERVAL = 2000;
+// Sessions kept per emulator, and samples per session (an hour at 1s)
+const MAX_SESSIONS = 10;
+const MAX_SAMPLES = 3600;
+
+// Sample fields in export order. Memory is in KB, frame times in ms and
+// network rates in bytes per second.
+const SAMPLE_FIELDS = [
+  "time",
+  "totalPss",
+  "javaHeap",
+  "nativeHeap",
+  "cpu",
+  "frames",
+  "jankyFrames",
+  "jank",
+  "p50",
+  "p90",
+  "p95",
+  "p99",
+  "rxBytes",
+  "txBytes",
+  "rxRate",
+  "txRate",
+];
+// Sample fields a threshold can be set on
+const THRESHOLD_METRICS = [
+  "totalPss",
+  "cpu",
+  "jank",
+  "p90",
+  "rxRate",
+  "txRate",
+];
+
+const quote = AdbClient.quote;
+
+function number(text, pattern) {
+  const match = text.match(pattern);
+  return match ? Number(match[1]) : null;
+}
+
+// `dumpsys meminfo <pkg>`: the App Summary, in KB
+function parseMeminfo(output) {
+  return {
+    totalPss: number(output, /TOTAL PSS:\s+(\d+)/),
+    javaHeap: number(output, /Java Heap:\s+(\d+)/),
+    nativeHeap: number(output, /Native Heap:\s+(\d+)/),
+  };
+}
+
+// `ps -A -o PID,NAME`: the pids of the package's processes, including its
+// other processes such as com.example.app:remote
+function parseProcesses(output, packageName) {
+  return output
+    .split("\n")
+    .map((line) => line.trim().split(/\s+/))
+    .filter(
+      ([pid, name]) =>
+        /^\d+$/.test(pid) &&
+        (name === packageName || name?.startsWith(`${packageName}:`))
+    )
+    .map(([pid]) => Number(pid));
+}
+
+// `cat /proc/stat /proc/<pid>/stat ...`: the CPU time, in clock ticks, of
+// the whole device and of each process, used so far
+function parseCpuTimes(output) {
+  const times = { total: null, processes: new Map() };
+  output.split("\n").forEach((line) => {
+    if (line.startsWith("cpu ")) {
+      // user, nice, system, idle, iowait, irq, softirq and steal
+      times.total = line
+        .trim()
+        .split(/\s+/)
+        .slice(1, 9)
+        .reduce((sum, value) => sum + Number(value), 0);
+      return;
+    }
+    // The name in parentheses may hold spaces; utime and stime are the
+    // 12th and 13th fields after it
+    const match = line.match(/^(\d+) \(.*\) (.*)$/);
+    if (match) {
+      const fields = match[2].split(" ");
+      times.processes.set(
+        Number(match[1]),
+        Number(fields[11]) + Number(fields[12])
+      );
+    }
+  });
+  return times;
+}
+
+// The share of the device's CPU time the processes used between two
+// readings, in %. Processes that started since count from zero.
+function cpuShare(previous, current) {
+  if (!previous || previous.total === null || current.total === null) {
+    return null;
+  }
+  const elapsed = current.total - previous.total;
+  if (elapsed <= 0) {
+    return null;
+  }
+  let used = 0;
+  current.processes.forEach((time, pid) => {
+    used += Math.max(0, time - (previous.processes.get(pid) || 0));
+  });
+  return Math.round((used / elapsed) * 1000) / 10;
+}
+
+// `dumpsys gfxinfo <pkg> framestats`: totals since the last reset
+function parseGfxinfo(output) {
+  return {
+    frames: number(output, /Total frames rendered: (\d+)/),
+    jankyFrames: number(output, /Janky frames: (\d+)/),
+    p50: number(output, /50th percentile: (\d+)ms/),
+    p90: number(output, /90th percentile: (\d+)ms/),
+    p95: number(output, /95th percentile: (\d+)ms/),
+    p99: number(output, /99th percentile: (\d+)ms/),
+  };
+}
+
+// `dumpsys netstats detail`: bytes of the UID's untagged traffic
+function parseNetstats(output, uid) {
+  let section = null;
+  let current = null;
+  const bytes = { rxBytes: 0, txBytes: 0 };
+  output.split("\n").forEach((line) => {
+    if (/^\S/.test(line)) {
+      section = line.trim();
+      return;
+    }
+    if (section !== "UID stats:") {
+      return;
+    }
+    const ident = line.match(/uid=(-?\d+) set=\w+ tag=(0x[0-9a-f]+)/);
+    if (ident) {
+      current = Number(ident[1]) === uid && ident[2] === "0x0";
+      return;
+    }
+    const bucket = line.match(/rb=(\d+) rp=\d+ tb=(\d+)/);
+    if (bucket && current) {
+      bytes.rxBytes += Number(bucket[1]);
+      bytes.txBytes += Number(bucket[2]);
+    }
+  });
+  return bytes;
+}
+
+function toCsv(samples) {
+  const rows = samples.map((sample) =>
+    SAMPLE_FIELDS.map((field) => {
+      const value = sample[field];
+      if (value === null || value === undefined) {
+        return "";
+      }
+      return field === "time" ? new Date(value).toISOString() : value;
+    }).join(",")
+  );
+  return `${[SAMPLE_FIELDS.join(","), ...rows].join("\n")}\n`;
+}
+
+// Samples memory, CPU, frame rendering and network use of one app on a
+// running emulator at a fixed interval. Each run is a session holding its
+// time series; new samples go to the emulator's viewers as
+// "performance-sample", and a metric crossing its threshold raises
+// "performance-alert". Frame stats are reset when a session starts, so
+// the percentiles cover the session so far.
+class PerformanceService {
+  constructor(io, registry, consoles, adb) {
+    this.io = io;
+    this.registry = registry;
+    this.consoles = consoles;
+    this.adb = adb;
+    // emulator name -> sessions, newest first
+    this.sessions = new Map();
+    this.timers = new Map();
+    // session id -> the CPU times of the previous sample
+    this.cpuTimes = new Map();
+
+    registry.on("status-changed", ({ name, status }) => {
+      if (status === "stopping" || status === "stopped") {
+        const session = this.active(name);
+        if (session) {
+          this.finish(session);
+        }
+      }
+    });
+  }
+
+  list(emulatorName) {
+    return (this.sessions.get(emulatorName) || []).map(
+      PerformanceService.summarize
+    );
+  }
+
+  active(emulatorName) {
+    return (this.sessions.get(emulatorName) || []).find(
+      (session) => session.status === "running"
+    );
+  }
+
+  get(emulatorName, sessionId) {
+    const session = (this.sessions.get(emulatorName) || []).find(
+      (candidate) => candidate.id === sessionId
+    );
+    if (!session) {
+      throw new Error(`Performance session ${sessionId} not found`);
+    }
+    return session;
+  }
+
+  emit(event, session, data) {
+    if (this.io) {
+      this.io.to(DeviceRegistry.room(session.emulator)).emit(event, {
+        id: session.emulator,
+        name: session.emulator,
+        sessionId: session.id,
+        ...data,
+      });
+    }
+  }
+
+  checkThresholds(thresholds) {
+    const fields = {};
+    if (
+      typeof thresholds !== "object" ||
+      thresholds === null ||
+      Array.isArray(thresholds)
+    ) {
+      return { thresholds: "Must be an object of metric limits" };
+    }
+    Object.entries(thresholds).forEach(([metric, limit]) => {
+      if (!THRESHOLD_METRICS.includes(metric)) {
+        fields[metric] = `Thresholds can be set on: ${THRESHOLD_METRICS.join(
+          ", "
+        )}`;
+      } else if (limit !== null && !(typeof limit === "number" && limit > 0)) {
+        fields[metric] = "Must be a positive number, or null for none";
+      }
+    });
+    return fields;
+  }
+
+  // The app's Linux UID, which netstats reports traffic under
+  async lookUpUid(device, packageName) {
+    const output = await this.adb.shell(
+      device.serial,
+      `dumpsys package ${quote(packageName)}`
+    );
+    return number(output, /userId=(\d+)/);
+  }
+
+  async start(
+    emulatorName,
+    { packageName, interval = DEFAULT_INTERVAL, thresholds = {} } = {}
+  ) {
+    const device = this.consoles.requireRunningDevice(emulatorName);
+    const fields = {};
+    if (!packageName || !PACKAGE_NAME.test(packageName)) {
+      fields.packageName = "Must be a package name like com.example.app";
+    }
+    if (!Number.isInteger(interval) || interval < MIN_INTERVAL) {
+      fields.interval = `Must be at least ${MIN_INTERVAL} ms`;
+    }
+    Object.assign(fields, this.checkThresholds(thresholds));
+    if (Object.keys(fields).length > 0) {
+      throw new ValidationError(fields);
+    }
+
+    const uid = await this.lookUpUid(device, packageName);
+    if (uid === null) {
+      throw new ValidationError({
+        packageName: `${packageName} is not installed on ${emulatorName}`,
+      });
+    }
+
+    const running = this.active(emulatorName);
+    if (running) {
+      this.finish(running);
+    }
+    await this.adb.shell(
+      device.serial,
+      `dumpsys gfxinfo ${quote(packageName)} reset`
+    );
+
+    const session = {
+      id: crypto.randomUUID(),
+      emulator: emulatorName,
+      packageName,
+      uid,
+      interval,
+      thresholds: { ...thresholds },
+      status: "running",
+      startedAt: new Date(),
+      stoppedAt: null,
+      samples: [],
+      alerts: [],
+    };
+    const sessions = [session, ...(this.sessions.get(emulatorName) || [])];
+    this.sessions.set(emulatorName, sessions.slice(0, MAX_SESSIONS));
+
+    console.log(
+      `Started performance session for ${packageName} on ${emulatorName}`
+    );
+    this.emit("performance-session-changed", session, {
+      session: PerformanceService.summarize(session),
+    });
+    this.schedule(device, session, 0);
+    return PerformanceService.summarize(session);
+  }
+
+  schedule(device, session, delay = session.interval) {
+    this.timers.set(
+      session.id,
+      setTimeout(async () => {
+        if (session.status !== "running") {
+          return;
+        }
+        try {
+          this.addSample(session, await this.sample(device, session));
+        } catch (error) {
+          console.error(
+            `Performance sample on ${device.name} failed:`,
+            error.message
+          );
+        }
+        if (session.status === "running") {
+          this.schedule(device, session);
+        }
+      }, delay)
+    );
+  }
+
+  // One reading of every metric; metrics the device can't report are null
+  async sample(device, session) {
+    const { packageName, uid } = session;
+    const shell = (command) => this.adb.shell(device.serial, command);
+    const time = new Date();
+
+    const memory = parseMeminfo(
+      await shell(`dumpsys meminfo ${quote(packageName)}`)
+    );
+    const cpu = await this.sampleCpu(shell, session);
+    const frames = parseGfxinfo(
+      await shell(`dumpsys gfxinfo ${quote(packageName)} framestats`)
+    );
+    // Without a poll, netstats only catches up every few minutes
+    await shell("dumpsys netstats --poll");
+    const network = parseNetstats(await shell("dumpsys netstats detail"), uid);
+
+    // Frame counts and traffic are totals; the sample holds what happened
+    // since the previous one
+    const previous = session.samples[session.samples.length - 1];
+    const seconds = previous ? (time - previous.time) / 1000 : null;
+    const framesSince =
+      previous && frames.frames !== null
+        ? Math.max(0, frames.frames - previous.totalFrames)
+        : frames.frames;
+    const jankySince =
+      previous && frames.jankyFrames !== null
+        ? Math.max(0, frames.jankyFrames - previous.totalJankyFrames)
+        : frames.jankyFrames;
+
+    return {
+      time,
+      ...memory,
+      cpu,
+      frames: framesSince,
+      jankyFrames: jankySince,
+      jank:
+        framesSince > 0
+          ? Math.round((jankySince / framesSince) * 1000) / 10
+          : null,
+      p50: frames.p50,
+      p90: frames.p90,
+      p95: frames.p95,
+      p99: frames.p99,
+      ...network,
+      rxRate: seconds
+        ? Math.round(Math.max(0, network.rxBytes - previous.rxBytes) / seconds)
+        : null,
+      txRate: seconds
+        ? Math.round(Math.max(0, network.txBytes - previous.txBytes) / seconds)
+        : null,
+      totalFrames: frames.frames,
+      totalJankyFrames: frames.jankyFrames,
+    };
+  }
+
+  // CPU use since the previous sample, from the kernel's counters rather
+  // than `dumpsys cpuinfo`, whose figures are averaged over minutes. The
+  // first sample of a session has nothing to compare with and is null.
+  async sampleCpu(shell, session) {
+    const pids = parseProcesses(
+      await shell("ps -A -o PID,NAME"),
+      session.packageName
+    );
+    const times = parseCpuTimes(
+      await shell(
+        ["cat /proc/stat", ...pids.map((pid) => `/proc/${pid}/stat`)].join(" ")
+      )
+    );
+    const cpu = cpuShare(this.cpuTimes.get(session.id), times);
+    this.cpuTimes.set(session.id, times);
+    return cpu;
+  }
+
+  addSample(session, sample) {
+    const previous = session.samples[session.samples.length - 1];
+    session.samples.push(sample);
+    if (session.samples.length > MAX_SAMPLES) {
+      session.samples.shift();
+    }
+    this.emit("performance-sample", session, { sample });
+
+    // Alert when a metric goes over its threshold, not on every sample
+    // while it stays there
+    Object.entries(session.thresholds).forEach(([metric, limit]) => {
+      const over = (entry) =>
+        entry && entry[metric] !== null && entry[metric] > limit;
+      if (limit !== null && over(sample) && !over(previous)) {
+        const alert = {
+          metric,
+          value: sample[metric],
+          threshold: limit,
+          time: sample.time,
+        };
+        session.alerts.push(alert);
+        this.emit("performance-alert", session, {
+          packageName: session.packageName,
+          alert,
+        });
+      }
+    });
+  }
+
+  async updateThresholds(emulatorName, sessionId, thresholds) {
+    const session = this.get(emulatorName, sessionId);
+    const fields = this.checkThresholds(thresholds);
+    if (Object.keys(fields).length > 0) {
+      throw new ValidationError(fields);
+    }
+    session.thresholds = { ...session.thresholds, ...thresholds };
+    this.emit("performance-session-changed", session, {
+      session: PerformanceService.summarize(session),
+    });
+    return PerformanceService.summarize(session);
+  }
+
+  finish(session) {
+    clearTimeout(this.timers.get(session.id));
+    this.timers.delete(session.id);
+    this.cpuTimes.delete(session.id);
+    session.status = "stopped";
+    session.stoppedAt = new Date();
+    console.log(
+      `Stopped performance session for ${session.packageName} on ${session.emulator}`
+    );
+    this.emit("performance-session-changed", session, {
+      session: PerformanceService.summarize(session),
+    });
+  }
+
+  async stop(emulatorName, sessionId) {
+    const session = this.get(emulatorName, sessionId);
+    if (session.status === "running") {
+      this.finish(session);
+    }
+    return PerformanceService.summarize(session);
+  }
+
+  async remove(emulatorName, sessionId) {
+    const session = this.get(emulatorName, sessionId);
+    if (session.status === "running") {
+      this.finish(session);
+    }
+    this.sessions.set(
+      emulatorName,
+      this.sessions.get(emulatorName).filter((other) => other !== session)
+    );
+    return { message: `Deleted performance session ${sessionId}` };
+  }
+
+  // The session's samples as "csv" or "json"
+  export(emulatorName, sessionId, format = "json") {
+    if (!["csv", "json"].includes(format)) {
+      throw new ValidationError({ format: "Must be csv or json" });
+    }
+    const session = this.get(emulatorName, sessionId);
+    const samples = session.samples.map((sample) =>
+      Object.fromEntries(SAMPLE_FIELDS.map((field) => [field, sample[field]]))
+    );
+    if (format === "csv") {
+      return toCsv(samples);
+    }
+    return JSON.stringify(
+      { ...PerformanceService.summarize(session), samples },
+      null,
+      2
+    );
+  }
+
+  // The session without its samples, but with the latest one
+  static summarize(session) {
+    const { samples, ...summary } = session;
+    return {
+      ...summary,
+      sampleCount: samples.length,
+      latest: samples[samples.length - 1] || null,
+    };
+  }
+}
+
+module.exports = PerformanceService;
@@ -0,0 +1,219 @@
+const AdbClient = require("./AdbClient");
+const DeviceRegistry = require("./DeviceRegistry");
+const ValidationError = require("./ValidationError");
+
+const PACKAGE_NAME = /^[a-zA-Z][\w]*(\.[a-zA-Z][\w]*)+$/;
+// "CAMERA" is short for "android.permission.CAMERA"
+const PERMISSION = /^[a-zA-Z][\w]*(\.[a-zA-Z][\w]*)*$/;
+// Special permissions that are switched as app-ops rather than granted,
+// by the permission the app requests them with
+const APP_OPS = {
+  "android.permission.SYSTEM_ALERT_WINDOW": "SYSTEM_ALERT_WINDOW",
+  "android.permission.WRITE_SETTINGS": "WRITE_SETTINGS",
+  "android.permission.REQUEST_INSTALL_PACKAGES": "REQUEST_INSTALL_PACKAGES",
+  "android.permission.MANAGE_EXTERNAL_STORAGE": "MANAGE_EXTERNAL_STORAGE",
+  "android.permission.PACKAGE_USAGE_STATS": "GET_USAGE_STATS",
+  "android.permission.SCHEDULE_EXACT_ALARM": "SCHEDULE_EXACT_ALARM",
+};
+const APP_OP_MODES = ["allow", "ignore", "deny", "default"];
+// "android.permission.CAMERA: granted=false, flags=[ USER_SET|USER_FIXED ]"
+const RUNTIME_PERMISSION =
+  /^([\w.]+): granted=(true|false)(?:, flags=\[\s*(.*?)\s*\])?/;
+
+const quote = AdbClient.quote;
+
+// The indented lines under a heading of `dumpsys package`, such as
+// "requested permissions:". Only the first one counts, which is user 0's
+// for the per-user sections.
+function section(lines, heading) {
+  const start = lines.findIndex((line) => line.trim() === heading);
+  if (start === -1) {
+    return [];
+  }
+  const indent = lines[start].search(/\S/);
+  const body = [];
+  for (const line of lines.slice(start + 1)) {
+    if (line.search(/\S/) <= indent) {
+      break;
+    }
+    body.push(line.trim());
+  }
+  return body;
+}
+
+function fullPermissionName(permission) {
+  return permission.includes(".")
+    ? permission
+    : `android.permission.${permission}`;
+}
+
+// Runtime permissions and app-ops of the apps on a running emulator, so
+// "permission denied" flows can be set up without going through the
+// Settings app. Changes are sent to the emulator's viewers as
+// "emulator-permissions-changed".
+class PermissionService {
+  constructor(io, consoles, adb) {
+    this.io = io;
+    this.consoles = consoles;
+    this.adb = adb;
+  }
+
+  checkPackageName(packageName) {
+    if (!packageName || !PACKAGE_NAME.test(packageName)) {
+      throw new ValidationError({
+        packageName: "Must be a package name like com.example.app",
+      });
+    }
+  }
+
+  // What the app requests, its runtime permissions with their grant state
+  // and flags, and the modes of the app-ops it requests
+  async read(emulatorName, device, packageName) {
+    const output = await this.adb.shell(
+      device.serial,
+      `dumpsys package ${quote(packageName)}`
+    );
+    const lines = output.split("\n");
+    const start = lines.findIndex((line) =>
+      line.includes(`Package [${packageName}]`)
+    );
+    if (start === -1) {
+      throw new ValidationError({
+        packageName: `${packageName} is not installed on ${emulatorName}`,
+      });
+    }
+    const details = lines.slice(start);
+
+    // Newer images add ", restricted" or ": restricted=true"
+    const requested = section(details, "requested permissions:").map(
+      (line) => line.split(/[:,\s]/)[0]
+    );
+    const runtime = section(details, "runtime permissions:")
+      .map((line) => line.match(RUNTIME_PERMISSION))
+      .filter(Boolean)
+      .map(([, name, granted, flags]) => ({
+        name,
+        granted: granted === "true",
+        flags: flags ? flags.split("|").filter(Boolean) : [],
+      }));
+    const appOps = await Promise.all(
+      requested
+        .filter((permission) => APP_OPS[permission])
+        .map(async (permission) => {
+          const op = APP_OPS[permission];
+          const mode = (
+            await this.adb.shell(
+              device.serial,
+              `appops get ${quote(packageName)} ${op}`
+            )
+          ).match(new RegExp(`\\b${op}: (\\w+)`));
+          // "No operations." until the mode is changed from the default
+          return { op, permission, mode: mode ? mode[1] : "default" };
+        })
+    );
+
+    return { packageName, requested, runtime, appOps };
+  }
+
+  async get(emulatorName, packageName) {
+    const device = this.consoles.requireRunningDevice(emulatorName);
+    this.checkPackageName(packageName);
+    return this.read(emulatorName, device, packageName);
+  }
+
+  // Runs a pm or appops command, which only print something when they fail
+  async run(device, command) {
+    const output = (await this.adb.shell(device.serial, command)).trim();
+    if (output) {
+      throw new Error(output.split("\n")[0]);
+    }
+  }
+
+  async publish(emulatorName, device, packageName) {
+    const permissions = await this.read(emulatorName, device, packageName);
+    if (this.io) {
+      this.io
+        .to(DeviceRegistry.room(emulatorName))
+        .emit("emulator-permissions-changed", {
+          id: emulatorName,
+          name: emulatorName,
+          permissions,
+        });
+    }
+    return permissions;
+  }
+
+  // Grants or revokes a runtime permission. Android kills the app when one
+  // is revoked.
+  async setPermission(emulatorName, packageName, permission, granted) {
+    const device = this.consoles.requireRunningDevice(emulatorName);
+    this.checkPackageName(packageName);
+    const fields = {};
+    if (!permission || !PERMISSION.test(permission)) {
+      fields.permission = "Must be a permission name like CAMERA";
+    }
+    if (typeof granted !== "boolean") {
+      fields.granted = "Must be true or false";
+    }
+    if (Object.keys(fields).length > 0) {
+      throw new ValidationError(fields);
+    }
+
+    const name = fullPermissionName(permission);
+    const current = await this.read(emulatorName, device, packageName);
+    if (!current.runtime.some((runtime) => runtime.name === name)) {
+      throw new ValidationError({
+        permission: `${name} is not a runtime permission of ${packageName}`,
+      });
+    }
+    await this.run(
+      device,
+      `pm ${granted ? "grant" : "revoke"} ${quote(packageName)} ${name}`
+    );
+    return this.publish(emulatorName, device, packageName);
+  }
+
+  async setAppOp(emulatorName, packageName, op, mode) {
+    const device = this.consoles.requireRunningDevice(emulatorName);
+    this.checkPackageName(packageName);
+    if (!APP_OP_MODES.includes(mode)) {
+      throw new ValidationError({
+        mode: `Must be one of: ${APP_OP_MODES.join(", ")}`,
+      });
+    }
+
+    const current = await this.read(emulatorName, device, packageName);
+    if (!current.appOps.some((appOp) => appOp.op === op)) {
+      throw new ValidationError({
+        op: `${packageName} does not request the ${op} app-op`,
+      });
+    }
+    await this.run(device, `appops set ${quote(packageName)} ${op} ${mode}`);
+    return this.publish(emulatorName, device, packageName);
+  }
+
+  // Back to a fresh install: every runtime permission ungranted, with the
+  // "don't ask again" flags cleared, and every app-op at its default.
+  // Done one permission at a time, as `pm reset-permissions` takes no
+  // package and resets every app on the device.
+  async reset(emulatorName, packageName) {
+    const device = this.consoles.requireRunningDevice(emulatorName);
+    this.checkPackageName(packageName);
+    const current = await this.read(emulatorName, device, packageName);
+    const pkg = quote(packageName);
+    for (const permission of current.runtime) {
+      if (permission.granted) {
+        await this.run(device, `pm revoke ${pkg} ${permission.name}`);
+      }
+      await this.run(
+        device,
+        `pm clear-permission-flags ${pkg} ${permission.name} user-set user-fixed`
+      );
+    }
+    // Unlike set, reset says what it did
+    await this.adb.shell(device.serial, `appops reset ${quote(packageName)}`);
+    return this.publish(emulatorName, device, packageName);
+  }
+}
+
+module.exports = PermissionService;
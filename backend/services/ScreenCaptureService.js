@@ -1,18 +1,14 @@
-const { exec, spawn } = require("child_process");
-const fs = require("fs-extra");
-const path = require("path");
+const DeviceRegistry = require("./DeviceRegistry");
+const { createDriver } = require("../drivers");
 
 class ScreenCaptureService {
-  constructor(io) {
+  constructor(io, registry = new DeviceRegistry(), driver = createDriver()) {
     this.io = io;
+    this.registry = registry;
+    this.adb = driver.adb;
     this.captureProcesses = new Map();
-    this.adbPath = process.env.ADB_PATH || "adb";
-    this.screenshotDir = path.join(__dirname, "../temp/screenshots");
-    this.activeProcesses = 0;
-    this.maxConcurrentProcesses = 3;
-
-    // Ensure screenshot directory exists
-    fs.ensureDirSync(this.screenshotDir);
+    this.activeRequests = 0;
+    this.maxConcurrentRequests = 3;
   }
 
   startCapture(emulatorName, socket) {
@@ -28,9 +24,9 @@ class ScreenCaptureService {
     this.checkEmulatorReady(emulatorName)
       .then(() => {
         const captureInterval = setInterval(async () => {
-          // Prevent too many concurrent processes
-          if (this.activeProcesses >= this.maxConcurrentProcesses) {
-            console.log("Skipping screenshot - too many active processes");
+          // Prevent too many concurrent screencaps
+          if (this.activeRequests >= this.maxConcurrentRequests) {
+            console.log("Skipping screenshot - too many active requests");
             return;
           }
 
@@ -61,28 +57,16 @@ class ScreenCaptureService {
   }
 
   async checkEmulatorReady(emulatorName) {
-    return new Promise((resolve, reject) => {
-      exec(`${this.adbPath} devices`, (error, stdout) => {
-        if (error) {
-          reject(new Error(`ADB check failed: ${error.message}`));
-          return;
-        }
-
-        const devices = stdout
-          .split("\n")
-          .filter(
-            (line) => line.includes("emulator") && line.includes("device")
-          )
-          .filter((line) => !line.includes("offline"));
-
-        if (devices.length === 0) {
-          reject(new Error("No online emulator devices found"));
-          return;
-        }
-
-        resolve(devices[0].split("\t")[0]);
-      });
-    });
+    const device = this.registry.get(emulatorName);
+    if (!device) {
+      throw new Error(`Emulator ${emulatorName} is not running`);
+    }
+
+    if (!(await this.adb.isOnline(device.serial))) {
+      throw new Error(`Emulator device ${device.serial} is not online`);
+    }
+
+    return device.serial;
   }
 
   stopCapture(socket) {
@@ -92,129 +76,56 @@ class ScreenCaptureService {
       clearInterval(captureInfo.interval);
       this.captureProcesses.delete(socket.id);
       console.log(`Stopped screen capture for socket ${socket.id}`);
-
-      // Reset active processes counter if needed
-      if (this.captureProcesses.size === 0) {
-        this.activeProcesses = 0;
-      }
     }
   }
 
   async takeScreenshot(emulatorName) {
-    return new Promise((resolve, reject) => {
-      // Track active processes
-      this.activeProcesses++;
-
-      const timestamp = Date.now();
-      const screenshotPath = path.join(
-        this.screenshotDir,
-        `${emulatorName}_${timestamp}.png`
-      );
-
-      // First, check if any devices are connected
-      exec(
-        `${this.adbPath} devices`,
-        { timeout: 5000 },
-        (deviceError, deviceStdout) => {
-          if (deviceError) {
-            this.activeProcesses--;
-            reject(
-              new Error(`ADB devices check failed: ${deviceError.message}`)
-            );
-            return;
-          }
-
-          console.log(`ADB devices output: ${deviceStdout}`);
-
-          const devices = deviceStdout
-            .split("\n")
-            .filter(
-              (line) => line.includes("emulator") && line.includes("device")
-            )
-            .filter((line) => !line.includes("offline"));
-
-          if (devices.length === 0) {
-            this.activeProcesses--;
-            reject(
-              new Error(
-                `No online emulator devices found. ADB output: ${deviceStdout}`
-              )
-            );
-            return;
-          }
-
-          // Use the first available emulator device
-          const deviceId = devices[0].split("\t")[0];
-          const command = `${this.adbPath} -s ${deviceId} exec-out screencap -p > "${screenshotPath}"`;
-
-          exec(command, { timeout: 10000 }, async (error, stdout, stderr) => {
-            this.activeProcesses--;
-
-            if (error) {
-              reject(
-                new Error(
-                  `Screenshot failed: ${error.message}. ADB stderr: ${stderr}`
-                )
-              );
-              return;
-            }
-
-            try {
-              // Read the screenshot file and convert to base64
-              const imageBuffer = await fs.readFile(screenshotPath);
-              const base64Image = imageBuffer.toString("base64");
+    const device = this.registry.get(emulatorName);
+    if (!device) {
+      throw new Error(`Emulator ${emulatorName} is not running`);
+    }
 
-              // Clean up the temporary file
-              await fs.unlink(screenshotPath);
+    // Track in-flight requests
+    this.activeRequests++;
 
-              resolve(base64Image);
-            } catch (fileError) {
-              reject(
-                new Error(`Failed to process screenshot: ${fileError.message}`)
-              );
-            }
-          });
-        }
-      );
-    });
+    try {
+      const imageBuffer = await this.adb.exec(device.serial, "screencap -p");
+      if (imageBuffer.length === 0) {
+        throw new Error("Empty screenshot received");
+      }
+      return imageBuffer.toString("base64");
+    } catch (error) {
+      throw new Error(`Screenshot failed: ${error.message}`);
+    } finally {
+      this.activeRequests--;
+    }
   }
 
   async getEmulatorInfo(emulatorName) {
-    return new Promise((resolve, reject) => {
-      const commands = [
-        `${this.adbPath} shell getprop ro.product.model`,
-        `${this.adbPath} shell getprop ro.build.version.release`,
-        `${this.adbPath} shell wm size`,
-      ];
-
-      Promise.all(
-        commands.map(
-          (cmd) =>
-            new Promise((res, rej) => {
-              exec(cmd, (error, stdout) => {
-                if (error) rej(error);
-                else res(stdout.trim());
-              });
-            })
-        )
-      )
-        .then((results) => {
-          const [model, version, size] = results;
-          const dimensions = size.match(/(\d+)x(\d+)/);
-
-          resolve({
-            model,
-            androidVersion: version,
-            screenSize: dimensions
-              ? {
-                  width: parseInt(dimensions[1]),
-                  height: parseInt(dimensions[2]),
-                }
-              : null,
-          });
-        })
-        .catch(reject);
-    });
+    const device = this.registry.get(emulatorName);
+    if (!device) {
+      throw new Error(`Emulator ${emulatorName} is not running`);
+    }
+
+    const [model, version, size] = await Promise.all(
+      [
+        "getprop ro.product.model",
+        "getprop ro.build.version.release",
+        "wm size",
+      ].map(async (cmd) => (await this.adb.shell(device.serial, cmd)).trim())
+    );
+    const dimensions = size.match(/(\d+)x(\d+)/);
+
+    return {
+      model,
+      androidVersion: version,
+      screenSize: dimensions
+        ? {
+            width: parseInt(dimensions[1]),
+            height: parseInt(dimensions[2]),
+          }
+        : null,
+    };
   }
 
   getActiveCaptureCount() {
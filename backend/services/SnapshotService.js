@@ -0,0 +1,137 @@
+const NotFoundError = require("./NotFoundError");
+const ValidationError = require("./ValidationError");
+
+const SNAPSHOT_NAME = /^[A-Za-z0-9._-]{1,64}$/;
+const SIZE_UNITS = { K: 1024, M: 1024 ** 2, G: 1024 ** 3 };
+
+// One row of `avd snapshot list`:
+// --        default_boot        133M 2023-09-21 10:00:00   00:01:23.456
+const LIST_ROW =
+  /^\S+\s+(\S+)\s+([\d.]+)([KMG]?)\s+(\d{4}-\d\d-\d\d \d\d:\d\d:\d\d)\s+(\S+)$/;
+
+function validateName(name, field = "name", label = "Snapshot name") {
+  if (typeof name !== "string" || !SNAPSHOT_NAME.test(name)) {
+    throw new ValidationError(
+      { [field]: "Must be 1-64 letters, digits, dots, dashes or underscores" },
+      `${label} must be 1-64 letters, digits, dots, dashes or underscores`
+    );
+  }
+}
+
+// Named snapshots of an AVD. Running emulators are driven through the
+// emulator console; stopped AVDs through the snapshot files on disk.
+class SnapshotService {
+  constructor(registry, driver) {
+    this.registry = registry;
+    this.driver = driver;
+  }
+
+  static parseList(output) {
+    return output
+      .split("\n")
+      .map((line) => line.trim().match(LIST_ROW))
+      .filter((match) => match)
+      .map(([, name, size, unit, date, vmClock]) => ({
+        name,
+        size: Math.round(parseFloat(size) * (SIZE_UNITS[unit] || 1)),
+        createdAt: new Date(date.replace(" ", "T")),
+        vmClock,
+      }));
+  }
+
+  getRunningDevice(avdName) {
+    const device = this.registry.get(avdName);
+    if (!device || device.status === "stopping") {
+      return null;
+    }
+    return device;
+  }
+
+  requireRunningDevice(avdName) {
+    const device = this.getRunningDevice(avdName);
+    if (!device || device.status === "starting") {
+      throw new Error(`Emulator ${avdName} must be running`);
+    }
+    return device;
+  }
+
+  async list(avdName) {
+    const device = this.getRunningDevice(avdName);
+    if (device && device.status !== "starting") {
+      return SnapshotService.parseList(
+        await this.driver.emu(device.serial, "avd snapshot list")
+      );
+    }
+    return this.driver.listSnapshots(avdName);
+  }
+
+  async exists(avdName, snapshotName) {
+    const snapshots = await this.list(avdName);
+    return snapshots.some((snapshot) => snapshot.name === snapshotName);
+  }
+
+  async save(avdName, snapshotName) {
+    validateName(snapshotName);
+    const device = this.requireRunningDevice(avdName);
+    if (device.launch && device.launch.options.readOnly) {
+      throw new ValidationError({
+        name: `${avdName} was started read-only; start it with readOnly off, such as with the writable profile, to save snapshots`,
+      });
+    }
+
+    await this.driver.emu(device.serial, `avd snapshot save ${snapshotName}`);
+    return { message: `Snapshot ${snapshotName} saved`, name: snapshotName };
+  }
+
+  async load(avdName, snapshotName) {
+    validateName(snapshotName);
+    const device = this.requireRunningDevice(avdName);
+    if (!(await this.exists(avdName, snapshotName))) {
+      throw new NotFoundError(`Snapshot ${snapshotName} not found`);
+    }
+
+    await this.driver.emu(device.serial, `avd snapshot load ${snapshotName}`);
+    return { message: `Snapshot ${snapshotName} loaded`, name: snapshotName };
+  }
+
+  async delete(avdName, snapshotName) {
+    validateName(snapshotName);
+    if (!(await this.exists(avdName, snapshotName))) {
+      throw new NotFoundError(`Snapshot ${snapshotName} not found`);
+    }
+
+    const device = this.getRunningDevice(avdName);
+    if (device && device.status !== "starting") {
+      await this.driver.emu(
+        device.serial,
+        `avd snapshot delete ${snapshotName}`
+      );
+    } else {
+      await this.driver.deleteSnapshot(avdName, snapshotName);
+    }
+    return { message: `Snapshot ${snapshotName} deleted` };
+  }
+
+  // The console has no rename, so the snapshot is renamed where it is stored
+  async rename(avdName, snapshotName, newName) {
+    validateName(snapshotName);
+    validateName(newName, "newName", "New snapshot name");
+
+    if (!(await this.exists(avdName, snapshotName))) {
+      throw new NotFoundError(`Snapshot ${snapshotName} not found`);
+    }
+    if (await this.exists(avdName, newName)) {
+      throw new ValidationError({
+        newName: `Snapshot ${newName} already exists`,
+      });
+    }
+
+    await this.driver.renameSnapshot(avdName, snapshotName, newName);
+    return {
+      message: `Snapshot ${snapshotName} renamed to ${newName}`,
+      name: newName,
+    };
+  }
+}
+
+module.exports = SnapshotService;
@@ -0,0 +1,290 @@
+const crypto = require("crypto");
+
+const SYSTEM_IMAGE_ID = /^system-images;android-([\w.-]+);([\w-]+);([\w-]+)$/;
+// `sdkmanager --list` hits the network, so the parsed catalog is reused
+const CATALOG_TTL = 5 * 60 * 1000;
+// Finished install jobs stay queryable for a while after they settle
+const FINISHED_JOB_TTL = 30 * 60 * 1000;
+
+// "[=======       ] 25% Downloading x86_64-34_r13.zip..."
+const PROGRESS_LINE = /(\d+)%\s+(.*)$/;
+
+function parseImageId(id) {
+  const match = id.match(SYSTEM_IMAGE_ID);
+  if (!match) {
+    return null;
+  }
+  const [, platform, tag, abi] = match;
+  return {
+    id,
+    // Preview platforms use letters instead of a number
+    apiLevel: /^\d+$/.test(platform) ? parseInt(platform) : platform,
+    tag,
+    abi,
+  };
+}
+
+function phaseOf(message) {
+  const text = message.toLowerCase();
+  if (text.includes("unzip")) {
+    return "unzipping";
+  }
+  if (text.includes("install")) {
+    return "installing";
+  }
+  if (text.includes("download")) {
+    return "downloading";
+  }
+  return null;
+}
+
+// Lists the system images sdkmanager knows about and installs missing ones
+// as background jobs, pushing their progress as
+// "system-image-install-progress" events.
+class SystemImageService {
+  constructor(io, driver) {
+    this.io = io;
+    this.driver = driver;
+    this.catalog = null;
+    this.catalogLoadedAt = 0;
+    this.jobs = new Map();
+  }
+
+  // Reads the package tables out of `sdkmanager --list`, keyed by section
+  static parsePackageList(output) {
+    const sections = {};
+    let section = null;
+
+    output.split(/\r?\n/).forEach((line) => {
+      const heading = line.match(/^(\S.*):\s*$/);
+      if (heading) {
+        section = heading[1].toLowerCase();
+        sections[section] = [];
+        return;
+      }
+
+      // The updates table heads its first column "ID" instead of "Path"
+      const columns = line.split("|").map((column) => column.trim());
+      if (
+        !section ||
+        columns.length < 3 ||
+        columns[0] === "Path" ||
+        columns[0] === "ID"
+      ) {
+        return;
+      }
+      if (columns[0].startsWith("---")) {
+        return;
+      }
+
+      sections[section].push({
+        id: columns[0],
+        version: columns[1],
+        description: columns[2],
+      });
+    });
+
+    return sections;
+  }
+
+  async listImages({ refresh = false } = {}) {
+    if (
+      refresh ||
+      !this.catalog ||
+      Date.now() - this.catalogLoadedAt > CATALOG_TTL
+    ) {
+      const sections = SystemImageService.parsePackageList(
+        await this.driver.listSdkPackages()
+      );
+      const installed = sections["installed packages"] || [];
+      const available = sections["available packages"] || [];
+      const installedIds = new Set(installed.map((pkg) => pkg.id));
+
+      const images = new Map();
+      [...installed, ...available].forEach((pkg) => {
+        const image = parseImageId(pkg.id);
+        if (image && !images.has(pkg.id)) {
+          images.set(pkg.id, {
+            ...image,
+            version: pkg.version,
+            description: pkg.description,
+            installed: installedIds.has(pkg.id),
+          });
+        }
+      });
+
+      this.catalog = Array.from(images.values()).sort(
+        (a, b) =>
+          String(b.apiLevel).localeCompare(String(a.apiLevel), undefined, {
+            numeric: true,
+          }) ||
+          a.tag.localeCompare(b.tag) ||
+          a.abi.localeCompare(b.abi)
+      );
+      this.catalogLoadedAt = Date.now();
+    }
+
+    return this.catalog.map((image) => ({
+      ...image,
+      installing: this.activeJobFor(image.id) !== null,
+    }));
+  }
+
+  async getImage(id) {
+    const images = await this.listImages();
+    return images.find((image) => image.id === id) || null;
+  }
+
+  async isInstalled(id) {
+    const image = await this.getImage(id);
+    return Boolean(image && image.installed);
+  }
+
+  activeJobFor(id) {
+    const job = Array.from(this.jobs.values()).find(
+      (entry) => entry.imageId === id && entry.status === "running"
+    );
+    return job || null;
+  }
+
+  listJobs() {
+    return Array.from(this.jobs.values());
+  }
+
+  getJob(jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job) {
+      throw new Error("Install job not found");
+    }
+    return job;
+  }
+
+  emitProgress(job) {
+    if (this.io) {
+      this.io.emit("system-image-install-progress", job);
+    }
+  }
+
+  async install(id) {
+    if (typeof id !== "string" || !parseImageId(id)) {
+      throw new Error(
+        "Expected a system image id like system-images;android-34;google_apis;x86_64"
+      );
+    }
+
+    const running = this.activeJobFor(id);
+    if (running) {
+      return running;
+    }
+
+    const image = await this.getImage(id);
+    if (!image) {
+      throw new Error(`System image ${id} is not available`);
+    }
+    if (image.installed) {
+      throw new Error(`System image ${id} is already installed`);
+    }
+
+    const job = {
+      id: crypto.randomUUID(),
+      imageId: id,
+      status: "running",
+      phase: "starting",
+      progress: 0,
+      message: null,
+      error: null,
+      startedAt: new Date(),
+      finishedAt: null,
+    };
+    this.jobs.set(job.id, job);
+    this.emitProgress(job);
+    this.run(job);
+
+    return job;
+  }
+
+  run(job) {
+    console.log(`Installing system image ${job.imageId}`);
+    const installProcess = this.driver.installSdkPackage(job.imageId);
+    const errors = [];
+    let pending = "";
+
+    const onLine = (line) => {
+      const text = line.trim();
+      if (!text) {
+        return;
+      }
+
+      const match = text.match(PROGRESS_LINE);
+      if (!match) {
+        job.message = text;
+        return;
+      }
+
+      const progress = parseInt(match[1]);
+      const message = match[2].trim();
+      const phase = phaseOf(message) || job.phase;
+      // sdkmanager repeats the same line many times a second
+      if (
+        progress === job.progress &&
+        phase === job.phase &&
+        message === job.message
+      ) {
+        return;
+      }
+
+      Object.assign(job, { progress, phase, message });
+      this.emitProgress(job);
+    };
+
+    // Progress lines are separated by carriage returns, not newlines
+    installProcess.stdout.on("data", (data) => {
+      const lines = (pending + data.toString()).split(/[\r\n]+/);
+      pending = lines.pop();
+      lines.forEach(onLine);
+    });
+
+    installProcess.stderr.on("data", (data) => {
+      errors.push(data.toString().trim());
+    });
+
+    const finish = (error) => {
+      if (job.status !== "running") {
+        return;
+      }
+      onLine(pending);
+
+      job.status = error ? "failed" : "completed";
+      job.error = error ? error.message : null;
+      job.finishedAt = new Date();
+      if (!error) {
+        job.progress = 100;
+        job.phase = "done";
+        // The catalog changed
+        this.catalog = null;
+      }
+
+      console.log(
+        `System image ${job.imageId} install ${job.status}` +
+          (error ? `: ${error.message}` : "")
+      );
+      this.emitProgress(job);
+
+      setTimeout(() => this.jobs.delete(job.id), FINISHED_JOB_TTL).unref();
+    };
+
+    installProcess.on("error", finish);
+    installProcess.on("close", (code) => {
+      finish(
+        code === 0
+          ? null
+          : new Error(
+              errors.filter((line) => line).join("\n") ||
+                `sdkmanager exited with code ${code}`
+            )
+      );
+    });
+  }
+}
+
+module.exports = SystemImageService;
@@ -0,0 +1,11 @@
+// A request rejected because of its input. `fields` maps each offending
+// field to a message the dashboard can show next to it.
+class ValidationError extends Error {
+  constructor(fields, message = Object.values(fields).join("; ")) {
+    super(message);
+    this.name = "ValidationError";
+    this.fields = fields;
+  }
+}
+
+module.exports = ValidationError;
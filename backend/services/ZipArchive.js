@@ -0,0 +1,155 @@
+const fs = require("fs-extra");
+const zlib = require("zlib");
+const { Readable } = require("stream");
+const AdbClient = require("./AdbClient");
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_ENTRY = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+// The end record is 22 bytes, followed by a comment of up to 64 KB
+const MAX_END_RECORD = 22 + 0xffff;
+const STORED = 0;
+const DEFLATED = 8;
+
+// Reads part of the archive, which is either a file path or a Buffer
+async function readAt(source, position, length) {
+  if (Buffer.isBuffer(source)) {
+    return source.subarray(position, position + length);
+  }
+  const handle = await fs.promises.open(source, "r");
+  try {
+    const buffer = Buffer.alloc(length);
+    const { bytesRead } = await handle.read(buffer, 0, length, position);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+}
+
+// Reads single entries of a zip file, which APKs, APK sets and app bundles
+// all are, without extracting the rest. The archive is a file path, or a
+// Buffer when it is already in memory. Zip64 is not supported, so archives
+// must be under 4 GB.
+class ZipArchive {
+  constructor(source, entries) {
+    this.source = source;
+    this.entries = entries;
+  }
+
+  static async open(source) {
+    const size = Buffer.isBuffer(source)
+      ? source.length
+      : (await fs.stat(source)).size;
+    const tailLength = Math.min(size, MAX_END_RECORD);
+    const tail = await readAt(source, size - tailLength, tailLength);
+    let end = -1;
+    for (let offset = tail.length - 22; offset >= 0; offset--) {
+      if (tail.readUInt32LE(offset) === END_OF_CENTRAL_DIRECTORY) {
+        end = offset;
+        break;
+      }
+    }
+    if (end === -1) {
+      throw new Error("Not a zip archive");
+    }
+
+    const count = tail.readUInt16LE(end + 10);
+    const directory = await readAt(
+      source,
+      tail.readUInt32LE(end + 16),
+      tail.readUInt32LE(end + 12)
+    );
+    const entries = new Map();
+    let offset = 0;
+    for (let index = 0; index < count; index++) {
+      if (
+        offset + 46 > directory.length ||
+        directory.readUInt32LE(offset) !== CENTRAL_DIRECTORY_ENTRY
+      ) {
+        throw new Error("Corrupt zip central directory");
+      }
+      const nameLength = directory.readUInt16LE(offset + 28);
+      const name = directory.toString(
+        "utf8",
+        offset + 46,
+        offset + 46 + nameLength
+      );
+      entries.set(name, {
+        name,
+        method: directory.readUInt16LE(offset + 10),
+        compressedSize: directory.readUInt32LE(offset + 20),
+        size: directory.readUInt32LE(offset + 24),
+        headerOffset: directory.readUInt32LE(offset + 42),
+      });
+      offset +=
+        46 +
+        nameLength +
+        directory.readUInt16LE(offset + 30) +
+        directory.readUInt16LE(offset + 32);
+    }
+    return new ZipArchive(source, entries);
+  }
+
+  names() {
+    return Array.from(this.entries.keys());
+  }
+
+  has(name) {
+    return this.entries.has(name);
+  }
+
+  // A readable stream of an entry's uncompressed content
+  async stream(name) {
+    const entry = this.entries.get(name);
+    if (!entry) {
+      throw new Error(`${name} is not in the archive`);
+    }
+    if (entry.method !== STORED && entry.method !== DEFLATED) {
+      throw new Error(`${name} uses unsupported compression ${entry.method}`);
+    }
+
+    // The local header repeats the name, with its own extra field length
+    const header = await readAt(this.source, entry.headerOffset, 30);
+    if (header.length < 30 || header.readUInt32LE(0) !== LOCAL_FILE_HEADER) {
+      throw new Error(`Corrupt zip entry ${name}`);
+    }
+    const start =
+      entry.headerOffset +
+      30 +
+      header.readUInt16LE(26) +
+      header.readUInt16LE(28);
+
+    if (entry.compressedSize === 0) {
+      return Readable.from([]);
+    }
+    const end = start + entry.compressedSize;
+    const raw = Buffer.isBuffer(this.source)
+      ? Readable.from([this.source.subarray(start, end)])
+      : fs.createReadStream(this.source, { start, end: end - 1 });
+    if (entry.method === STORED) {
+      return raw;
+    }
+    const inflated = raw.pipe(zlib.createInflateRaw());
+    raw.on("error", (error) => inflated.destroy(error));
+    return inflated;
+  }
+
+  async read(name) {
+    return AdbClient.readAll(await this.stream(name));
+  }
+
+  // Writes an entry out to a file of its own
+  async extract(name, targetPath) {
+    const input = await this.stream(name);
+    await new Promise((resolve, reject) => {
+      const output = fs.createWriteStream(targetPath);
+      input.on("error", reject);
+      output.on("error", reject);
+      output.on("finish", resolve);
+      input.pipe(output);
+    });
+    return targetPath;
+  }
+}
+
+module.exports = ZipArchive;
@@ -0,0 +1,134 @@
+const assert = require("node:assert/strict");
+const EventEmitter = require("events");
+const { afterEach, beforeEach, describe, it, mock } = require("node:test");
+
+const BatteryService = require("../services/BatteryService");
+const ValidationError = require("../services/ValidationError");
+
+// Lets the async drain step that a timer started run to its end
+const settle = () => new Promise((resolve) => setImmediate(resolve));
+
+describe("BatteryService drains", () => {
+  let registry;
+  let device;
+  let battery;
+  let changes;
+  let failing;
+
+  beforeEach(() => {
+    mock.timers.enable({ apis: ["setTimeout"] });
+
+    registry = new EventEmitter();
+    device = { name: "Pixel", serial: "emulator-5554", status: "running" };
+    registry.get = (name) => (name === device.name ? device : undefined);
+    failing = false;
+    const consoles = {
+      requireRunningDevice: (name) => {
+        if (!registry.get(name)) {
+          throw new Error(`Emulator ${name} must be running`);
+        }
+        return device;
+      },
+      isRunning: (entry) =>
+        registry.get(entry.name) === entry && entry.status === "running",
+      command: async (name, command) => {
+        if (failing && command.startsWith("power capacity")) {
+          throw new Error("KO: console closed");
+        }
+      },
+    };
+    const adb = { shell: async () => "" };
+    changes = [];
+    const io = { emit: (event, data) => changes.push(data.battery) };
+
+    battery = new BatteryService(io, registry, consoles, adb);
+    registry.emit("registered", device);
+  });
+
+  afterEach(() => mock.timers.reset());
+
+  const step = async (ms) => {
+    mock.timers.tick(ms);
+    await settle();
+  };
+
+  it("lowers the level one percent per step until the target", async () => {
+    const state = await battery.drain("Pixel", { to: 97, duration: 3000 });
+    assert.equal(state.charging, "none");
+    assert.equal(state.drain.step, 1000);
+
+    await step(1000);
+    assert.equal(battery.get("Pixel").level, 99);
+    assert.ok(battery.get("Pixel").drain);
+
+    await step(1000);
+    await step(1000);
+    assert.equal(battery.get("Pixel").level, 97);
+    assert.equal(battery.get("Pixel").drain, null);
+
+    await step(5000);
+    assert.equal(battery.get("Pixel").level, 97);
+    assert.equal(changes.at(-1).level, 97);
+  });
+
+  it("stays where it got to once stopped", async () => {
+    await battery.drain("Pixel", { to: 90, duration: 10000 });
+    await step(1000);
+    await battery.stopDrain("Pixel");
+    await step(5000);
+    assert.equal(battery.get("Pixel").level, 99);
+    assert.equal(battery.get("Pixel").drain, null);
+  });
+
+  it("stops and says why when a step fails", async () => {
+    await battery.drain("Pixel", { to: 90, duration: 10000 });
+    await step(1000);
+    failing = true;
+    await step(1000);
+
+    const state = battery.get("Pixel");
+    assert.equal(state.level, 99);
+    assert.equal(state.drain, null);
+    assert.equal(
+      state.drainError,
+      "Draining stopped at 99%: KO: console closed"
+    );
+    assert.deepEqual(changes.at(-1), state);
+
+    failing = false;
+    await step(5000);
+    assert.equal(battery.get("Pixel").level, 99);
+
+    await battery.drain("Pixel", { to: 95, duration: 4000 });
+    assert.equal(battery.get("Pixel").drainError, null);
+  });
+
+  it("stops when the emulator starts stopping", async () => {
+    await battery.drain("Pixel", { to: 90, duration: 10000 });
+    device.status = "stopping";
+    registry.emit("status-changed", { name: "Pixel", status: "stopping" });
+    await step(5000);
+    assert.equal(device.battery.level, 100);
+  });
+
+  it("rejects targets and durations it can't drain at", async () => {
+    await assert.rejects(
+      battery.drain("Pixel", { to: 100, duration: 1000 }),
+      (error) => {
+        assert.ok(error instanceof ValidationError);
+        assert.deepEqual(Object.keys(error.fields), ["to"]);
+        return true;
+      }
+    );
+    await assert.rejects(
+      battery.drain("Pixel", { to: 50, duration: 1000 }),
+      (error) => {
+        assert.equal(
+          error.fields.duration,
+          "Must be at least 50000 ms to drain 50%"
+        );
+        return true;
+      }
+    );
+  });
+});
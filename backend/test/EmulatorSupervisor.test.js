@@ -0,0 +1,83 @@
+const assert = require("node:assert/strict");
+const EventEmitter = require("events");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { after, beforeEach, describe, it } = require("node:test");
+
+// The policies are stored under the data directory, so each run gets its own
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "uat-test-"));
+
+const EmulatorSupervisor = require("../services/EmulatorSupervisor");
+const ValidationError = require("../services/ValidationError");
+
+describe("EmulatorSupervisor restart policies", () => {
+  let supervisor;
+
+  after(() =>
+    fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true })
+  );
+
+  beforeEach(async () => {
+    supervisor = new EmulatorSupervisor(null, new EventEmitter(), { adb: {} });
+    await supervisor.clearPolicy("Pixel");
+  });
+
+  it("starts from the default policy", () => {
+    assert.deepEqual(supervisor.getPolicy("Pixel"), {
+      mode: "never",
+      maxRestarts: 3,
+      initialDelay: 5000,
+      maxDelay: 60000,
+    });
+  });
+
+  it("keeps the fields a partial update leaves out", async () => {
+    await supervisor.setPolicy("Pixel", { maxRestarts: 5 });
+    const policy = await supervisor.setPolicy("Pixel", {
+      mode: "on-crash",
+      maxRestarts: undefined,
+      initialDelay: undefined,
+    });
+
+    assert.deepEqual(policy, {
+      mode: "on-crash",
+      maxRestarts: 5,
+      initialDelay: 5000,
+      maxDelay: 60000,
+    });
+    assert.deepEqual(supervisor.getPolicy("Pixel"), policy);
+  });
+
+  it("rejects invalid fields without storing them", async () => {
+    await assert.rejects(
+      supervisor.setPolicy("Pixel", { mode: "always", maxDelay: -1 }),
+      (error) => {
+        assert.ok(error instanceof ValidationError);
+        assert.deepEqual(error.fields, {
+          mode: "Must be one of: never, on-crash, on-failure",
+          maxDelay: "Must be a non-negative integer",
+        });
+        assert.equal(
+          error.message,
+          "Must be one of: never, on-crash, on-failure; Must be a non-negative integer"
+        );
+        return true;
+      }
+    );
+    assert.equal(supervisor.getPolicy("Pixel").mode, "never");
+  });
+
+  it("rejects counts and delays that aren't whole numbers", async () => {
+    await assert.rejects(
+      supervisor.setPolicy("Pixel", { maxRestarts: 1.5, initialDelay: "10" }),
+      (error) => {
+        assert.deepEqual(Object.keys(error.fields), [
+          "maxRestarts",
+          "initialDelay",
+        ]);
+        return true;
+      }
+    );
+  });
+});
@@ -0,0 +1,110 @@
+const assert = require("node:assert/strict");
+const EventEmitter = require("events");
+const { beforeEach, describe, it } = require("node:test");
+
+const LogcatService = require("../services/LogcatService");
+const ValidationError = require("../services/ValidationError");
+
+const entry = (fields) => ({
+  level: "I",
+  tag: "ActivityManager",
+  message: "Displayed com.example.app/.MainActivity",
+  pid: 100,
+  ...fields,
+});
+
+describe("LogcatService filters", () => {
+  let logcat;
+
+  beforeEach(() => {
+    logcat = new LogcatService(null, new EventEmitter(), {});
+  });
+
+  it("matches everything without filters", () => {
+    const match = logcat.compileFilters("Pixel");
+    assert.equal(match(entry({ level: "V" })), true);
+  });
+
+  it("keeps entries at or above the minimum level", () => {
+    const match = logcat.compileFilters("Pixel", { level: "W" });
+    assert.equal(match(entry({ level: "I" })), false);
+    assert.equal(match(entry({ level: "W" })), true);
+    assert.equal(match(entry({ level: "F" })), true);
+  });
+
+  it("matches any of several comma-separated tags", () => {
+    const match = logcat.compileFilters("Pixel", {
+      tag: "OkHttp, Choreographer",
+    });
+    assert.equal(match(entry({ tag: "OkHttp" })), true);
+    assert.equal(match(entry({ tag: "Choreographer" })), true);
+    assert.equal(match(entry()), false);
+  });
+
+  it("matches a package's processes, including its other processes", () => {
+    logcat.log("Pixel").processes.set(200, "com.example.app");
+    logcat.log("Pixel").processes.set(201, "com.example.app:remote");
+    logcat.log("Pixel").processes.set(202, "com.example.application");
+    const match = logcat.compileFilters("Pixel", {
+      package: "com.example.app",
+    });
+    assert.equal(match(entry({ pid: 200 })), true);
+    assert.equal(match(entry({ pid: 201 })), true);
+    assert.equal(match(entry({ pid: 202 })), false);
+    assert.equal(match(entry({ pid: 999 })), false);
+  });
+
+  it("finds text in the tag and message, ignoring case", () => {
+    const match = logcat.compileFilters("Pixel", { text: "mainactivity" });
+    assert.equal(match(entry()), true);
+    assert.equal(match(entry({ message: "Start proc" })), false);
+    assert.equal(
+      logcat.compileFilters("Pixel", { text: "manager: displayed" })(entry()),
+      true
+    );
+  });
+
+  it("treats * as any run of characters, in order", () => {
+    const match = logcat.compileFilters("Pixel", { text: "displayed*main" });
+    assert.equal(match(entry()), true);
+    assert.equal(
+      match(entry({ message: "MainActivity was displayed" })),
+      false
+    );
+  });
+
+  it("treats | as alternatives", () => {
+    const match = logcat.compileFilters("Pixel", {
+      text: "exception|timed out",
+    });
+    assert.equal(match(entry({ message: "Request timed out" })), true);
+    assert.equal(match(entry({ message: "java.io.IOException" })), true);
+    assert.equal(match(entry()), false);
+  });
+
+  it("takes regular expression syntax literally", () => {
+    const match = logcat.compileFilters("Pixel", { text: "(a+)+$" });
+    assert.equal(match(entry({ message: `${"a".repeat(5000)}!` })), false);
+    assert.equal(match(entry({ message: "saw (a+)+$ here" })), true);
+  });
+
+  it("rejects invalid filters with a message per field", () => {
+    assert.throws(
+      () =>
+        logcat.compileFilters("Pixel", {
+          level: "X",
+          package: "not a package",
+          text: "x".repeat(201),
+        }),
+      (error) => {
+        assert.ok(error instanceof ValidationError);
+        assert.deepEqual(Object.keys(error.fields), [
+          "level",
+          "package",
+          "text",
+        ]);
+        return true;
+      }
+    );
+  });
+});
@@ -0,0 +1,96 @@
+const assert = require("node:assert/strict");
+const { describe, it } = require("node:test");
+
+const SystemImageService = require("../services/SystemImageService");
+
+// Trimmed `sdkmanager --list` output, with its progress preamble
+const LIST = [
+  "[=======================================] 100% Computing updates...",
+  "Installed packages:",
+  "  Path                                        | Version | Description                     | Location",
+  "  -------                                     | ------- | -------                         | -------",
+  "  platform-tools                              | 35.0.1  | Android SDK Platform-Tools      | platform-tools",
+  "  system-images;android-34;google_apis;x86_64 | 13      | Google APIs Intel x86_64 Atom System Image | system-images/android-34/google_apis/x86_64",
+  "",
+  "Available Packages:",
+  "  Path                                        | Version | Description",
+  "  -------                                     | ------- | -------",
+  "  system-images;android-33;default;x86_64     | 9       | Intel x86_64 Atom System Image",
+  "  system-images;android-34;google_apis;x86_64 | 14      | Google APIs Intel x86_64 Atom System Image",
+  "  system-images;android-VanillaIceCream;google_apis;arm64-v8a | 1 | Google APIs ARM 64 v8a System Image",
+  "  system-images;android-34;default;x86_64     | 2       | Intel x86_64 Atom System Image",
+  "",
+  "Available Updates:",
+  "  ID                                          | Installed | Available",
+  "  -------                                     | -------   | -------",
+  "  system-images;android-34;google_apis;x86_64 | 13        | 14",
+  "",
+].join("\r\n");
+
+describe("SystemImageService.parsePackageList", () => {
+  it("reads each table under its lowercased heading", () => {
+    const sections = SystemImageService.parsePackageList(LIST);
+    assert.deepEqual(Object.keys(sections), [
+      "installed packages",
+      "available packages",
+      "available updates",
+    ]);
+    assert.deepEqual(sections["installed packages"], [
+      {
+        id: "platform-tools",
+        version: "35.0.1",
+        description: "Android SDK Platform-Tools",
+      },
+      {
+        id: "system-images;android-34;google_apis;x86_64",
+        version: "13",
+        description: "Google APIs Intel x86_64 Atom System Image",
+      },
+    ]);
+    assert.equal(sections["available packages"].length, 4);
+  });
+
+  it("skips the header, separator and progress lines", () => {
+    const sections = SystemImageService.parsePackageList(LIST);
+    const ids = Object.values(sections)
+      .flat()
+      .map((pkg) => pkg.id);
+    assert.ok(!ids.includes("Path"));
+    assert.ok(!ids.includes("ID"));
+    assert.ok(ids.every((id) => !id.startsWith("---")));
+  });
+
+  it("reads nothing out of output without tables", () => {
+    assert.deepEqual(
+      SystemImageService.parsePackageList(
+        "Warning: Could not create settings\n"
+      ),
+      {}
+    );
+  });
+});
+
+describe("SystemImageService.listImages", () => {
+  it("lists system images once each, installed first seen, newest first", async () => {
+    const images = new SystemImageService(null, {
+      listSdkPackages: async () => LIST,
+    });
+    const list = await images.listImages();
+
+    assert.deepEqual(
+      list.map((image) => [image.id, image.version, image.installed]),
+      [
+        [
+          "system-images;android-VanillaIceCream;google_apis;arm64-v8a",
+          "1",
+          false,
+        ],
+        ["system-images;android-34;default;x86_64", "2", false],
+        ["system-images;android-34;google_apis;x86_64", "13", true],
+        ["system-images;android-33;default;x86_64", "9", false],
+      ]
+    );
+    assert.equal(list[1].apiLevel, 34);
+    assert.equal(list[0].apiLevel, "VanillaIceCream");
+  });
+});
@@ -2,6 +2,7 @@ import React, { useState, useEffect } from "react";
 import EmulatorDashboard from "./components/EmulatorDashboard";
 import EmulatorList from "./components/EmulatorList";
 import Header from "./components/Header";
+import IncidentAlerts from "./components/IncidentAlerts";
 import { EmulatorProvider } from "./context/EmulatorContext";
 
 function App() {
@@ -30,9 +31,14 @@ function App() {
           {view === "list" ? (
             <EmulatorList onEmulatorSelect={handleEmulatorSelect} />
           ) : (
-            <EmulatorDashboard emulator={selectedEmulator} />
+            <EmulatorDashboard
+              emulator={selectedEmulator}
+              onDeleted={handleBackToList}
+            />
           )}
         </main>
+
+        <IncidentAlerts />
       </div>
     </EmulatorProvider>
   );
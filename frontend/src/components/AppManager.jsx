@@ -6,8 +6,20 @@ import {
   PlayIcon,
   ArrowUpTrayIcon,
   MagnifyingGlassIcon,
+  ShieldCheckIcon,
+  StopIcon,
+  ArchiveBoxXMarkIcon,
 } from "@heroicons/react/24/outline";
 import axios from "axios";
+import AppPermissions from "./AppPermissions";
+
+// Install options, sent along with the APK
+const INSTALL_OPTIONS = [
+  ["replace", "Replace if installed"],
+  ["downgrade", "Allow downgrade"],
+  ["grantPermissions", "Grant all permissions"],
+  ["testOnly", "Allow test-only"],
+];
 
 function AppManager({ emulator }) {
   const { socket } = useEmulator();
@@ -15,17 +27,53 @@ function AppManager({ emulator }) {
   const [loading, setLoading] = useState(false);
   const [searchTerm, setSearchTerm] = useState("");
   const [uploading, setUploading] = useState(false);
+  const [installOptions, setInstallOptions] = useState({
+    replace: true,
+    downgrade: false,
+    grantPermissions: false,
+    testOnly: false,
+  });
+  // Upload progress in the browser, then the push and install on the device
+  const [installStatus, setInstallStatus] = useState(null);
+  // The app whose details are open
+  const [selectedApp, setSelectedApp] = useState(null);
+  const [includeSystem, setIncludeSystem] = useState(false);
+  // Apps whose icon didn't load, such as system apps without one
+  const [missingIcons, setMissingIcons] = useState({});
 
   useEffect(() => {
     if (emulator) {
       fetchInstalledApps();
     }
-  }, [emulator]);
+  }, [emulator, includeSystem]);
+
+  useEffect(() => {
+    if (!socket) {
+      return;
+    }
+    const onProgress = (install) => {
+      if (install.emulator === emulator.id && install.status !== "failed") {
+        setInstallStatus(
+          install.status === "installing"
+            ? `Installing ${install.packageName}...`
+            : install.status === "completed"
+            ? null
+            : `Copying to the device... ${install.progress}%`
+        );
+      }
+    };
+    socket.on("app-install-progress", onProgress);
+    return () => socket.off("app-install-progress", onProgress);
+  }, [socket, emulator.id]);
+
+  const errorMessage = (error) => error.response?.data?.error || error.message;
 
   const fetchInstalledApps = async () => {
     setLoading(true);
     try {
-      const response = await axios.get(`/api/emulators/${emulator.id}/apps`);
+      const response = await axios.get(`/api/emulators/${emulator.id}/apps`, {
+        params: { includeSystem },
+      });
       setApps(response.data);
     } catch (error) {
       console.error("Failed to fetch apps:", error);
@@ -35,30 +83,51 @@ function AppManager({ emulator }) {
   };
 
   const handleFileUpload = async (event) => {
-    const file = event.target.files[0];
-    if (!file) return;
+    // One APK, a base APK with its splits, or one .apks or .aab file
+    const files = Array.from(event.target.files);
+    if (files.length === 0) return;
 
-    if (!file.name.endsWith(".apk")) {
-      alert("Please select an APK file");
+    if (!files.every((file) => /\.(apk|apks|aab)$/.test(file.name))) {
+      alert("Please select APK, APKS or AAB files");
       return;
     }
 
     setUploading(true);
     const formData = new FormData();
-    formData.append("apk", file);
+    files.forEach((file) => formData.append("apk", file));
+    const size = files.reduce((total, file) => total + file.size, 0);
+    const fileNames = files.map((file) => file.name).join(", ");
+    Object.entries(installOptions).forEach(([option, value]) =>
+      formData.append(option, String(value))
+    );
 
     try {
-      await axios.post(`/api/emulators/${emulator.id}/apps/install`, formData, {
-        headers: {
-          "Content-Type": "multipart/form-data",
-        },
-      });
+      const response = await axios.post(
+        `/api/emulators/${emulator.id}/apps/install`,
+        formData,
+        {
+          headers: {
+            "Content-Type": "multipart/form-data",
+          },
+          onUploadProgress: (progress) =>
+            setInstallStatus(
+              `Uploading ${fileNames}... ${Math.floor(
+                (progress.loaded / (progress.total || size)) * 100
+              )}%`
+            ),
+        }
+      );
       await fetchInstalledApps();
-      alert("App installed successfully!");
+      const { packageName, versionName, splits } = response.data;
+      alert(
+        `Installed ${packageName} ${versionName || ""}` +
+          (splits.length > 1 ? `\nSplits: ${splits.join(", ")}` : "")
+      );
     } catch (error) {
-      alert("Failed to install app: " + error.message);
+      alert("Failed to install app: " + errorMessage(error));
     } finally {
       setUploading(false);
+      setInstallStatus(null);
       event.target.value = "";
     }
   };
@@ -69,7 +138,29 @@ function AppManager({ emulator }) {
         `/api/emulators/${emulator.id}/apps/${packageName}/launch`
       );
     } catch (error) {
-      alert("Failed to launch app: " + error.message);
+      alert("Failed to launch app: " + errorMessage(error));
+    }
+  };
+
+  const handleForceStop = async (packageName) => {
+    try {
+      await axios.post(
+        `/api/emulators/${emulator.id}/apps/${packageName}/force-stop`
+      );
+    } catch (error) {
+      alert("Failed to stop app: " + errorMessage(error));
+    }
+  };
+
+  const handleClearData = async (packageName) => {
+    if (!confirm(`Delete all data of ${packageName}?`)) return;
+
+    try {
+      await axios.post(
+        `/api/emulators/${emulator.id}/apps/${packageName}/clear`
+      );
+    } catch (error) {
+      alert("Failed to clear app data: " + errorMessage(error));
     }
   };
 
@@ -80,13 +171,13 @@ function AppManager({ emulator }) {
       await axios.delete(`/api/emulators/${emulator.id}/apps/${packageName}`);
       await fetchInstalledApps();
     } catch (error) {
-      alert("Failed to uninstall app: " + error.message);
+      alert("Failed to uninstall app: " + errorMessage(error));
     }
   };
 
   const filteredApps = apps.filter(
     (app) =>
-      app.name.toLowerCase().includes(searchTerm.toLowerCase()) ||
+      app.label.toLowerCase().includes(searchTerm.toLowerCase()) ||
       app.packageName.toLowerCase().includes(searchTerm.toLowerCase())
   );
 
@@ -98,7 +189,8 @@ function AppManager({ emulator }) {
           <div className="relative">
             <input
               type="file"
-              accept=".apk"
+              accept=".apk,.apks,.aab"
+              multiple
               onChange={handleFileUpload}
               className="hidden"
               id="apk-upload"
@@ -123,6 +215,36 @@ function AppManager({ emulator }) {
         </div>
       </div>
 
+      <div className="flex flex-wrap items-center gap-4 text-sm">
+        {INSTALL_OPTIONS.map(([option, label]) => (
+          <label key={option} className="flex items-center space-x-2">
+            <input
+              type="checkbox"
+              checked={installOptions[option]}
+              onChange={(e) =>
+                setInstallOptions({
+                  ...installOptions,
+                  [option]: e.target.checked,
+                })
+              }
+              disabled={uploading}
+            />
+            <span className="text-gray-700">{label}</span>
+          </label>
+        ))}
+        <label className="flex items-center space-x-2">
+          <input
+            type="checkbox"
+            checked={includeSystem}
+            onChange={(e) => setIncludeSystem(e.target.checked)}
+          />
+          <span className="text-gray-700">Show system apps</span>
+        </label>
+        {installStatus && (
+          <span className="text-blue-700">{installStatus}</span>
+        )}
+      </div>
+
       {/* Search */}
       <div className="relative">
         <MagnifyingGlassIcon className="h-5 w-5 absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400" />
@@ -150,51 +272,108 @@ function AppManager({ emulator }) {
             </div>
           ) : (
             filteredApps.map((app) => (
-              <div
-                key={app.packageName}
-                className="bg-gray-50 rounded-lg p-4 flex items-center justify-between"
-              >
-                <div className="flex items-center space-x-3">
-                  <div className="w-12 h-12 bg-blue-100 rounded-lg flex items-center justify-center">
-                    {app.icon ? (
-                      <img
-                        src={app.icon}
-                        alt={app.name}
-                        className="w-8 h-8 rounded"
-                      />
-                    ) : (
-                      <span className="text-blue-600 text-xl">📱</span>
-                    )}
-                  </div>
-                  <div>
-                    <h4 className="font-medium text-gray-900">{app.name}</h4>
-                    <p className="text-sm text-gray-600">{app.packageName}</p>
-                    {app.version && (
+              <div key={app.packageName} className="bg-gray-50 rounded-lg p-4">
+                <div className="flex items-center justify-between">
+                  <div className="flex items-center space-x-3">
+                    <div className="w-12 h-12 bg-blue-100 rounded-lg flex items-center justify-center">
+                      {app.icon && !missingIcons[app.packageName] ? (
+                        <img
+                          src={app.icon}
+                          alt={app.label}
+                          loading="lazy"
+                          onError={() =>
+                            setMissingIcons((missing) => ({
+                              ...missing,
+                              [app.packageName]: true,
+                            }))
+                          }
+                          className="w-8 h-8 rounded"
+                        />
+                      ) : (
+                        <span className="text-blue-600 text-xl">📱</span>
+                      )}
+                    </div>
+                    <div>
+                      <h4 className="font-medium text-gray-900">
+                        {app.label}
+                        {!app.isUserApp && (
+                          <span className="ml-2 text-xs text-gray-500">
+                            System
+                          </span>
+                        )}
+                        {!app.enabled && (
+                          <span className="ml-2 text-xs text-red-600">
+                            Disabled
+                          </span>
+                        )}
+                      </h4>
+                      <p className="text-sm text-gray-600">{app.packageName}</p>
                       <p className="text-xs text-gray-500">
-                        Version: {app.version}
+                        {app.versionName &&
+                          `Version ${app.versionName} (${app.versionCode}) · `}
+                        Target SDK {app.targetSdk}
+                        {app.updatedAt &&
+                          ` · Updated ${new Date(
+                            app.updatedAt
+                          ).toLocaleString()}`}
                       </p>
-                    )}
+                    </div>
                   </div>
-                </div>
 
-                <div className="flex items-center space-x-2">
-                  <button
-                    onClick={() => handleLaunchApp(app.packageName)}
-                    className="control-button success flex items-center text-sm"
-                  >
-                    <PlayIcon className="h-4 w-4 mr-1" />
-                    Launch
-                  </button>
-                  {app.isUserApp && (
+                  <div className="flex items-center space-x-2">
+                    <button
+                      onClick={() =>
+                        setSelectedApp(
+                          selectedApp === app.packageName
+                            ? null
+                            : app.packageName
+                        )
+                      }
+                      className="control-button secondary flex items-center text-sm"
+                    >
+                      <ShieldCheckIcon className="h-4 w-4 mr-1" />
+                      Permissions
+                    </button>
+                    <button
+                      onClick={() => handleLaunchApp(app.packageName)}
+                      className="control-button success flex items-center text-sm"
+                    >
+                      <PlayIcon className="h-4 w-4 mr-1" />
+                      Launch
+                    </button>
                     <button
-                      onClick={() => handleUninstallApp(app.packageName)}
-                      className="control-button danger flex items-center text-sm"
+                      onClick={() => handleForceStop(app.packageName)}
+                      className="control-button secondary flex items-center text-sm"
                     >
-                      <TrashIcon className="h-4 w-4 mr-1" />
-                      Uninstall
+                      <StopIcon className="h-4 w-4 mr-1" />
+                      Force Stop
                     </button>
-                  )}
+                    <button
+                      onClick={() => handleClearData(app.packageName)}
+                      className="control-button secondary flex items-center text-sm"
+                    >
+                      <ArchiveBoxXMarkIcon className="h-4 w-4 mr-1" />
+                      Clear Data
+                    </button>
+                    {app.isUserApp && (
+                      <button
+                        onClick={() => handleUninstallApp(app.packageName)}
+                        className="control-button danger flex items-center text-sm"
+                      >
+                        <TrashIcon className="h-4 w-4 mr-1" />
+                        Uninstall
+                      </button>
+                    )}
+                  </div>
                 </div>
+                {selectedApp === app.packageName && (
+                  <div className="mt-4 pt-4 border-t border-gray-200">
+                    <AppPermissions
+                      emulator={emulator}
+                      packageName={app.packageName}
+                    />
+                  </div>
+                )}
               </div>
             ))
           )}
@@ -205,8 +384,17 @@ function AppManager({ emulator }) {
       <div className="bg-blue-50 p-4 rounded-lg">
         <h4 className="font-medium text-blue-900 mb-2">Instructions</h4>
         <ul className="text-sm text-blue-800 space-y-1">
-          <li>• Click "Install APK" to upload and install new applications</li>
+          <li>
+            • Click "Install APK" to upload and install an APK, a base APK with
+            its splits, an APK set (.apks) or an app bundle (.aab)
+          </li>
           <li>• Use "Launch" to start an app on the emulator</li>
+          <li>
+            • "Force Stop" and "Clear Data" reset an app between test runs
+          </li>
+          <li>
+            • Use "Permissions" to grant or revoke an app's runtime permissions
+          </li>
           <li>• System apps cannot be uninstalled</li>
           <li>• Use the search bar to quickly find specific apps</li>
         </ul>
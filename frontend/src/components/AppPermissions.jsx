@@ -0,0 +1,152 @@
+import React, { useEffect, useState } from "react";
+import axios from "axios";
+import { ArrowPathIcon } from "@heroicons/react/24/outline";
+import { useEmulator } from "../context/EmulatorContext";
+
+// "android.permission.ACCESS_FINE_LOCATION" reads as "ACCESS_FINE_LOCATION"
+const shortName = (permission) =>
+  permission.startsWith("android.permission.")
+    ? permission.slice("android.permission.".length)
+    : permission;
+
+function AppPermissions({ emulator, packageName }) {
+  const { socket } = useEmulator();
+  const [permissions, setPermissions] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const base = `/api/emulators/${emulator.id}/apps/${packageName}`;
+
+  useEffect(() => {
+    setPermissions(null);
+    axios
+      .get(`${base}/permissions`)
+      .then((response) => setPermissions(response.data))
+      .catch((error) =>
+        setMessage(error.response?.data?.error || error.message)
+      );
+  }, [emulator.id, packageName]);
+
+  useEffect(() => {
+    if (!socket) {
+      return;
+    }
+    const onChange = (data) => {
+      if (
+        data.name === emulator.id &&
+        data.permissions.packageName === packageName
+      ) {
+        setPermissions(data.permissions);
+      }
+    };
+    socket.on("emulator-permissions-changed", onChange);
+    return () => socket.off("emulator-permissions-changed", onChange);
+  }, [socket, emulator.id, packageName]);
+
+  const run = async (request) => {
+    setMessage(null);
+    setBusy(true);
+    try {
+      const response = await request();
+      setPermissions(response.data);
+    } catch (error) {
+      setMessage(error.response?.data?.error || error.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const togglePermission = (permission, granted) =>
+    run(() =>
+      axios.put(`${base}/permissions/${permission}`, {
+        granted,
+      })
+    );
+
+  const toggleAppOp = (op, allowed) =>
+    run(() =>
+      axios.put(`${base}/app-ops/${op}`, {
+        mode: allowed ? "allow" : "deny",
+      })
+    );
+
+  const handleReset = () => run(() => axios.post(`${base}/permissions/reset`));
+
+  if (!permissions) {
+    return message ? <p className="text-sm text-red-600">{message}</p> : null;
+  }
+
+  return (
+    <div className="space-y-3 text-sm">
+      <div className="flex items-center justify-between">
+        <h5 className="font-medium text-gray-900">Permissions</h5>
+        <button
+          onClick={handleReset}
+          disabled={busy}
+          className="control-button secondary flex items-center text-sm"
+        >
+          <ArrowPathIcon className="h-4 w-4 mr-1" />
+          Reset
+        </button>
+      </div>
+
+      {message && <p className="text-red-600">{message}</p>}
+
+      {permissions.runtime.length === 0 && permissions.appOps.length === 0 ? (
+        <p className="text-gray-500">
+          This app requests no runtime permissions.
+        </p>
+      ) : (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+          {permissions.runtime.map((permission) => (
+            <label
+              key={permission.name}
+              className="flex items-center space-x-2"
+              title={permission.name}
+            >
+              <input
+                type="checkbox"
+                checked={permission.granted}
+                onChange={(e) =>
+                  togglePermission(permission.name, e.target.checked)
+                }
+                disabled={busy}
+              />
+              <span className="font-mono text-gray-700">
+                {shortName(permission.name)}
+              </span>
+              {permission.flags.length > 0 && (
+                <span className="text-xs text-gray-500">
+                  {permission.flags.join(", ")}
+                </span>
+              )}
+            </label>
+          ))}
+          {permissions.appOps.map((appOp) => (
+            <label
+              key={appOp.op}
+              className="flex items-center space-x-2"
+              title={appOp.permission}
+            >
+              <input
+                type="checkbox"
+                checked={appOp.mode === "allow"}
+                onChange={(e) => toggleAppOp(appOp.op, e.target.checked)}
+                disabled={busy}
+              />
+              <span className="font-mono text-gray-700">{appOp.op}</span>
+              <span className="text-xs text-gray-500">
+                app-op: {appOp.mode}
+              </span>
+            </label>
+          ))}
+        </div>
+      )}
+      <p className="text-xs text-gray-500">
+        Android stops the app when a permission is revoked.
+      </p>
+    </div>
+  );
+}
+
+export default AppPermissions;
@@ -0,0 +1,218 @@
+import React, { useEffect, useState } from "react";
+import axios from "axios";
+
+const NUMBER_FIELDS = [
+  ["ramSize", "RAM (MB)"],
+  ["heapSize", "VM heap (MB)"],
+  ["storage", "Internal storage (MB)"],
+  ["width", "Screen width (px)"],
+  ["height", "Screen height (px)"],
+  ["density", "Density (dpi)"],
+];
+
+function AvdConfigEditor({ emulator, onDeleted }) {
+  const [settings, setSettings] = useState(null);
+  const [gpuModes, setGpuModes] = useState([]);
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [cloneName, setCloneName] = useState("");
+  const [busy, setBusy] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  // The emulator reads config.ini at boot, so edits need it stopped
+  const locked = emulator.status !== "stopped";
+
+  useEffect(() => {
+    axios
+      .get(`/api/emulators/${emulator.id}/config`)
+      .then((response) => {
+        setSettings(response.data.settings);
+        setGpuModes(response.data.gpuModes);
+      })
+      .catch((error) =>
+        setMessage(error.response?.data?.error || error.message)
+      );
+  }, [emulator.id]);
+
+  const updateField = (field, value) => {
+    setSettings({ ...settings, [field]: value });
+    setFieldErrors({ ...fieldErrors, [field]: null });
+  };
+
+  const handleError = (error) => {
+    setFieldErrors(error.response?.data?.fields || {});
+    setMessage(error.response?.data?.error || error.message);
+  };
+
+  const handleSave = async () => {
+    setBusy("save");
+    setMessage(null);
+    try {
+      const response = await axios.put(
+        `/api/emulators/${emulator.id}/config`,
+        settings
+      );
+      setSettings(response.data.settings);
+      setFieldErrors({});
+      setMessage("Configuration saved");
+    } catch (error) {
+      handleError(error);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleClone = async () => {
+    setBusy("clone");
+    setMessage(null);
+    try {
+      const response = await axios.post(`/api/emulators/${emulator.id}/clone`, {
+        newName: cloneName.trim(),
+      });
+      setCloneName("");
+      setFieldErrors({});
+      setMessage(response.data.message);
+    } catch (error) {
+      handleError(error);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (
+      !window.confirm(
+        `Delete ${emulator.name} and all of its data? This cannot be undone.`
+      )
+    ) {
+      return;
+    }
+
+    setBusy("delete");
+    setMessage(null);
+    try {
+      await axios.delete(`/api/emulators/${emulator.id}`);
+      onDeleted();
+    } catch (error) {
+      handleError(error);
+      setBusy(null);
+    }
+  };
+
+  if (!settings) {
+    return message ? <p className="text-sm text-red-600">{message}</p> : null;
+  }
+
+  return (
+    <div className="bg-gray-50 p-4 rounded-lg">
+      <h4 className="font-medium text-gray-900 mb-2">Hardware Configuration</h4>
+      {locked && (
+        <p className="text-xs text-gray-500 mb-3">
+          Stop the emulator to change its configuration, clone or delete it.
+        </p>
+      )}
+
+      <div className="space-y-3 text-sm">
+        <div className="grid grid-cols-2 gap-3">
+          {NUMBER_FIELDS.map(([field, label]) => (
+            <label key={field} className="block">
+              <span className="text-gray-600">{label}</span>
+              <input
+                type="number"
+                value={settings[field] ?? ""}
+                disabled={locked}
+                onChange={(e) =>
+                  updateField(field, parseInt(e.target.value) || null)
+                }
+                className={`w-full px-2 py-1 border rounded ${
+                  fieldErrors[field] ? "border-red-500" : "border-gray-300"
+                }`}
+              />
+              {fieldErrors[field] && (
+                <span className="text-xs text-red-600">
+                  {fieldErrors[field]}
+                </span>
+              )}
+            </label>
+          ))}
+
+          <label className="block">
+            <span className="text-gray-600">GPU mode</span>
+            <select
+              value={settings.gpuMode || "auto"}
+              disabled={locked}
+              onChange={(e) => updateField("gpuMode", e.target.value)}
+              className="w-full px-2 py-1 border border-gray-300 rounded"
+            >
+              {gpuModes.map((mode) => (
+                <option key={mode} value={mode}>
+                  {mode}
+                </option>
+              ))}
+            </select>
+          </label>
+
+          <label className="flex items-center space-x-2 mt-5">
+            <input
+              type="checkbox"
+              checked={!!settings.keyboard}
+              disabled={locked}
+              onChange={(e) => updateField("keyboard", e.target.checked)}
+            />
+            <span className="text-gray-600">Hardware keyboard</span>
+          </label>
+        </div>
+
+        <button
+          onClick={handleSave}
+          disabled={locked || busy !== null}
+          className="control-button primary text-sm"
+        >
+          {busy === "save" ? "Saving..." : "Save Configuration"}
+        </button>
+
+        <div className="border-t border-gray-200 pt-3">
+          <label className="block">
+            <span className="text-gray-600">Clone as</span>
+            <div className="flex space-x-2">
+              <input
+                type="text"
+                value={cloneName}
+                disabled={locked}
+                onChange={(e) => setCloneName(e.target.value)}
+                placeholder={`${emulator.name}_copy`}
+                className={`flex-1 px-2 py-1 border rounded ${
+                  fieldErrors.newName ? "border-red-500" : "border-gray-300"
+                }`}
+              />
+              <button
+                onClick={handleClone}
+                disabled={locked || !cloneName.trim() || busy !== null}
+                className="control-button secondary text-sm"
+              >
+                {busy === "clone" ? "Cloning..." : "Clone"}
+              </button>
+            </div>
+            {fieldErrors.newName && (
+              <span className="text-xs text-red-600">
+                {fieldErrors.newName}
+              </span>
+            )}
+          </label>
+        </div>
+
+        <div className="border-t border-gray-200 pt-3 flex items-center space-x-3">
+          <button
+            onClick={handleDelete}
+            disabled={locked || busy !== null}
+            className="control-button danger text-sm"
+          >
+            {busy === "delete" ? "Deleting..." : "Delete AVD"}
+          </button>
+          {message && <span className="text-gray-600">{message}</span>}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default AvdConfigEditor;
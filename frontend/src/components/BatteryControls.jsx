@@ -0,0 +1,203 @@
+import React, { useEffect, useState } from "react";
+import axios from "axios";
+import { useEmulator } from "../context/EmulatorContext";
+
+const CHARGING = [
+  ["ac", "AC charger"],
+  ["usb", "USB"],
+  ["none", "Unplugged"],
+];
+const HEALTH = [
+  ["good", "Good"],
+  ["overheat", "Overheat"],
+  ["dead", "Dead"],
+  ["overvoltage", "Overvoltage"],
+  ["failure", "Failure"],
+  ["unknown", "Unknown"],
+];
+
+function BatteryControls({ emulator }) {
+  const { socket } = useEmulator();
+  const [battery, setBattery] = useState(null);
+  const [level, setLevel] = useState(100);
+  const [drain, setDrain] = useState({ to: 5, minutes: 5 });
+  const [message, setMessage] = useState(null);
+
+  const running = emulator?.status === "running";
+  const base = `/api/emulators/${emulator?.id}/battery`;
+
+  const show = (state) => {
+    setBattery(state);
+    setLevel(state.level);
+  };
+
+  useEffect(() => {
+    if (!running) {
+      setBattery(null);
+      return;
+    }
+    axios
+      .get(base)
+      .then((response) => show(response.data))
+      .catch((error) =>
+        setMessage(error.response?.data?.error || error.message)
+      );
+  }, [emulator?.id, running]);
+
+  // Drains move the level without anyone clicking
+  useEffect(() => {
+    if (!socket || !emulator) {
+      return;
+    }
+    const onChange = (data) => {
+      if (data.name === emulator.id) {
+        show(data.battery);
+      }
+    };
+    socket.on("emulator-battery-changed", onChange);
+    return () => socket.off("emulator-battery-changed", onChange);
+  }, [socket, emulator?.id]);
+
+  const run = async (request) => {
+    setMessage(null);
+    try {
+      show((await request()).data);
+    } catch (error) {
+      const fields = Object.values(error.response?.data?.fields || {});
+      setMessage(fields[0] || error.response?.data?.error || error.message);
+    }
+  };
+
+  const update = (state) => run(() => axios.put(base, state));
+
+  if (!running || !battery) {
+    return null;
+  }
+
+  return (
+    <div className="space-y-3">
+      <h4 className="text-sm font-medium text-gray-700">Battery</h4>
+      <div className="bg-gray-50 p-3 rounded-lg text-xs space-y-2">
+        <label className="block">
+          <span className="flex justify-between text-gray-600">
+            <span>Level</span>
+            <span className="font-medium">{level}%</span>
+          </span>
+          <input
+            type="range"
+            min="0"
+            max="100"
+            value={level}
+            onChange={(e) => setLevel(parseInt(e.target.value))}
+            onMouseUp={() => update({ level })}
+            onTouchEnd={() => update({ level })}
+            onKeyUp={() => update({ level })}
+            className="w-full"
+          />
+        </label>
+        <label className="flex items-center justify-between">
+          <span className="text-gray-600">Power source</span>
+          <select
+            value={battery.charging}
+            onChange={(e) => update({ charging: e.target.value })}
+            className="px-2 py-1 border border-gray-300 rounded"
+          >
+            {CHARGING.map(([value, label]) => (
+              <option key={value} value={value}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="flex items-center justify-between">
+          <span className="text-gray-600">Health</span>
+          <select
+            value={battery.health}
+            onChange={(e) => update({ health: e.target.value })}
+            className="px-2 py-1 border border-gray-300 rounded"
+          >
+            {HEALTH.map(([value, label]) => (
+              <option key={value} value={value}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="flex items-center space-x-2">
+          <input
+            type="checkbox"
+            checked={battery.powerSave}
+            onChange={(e) => update({ powerSave: e.target.checked })}
+          />
+          <span className="text-gray-600">Battery saver</span>
+        </label>
+
+        {battery.drain ? (
+          <div className="space-y-1">
+            <p className="text-gray-600">
+              Draining {battery.drain.from}% → {battery.drain.to}%, done at{" "}
+              {new Date(battery.drain.endsAt).toLocaleTimeString()}
+            </p>
+            <button
+              onClick={() => run(() => axios.delete(`${base}/drain`))}
+              className="w-full control-button danger"
+            >
+              Stop Drain
+            </button>
+          </div>
+        ) : (
+          <div className="flex items-center space-x-1">
+            <span className="text-gray-600">Drain to</span>
+            <input
+              type="number"
+              min="0"
+              max="99"
+              value={drain.to}
+              onChange={(e) =>
+                setDrain({ ...drain, to: parseInt(e.target.value) || 0 })
+              }
+              className="w-12 px-1 py-1 border border-gray-300 rounded"
+            />
+            <span className="text-gray-600">% in</span>
+            <input
+              type="number"
+              min="1"
+              value={drain.minutes}
+              onChange={(e) =>
+                setDrain({ ...drain, minutes: parseFloat(e.target.value) || 0 })
+              }
+              className="w-12 px-1 py-1 border border-gray-300 rounded"
+            />
+            <span className="text-gray-600">min</span>
+            <button
+              onClick={() =>
+                run(() =>
+                  axios.put(`${base}/drain`, {
+                    to: drain.to,
+                    duration: Math.round(drain.minutes * 60 * 1000),
+                  })
+                )
+              }
+              className="control-button secondary"
+            >
+              Start
+            </button>
+          </div>
+        )}
+        {battery.drainError && (
+          <p className="text-red-600">{battery.drainError}</p>
+        )}
+
+        <button
+          onClick={() => run(() => axios.post(`${base}/reset`))}
+          className="w-full control-button secondary"
+        >
+          Reset Battery
+        </button>
+        {message && <p className="text-red-600">{message}</p>}
+      </div>
+    </div>
+  );
+}
+
+export default BatteryControls;
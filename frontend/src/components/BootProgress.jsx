@@ -0,0 +1,61 @@
+import React from "react";
+import { useEmulator } from "../context/EmulatorContext";
+
+// Labels for the stage the job is currently waiting on
+const WAITING_LABELS = {
+  "adb-online": "Waiting for ADB...",
+  "dev-bootcomplete": "Booting system...",
+  "sys-boot-completed": "Starting services...",
+  "launcher-ready": "Waiting for launcher...",
+};
+
+function formatSeconds(ms) {
+  return `${(ms / 1000).toFixed(1)}s`;
+}
+
+function BootProgress({ emulator }) {
+  const { bootJobs } = useEmulator();
+  const job = bootJobs[emulator.name];
+
+  if (!job || job.status === "completed") {
+    return null;
+  }
+
+  if (job.status === "failed") {
+    // Only relevant until the next start attempt
+    if (emulator.status !== "stopped") {
+      return null;
+    }
+    return (
+      <div className="border rounded-md px-3 py-2 text-sm bg-red-50 border-red-200 text-red-800">
+        Boot failed: {job.error}
+      </div>
+    );
+  }
+
+  const lastStage = job.stages[job.stages.length - 1];
+
+  return (
+    <div>
+      <div className="flex justify-between text-xs text-gray-600 mb-1">
+        <span>{WAITING_LABELS[job.currentStage] || "Starting..."}</span>
+        <span>
+          {job.stages.length}/{job.totalStages}
+        </span>
+      </div>
+      <div className="w-full bg-gray-200 rounded-full h-2">
+        <div
+          className="bg-blue-600 h-2 rounded-full transition-all duration-500"
+          style={{ width: `${job.progress}%` }}
+        ></div>
+      </div>
+      {lastStage && (
+        <p className="text-xs text-gray-500 mt-1">
+          {lastStage.label} at {formatSeconds(lastStage.elapsed)}
+        </p>
+      )}
+    </div>
+  );
+}
+
+export default BootProgress;
@@ -0,0 +1,173 @@
+import React, { useEffect, useRef, useState } from "react";
+import axios from "axios";
+import {
+  ArrowDownTrayIcon,
+  ArrowUpTrayIcon,
+  ClipboardDocumentIcon,
+} from "@heroicons/react/24/outline";
+import { useEmulator } from "../context/EmulatorContext";
+
+const POLL_INTERVAL = 2000;
+
+function ClipboardPanel({ emulator }) {
+  const { socket } = useEmulator();
+  const [text, setText] = useState("");
+  const [auto, setAuto] = useState(false);
+  const [message, setMessage] = useState(null);
+  // Text both sides are known to agree on, so auto sync only sends changes
+  const synced = useRef(null);
+
+  const running = emulator.status === "running";
+  const url = `/api/emulators/${emulator.id}/clipboard`;
+
+  const fail = (error) =>
+    setMessage(
+      error.response?.data?.fields?.text ||
+        error.response?.data?.error ||
+        error.message
+    );
+
+  // Another dashboard or the device changed the clipboard
+  useEffect(() => {
+    if (!socket) {
+      return;
+    }
+    const onChange = (data) => {
+      if (data.name === emulator.id) {
+        setText(data.text ?? "");
+      }
+    };
+    socket.on("emulator-clipboard-changed", onChange);
+    return () => socket.off("emulator-clipboard-changed", onChange);
+  }, [socket, emulator.id]);
+
+  const sendToDevice = async (value) => {
+    setMessage(null);
+    try {
+      await axios.put(url, { text: value });
+      synced.current = value;
+      setText(value);
+    } catch (error) {
+      fail(error);
+    }
+  };
+
+  const pasteFromBrowser = async () => {
+    try {
+      await sendToDevice(await navigator.clipboard.readText());
+    } catch (error) {
+      setMessage(`Browser clipboard unavailable: ${error.message}`);
+    }
+  };
+
+  const copyToBrowser = async () => {
+    setMessage(null);
+    try {
+      const response = await axios.get(url);
+      const value = response.data.text ?? "";
+      setText(value);
+      await navigator.clipboard.writeText(value);
+      synced.current = value;
+      setMessage("Copied the device clipboard");
+    } catch (error) {
+      fail(error);
+    }
+  };
+
+  // Browser clipboard access needs page focus, so auto sync only runs then:
+  // regaining focus pushes the browser clipboard, and the device clipboard
+  // is polled while focused
+  useEffect(() => {
+    if (!auto || !running) {
+      return;
+    }
+
+    const onFocus = async () => {
+      try {
+        const value = await navigator.clipboard.readText();
+        if (value && value !== synced.current) {
+          await sendToDevice(value);
+        }
+      } catch (error) {
+        // Permission not granted yet; the buttons still work
+      }
+    };
+    const poll = setInterval(async () => {
+      if (!document.hasFocus()) {
+        return;
+      }
+      try {
+        const response = await axios.get(url);
+        const value = response.data.text;
+        if (value !== null && value !== synced.current) {
+          await navigator.clipboard.writeText(value);
+          synced.current = value;
+        }
+      } catch (error) {
+        fail(error);
+        setAuto(false);
+      }
+    }, POLL_INTERVAL);
+
+    window.addEventListener("focus", onFocus);
+    return () => {
+      window.removeEventListener("focus", onFocus);
+      clearInterval(poll);
+    };
+  }, [auto, running, emulator.id]);
+
+  if (!running) {
+    return null;
+  }
+
+  return (
+    <div className="mt-4 bg-gray-50 p-4 rounded-lg space-y-3 text-sm">
+      <div className="flex items-center justify-between">
+        <h4 className="font-medium text-gray-900 flex items-center">
+          <ClipboardDocumentIcon className="h-5 w-5 mr-1" />
+          Clipboard
+        </h4>
+        <label className="flex items-center space-x-2 text-gray-600">
+          <input
+            type="checkbox"
+            checked={auto}
+            onChange={(e) => setAuto(e.target.checked)}
+          />
+          <span>Sync automatically while this page has focus</span>
+        </label>
+      </div>
+      <textarea
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        rows={2}
+        placeholder="Device clipboard"
+        className="w-full px-3 py-2 border border-gray-300 rounded-lg font-mono text-xs"
+      />
+      <div className="flex flex-wrap gap-2">
+        <button
+          onClick={() => sendToDevice(text)}
+          className="control-button primary"
+        >
+          Send Text to Device
+        </button>
+        <button
+          onClick={pasteFromBrowser}
+          className="control-button secondary flex items-center"
+        >
+          <ArrowUpTrayIcon className="h-4 w-4 mr-1" />
+          Paste Browser Clipboard
+        </button>
+        <button
+          onClick={copyToBrowser}
+          className="control-button secondary flex items-center"
+        >
+          <ArrowDownTrayIcon className="h-4 w-4 mr-1" />
+          Copy Device Clipboard
+        </button>
+      </div>
+      {message && <p className="text-gray-600">{message}</p>}
+    </div>
+  );
+}
+
+export default ClipboardPanel;
@@ -0,0 +1,432 @@
+import React, { useEffect, useState } from "react";
+import axios from "axios";
+import { XMarkIcon } from "@heroicons/react/24/outline";
+import { useEmulator } from "../context/EmulatorContext";
+
+const STEPS = ["Device", "System Image", "Hardware", "Launch Options"];
+
+// Which step shows each field the backend may reject
+const FIELD_STEPS = {
+  name: 0,
+  device: 0,
+  systemImage: 1,
+  ramSize: 2,
+  storage: 2,
+  locale: 2,
+};
+
+const AVD_NAME = /^[A-Za-z0-9._-]+$/;
+const GPU_MODES = [
+  ["", "Use AVD setting"],
+  ["auto", "Auto"],
+  ["host", "Host GPU"],
+  ["swiftshader_indirect", "SwiftShader (software)"],
+  ["angle_indirect", "ANGLE"],
+  ["guest", "Guest"],
+];
+
+// Mirrors the backend's form factor matching between profiles and images
+function formFactorOf(tag) {
+  const factors = [
+    ["wear", "Wear OS"],
+    ["tv", "TV"],
+    ["automotive", "Automotive"],
+    ["desktop", "Desktop"],
+  ];
+  const match = factors.find(([key]) => tag && tag.includes(key));
+  return match ? match[1] : "Phone";
+}
+
+function FieldError({ message }) {
+  return message ? (
+    <span className="text-xs text-red-600">{message}</span>
+  ) : null;
+}
+
+function CreateEmulatorWizard({ onClose, onCreated }) {
+  const { emulators, imageInstalls } = useEmulator();
+  const [step, setStep] = useState(0);
+  const [profiles, setProfiles] = useState([]);
+  const [images, setImages] = useState([]);
+  const [errors, setErrors] = useState({});
+  const [submitError, setSubmitError] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+  const [form, setForm] = useState({
+    name: "",
+    device: "",
+    systemImage: "",
+    ramSize: 2048,
+    storage: 6144,
+    locale: "",
+    headless: false,
+    gpu: "",
+  });
+
+  useEffect(() => {
+    axios
+      .get("/api/device-profiles")
+      .then((response) => {
+        setProfiles(response.data);
+        if (response.data.length > 0) {
+          setForm((current) => ({
+            ...current,
+            device: current.device || response.data[0].id,
+          }));
+        }
+      })
+      .catch((error) => setSubmitError(error.message));
+    fetchImages();
+  }, []);
+
+  // Refresh once an image installed from this dialog is ready
+  useEffect(() => {
+    const finished = Object.values(imageInstalls).some(
+      (job) =>
+        job.status === "completed" &&
+        images.some((image) => image.id === job.imageId && !image.installed)
+    );
+    if (finished) {
+      fetchImages();
+    }
+  }, [imageInstalls]);
+
+  const fetchImages = async () => {
+    try {
+      const response = await axios.get("/api/system-images");
+      setImages(response.data);
+    } catch (error) {
+      setSubmitError(error.response?.data?.error || error.message);
+    }
+  };
+
+  const profile = profiles.find((entry) => entry.id === form.device);
+  const compatibleImages = images.filter(
+    (image) => !profile || formFactorOf(image.tag) === profile.formFactor
+  );
+
+  const update = (field, value) => {
+    setForm({ ...form, [field]: value });
+    setErrors({ ...errors, [field]: null });
+  };
+
+  // Checks that can be made without asking the backend
+  const validateStep = (index) => {
+    const found = {};
+    if (index === 0) {
+      if (!form.name) {
+        found.name = "Name is required";
+      } else if (!AVD_NAME.test(form.name)) {
+        found.name = "Use only letters, digits, dots, dashes and underscores";
+      } else if (emulators.some((emulator) => emulator.name === form.name)) {
+        found.name = `AVD ${form.name} already exists`;
+      }
+      if (!form.device) {
+        found.device = "Choose a device profile";
+      }
+    }
+    if (index === 1) {
+      const image = images.find((entry) => entry.id === form.systemImage);
+      if (!image) {
+        found.systemImage = "Choose a system image";
+      } else if (!image.installed) {
+        found.systemImage = "Install this image before continuing";
+      }
+    }
+    if (
+      index === 2 &&
+      form.locale &&
+      !/^[a-z]{2,3}(-[A-Z]{2})?$/.test(form.locale)
+    ) {
+      found.locale = "Use a locale tag such as en-US";
+    }
+    setErrors({ ...errors, ...found });
+    return Object.keys(found).length === 0;
+  };
+
+  const handleNext = () => {
+    if (validateStep(step)) {
+      setStep(step + 1);
+    }
+  };
+
+  const handleInstall = async (image) => {
+    try {
+      await axios.post("/api/system-images/install", { id: image.id });
+    } catch (error) {
+      setErrors({
+        ...errors,
+        systemImage: error.response?.data?.error || error.message,
+      });
+    }
+  };
+
+  const handleSubmit = async () => {
+    setSubmitting(true);
+    setSubmitError(null);
+    try {
+      await axios.post("/api/emulators", {
+        name: form.name,
+        device: form.device,
+        systemImage: form.systemImage,
+        ramSize: form.ramSize,
+        storage: form.storage,
+        locale: form.locale || null,
+        launchOptions: { headless: form.headless, gpu: form.gpu || null },
+      });
+      onCreated();
+    } catch (error) {
+      const fields = error.response?.data?.fields;
+      if (fields) {
+        // launchOptions.gpu -> gpu, matching the form's field names
+        const mapped = Object.fromEntries(
+          Object.entries(fields).map(([field, message]) => [
+            field.replace("launchOptions.", ""),
+            message,
+          ])
+        );
+        setErrors(mapped);
+        const steps = Object.keys(fields).map((field) =>
+          field in FIELD_STEPS ? FIELD_STEPS[field] : STEPS.length - 1
+        );
+        setStep(Math.min(...steps));
+      }
+      setSubmitError(error.response?.data?.error || error.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-40 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg shadow-xl w-full max-w-2xl">
+        <div className="flex items-center justify-between border-b px-6 py-4">
+          <h3 className="text-lg font-semibold text-gray-900">
+            Create Emulator
+          </h3>
+          <button
+            onClick={onClose}
+            className="text-gray-500 hover:text-gray-700"
+          >
+            <XMarkIcon className="h-5 w-5" />
+          </button>
+        </div>
+
+        <div className="flex px-6 pt-4 space-x-2">
+          {STEPS.map((label, index) => (
+            <div
+              key={label}
+              className={`flex-1 text-xs font-medium pb-2 border-b-2 ${
+                index === step
+                  ? "border-blue-500 text-blue-600"
+                  : index < step
+                  ? "border-green-500 text-gray-700"
+                  : "border-gray-200 text-gray-400"
+              }`}
+            >
+              {index + 1}. {label}
+            </div>
+          ))}
+        </div>
+
+        <div className="px-6 py-4 space-y-4 text-sm min-h-[18rem]">
+          {step === 0 && (
+            <>
+              <label className="block">
+                <span className="text-gray-700">Name</span>
+                <input
+                  type="text"
+                  value={form.name}
+                  onChange={(e) => update("name", e.target.value)}
+                  placeholder="e.g. Checkout_Pixel_7"
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg"
+                />
+                <FieldError message={errors.name} />
+              </label>
+              <label className="block">
+                <span className="text-gray-700">Device profile</span>
+                <select
+                  value={form.device}
+                  onChange={(e) => update("device", e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg"
+                >
+                  {profiles.map((entry) => (
+                    <option key={entry.id} value={entry.id}>
+                      {entry.name}
+                      {entry.oem ? ` (${entry.oem})` : ""} – {entry.formFactor}
+                    </option>
+                  ))}
+                </select>
+                <FieldError message={errors.device} />
+              </label>
+            </>
+          )}
+
+          {step === 1 && (
+            <div>
+              <p className="text-gray-600 mb-2">
+                Images that fit the {profile?.name || "selected"} profile.
+                Missing images can be installed from here.
+              </p>
+              <div className="max-h-64 overflow-y-auto border rounded-lg divide-y">
+                {compatibleImages.map((image) => {
+                  const job = imageInstalls[image.id];
+                  const installing =
+                    image.installing || job?.status === "running";
+
+                  return (
+                    <label
+                      key={image.id}
+                      className={`flex items-center justify-between px-3 py-2 ${
+                        image.installed ? "cursor-pointer" : "text-gray-500"
+                      }`}
+                    >
+                      <span className="flex items-center space-x-2">
+                        <input
+                          type="radio"
+                          name="systemImage"
+                          disabled={!image.installed}
+                          checked={form.systemImage === image.id}
+                          onChange={() => update("systemImage", image.id)}
+                        />
+                        <span>
+                          API {image.apiLevel} · {image.tag} · {image.abi}
+                        </span>
+                      </span>
+                      {!image.installed &&
+                        (installing ? (
+                          <span className="text-xs">
+                            {job?.phase || "starting"} {job?.progress || 0}%
+                          </span>
+                        ) : (
+                          <button
+                            type="button"
+                            onClick={() => handleInstall(image)}
+                            className="control-button secondary text-xs"
+                          >
+                            Install
+                          </button>
+                        ))}
+                    </label>
+                  );
+                })}
+              </div>
+              <FieldError message={errors.systemImage} />
+            </div>
+          )}
+
+          {step === 2 && (
+            <div className="grid grid-cols-2 gap-4">
+              <label className="block">
+                <span className="text-gray-700">RAM (MB)</span>
+                <input
+                  type="number"
+                  value={form.ramSize}
+                  onChange={(e) =>
+                    update("ramSize", parseInt(e.target.value) || 0)
+                  }
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg"
+                />
+                <FieldError message={errors.ramSize} />
+              </label>
+              <label className="block">
+                <span className="text-gray-700">Internal storage (MB)</span>
+                <input
+                  type="number"
+                  value={form.storage}
+                  onChange={(e) =>
+                    update("storage", parseInt(e.target.value) || 0)
+                  }
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg"
+                />
+                <FieldError message={errors.storage} />
+              </label>
+              <label className="block col-span-2">
+                <span className="text-gray-700">Locale</span>
+                <input
+                  type="text"
+                  value={form.locale}
+                  onChange={(e) => update("locale", e.target.value)}
+                  placeholder="Device default, or e.g. de-DE"
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg"
+                />
+                <FieldError message={errors.locale} />
+              </label>
+            </div>
+          )}
+
+          {step === 3 && (
+            <>
+              <label className="flex items-center space-x-2">
+                <input
+                  type="checkbox"
+                  checked={form.headless}
+                  onChange={(e) => update("headless", e.target.checked)}
+                />
+                <span className="text-gray-700">
+                  Headless (no emulator window on the host)
+                </span>
+              </label>
+              <FieldError message={errors.headless} />
+              <label className="block">
+                <span className="text-gray-700">GPU emulation</span>
+                <select
+                  value={form.gpu}
+                  onChange={(e) => update("gpu", e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg"
+                >
+                  {GPU_MODES.map(([value, label]) => (
+                    <option key={value} value={value}>
+                      {label}
+                    </option>
+                  ))}
+                </select>
+                <FieldError message={errors.gpu} />
+              </label>
+
+              <dl className="grid grid-cols-2 gap-2 bg-gray-50 rounded-lg p-3">
+                <dt className="text-gray-600">Name</dt>
+                <dd>{form.name}</dd>
+                <dt className="text-gray-600">Device</dt>
+                <dd>{profile?.name}</dd>
+                <dt className="text-gray-600">System image</dt>
+                <dd className="break-all">{form.systemImage}</dd>
+                <dt className="text-gray-600">RAM / storage</dt>
+                <dd>
+                  {form.ramSize} MB / {form.storage} MB
+                </dd>
+                <dt className="text-gray-600">Locale</dt>
+                <dd>{form.locale || "Default"}</dd>
+              </dl>
+            </>
+          )}
+
+          {submitError && <p className="text-red-600">{submitError}</p>}
+        </div>
+
+        <div className="flex justify-between border-t px-6 py-4">
+          <button
+            onClick={() => (step === 0 ? onClose() : setStep(step - 1))}
+            className="control-button secondary"
+          >
+            {step === 0 ? "Cancel" : "Back"}
+          </button>
+          {step < STEPS.length - 1 ? (
+            <button onClick={handleNext} className="control-button primary">
+              Next
+            </button>
+          ) : (
+            <button
+              onClick={handleSubmit}
+              disabled={submitting}
+              className="control-button primary"
+            >
+              {submitting ? "Creating..." : "Create Emulator"}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default CreateEmulatorWizard;
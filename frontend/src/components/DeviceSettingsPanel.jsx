@@ -0,0 +1,353 @@
+import React, { useEffect, useState } from "react";
+import axios from "axios";
+import { ArrowPathIcon } from "@heroicons/react/24/outline";
+import { useEmulator } from "../context/EmulatorContext";
+
+const DARK_MODES = [
+  ["off", "Off"],
+  ["on", "On"],
+  ["auto", "Automatic"],
+];
+const FONT_SCALES = [0.85, 1, 1.15, 1.3, 1.5, 1.8, 2];
+const ANIMATION_SCALES = [0, 0.5, 1, 1.5, 2, 5, 10];
+const ANIMATIONS = [
+  ["windowAnimationScale", "Window animation"],
+  ["transitionAnimationScale", "Transition animation"],
+  ["animatorDurationScale", "Animator duration"],
+];
+const TIME_FORMATS = [
+  ["", "Locale default"],
+  ["12", "12-hour"],
+  ["24", "24-hour"],
+];
+const TOGGLES = [
+  ["talkBack", "TalkBack"],
+  ["showTaps", "Show taps"],
+  ["pointerLocation", "Pointer location"],
+];
+// Suggestions only; any language tag can be typed
+const LOCALES = [
+  ["en-US", "English (US)"],
+  ["en-GB", "English (UK)"],
+  ["fr-FR", "French"],
+  ["de-DE", "German"],
+  ["es-ES", "Spanish"],
+  ["pt-BR", "Portuguese (Brazil)"],
+  ["ja-JP", "Japanese"],
+  ["zh-CN", "Chinese (Simplified)"],
+  ["ar-EG", "Arabic – right to left"],
+  ["he-IL", "Hebrew – right to left"],
+];
+
+function DeviceSettingsPanel({ emulator }) {
+  const { socket } = useEmulator();
+  const [settings, setSettings] = useState(null);
+  // Typed values that are only sent on Apply
+  const [display, setDisplay] = useState({ size: "", density: "" });
+  const [locale, setLocale] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [message, setMessage] = useState(null);
+  // Side effects of the last change, such as the framework restarting
+  const [warning, setWarning] = useState(null);
+
+  const running = emulator.status === "running";
+  const base = `/api/emulators/${emulator.id}/device-settings`;
+
+  const show = (next) => {
+    setSettings(next);
+    setDisplay({
+      size: next.displaySize || "",
+      density: next.density ? String(next.density) : "",
+    });
+    setLocale(next.locale || "");
+  };
+
+  useEffect(() => {
+    if (!running) {
+      setSettings(null);
+      return;
+    }
+    axios
+      .get(base)
+      .then((response) => show(response.data))
+      .catch((error) =>
+        setMessage(error.response?.data?.error || error.message)
+      );
+  }, [emulator.id, running]);
+
+  useEffect(() => {
+    if (!socket) {
+      return;
+    }
+    const onChange = (data) => {
+      if (data.name === emulator.id) {
+        show(data.settings);
+      }
+    };
+    socket.on("emulator-device-settings-changed", onChange);
+    return () => socket.off("emulator-device-settings-changed", onChange);
+  }, [socket, emulator.id]);
+
+  const run = async (request) => {
+    setMessage(null);
+    setWarning(null);
+    setBusy(true);
+    try {
+      const response = await request();
+      show(response.data);
+      setFieldErrors({});
+      if (response.data.warnings?.length > 0) {
+        setWarning(response.data.warnings.join(" "));
+      }
+    } catch (error) {
+      setFieldErrors(error.response?.data?.fields || {});
+      setMessage(error.response?.data?.error || error.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const update = (changes) => run(() => axios.put(base, changes));
+
+  const handleReset = () => {
+    if (
+      window.confirm(
+        "Put every device setting back to its default? Resetting the locale restarts the Android framework."
+      )
+    ) {
+      run(() => axios.post(`${base}/reset`));
+    }
+  };
+
+  if (!running) {
+    return (
+      <p className="text-gray-500">
+        Start the emulator to change its device settings.
+      </p>
+    );
+  }
+  if (!settings) {
+    return message ? <p className="text-red-600">{message}</p> : null;
+  }
+
+  const fieldError = (field) =>
+    fieldErrors[field] && (
+      <span className="text-xs text-red-600">{fieldErrors[field]}</span>
+    );
+
+  return (
+    <div className="space-y-4 text-sm">
+      <div className="flex items-center justify-between">
+        <p className="text-gray-600">
+          Values are read back from the device after every change.
+        </p>
+        <button
+          onClick={handleReset}
+          disabled={busy}
+          className="control-button secondary flex items-center"
+        >
+          <ArrowPathIcon className="h-4 w-4 mr-1" />
+          Reset All to Defaults
+        </button>
+      </div>
+
+      {message && <p className="text-red-600">{message}</p>}
+      {warning && <p className="text-amber-600">{warning}</p>}
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        <div className="bg-gray-50 p-4 rounded-lg space-y-3">
+          <h4 className="font-medium text-gray-900">Display</h4>
+          <label className="block">
+            <span className="text-gray-600">Dark mode</span>
+            <select
+              value={settings.darkMode}
+              onChange={(e) => update({ darkMode: e.target.value })}
+              disabled={busy}
+              className="w-full px-2 py-1 border border-gray-300 rounded"
+            >
+              {DARK_MODES.map(([value, label]) => (
+                <option key={value} value={value}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label className="block">
+            <span className="text-gray-600">Font scale</span>
+            <select
+              value={settings.fontScale}
+              onChange={(e) => update({ fontScale: Number(e.target.value) })}
+              disabled={busy}
+              className="w-full px-2 py-1 border border-gray-300 rounded"
+            >
+              {FONT_SCALES.map((scale) => (
+                <option key={scale} value={scale}>
+                  {scale}×
+                </option>
+              ))}
+              {!FONT_SCALES.includes(settings.fontScale) && (
+                <option value={settings.fontScale}>
+                  {settings.fontScale}×
+                </option>
+              )}
+            </select>
+          </label>
+          <div className="grid grid-cols-2 gap-3">
+            <label className="block">
+              <span className="text-gray-600">Size (WIDTHxHEIGHT)</span>
+              <input
+                type="text"
+                value={display.size}
+                onChange={(e) =>
+                  setDisplay({ ...display, size: e.target.value })
+                }
+                placeholder="Physical"
+                className="w-full px-2 py-1 border border-gray-300 rounded"
+              />
+              {fieldError("displaySize")}
+            </label>
+            <label className="block">
+              <span className="text-gray-600">Density (dpi)</span>
+              <input
+                type="number"
+                value={display.density}
+                onChange={(e) =>
+                  setDisplay({ ...display, density: e.target.value })
+                }
+                placeholder="Physical"
+                className="w-full px-2 py-1 border border-gray-300 rounded"
+              />
+              {fieldError("density")}
+            </label>
+          </div>
+          <button
+            onClick={() =>
+              update({
+                displaySize: display.size.trim() || null,
+                density: display.density ? Number(display.density) : null,
+              })
+            }
+            disabled={busy}
+            className="control-button primary"
+          >
+            Apply Size and Density
+          </button>
+        </div>
+
+        <div className="bg-gray-50 p-4 rounded-lg space-y-3">
+          <div className="flex items-center justify-between">
+            <h4 className="font-medium text-gray-900">Animations</h4>
+            <button
+              onClick={() =>
+                update(
+                  Object.fromEntries(ANIMATIONS.map(([field]) => [field, 0]))
+                )
+              }
+              disabled={busy}
+              className="control-button secondary"
+            >
+              Turn All Off
+            </button>
+          </div>
+          {ANIMATIONS.map(([field, label]) => (
+            <label key={field} className="block">
+              <span className="text-gray-600">{label}</span>
+              <select
+                value={settings[field]}
+                onChange={(e) => update({ [field]: Number(e.target.value) })}
+                disabled={busy}
+                className="w-full px-2 py-1 border border-gray-300 rounded"
+              >
+                {ANIMATION_SCALES.map((scale) => (
+                  <option key={scale} value={scale}>
+                    {scale === 0 ? "Off" : `${scale}×`}
+                  </option>
+                ))}
+              </select>
+            </label>
+          ))}
+        </div>
+
+        <div className="bg-gray-50 p-4 rounded-lg space-y-3">
+          <h4 className="font-medium text-gray-900">Language and Time</h4>
+          <label className="block">
+            <span className="text-gray-600">System locale</span>
+            <div className="flex gap-2">
+              <input
+                type="text"
+                list="device-locales"
+                value={locale}
+                onChange={(e) => setLocale(e.target.value)}
+                className="flex-1 px-2 py-1 border border-gray-300 rounded"
+              />
+              <datalist id="device-locales">
+                {LOCALES.map(([value, label]) => (
+                  <option key={value} value={value}>
+                    {label}
+                  </option>
+                ))}
+              </datalist>
+              <button
+                onClick={() => {
+                  if (
+                    window.confirm(
+                      "Changing the locale restarts the Android framework, closing every running app. Continue?"
+                    )
+                  ) {
+                    update({ locale: locale.trim() });
+                  }
+                }}
+                disabled={busy || locale === settings.locale}
+                className="control-button primary"
+              >
+                Apply
+              </button>
+            </div>
+            {fieldError("locale")}
+          </label>
+          <p className="text-xs text-gray-500">
+            Changing the locale restarts the Android framework, closing every
+            running app, and needs a root shell (adb root, on Google APIs
+            images).
+          </p>
+          <label className="block">
+            <span className="text-gray-600">Time format</span>
+            <select
+              value={settings.timeFormat || ""}
+              onChange={(e) => update({ timeFormat: e.target.value || null })}
+              disabled={busy}
+              className="w-full px-2 py-1 border border-gray-300 rounded"
+            >
+              {TIME_FORMATS.map(([value, label]) => (
+                <option key={value} value={value}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </label>
+        </div>
+
+        <div className="bg-gray-50 p-4 rounded-lg space-y-3">
+          <h4 className="font-medium text-gray-900">Accessibility and Input</h4>
+          {TOGGLES.map(([field, label]) => (
+            <div key={field}>
+              <label className="flex items-center space-x-2">
+                <input
+                  type="checkbox"
+                  checked={settings[field]}
+                  onChange={(e) => update({ [field]: e.target.checked })}
+                  disabled={busy}
+                />
+                <span className="text-gray-700">{label}</span>
+              </label>
+              {fieldError(field)}
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default DeviceSettingsPanel;
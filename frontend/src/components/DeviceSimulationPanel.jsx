@@ -0,0 +1,294 @@
+import React, { useEffect, useState } from "react";
+import axios from "axios";
+import {
+  ChatBubbleLeftEllipsisIcon,
+  FingerPrintIcon,
+  PhoneArrowDownLeftIcon,
+  PhoneArrowUpRightIcon,
+} from "@heroicons/react/24/outline";
+import { useEmulator } from "../context/EmulatorContext";
+
+const SENSOR_FIELDS = [
+  ["acceleration", "Accelerometer (x, y, z in m/s²)", 3],
+  ["proximity", "Proximity (cm)", 1],
+  ["light", "Light (lux)", 1],
+];
+
+function randomCode() {
+  return String(Math.floor(100000 + Math.random() * 900000));
+}
+
+function DeviceSimulationPanel({ emulator }) {
+  const { socket } = useEmulator();
+  const [number, setNumber] = useState("5551234");
+  const [calls, setCalls] = useState([]);
+  const [smsText, setSmsText] = useState("");
+  const [fingerId, setFingerId] = useState(1);
+  const [sensors, setSensors] = useState(null);
+  const [busy, setBusy] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const running = emulator.status === "running";
+  const base = `/api/emulators/${emulator.id}/simulation`;
+
+  useEffect(() => {
+    if (!running) {
+      return;
+    }
+    axios
+      .get(`${base}/calls`)
+      .then((response) => setCalls(response.data))
+      .catch((error) =>
+        setMessage(error.response?.data?.error || error.message)
+      );
+    axios
+      .get(`${base}/sensors`)
+      .then((response) => setSensors(response.data))
+      .catch(() => setSensors(null));
+  }, [emulator.id, running]);
+
+  // Calls can also be changed by other dashboards or the socket API
+  useEffect(() => {
+    if (!socket) {
+      return;
+    }
+    const onEvent = (event) => {
+      if (event.name === emulator.id && event.calls) {
+        setCalls(event.calls);
+      }
+    };
+    socket.on("device-simulation-event", onEvent);
+    return () => socket.off("device-simulation-event", onEvent);
+  }, [socket, emulator.id]);
+
+  const run = async (label, request) => {
+    setBusy(label);
+    setMessage(null);
+    try {
+      const response = await request();
+      if (Array.isArray(response.data)) {
+        setCalls(response.data);
+      } else if (response.data.message) {
+        setMessage(response.data.message);
+      }
+    } catch (error) {
+      setMessage(error.response?.data?.error || error.message);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const updateSensor = (sensor, index, value) => {
+    const values = [...sensors[sensor]];
+    values[index] = value;
+    setSensors({ ...sensors, [sensor]: values });
+  };
+
+  if (!running) {
+    return (
+      <p className="text-gray-500">
+        Start the emulator to simulate calls, messages and sensors.
+      </p>
+    );
+  }
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 text-sm">
+      <div className="bg-gray-50 p-4 rounded-lg space-y-3">
+        <h4 className="font-medium text-gray-900">Telephony</h4>
+        <input
+          type="tel"
+          value={number}
+          onChange={(e) => setNumber(e.target.value)}
+          placeholder="Phone number"
+          className="w-full px-3 py-2 border border-gray-300 rounded-lg"
+        />
+        <div className="flex space-x-2">
+          <button
+            onClick={() =>
+              run("incoming", () =>
+                axios.post(`${base}/calls`, { number, direction: "incoming" })
+              )
+            }
+            disabled={busy !== null}
+            className="control-button primary flex items-center"
+          >
+            <PhoneArrowDownLeftIcon className="h-4 w-4 mr-1" />
+            Incoming Call
+          </button>
+          <button
+            onClick={() =>
+              run("outgoing", () =>
+                axios.post(`${base}/calls`, { number, direction: "outgoing" })
+              )
+            }
+            disabled={busy !== null}
+            className="control-button secondary flex items-center"
+          >
+            <PhoneArrowUpRightIcon className="h-4 w-4 mr-1" />
+            Outgoing Call
+          </button>
+        </div>
+
+        {calls.length === 0 ? (
+          <p className="text-gray-500">No active calls</p>
+        ) : (
+          <ul className="divide-y border rounded-lg bg-white">
+            {calls.map((call) => (
+              <li
+                key={call.number}
+                className="flex items-center justify-between px-3 py-2"
+              >
+                <span>
+                  {call.direction === "incoming" ? "From" : "To"} {call.number}
+                  <span className="ml-2 text-xs text-gray-500 capitalize">
+                    {call.state}
+                  </span>
+                </span>
+                <span className="flex space-x-2">
+                  {call.state !== "active" && (
+                    <button
+                      onClick={() =>
+                        run(`accept-${call.number}`, () =>
+                          axios.post(
+                            `${base}/calls/${encodeURIComponent(
+                              call.number
+                            )}/accept`
+                          )
+                        )
+                      }
+                      disabled={busy !== null}
+                      className="control-button success text-xs"
+                    >
+                      Accept
+                    </button>
+                  )}
+                  <button
+                    onClick={() =>
+                      run(`cancel-${call.number}`, () =>
+                        axios.delete(
+                          `${base}/calls/${encodeURIComponent(call.number)}`
+                        )
+                      )
+                    }
+                    disabled={busy !== null}
+                    className="control-button danger text-xs"
+                  >
+                    Hang Up
+                  </button>
+                </span>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      <div className="bg-gray-50 p-4 rounded-lg space-y-3">
+        <h4 className="font-medium text-gray-900">Incoming SMS</h4>
+        <p className="text-gray-600">Sent from the number above.</p>
+        <textarea
+          value={smsText}
+          onChange={(e) => setSmsText(e.target.value)}
+          rows={3}
+          placeholder="Message text"
+          className="w-full px-3 py-2 border border-gray-300 rounded-lg"
+        />
+        <div className="flex space-x-2">
+          <button
+            onClick={() =>
+              run("sms", () =>
+                axios.post(`${base}/sms`, { number, text: smsText })
+              )
+            }
+            disabled={busy !== null || !smsText.trim()}
+            className="control-button primary flex items-center"
+          >
+            <ChatBubbleLeftEllipsisIcon className="h-4 w-4 mr-1" />
+            Send SMS
+          </button>
+          <button
+            onClick={() =>
+              setSmsText(`Your verification code is ${randomCode()}`)
+            }
+            className="control-button secondary"
+          >
+            Fill OTP
+          </button>
+        </div>
+      </div>
+
+      <div className="bg-gray-50 p-4 rounded-lg space-y-3">
+        <h4 className="font-medium text-gray-900">Fingerprint</h4>
+        <div className="flex space-x-2">
+          <select
+            value={fingerId}
+            onChange={(e) => setFingerId(parseInt(e.target.value))}
+            className="px-3 py-2 border border-gray-300 rounded-lg"
+          >
+            {Array.from({ length: 10 }, (_, index) => index + 1).map((id) => (
+              <option key={id} value={id}>
+                Finger {id}
+              </option>
+            ))}
+          </select>
+          <button
+            onClick={() =>
+              run("fingerprint", () =>
+                axios.post(`${base}/fingerprint`, { fingerId })
+              )
+            }
+            disabled={busy !== null}
+            className="control-button primary flex items-center"
+          >
+            <FingerPrintIcon className="h-4 w-4 mr-1" />
+            Touch Sensor
+          </button>
+        </div>
+      </div>
+
+      <div className="bg-gray-50 p-4 rounded-lg space-y-3">
+        <h4 className="font-medium text-gray-900">Sensors</h4>
+        {!sensors ? (
+          <p className="text-gray-500">Sensor values unavailable</p>
+        ) : (
+          SENSOR_FIELDS.map(([sensor, label, count]) => (
+            <div key={sensor}>
+              <span className="text-gray-600">{label}</span>
+              <div className="flex space-x-2">
+                {Array.from({ length: count }, (_, index) => (
+                  <input
+                    key={index}
+                    type="number"
+                    step="0.1"
+                    value={sensors[sensor][index] ?? 0}
+                    onChange={(e) =>
+                      updateSensor(sensor, index, parseFloat(e.target.value))
+                    }
+                    className="w-24 px-2 py-1 border border-gray-300 rounded"
+                  />
+                ))}
+                <button
+                  onClick={() =>
+                    run(`sensor-${sensor}`, () =>
+                      axios.put(`${base}/sensors/${sensor}`, {
+                        values: sensors[sensor],
+                      })
+                    )
+                  }
+                  disabled={busy !== null}
+                  className="control-button secondary text-xs"
+                >
+                  Set
+                </button>
+              </div>
+            </div>
+          ))
+        )}
+      </div>
+
+      {message && <p className="text-gray-600 lg:col-span-2">{message}</p>}
+    </div>
+  );
+}
+
+export default DeviceSimulationPanel;
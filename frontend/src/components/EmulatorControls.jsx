@@ -1,5 +1,6 @@
 import React from "react";
 import { useEmulator } from "../context/EmulatorContext";
+import BatteryControls from "./BatteryControls";
 import {
   HomeIcon,
   ArrowUturnLeftIcon,
@@ -85,6 +86,8 @@ function EmulatorControls({ emulator }) {
         </div>
       </div>
 
+      <BatteryControls emulator={emulator} />
+
       {/* Quick Actions */}
       <div className="space-y-3">
         <h4 className="text-sm font-medium text-gray-700">Quick Actions</h4>
@@ -3,21 +3,40 @@ import { useEmulator } from "../context/EmulatorContext";
 import EmulatorScreen from "./EmulatorScreen";
 import EmulatorControls from "./EmulatorControls";
 import AppManager from "./AppManager";
+import HealthAlert from "./HealthAlert";
+import RestartPolicySettings from "./RestartPolicySettings";
+import SnapshotPanel from "./SnapshotPanel";
+import AvdConfigEditor from "./AvdConfigEditor";
+import LaunchDetails from "./LaunchDetails";
+import DeviceSimulationPanel from "./DeviceSimulationPanel";
+import LocationPanel from "./LocationPanel";
+import NetworkPanel from "./NetworkPanel";
+import ClipboardPanel from "./ClipboardPanel";
+import FileExplorer from "./FileExplorer";
+import LogViewer from "./LogViewer";
+import IncidentPanel from "./IncidentPanel";
+import PerformancePanel from "./PerformancePanel";
+import DeviceSettingsPanel from "./DeviceSettingsPanel";
 
-function EmulatorDashboard({ emulator }) {
-  const { socket, screenStream } = useEmulator();
+function EmulatorDashboard({ emulator: selected, onDeleted }) {
+  const { socket, screenStream, emulators } = useEmulator();
   const [activeTab, setActiveTab] = useState("screen");
 
+  // Follow live status updates for the selected emulator
+  const emulator = emulators.find((emu) => emu.id === selected?.id) || selected;
+
   useEffect(() => {
     if (socket && emulator) {
-      // Request screen streaming for this emulator
+      // Request screen streaming and per-emulator updates
       socket.emit("start-screen-capture", { emulatorId: emulator.id });
+      socket.emit("watch-emulator", { emulatorId: emulator.id });
 
       return () => {
         socket.emit("stop-screen-capture", { emulatorId: emulator.id });
+        socket.emit("unwatch-emulator", { emulatorId: emulator.id });
       };
     }
-  }, [socket, emulator]);
+  }, [socket, emulator?.id]);
 
   if (!emulator) {
     return (
@@ -30,11 +49,22 @@ function EmulatorDashboard({ emulator }) {
   const tabs = [
     { id: "screen", label: "Screen Control", icon: "📱" },
     { id: "apps", label: "App Manager", icon: "📦" },
+    { id: "files", label: "Files", icon: "📁" },
+    { id: "logs", label: "Logs", icon: "📜" },
+    { id: "incidents", label: "Incidents", icon: "💥" },
+    { id: "performance", label: "Performance", icon: "📈" },
+    { id: "snapshots", label: "Snapshots", icon: "💾" },
+    { id: "simulation", label: "Device Simulation", icon: "📞" },
+    { id: "location", label: "Location", icon: "📍" },
+    { id: "network", label: "Network", icon: "📶" },
+    { id: "device-settings", label: "Display & Locale", icon: "🌓" },
     { id: "settings", label: "Settings", icon: "⚙️" },
   ];
 
   return (
     <div className="max-w-7xl mx-auto">
+      <HealthAlert emulator={emulator} className="mb-6" />
+
       {/* Tab Navigation */}
       <div className="bg-white rounded-lg shadow-sm mb-6">
         <div className="border-b border-gray-200">
@@ -63,6 +93,7 @@ function EmulatorDashboard({ emulator }) {
           <div className="grid grid-cols-1 lg:grid-cols-3 gap-6 p-6">
             <div className="lg:col-span-2">
               <EmulatorScreen emulator={emulator} screenStream={screenStream} />
+              <ClipboardPanel emulator={emulator} />
             </div>
             <div>
               <EmulatorControls emulator={emulator} />
@@ -76,6 +107,60 @@ function EmulatorDashboard({ emulator }) {
           </div>
         )}
 
+        {activeTab === "files" && (
+          <div className="p-6">
+            <FileExplorer emulator={emulator} />
+          </div>
+        )}
+
+        {activeTab === "logs" && (
+          <div className="p-6">
+            <LogViewer emulator={emulator} />
+          </div>
+        )}
+
+        {activeTab === "incidents" && (
+          <div className="p-6">
+            <IncidentPanel emulator={emulator} />
+          </div>
+        )}
+
+        {activeTab === "performance" && (
+          <div className="p-6">
+            <PerformancePanel emulator={emulator} />
+          </div>
+        )}
+
+        {activeTab === "snapshots" && (
+          <div className="p-6">
+            <SnapshotPanel emulator={emulator} />
+          </div>
+        )}
+
+        {activeTab === "simulation" && (
+          <div className="p-6">
+            <DeviceSimulationPanel emulator={emulator} />
+          </div>
+        )}
+
+        {activeTab === "location" && (
+          <div className="p-6">
+            <LocationPanel emulator={emulator} />
+          </div>
+        )}
+
+        {activeTab === "network" && (
+          <div className="p-6">
+            <NetworkPanel emulator={emulator} />
+          </div>
+        )}
+
+        {activeTab === "device-settings" && (
+          <div className="p-6">
+            <DeviceSettingsPanel emulator={emulator} />
+          </div>
+        )}
+
         {activeTab === "settings" && (
           <div className="p-6">
             <div className="max-w-2xl">
@@ -98,6 +183,12 @@ function EmulatorDashboard({ emulator }) {
                     </dd>
                   </dl>
                 </div>
+
+                <LaunchDetails emulator={emulator} />
+
+                <AvdConfigEditor emulator={emulator} onDeleted={onDeleted} />
+
+                <RestartPolicySettings emulator={emulator} />
               </div>
             </div>
           </div>
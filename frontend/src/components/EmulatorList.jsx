@@ -2,15 +2,46 @@ import React, { useEffect, useState } from "react";
 import { useEmulator } from "../context/EmulatorContext";
 import { PlayIcon, StopIcon, PlusIcon } from "@heroicons/react/24/outline";
 import axios from "axios";
+import HealthAlert from "./HealthAlert";
+import BootProgress from "./BootProgress";
+import SnapshotPicker from "./SnapshotPicker";
+import SystemImageCatalog from "./SystemImageCatalog";
+import LaunchProfileManager from "./LaunchProfileManager";
+import CreateEmulatorWizard from "./CreateEmulatorWizard";
 
 function EmulatorList({ onEmulatorSelect }) {
-  const { emulators, dispatch, loading } = useEmulator();
-  const [isCreating, setIsCreating] = useState(false);
+  const { emulators, bootJobs, dispatch, loading } = useEmulator();
+  const [showWizard, setShowWizard] = useState(false);
+  const [pendingBoots, setPendingBoots] = useState({});
+  const [startSnapshots, setStartSnapshots] = useState({});
+  const [profiles, setProfiles] = useState([]);
+  const [startProfiles, setStartProfiles] = useState({});
 
   useEffect(() => {
     fetchEmulators();
+    fetchProfiles();
   }, []);
 
+  useEffect(() => {
+    const settled = Object.values(bootJobs).filter(
+      (job) => pendingBoots[job.id] && job.status !== "booting"
+    );
+    if (settled.length === 0) {
+      return;
+    }
+
+    setPendingBoots((pending) => {
+      const remaining = { ...pending };
+      settled.forEach((job) => delete remaining[job.id]);
+      return remaining;
+    });
+
+    const completed = settled.find((job) => job.status === "completed");
+    if (completed) {
+      onEmulatorSelect(pendingBoots[completed.id]);
+    }
+  }, [bootJobs]);
+
   const fetchEmulators = async () => {
     dispatch({ type: "SET_LOADING", payload: true });
     try {
@@ -21,23 +52,37 @@ function EmulatorList({ onEmulatorSelect }) {
     }
   };
 
-  const handleStartEmulator = async (emulator) => {
+  const fetchProfiles = async () => {
     try {
-      await axios.post(`/api/emulators/${emulator.id}/start`);
-      // Refresh emulator list to get updated status
-      await fetchEmulators();
-
-      // Wait a moment for status to update, then navigate to dashboard
-      setTimeout(() => {
-        onEmulatorSelect(emulator);
-      }, 2000);
-
-      // Status will also be updated via socket
+      const response = await axios.get("/api/launch-profiles");
+      setProfiles(response.data);
     } catch (error) {
       dispatch({ type: "SET_ERROR", payload: error.message });
     }
   };
 
+  const handleStartEmulator = async (emulator) => {
+    try {
+      const response = await axios.post(`/api/emulators/${emulator.id}/start`, {
+        snapshot: startSnapshots[emulator.id] || undefined,
+        profile: startProfiles[emulator.id] || undefined,
+      });
+      // Open the dashboard once this boot job completes
+      if (response.data.jobId) {
+        setPendingBoots((pending) => ({
+          ...pending,
+          [response.data.jobId]: emulator,
+        }));
+      }
+      // Status and boot progress are updated via socket
+    } catch (error) {
+      dispatch({
+        type: "SET_ERROR",
+        payload: error.response?.data?.error || error.message,
+      });
+    }
+  };
+
   const handleStopEmulator = async (emulator) => {
     try {
       await axios.post(`/api/emulators/${emulator.id}/stop`);
@@ -47,26 +92,9 @@ function EmulatorList({ onEmulatorSelect }) {
     }
   };
 
-  const handleCreateEmulator = async () => {
-    setIsCreating(true);
-    try {
-      const newEmulatorName = `WebControllerEmulator-${Date.now()}`;
-      await axios.post("/api/emulators", {
-        name: newEmulatorName,
-        apiLevel: 34,
-        arch: "x86_64",
-        device: "pixel_5",
-      });
-      await fetchEmulators();
-    } catch (error) {
-      console.error("Failed to create emulator:", error);
-      dispatch({
-        type: "SET_ERROR",
-        payload: error.response?.data?.error || error.message,
-      });
-    } finally {
-      setIsCreating(false);
-    }
+  const handleEmulatorCreated = async () => {
+    setShowWizard(false);
+    await fetchEmulators();
   };
 
   if (loading) {
@@ -84,12 +112,11 @@ function EmulatorList({ onEmulatorSelect }) {
           Available Emulators
         </h2>
         <button
-          onClick={handleCreateEmulator}
-          disabled={isCreating}
+          onClick={() => setShowWizard(true)}
           className="control-button primary flex items-center"
         >
           <PlusIcon className="h-5 w-5 mr-2" />
-          {isCreating ? "Creating..." : "Create Emulator"}
+          Create Emulator
         </button>
       </div>
 
@@ -114,7 +141,8 @@ function EmulatorList({ onEmulatorSelect }) {
                     ? "bg-green-100 text-green-800"
                     : emulator.status === "starting"
                     ? "bg-yellow-100 text-yellow-800"
-                    : emulator.status === "stopping"
+                    : emulator.status === "stopping" ||
+                      emulator.status === "unresponsive"
                     ? "bg-orange-100 text-orange-800"
                     : "bg-gray-100 text-gray-800"
                 }`}
@@ -124,6 +152,42 @@ function EmulatorList({ onEmulatorSelect }) {
             </div>
 
             <div className="space-y-3">
+              <HealthAlert emulator={emulator} />
+              <BootProgress emulator={emulator} />
+
+              {emulator.status === "stopped" && (
+                <SnapshotPicker
+                  emulator={emulator}
+                  value={startSnapshots[emulator.id]}
+                  onChange={(snapshot) =>
+                    setStartSnapshots({
+                      ...startSnapshots,
+                      [emulator.id]: snapshot,
+                    })
+                  }
+                />
+              )}
+
+              {emulator.status === "stopped" && profiles.length > 0 && (
+                <select
+                  value={startProfiles[emulator.id] || ""}
+                  onChange={(e) =>
+                    setStartProfiles({
+                      ...startProfiles,
+                      [emulator.id]: e.target.value || null,
+                    })
+                  }
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                >
+                  <option value="">Default launch options</option>
+                  {profiles.map((profile) => (
+                    <option key={profile.name} value={profile.name}>
+                      Profile: {profile.name}
+                    </option>
+                  ))}
+                </select>
+              )}
+
               {emulator.status === "running" && (
                 <button
                   onClick={() => onEmulatorSelect(emulator)}
@@ -142,7 +206,8 @@ function EmulatorList({ onEmulatorSelect }) {
                     <PlayIcon className="h-4 w-4 mr-2" />
                     Start
                   </button>
-                ) : emulator.status === "running" ? (
+                ) : emulator.status === "running" ||
+                  emulator.status === "unresponsive" ? (
                   <button
                     onClick={() => handleStopEmulator(emulator)}
                     className="flex-1 control-button danger flex items-center justify-center"
@@ -165,14 +230,28 @@ function EmulatorList({ onEmulatorSelect }) {
         <div className="text-center py-12">
           <p className="text-gray-500 text-lg mb-4">No emulators found</p>
           <button
-            onClick={handleCreateEmulator}
-            disabled={isCreating}
+            onClick={() => setShowWizard(true)}
             className="control-button primary"
           >
             Create Your First Emulator
           </button>
         </div>
       )}
+
+      <div className="mt-8">
+        <SystemImageCatalog />
+      </div>
+
+      <div className="mt-8">
+        <LaunchProfileManager profiles={profiles} onChange={fetchProfiles} />
+      </div>
+
+      {showWizard && (
+        <CreateEmulatorWizard
+          onClose={() => setShowWizard(false)}
+          onCreated={handleEmulatorCreated}
+        />
+      )}
     </div>
   );
 }
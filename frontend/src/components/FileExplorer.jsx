@@ -0,0 +1,362 @@
+import React, { useEffect, useState } from "react";
+import axios from "axios";
+import {
+  ArrowDownTrayIcon,
+  ArrowPathIcon,
+  ArrowUpIcon,
+  DocumentIcon,
+  FolderIcon,
+  FolderPlusIcon,
+  PencilIcon,
+  TrashIcon,
+} from "@heroicons/react/24/outline";
+import { useEmulator } from "../context/EmulatorContext";
+
+const SHARED_ROOT = "/sdcard";
+
+function formatSize(bytes) {
+  if (bytes < 1024) {
+    return `${bytes} B`;
+  }
+  if (bytes < 1024 * 1024) {
+    return `${(bytes / 1024).toFixed(1)} KB`;
+  }
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+function parentOf(dirPath) {
+  return dirPath.replace(/\/[^/]+\/?$/, "") || "/";
+}
+
+function joinPath(dirPath, name) {
+  return `${dirPath.replace(/\/$/, "")}/${name}`;
+}
+
+function FileExplorer({ emulator }) {
+  const { socket } = useEmulator();
+  const [packageName, setPackageName] = useState("");
+  const [apps, setApps] = useState([]);
+  const [dirPath, setDirPath] = useState(SHARED_ROOT);
+  const [pathInput, setPathInput] = useState(SHARED_ROOT);
+  const [entries, setEntries] = useState([]);
+  const [transfers, setTransfers] = useState([]);
+  const [dragging, setDragging] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const running = emulator.status === "running";
+  const base = `/api/emulators/${emulator.id}/files`;
+  const query = (extra) =>
+    new URLSearchParams({
+      ...extra,
+      ...(packageName ? { package: packageName } : {}),
+    }).toString();
+
+  const fail = (error) =>
+    setMessage(
+      Object.values(error.response?.data?.fields || {})[0] ||
+        error.response?.data?.error ||
+        error.message
+    );
+
+  useEffect(() => {
+    if (!running) {
+      return;
+    }
+    axios
+      .get(`/api/emulators/${emulator.id}/apps`, {
+        params: { details: false },
+      })
+      .then((response) => setApps(response.data))
+      .catch(() => setApps([]));
+  }, [emulator.id, running]);
+
+  const fetchEntries = async (target = dirPath) => {
+    setLoading(true);
+    setMessage(null);
+    try {
+      const response = await axios.get(`${base}?${query({ path: target })}`);
+      setEntries(response.data);
+      setDirPath(target);
+      setPathInput(target);
+    } catch (error) {
+      fail(error);
+      setPathInput(dirPath);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (running) {
+      fetchEntries(packageName ? `/data/data/${packageName}` : SHARED_ROOT);
+    }
+  }, [emulator.id, running, packageName]);
+
+  // Progress of uploads and downloads, including other viewers'
+  useEffect(() => {
+    if (!socket) {
+      return;
+    }
+    const onProgress = (transfer) => {
+      if (transfer.emulator !== emulator.id) {
+        return;
+      }
+      setTransfers((current) =>
+        [transfer, ...current.filter((t) => t.id !== transfer.id)].slice(0, 5)
+      );
+    };
+    socket.on("file-transfer-progress", onProgress);
+    return () => socket.off("file-transfer-progress", onProgress);
+  }, [socket, emulator.id]);
+
+  const run = async (request) => {
+    setMessage(null);
+    try {
+      await request();
+      await fetchEntries();
+    } catch (error) {
+      fail(error);
+    }
+  };
+
+  const upload = (files) =>
+    run(async () => {
+      for (const file of files) {
+        await axios.put(
+          `${base}/content?${query({ path: joinPath(dirPath, file.name) })}`,
+          file,
+          { headers: { "Content-Type": "application/octet-stream" } }
+        );
+      }
+    });
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setDragging(false);
+    if (e.dataTransfer.files.length > 0) {
+      upload(Array.from(e.dataTransfer.files));
+    }
+  };
+
+  const handleNewFolder = () => {
+    const folder = window.prompt("New folder name");
+    if (!folder) {
+      return;
+    }
+    run(() =>
+      axios.post(`${base}/directories`, {
+        path: joinPath(dirPath, folder),
+        package: packageName || undefined,
+      })
+    );
+  };
+
+  const handleRename = (entry) => {
+    const renamed = window.prompt("New name", entry.name);
+    if (!renamed || renamed === entry.name) {
+      return;
+    }
+    run(() =>
+      axios.post(`${base}/rename`, {
+        from: entry.path,
+        to: joinPath(dirPath, renamed),
+        package: packageName || undefined,
+      })
+    );
+  };
+
+  const handleDelete = (entry) => {
+    const what =
+      entry.type === "directory" ? "folder and its contents" : "file";
+    if (!window.confirm(`Delete the ${what} ${entry.path}?`)) {
+      return;
+    }
+    run(() => axios.delete(`${base}?${query({ path: entry.path })}`));
+  };
+
+  if (!running) {
+    return (
+      <p className="text-gray-500">Start the emulator to browse its files.</p>
+    );
+  }
+
+  return (
+    <div className="space-y-4 text-sm">
+      <div className="flex flex-wrap items-center gap-2">
+        <select
+          value={packageName}
+          onChange={(e) => setPackageName(e.target.value)}
+          className="px-3 py-2 border border-gray-300 rounded-lg"
+        >
+          <option value="">Shared storage</option>
+          {apps.map((app) => (
+            <option key={app.packageName} value={app.packageName}>
+              {app.label} (run-as)
+            </option>
+          ))}
+        </select>
+        <button
+          onClick={() => fetchEntries(parentOf(dirPath))}
+          disabled={dirPath === "/"}
+          className="control-button secondary"
+          title="Parent folder"
+        >
+          <ArrowUpIcon className="h-4 w-4" />
+        </button>
+        <input
+          type="text"
+          value={pathInput}
+          onChange={(e) => setPathInput(e.target.value)}
+          onKeyDown={(e) => e.key === "Enter" && fetchEntries(pathInput)}
+          className="flex-1 px-3 py-2 border border-gray-300 rounded-lg font-mono"
+        />
+        <button
+          onClick={() => fetchEntries()}
+          className="control-button secondary"
+          title="Refresh"
+        >
+          <ArrowPathIcon
+            className={`h-4 w-4 ${loading ? "animate-spin" : ""}`}
+          />
+        </button>
+        <button
+          onClick={handleNewFolder}
+          className="control-button secondary flex items-center"
+        >
+          <FolderPlusIcon className="h-4 w-4 mr-1" />
+          New Folder
+        </button>
+      </div>
+
+      {packageName && (
+        <p className="text-gray-500">
+          App files are read through <code>run-as</code>, so only debuggable
+          builds can be browsed.
+        </p>
+      )}
+
+      <div
+        onDragOver={(e) => {
+          e.preventDefault();
+          setDragging(true);
+        }}
+        onDragLeave={() => setDragging(false)}
+        onDrop={handleDrop}
+        className={`border-2 border-dashed rounded-lg ${
+          dragging ? "border-blue-500 bg-blue-50" : "border-gray-200"
+        }`}
+      >
+        {entries.length === 0 ? (
+          <p className="text-gray-500 text-center py-8">
+            {loading ? "Loading..." : "This folder is empty"}
+          </p>
+        ) : (
+          <ul className="divide-y">
+            {entries.map((entry) => (
+              <li
+                key={entry.path}
+                className="flex items-center justify-between px-3 py-2 hover:bg-gray-50"
+              >
+                {entry.type === "directory" ? (
+                  <button
+                    onClick={() => fetchEntries(entry.path)}
+                    className="flex items-center text-left text-blue-600 hover:underline"
+                  >
+                    <FolderIcon className="h-5 w-5 mr-2" />
+                    {entry.name}
+                  </button>
+                ) : (
+                  <a
+                    href={`${base}/content?${query({ path: entry.path })}`}
+                    download={entry.name}
+                    className="flex items-center text-gray-900 hover:underline"
+                    title="Download"
+                  >
+                    <DocumentIcon className="h-5 w-5 mr-2 text-gray-500" />
+                    {entry.name}
+                  </a>
+                )}
+                <span className="flex items-center space-x-3 text-gray-500">
+                  <span>
+                    {entry.type === "directory" ? "" : formatSize(entry.size)}
+                  </span>
+                  <span>{new Date(entry.mtime).toLocaleString()}</span>
+                  <span className="font-mono">{entry.permissions}</span>
+                  {entry.type !== "directory" && (
+                    <a
+                      href={`${base}/content?${query({ path: entry.path })}`}
+                      download={entry.name}
+                      title="Download"
+                    >
+                      <ArrowDownTrayIcon className="h-4 w-4" />
+                    </a>
+                  )}
+                  <button onClick={() => handleRename(entry)} title="Rename">
+                    <PencilIcon className="h-4 w-4" />
+                  </button>
+                  <button onClick={() => handleDelete(entry)} title="Delete">
+                    <TrashIcon className="h-4 w-4 text-red-600" />
+                  </button>
+                </span>
+              </li>
+            ))}
+          </ul>
+        )}
+        <div className="flex items-center justify-center space-x-2 py-3 text-gray-500 border-t border-dashed">
+          <span>Drop files here to upload them to this folder, or</span>
+          <label className="text-blue-600 hover:underline cursor-pointer">
+            choose files
+            <input
+              type="file"
+              multiple
+              className="hidden"
+              onChange={(e) => {
+                upload(Array.from(e.target.files));
+                e.target.value = "";
+              }}
+            />
+          </label>
+        </div>
+      </div>
+
+      {transfers.length > 0 && (
+        <div className="space-y-2">
+          <h4 className="font-medium text-gray-900">Transfers</h4>
+          {transfers.map((transfer) => (
+            <div key={transfer.id}>
+              <div className="flex justify-between text-gray-600">
+                <span className="font-mono truncate">
+                  {transfer.direction === "upload" ? "↑" : "↓"} {transfer.path}
+                </span>
+                <span
+                  className={
+                    transfer.status === "failed" ? "text-red-600" : undefined
+                  }
+                >
+                  {transfer.status === "failed"
+                    ? transfer.error
+                    : transfer.progress !== null
+                    ? `${transfer.progress}%`
+                    : formatSize(transfer.bytes)}
+                </span>
+              </div>
+              <div className="w-full bg-gray-200 rounded-full h-1.5">
+                <div
+                  className={`h-1.5 rounded-full ${
+                    transfer.status === "failed" ? "bg-red-500" : "bg-blue-500"
+                  }`}
+                  style={{ width: `${transfer.progress ?? 0}%` }}
+                />
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {message && <p className="text-red-600">{message}</p>}
+    </div>
+  );
+}
+
+export default FileExplorer;
@@ -0,0 +1,75 @@
+import React from "react";
+import { useEmulator } from "../context/EmulatorContext";
+import { XMarkIcon } from "@heroicons/react/24/outline";
+
+const STYLES = {
+  crashed: "bg-red-50 border-red-200 text-red-800",
+  unresponsive: "bg-orange-50 border-orange-200 text-orange-800",
+  restarting: "bg-yellow-50 border-yellow-200 text-yellow-800",
+  "restart-abandoned": "bg-red-50 border-red-200 text-red-800",
+  recovered: "bg-green-50 border-green-200 text-green-800",
+};
+
+function describe(event) {
+  switch (event.type) {
+    case "crashed":
+      return `Crashed: ${event.reason}`;
+    case "unresponsive":
+      return `Unresponsive: ${event.failedChecks.join(", ")} failed`;
+    case "restarting":
+      return `Restarting in ${Math.round(event.delay / 1000)}s (attempt ${
+        event.attempt
+      }) – ${event.reason}`;
+    case "restart-abandoned":
+      return `Gave up restarting after ${event.attempts} attempts`;
+    case "recovered":
+      return "Recovered and responding again";
+    default:
+      return event.type;
+  }
+}
+
+function HealthAlert({ emulator, className = "" }) {
+  const { healthEvents, dispatch } = useEmulator();
+  const event = healthEvents[emulator.name];
+
+  if (!event) {
+    return null;
+  }
+
+  return (
+    <div
+      className={`border rounded-lg p-3 text-sm ${
+        STYLES[event.type]
+      } ${className}`}
+    >
+      <div className="flex items-start justify-between">
+        <p className="font-medium">{describe(event)}</p>
+        <button
+          onClick={() =>
+            dispatch({ type: "CLEAR_HEALTH_EVENT", payload: emulator.name })
+          }
+          className="ml-2 opacity-60 hover:opacity-100"
+          title="Dismiss"
+        >
+          <XMarkIcon className="h-4 w-4" />
+        </button>
+      </div>
+
+      {event.output?.length > 0 && (
+        <details className="mt-2">
+          <summary className="cursor-pointer text-xs">
+            Last emulator output
+          </summary>
+          <pre className="mt-2 max-h-48 overflow-auto bg-gray-900 text-gray-100 text-xs p-2 rounded">
+            {event.output
+              .map((entry) => `[${entry.stream}] ${entry.line}`)
+              .join("\n")}
+          </pre>
+        </details>
+      )}
+    </div>
+  );
+}
+
+export default HealthAlert;
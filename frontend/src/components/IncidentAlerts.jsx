@@ -0,0 +1,74 @@
+import React, { useEffect } from "react";
+import { useEmulator } from "../context/EmulatorContext";
+import { XMarkIcon } from "@heroicons/react/24/outline";
+
+// How long an alert stays up unless dismissed first
+const ALERT_TIMEOUT = 15000;
+
+export const INCIDENT_LABELS = {
+  crash: "App crashed",
+  "native-crash": "Native crash",
+  anr: "App not responding",
+};
+
+function IncidentAlert({ incident, onDismiss }) {
+  useEffect(() => {
+    const timer = setTimeout(onDismiss, ALERT_TIMEOUT);
+    return () => clearTimeout(timer);
+  }, [incident.id]);
+
+  return (
+    <div className="w-80 bg-white border border-red-200 border-l-4 border-l-red-500 rounded-lg shadow-lg p-3 text-sm">
+      <div className="flex items-start justify-between">
+        <div className="min-w-0">
+          <p className="font-semibold text-red-800">
+            {INCIDENT_LABELS[incident.type]} on {incident.emulator}
+          </p>
+          <p className="text-gray-700 truncate">
+            {incident.packageName || "Unknown app"}
+          </p>
+          <p className="text-gray-500 text-xs truncate" title={incident.title}>
+            {incident.title}
+          </p>
+        </div>
+        <button
+          onClick={onDismiss}
+          className="ml-2 text-gray-400 hover:text-gray-600"
+          title="Dismiss"
+        >
+          <XMarkIcon className="h-4 w-4" />
+        </button>
+      </div>
+      <a
+        href={`/api/emulators/${incident.emulator}/incidents/${incident.id}/report`}
+        className="inline-block mt-2 text-xs text-blue-600 hover:underline"
+      >
+        Download report
+      </a>
+    </div>
+  );
+}
+
+function IncidentAlerts() {
+  const { incidentAlerts, dispatch } = useEmulator();
+
+  if (incidentAlerts.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="fixed bottom-4 right-4 z-50 space-y-2">
+      {incidentAlerts.map((incident) => (
+        <IncidentAlert
+          key={incident.id}
+          incident={incident}
+          onDismiss={() =>
+            dispatch({ type: "DISMISS_INCIDENT_ALERT", payload: incident.id })
+          }
+        />
+      ))}
+    </div>
+  );
+}
+
+export default IncidentAlerts;
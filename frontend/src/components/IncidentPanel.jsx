@@ -0,0 +1,214 @@
+import React, { useEffect, useState } from "react";
+import axios from "axios";
+import { ArrowDownTrayIcon, TrashIcon } from "@heroicons/react/24/outline";
+import { useEmulator } from "../context/EmulatorContext";
+import { INCIDENT_LABELS } from "./IncidentAlerts";
+
+function IncidentPanel({ emulator }) {
+  const { socket } = useEmulator();
+  const [incidents, setIncidents] = useState([]);
+  const [appUnderTest, setAppUnderTest] = useState("");
+  const [selected, setSelected] = useState(null);
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [message, setMessage] = useState(null);
+
+  const base = `/api/emulators/${emulator.id}/incidents`;
+
+  const loadIncidents = () =>
+    axios
+      .get(base)
+      .then((response) => setIncidents(response.data))
+      .catch((error) =>
+        setMessage(error.response?.data?.error || error.message)
+      );
+
+  useEffect(() => {
+    setSelected(null);
+    loadIncidents();
+    axios
+      .get(`${base}/settings`)
+      .then((response) => setAppUnderTest(response.data.appUnderTest || ""))
+      .catch(() => setAppUnderTest(""));
+  }, [emulator.id]);
+
+  useEffect(() => {
+    if (!socket) {
+      return;
+    }
+    const onIncident = (data) => {
+      if (data.name === emulator.id) {
+        setIncidents((current) => [data.incident, ...current]);
+      }
+    };
+    socket.on("emulator-incident", onIncident);
+    return () => socket.off("emulator-incident", onIncident);
+  }, [socket, emulator.id]);
+
+  const handleSaveSettings = async () => {
+    setMessage(null);
+    try {
+      const response = await axios.put(`${base}/settings`, {
+        appUnderTest: appUnderTest.trim() || null,
+      });
+      setAppUnderTest(response.data.appUnderTest || "");
+      setFieldErrors({});
+      setMessage(
+        response.data.appUnderTest
+          ? `Recording incidents of ${response.data.appUnderTest} only`
+          : "Recording incidents of every app"
+      );
+    } catch (error) {
+      setFieldErrors(error.response?.data?.fields || {});
+      setMessage(error.response?.data?.error || error.message);
+    }
+  };
+
+  const handleSelect = async (incident) => {
+    if (selected?.id === incident.id) {
+      setSelected(null);
+      return;
+    }
+    try {
+      const response = await axios.get(`${base}/${incident.id}`);
+      setSelected(response.data);
+    } catch (error) {
+      setMessage(error.response?.data?.error || error.message);
+    }
+  };
+
+  const handleDelete = async (incident) => {
+    if (!window.confirm("Delete this incident?")) {
+      return;
+    }
+    try {
+      await axios.delete(`${base}/${incident.id}`);
+      if (selected?.id === incident.id) {
+        setSelected(null);
+      }
+      loadIncidents();
+    } catch (error) {
+      setMessage(error.response?.data?.error || error.message);
+    }
+  };
+
+  return (
+    <div className="space-y-4 text-sm">
+      <div className="bg-gray-50 p-4 rounded-lg">
+        <label className="block">
+          <span className="text-gray-600">App under test</span>
+          <div className="flex gap-2 mt-1">
+            <input
+              type="text"
+              value={appUnderTest}
+              onChange={(e) => setAppUnderTest(e.target.value)}
+              placeholder="All apps"
+              className="flex-1 px-2 py-1 border border-gray-300 rounded"
+            />
+            <button
+              onClick={handleSaveSettings}
+              className="control-button secondary"
+            >
+              Save
+            </button>
+          </div>
+        </label>
+        {fieldErrors.appUnderTest && (
+          <p className="text-red-600 text-xs mt-1">
+            {fieldErrors.appUnderTest}
+          </p>
+        )}
+        <p className="text-gray-500 text-xs mt-2">
+          Crashes, native crashes and ANRs found in the log are recorded with
+          their stack trace, the log around them and a screenshot.
+        </p>
+      </div>
+
+      {message && <p className="text-gray-700">{message}</p>}
+
+      {incidents.length === 0 ? (
+        <p className="text-gray-500">No incidents recorded.</p>
+      ) : (
+        <ul className="divide-y divide-gray-200 border border-gray-200 rounded-lg">
+          {incidents.map((incident) => (
+            <li key={incident.id} className="p-3">
+              <div className="flex items-start justify-between gap-2">
+                <button
+                  onClick={() => handleSelect(incident)}
+                  className="text-left min-w-0"
+                >
+                  <p className="font-medium text-gray-900">
+                    {INCIDENT_LABELS[incident.type]}:{" "}
+                    {incident.packageName || "unknown app"}
+                  </p>
+                  <p className="text-gray-600 truncate">{incident.title}</p>
+                  <p className="text-gray-400 text-xs">
+                    {new Date(incident.occurredAt).toLocaleString()}
+                  </p>
+                </button>
+                <div className="flex gap-1 shrink-0">
+                  <a
+                    href={`${base}/${incident.id}/report`}
+                    className="control-button secondary"
+                    title="Download report"
+                  >
+                    <ArrowDownTrayIcon className="h-4 w-4" />
+                  </a>
+                  <button
+                    onClick={() => handleDelete(incident)}
+                    className="control-button danger"
+                    title="Delete"
+                  >
+                    <TrashIcon className="h-4 w-4" />
+                  </button>
+                </div>
+              </div>
+
+              {selected?.id === incident.id && (
+                <div className="mt-3 grid grid-cols-1 lg:grid-cols-3 gap-4">
+                  <div className="lg:col-span-2 space-y-3 min-w-0">
+                    <pre className="max-h-64 overflow-auto bg-gray-900 text-red-300 text-xs p-2 rounded">
+                      {selected.stackTrace}
+                    </pre>
+                    {selected.trace && (
+                      <details>
+                        <summary className="cursor-pointer text-xs">
+                          {selected.tracePath}
+                        </summary>
+                        <pre className="mt-2 max-h-64 overflow-auto bg-gray-900 text-gray-100 text-xs p-2 rounded">
+                          {selected.trace}
+                        </pre>
+                      </details>
+                    )}
+                    <details>
+                      <summary className="cursor-pointer text-xs">
+                        Log ({selected.log.length} lines)
+                      </summary>
+                      <pre className="mt-2 max-h-64 overflow-auto bg-gray-900 text-gray-100 text-xs p-2 rounded">
+                        {selected.log.join("\n")}
+                      </pre>
+                    </details>
+                  </div>
+                  {selected.screenshot && (
+                    <a
+                      href={`${base}/${incident.id}/screenshot`}
+                      target="_blank"
+                      rel="noreferrer"
+                    >
+                      <img
+                        src={`${base}/${incident.id}/screenshot`}
+                        alt="Screen when the incident was recorded"
+                        className="w-full border border-gray-200 rounded"
+                      />
+                    </a>
+                  )}
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default IncidentPanel;
@@ -0,0 +1,37 @@
+import React, { useEffect, useState } from "react";
+import axios from "axios";
+
+// How the running emulator was launched, as recorded by the backend
+function LaunchDetails({ emulator }) {
+  const [launch, setLaunch] = useState(null);
+
+  useEffect(() => {
+    if (emulator.status === "stopped") {
+      setLaunch(null);
+      return;
+    }
+    axios
+      .get(`/api/emulators/${emulator.id}/status`)
+      .then((response) => setLaunch(response.data.launch || null))
+      .catch(() => setLaunch(null));
+  }, [emulator.id, emulator.status]);
+
+  if (!launch) {
+    return null;
+  }
+
+  return (
+    <div className="bg-gray-50 p-4 rounded-lg">
+      <h4 className="font-medium text-gray-900 mb-2">Launch</h4>
+      <dl className="grid grid-cols-2 gap-2 text-sm mb-2">
+        <dt className="text-gray-600">Profile:</dt>
+        <dd className="text-gray-900">{launch.profile || "None"}</dd>
+      </dl>
+      <code className="block text-xs bg-gray-900 text-gray-100 p-2 rounded break-all">
+        {launch.commandLine}
+      </code>
+    </div>
+  );
+}
+
+export default LaunchDetails;
@@ -0,0 +1,304 @@
+import React, { useState } from "react";
+import axios from "axios";
+import { PencilIcon, TrashIcon } from "@heroicons/react/24/outline";
+
+const GPU_MODES = [
+  "auto",
+  "host",
+  "swiftshader_indirect",
+  "angle_indirect",
+  "guest",
+];
+const NET_SPEEDS = [
+  "full",
+  "gsm",
+  "hscsd",
+  "gprs",
+  "edge",
+  "umts",
+  "hsdpa",
+  "lte",
+  "evdo",
+  "5g",
+];
+const NET_DELAYS = [
+  "none",
+  "gsm",
+  "gprs",
+  "edge",
+  "umts",
+  "hsdpa",
+  "lte",
+  "evdo",
+  "5g",
+];
+
+const EMPTY_FORM = {
+  name: "",
+  description: "",
+  headless: false,
+  writable: false,
+  gpu: "",
+  netspeed: "",
+  netdelay: "",
+  memory: "",
+  cameraBack: "",
+  cameraFront: "",
+  locale: "",
+  extraArgs: "",
+};
+
+// Profiles only carry the options they change; everything else comes from
+// the AVD's own launch options
+function toOptions(form) {
+  const options = {};
+  if (form.headless) {
+    options.headless = true;
+  }
+  if (form.writable) {
+    options.readOnly = false;
+  }
+  ["gpu", "netspeed", "netdelay", "cameraBack", "cameraFront", "locale"]
+    .filter((field) => form[field])
+    .forEach((field) => {
+      options[field] = form[field];
+    });
+  if (form.memory) {
+    options.memory = parseInt(form.memory);
+  }
+  if (form.extraArgs.trim()) {
+    options.extraArgs = form.extraArgs.trim().split(/\s+/);
+  }
+  return options;
+}
+
+function toForm(profile) {
+  const { options } = profile;
+  return {
+    ...EMPTY_FORM,
+    name: profile.name,
+    description: profile.description || "",
+    headless: !!options.headless,
+    writable: options.readOnly === false,
+    gpu: options.gpu || "",
+    netspeed: options.netspeed || "",
+    netdelay: options.netdelay || "",
+    memory: options.memory || "",
+    cameraBack: options.cameraBack || "",
+    cameraFront: options.cameraFront || "",
+    locale: options.locale || "",
+    extraArgs: (options.extraArgs || []).join(" "),
+  };
+}
+
+function describe(options) {
+  return Object.entries(options)
+    .map(([field, value]) =>
+      Array.isArray(value) ? value.join(" ") : `${field}: ${value}`
+    )
+    .join(", ");
+}
+
+function LaunchProfileManager({ profiles, onChange }) {
+  const [form, setForm] = useState(null);
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const update = (field, value) => {
+    setForm({ ...form, [field]: value });
+    setFieldErrors({ ...fieldErrors, [field]: null });
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      await axios.put(
+        `/api/launch-profiles/${encodeURIComponent(form.name.trim())}`,
+        { description: form.description, options: toOptions(form) }
+      );
+      setForm(null);
+      setFieldErrors({});
+      onChange();
+    } catch (error) {
+      // options.netspeed -> netspeed, matching the form's field names
+      const fields = error.response?.data?.fields || {};
+      setFieldErrors(
+        Object.fromEntries(
+          Object.entries(fields).map(([field, message]) => [
+            field.replace("options.", ""),
+            message,
+          ])
+        )
+      );
+      setError(error.response?.data?.error || error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (profile) => {
+    if (!window.confirm(`Delete launch profile ${profile.name}?`)) {
+      return;
+    }
+    setError(null);
+    try {
+      await axios.delete(
+        `/api/launch-profiles/${encodeURIComponent(profile.name)}`
+      );
+      onChange();
+    } catch (error) {
+      setError(error.response?.data?.error || error.message);
+    }
+  };
+
+  const select = (field, label, values) => (
+    <label className="block">
+      <span className="text-gray-600">{label}</span>
+      <select
+        value={form[field]}
+        onChange={(e) => update(field, e.target.value)}
+        className="w-full px-2 py-1 border border-gray-300 rounded"
+      >
+        <option value="">Unchanged</option>
+        {values.map((value) => (
+          <option key={value} value={value}>
+            {value}
+          </option>
+        ))}
+      </select>
+      {fieldErrors[field] && (
+        <span className="text-xs text-red-600">{fieldErrors[field]}</span>
+      )}
+    </label>
+  );
+
+  const input = (field, label, placeholder) => (
+    <label className="block">
+      <span className="text-gray-600">{label}</span>
+      <input
+        type="text"
+        value={form[field]}
+        placeholder={placeholder}
+        onChange={(e) => update(field, e.target.value)}
+        className={`w-full px-2 py-1 border rounded ${
+          fieldErrors[field] ? "border-red-500" : "border-gray-300"
+        }`}
+      />
+      {fieldErrors[field] && (
+        <span className="text-xs text-red-600">{fieldErrors[field]}</span>
+      )}
+    </label>
+  );
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-semibold text-gray-900">Launch Profiles</h3>
+        {!form && (
+          <button
+            onClick={() => setForm(EMPTY_FORM)}
+            className="control-button secondary text-sm"
+          >
+            New Profile
+          </button>
+        )}
+      </div>
+
+      {error && <p className="text-sm text-red-600 mb-3">{error}</p>}
+
+      <ul className="divide-y text-sm mb-4">
+        {profiles.map((profile) => (
+          <li
+            key={profile.name}
+            className="py-2 flex items-center justify-between"
+          >
+            <div>
+              <span className="font-medium text-gray-900">{profile.name}</span>
+              {profile.builtIn && (
+                <span className="ml-2 text-xs text-gray-500">built-in</span>
+              )}
+              <p className="text-gray-600">
+                {profile.description || describe(profile.options)}
+              </p>
+            </div>
+            {!profile.builtIn && (
+              <div className="flex space-x-2">
+                <button
+                  onClick={() => setForm(toForm(profile))}
+                  className="text-gray-500 hover:text-gray-700"
+                  title="Edit"
+                >
+                  <PencilIcon className="h-4 w-4" />
+                </button>
+                <button
+                  onClick={() => handleDelete(profile)}
+                  className="text-red-500 hover:text-red-700"
+                  title="Delete"
+                >
+                  <TrashIcon className="h-4 w-4" />
+                </button>
+              </div>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      {form && (
+        <div className="bg-gray-50 p-4 rounded-lg space-y-3 text-sm">
+          <div className="grid grid-cols-2 gap-3">
+            {input("name", "Name", "e.g. Tablet on EDGE")}
+            {input("description", "Description")}
+            {select("gpu", "GPU emulation", GPU_MODES)}
+            {select("netspeed", "Network speed", NET_SPEEDS)}
+            {select("netdelay", "Network latency", NET_DELAYS)}
+            {input("memory", "Memory (MB)", "AVD setting")}
+            {input("cameraBack", "Back camera", "webcam0, emulated, none")}
+            {input("cameraFront", "Front camera", "webcam0, emulated, none")}
+            {input("locale", "Locale", "e.g. de-DE")}
+            {input("extraArgs", "Extra flags", "e.g. -no-boot-anim")}
+          </div>
+          <label className="flex items-center space-x-2">
+            <input
+              type="checkbox"
+              checked={form.headless}
+              onChange={(e) => update("headless", e.target.checked)}
+            />
+            <span className="text-gray-600">Headless</span>
+          </label>
+          <label className="flex items-center space-x-2">
+            <input
+              type="checkbox"
+              checked={form.writable}
+              onChange={(e) => update("writable", e.target.checked)}
+            />
+            <span className="text-gray-600">
+              Writable: keep changes in the AVD and allow saving snapshots
+            </span>
+          </label>
+          <div className="flex space-x-2">
+            <button
+              onClick={handleSave}
+              disabled={saving || !form.name.trim()}
+              className="control-button primary text-sm"
+            >
+              {saving ? "Saving..." : "Save Profile"}
+            </button>
+            <button
+              onClick={() => {
+                setForm(null);
+                setFieldErrors({});
+              }}
+              className="control-button secondary text-sm"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default LaunchProfileManager;
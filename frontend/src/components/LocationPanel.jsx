@@ -0,0 +1,322 @@
+import React, { useEffect, useState } from "react";
+import axios from "axios";
+import {
+  MapPinIcon,
+  PauseIcon,
+  PlayIcon,
+  StopIcon,
+  TrashIcon,
+} from "@heroicons/react/24/outline";
+import { useEmulator } from "../context/EmulatorContext";
+
+const SPEEDS = [0.5, 1, 2, 5, 10, 20];
+
+function formatDuration(ms) {
+  const seconds = Math.round(ms / 1000);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, "0")}`;
+}
+
+function LocationPanel({ emulator }) {
+  const { socket } = useEmulator();
+  const [location, setLocation] = useState({ position: null, playback: null });
+  const [form, setForm] = useState({
+    latitude: "",
+    longitude: "",
+    altitude: "",
+  });
+  const [places, setPlaces] = useState([]);
+  const [placeName, setPlaceName] = useState("");
+  const [speed, setSpeed] = useState(1);
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [message, setMessage] = useState(null);
+
+  const running = emulator.status === "running";
+  const base = `/api/emulators/${emulator.id}/location`;
+  const { position, playback } = location;
+
+  useEffect(() => {
+    axios
+      .get(base)
+      .then((response) => setLocation(response.data))
+      .catch(() => {});
+    fetchPlaces();
+  }, [emulator.id]);
+
+  // Positions set from any dashboard, and route playback, arrive here
+  useEffect(() => {
+    if (!socket) {
+      return;
+    }
+    const onLocation = (data) => {
+      if (data.name === emulator.id) {
+        setLocation({ position: data.position, playback: data.playback });
+      }
+    };
+    socket.on("emulator-location-changed", onLocation);
+    return () => socket.off("emulator-location-changed", onLocation);
+  }, [socket, emulator.id]);
+
+  const fetchPlaces = async () => {
+    try {
+      const response = await axios.get("/api/places");
+      setPlaces(response.data);
+    } catch (error) {
+      setMessage(error.message);
+    }
+  };
+
+  const run = async (request) => {
+    setMessage(null);
+    try {
+      const response = await request();
+      setFieldErrors({});
+      return response.data;
+    } catch (error) {
+      setFieldErrors(error.response?.data?.fields || {});
+      setMessage(error.response?.data?.error || error.message);
+      return null;
+    }
+  };
+
+  const toPosition = (values) => ({
+    latitude: parseFloat(values.latitude),
+    longitude: parseFloat(values.longitude),
+    altitude: values.altitude === "" ? 0 : parseFloat(values.altitude),
+  });
+
+  const handleSetPosition = (values = form) =>
+    run(() => axios.put(base, toPosition(values)));
+
+  const handleSavePlace = async () => {
+    const saved = await run(() =>
+      axios.put(
+        `/api/places/${encodeURIComponent(placeName.trim())}`,
+        toPosition(form)
+      )
+    );
+    if (saved) {
+      setPlaceName("");
+      fetchPlaces();
+    }
+  };
+
+  const handleDeletePlace = async (place) => {
+    if (
+      await run(() =>
+        axios.delete(`/api/places/${encodeURIComponent(place.name)}`)
+      )
+    ) {
+      fetchPlaces();
+    }
+  };
+
+  const handleUpload = async (event) => {
+    const file = event.target.files[0];
+    if (!file) {
+      return;
+    }
+    const formData = new FormData();
+    formData.append("route", file);
+    formData.append("speed", speed);
+    await run(() => axios.post(`${base}/route`, formData));
+    event.target.value = "";
+  };
+
+  const handleSpeed = (value) => {
+    setSpeed(value);
+    if (playback) {
+      run(() => axios.put(`${base}/route/speed`, { speed: value }));
+    }
+  };
+
+  const fieldError = (field) =>
+    fieldErrors[field] && (
+      <span className="text-xs text-red-600">{fieldErrors[field]}</span>
+    );
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 text-sm">
+      <div className="space-y-4">
+        <div className="bg-gray-50 p-4 rounded-lg space-y-3">
+          <h4 className="font-medium text-gray-900">Current Position</h4>
+          {position ? (
+            <p className="font-mono">
+              {position.latitude.toFixed(6)}, {position.longitude.toFixed(6)}
+              {position.altitude ? ` · ${Math.round(position.altitude)} m` : ""}
+            </p>
+          ) : (
+            <p className="text-gray-500">Not set from the dashboard yet</p>
+          )}
+
+          <div className="grid grid-cols-3 gap-2">
+            {["latitude", "longitude", "altitude"].map((field) => (
+              <label key={field} className="block">
+                <span className="text-gray-600 capitalize">{field}</span>
+                <input
+                  type="number"
+                  step="any"
+                  value={form[field]}
+                  placeholder={field === "altitude" ? "0" : ""}
+                  onChange={(e) =>
+                    setForm({ ...form, [field]: e.target.value })
+                  }
+                  className="w-full px-2 py-1 border border-gray-300 rounded"
+                />
+                {fieldError(field)}
+              </label>
+            ))}
+          </div>
+          <div className="flex space-x-2">
+            <button
+              onClick={() => handleSetPosition()}
+              disabled={!running}
+              className="control-button primary flex items-center"
+            >
+              <MapPinIcon className="h-4 w-4 mr-1" />
+              Set Position
+            </button>
+            <input
+              type="text"
+              value={placeName}
+              onChange={(e) => setPlaceName(e.target.value)}
+              placeholder="Place name"
+              className="flex-1 px-2 py-1 border border-gray-300 rounded"
+            />
+            <button
+              onClick={handleSavePlace}
+              disabled={!placeName.trim()}
+              className="control-button secondary"
+            >
+              Save Place
+            </button>
+          </div>
+          {fieldError("name")}
+        </div>
+
+        <div className="bg-gray-50 p-4 rounded-lg">
+          <h4 className="font-medium text-gray-900 mb-2">Saved Places</h4>
+          {places.length === 0 ? (
+            <p className="text-gray-500">No saved places</p>
+          ) : (
+            <ul className="divide-y">
+              {places.map((place) => (
+                <li
+                  key={place.name}
+                  className="py-2 flex items-center justify-between"
+                >
+                  <button
+                    onClick={() => {
+                      setForm({
+                        latitude: place.latitude,
+                        longitude: place.longitude,
+                        altitude: place.altitude,
+                      });
+                      if (running) {
+                        handleSetPosition(place);
+                      }
+                    }}
+                    className="text-left hover:text-blue-600"
+                  >
+                    <span className="font-medium">{place.name}</span>
+                    <span className="ml-2 text-gray-500 font-mono">
+                      {place.latitude}, {place.longitude}
+                    </span>
+                  </button>
+                  <button
+                    onClick={() => handleDeletePlace(place)}
+                    className="text-red-500 hover:text-red-700"
+                  >
+                    <TrashIcon className="h-4 w-4" />
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+
+      <div className="bg-gray-50 p-4 rounded-lg space-y-3">
+        <h4 className="font-medium text-gray-900">Route Playback</h4>
+        <div className="flex items-center space-x-2">
+          <input
+            type="file"
+            accept=".gpx,.kml"
+            disabled={!running}
+            onChange={handleUpload}
+            className="flex-1"
+          />
+          <select
+            value={speed}
+            onChange={(e) => handleSpeed(parseFloat(e.target.value))}
+            className="px-2 py-1 border border-gray-300 rounded"
+          >
+            {SPEEDS.map((value) => (
+              <option key={value} value={value}>
+                {value}×
+              </option>
+            ))}
+          </select>
+        </div>
+        {fieldError("route")}
+
+        {playback && (
+          <div className="space-y-2">
+            <p>
+              {playback.route} · {playback.points} points ·{" "}
+              <span className="capitalize">{playback.status}</span>
+            </p>
+            <input
+              type="range"
+              min={0}
+              max={playback.duration}
+              value={playback.elapsed}
+              onChange={(e) =>
+                run(() =>
+                  axios.post(`${base}/route/seek`, {
+                    offset: parseInt(e.target.value),
+                  })
+                )
+              }
+              className="w-full"
+            />
+            <p className="text-xs text-gray-500">
+              {formatDuration(playback.elapsed)} /{" "}
+              {formatDuration(playback.duration)}
+            </p>
+            <div className="flex space-x-2">
+              {playback.status === "playing" ? (
+                <button
+                  onClick={() => run(() => axios.post(`${base}/route/pause`))}
+                  className="control-button secondary flex items-center"
+                >
+                  <PauseIcon className="h-4 w-4 mr-1" />
+                  Pause
+                </button>
+              ) : (
+                <button
+                  onClick={() => run(() => axios.post(`${base}/route/resume`))}
+                  className="control-button primary flex items-center"
+                >
+                  <PlayIcon className="h-4 w-4 mr-1" />
+                  {playback.status === "finished" ? "Replay" : "Resume"}
+                </button>
+              )}
+              <button
+                onClick={() => run(() => axios.delete(`${base}/route`))}
+                className="control-button danger flex items-center"
+              >
+                <StopIcon className="h-4 w-4 mr-1" />
+                Stop
+              </button>
+            </div>
+            {playback.error && <p className="text-red-600">{playback.error}</p>}
+          </div>
+        )}
+      </div>
+
+      {message && <p className="text-gray-600 lg:col-span-2">{message}</p>}
+    </div>
+  );
+}
+
+export default LocationPanel;
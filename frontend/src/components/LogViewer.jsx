@@ -0,0 +1,308 @@
+import React, { useEffect, useRef, useState } from "react";
+import axios from "axios";
+import {
+  ArrowDownTrayIcon,
+  PauseIcon,
+  PlayIcon,
+  TrashIcon,
+} from "@heroicons/react/24/outline";
+import { useEmulator } from "../context/EmulatorContext";
+
+// Lines kept in the browser; the backend keeps its own history
+const MAX_LINES = 2000;
+const LEVELS = [
+  ["V", "Verbose"],
+  ["D", "Debug"],
+  ["I", "Info"],
+  ["W", "Warning"],
+  ["E", "Error"],
+  ["F", "Fatal"],
+];
+const LEVEL_COLORS = {
+  V: "text-gray-400",
+  D: "text-blue-300",
+  I: "text-green-300",
+  W: "text-yellow-300",
+  E: "text-red-400",
+  F: "text-red-500 font-bold",
+};
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Wraps every occurrence of `term` in a <mark>
+function highlight(text, term) {
+  if (!term) {
+    return text;
+  }
+  return text
+    .split(new RegExp(`(${escapeRegExp(term)})`, "gi"))
+    .map((part, index) =>
+      index % 2 === 1 ? (
+        <mark key={index} className="bg-yellow-400 text-black">
+          {part}
+        </mark>
+      ) : (
+        part
+      )
+    );
+}
+
+function LogViewer({ emulator }) {
+  const { socket } = useEmulator();
+  const [apps, setApps] = useState([]);
+  const [filters, setFilters] = useState({
+    level: "V",
+    tag: "",
+    package: "",
+    text: "",
+  });
+  const [applied, setApplied] = useState(filters);
+  const [entries, setEntries] = useState([]);
+  const [paused, setPaused] = useState(false);
+  const [search, setSearch] = useState("");
+  const [highlightTerm, setHighlightTerm] = useState("");
+  const [message, setMessage] = useState(null);
+  // Entries that arrived while paused, shown on resume
+  const held = useRef([]);
+  const pausedRef = useRef(paused);
+  const bottom = useRef(null);
+
+  const running = emulator.status === "running";
+
+  useEffect(() => {
+    if (!running) {
+      return;
+    }
+    axios
+      .get(`/api/emulators/${emulator.id}/apps`, {
+        params: { details: false },
+      })
+      .then((response) => setApps(response.data))
+      .catch(() => setApps([]));
+  }, [emulator.id, running]);
+
+  useEffect(() => {
+    if (!socket) {
+      return;
+    }
+
+    const append = (incoming) =>
+      setEntries((current) => [...current, ...incoming].slice(-MAX_LINES));
+    const onHistory = (data) => {
+      if (data.name === emulator.id) {
+        held.current = [];
+        setEntries(data.entries.slice(-MAX_LINES));
+      }
+    };
+    const onEntries = (data) => {
+      if (data.name !== emulator.id) {
+        return;
+      }
+      if (pausedRef.current) {
+        held.current = [...held.current, ...data.entries].slice(-MAX_LINES);
+      } else {
+        append(data.entries);
+      }
+    };
+    const onError = (error) => {
+      if (error.fields) {
+        setMessage(Object.values(error.fields)[0]);
+      }
+    };
+
+    socket.on("logcat-history", onHistory);
+    socket.on("logcat-entries", onEntries);
+    socket.on("error", onError);
+    setMessage(null);
+    socket.emit("subscribe-logcat", {
+      emulatorId: emulator.id,
+      level: applied.level,
+      tag: applied.tag || undefined,
+      package: applied.package || undefined,
+      text: applied.text || undefined,
+    });
+
+    return () => {
+      socket.emit("unsubscribe-logcat", { emulatorId: emulator.id });
+      socket.off("logcat-history", onHistory);
+      socket.off("logcat-entries", onEntries);
+      socket.off("error", onError);
+    };
+  }, [socket, emulator.id, applied]);
+
+  useEffect(() => {
+    pausedRef.current = paused;
+    if (!paused && held.current.length > 0) {
+      const waiting = held.current;
+      held.current = [];
+      setEntries((current) => [...current, ...waiting].slice(-MAX_LINES));
+    }
+  }, [paused]);
+
+  const visible = search
+    ? entries.filter((entry) =>
+        entry.raw.toLowerCase().includes(search.toLowerCase())
+      )
+    : entries;
+
+  useEffect(() => {
+    if (!paused && bottom.current) {
+      bottom.current.scrollIntoView({ block: "nearest" });
+    }
+  }, [visible.length, paused]);
+
+  const handleExport = () => {
+    const blob = new Blob(
+      [visible.map((entry) => entry.raw).join("\n") + "\n"],
+      { type: "text/plain" }
+    );
+    const link = document.createElement("a");
+    link.href = URL.createObjectURL(blob);
+    link.download = `${emulator.id}-logcat-${new Date()
+      .toISOString()
+      .replace(/[:.]/g, "-")}.txt`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+  };
+
+  return (
+    <div className="space-y-3 text-sm">
+      <div className="flex flex-wrap items-end gap-2">
+        <label className="block">
+          <span className="text-gray-600">Level</span>
+          <select
+            value={filters.level}
+            onChange={(e) => setFilters({ ...filters, level: e.target.value })}
+            className="block px-2 py-1 border border-gray-300 rounded"
+          >
+            {LEVELS.map(([value, label]) => (
+              <option key={value} value={value}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="block">
+          <span className="text-gray-600">Package</span>
+          <select
+            value={filters.package}
+            onChange={(e) =>
+              setFilters({ ...filters, package: e.target.value })
+            }
+            className="block px-2 py-1 border border-gray-300 rounded"
+          >
+            <option value="">All processes</option>
+            {apps.map((app) => (
+              <option key={app.packageName} value={app.packageName}>
+                {app.label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="block">
+          <span className="text-gray-600">Tags</span>
+          <input
+            type="text"
+            value={filters.tag}
+            onChange={(e) => setFilters({ ...filters, tag: e.target.value })}
+            placeholder="ActivityManager, OkHttp"
+            className="block px-2 py-1 border border-gray-300 rounded"
+          />
+        </label>
+        <label className="block flex-1">
+          <span className="text-gray-600">Text</span>
+          <input
+            type="text"
+            value={filters.text}
+            onChange={(e) => setFilters({ ...filters, text: e.target.value })}
+            placeholder="Exception|timed out*ms"
+            className="block w-full px-2 py-1 border border-gray-300 rounded font-mono"
+          />
+        </label>
+        <button
+          onClick={() => setApplied(filters)}
+          className="control-button primary"
+        >
+          Apply Filters
+        </button>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2">
+        <input
+          type="text"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          placeholder="Search"
+          className="px-2 py-1 border border-gray-300 rounded"
+        />
+        <input
+          type="text"
+          value={highlightTerm}
+          onChange={(e) => setHighlightTerm(e.target.value)}
+          placeholder="Highlight"
+          className="px-2 py-1 border border-gray-300 rounded"
+        />
+        <button
+          onClick={() => setPaused(!paused)}
+          className="control-button secondary flex items-center"
+        >
+          {paused ? (
+            <PlayIcon className="h-4 w-4 mr-1" />
+          ) : (
+            <PauseIcon className="h-4 w-4 mr-1" />
+          )}
+          {paused ? "Resume" : "Pause"}
+        </button>
+        <button
+          onClick={() => setEntries([])}
+          className="control-button secondary flex items-center"
+        >
+          <TrashIcon className="h-4 w-4 mr-1" />
+          Clear View
+        </button>
+        <button
+          onClick={handleExport}
+          disabled={visible.length === 0}
+          className="control-button secondary flex items-center"
+        >
+          <ArrowDownTrayIcon className="h-4 w-4 mr-1" />
+          Export
+        </button>
+        <span className="text-gray-500">
+          {visible.length} lines
+          {paused && held.current.length > 0
+            ? ` · ${held.current.length} waiting`
+            : ""}
+        </span>
+      </div>
+
+      {message && <p className="text-red-600">{message}</p>}
+      {!running && (
+        <p className="text-gray-500">
+          The emulator isn't running; showing the logs kept from its last run.
+        </p>
+      )}
+
+      <div className="bg-gray-900 rounded-lg p-3 h-[32rem] overflow-auto font-mono text-xs leading-5">
+        {visible.map((entry) => (
+          <div
+            key={entry.seq}
+            className={`whitespace-pre-wrap ${LEVEL_COLORS[entry.level]}`}
+          >
+            <span className="text-gray-500">
+              {new Date(entry.time).toLocaleTimeString()}{" "}
+              {String(entry.pid).padStart(5)} {String(entry.tid).padStart(5)}{" "}
+            </span>
+            {entry.level} {highlight(entry.tag, highlightTerm)}:{" "}
+            {highlight(entry.message, highlightTerm)}
+          </div>
+        ))}
+        <div ref={bottom} />
+      </div>
+    </div>
+  );
+}
+
+export default LogViewer;
@@ -0,0 +1,268 @@
+import React, { useEffect, useState } from "react";
+import axios from "axios";
+import { SignalSlashIcon } from "@heroicons/react/24/outline";
+import { useEmulator } from "../context/EmulatorContext";
+
+const SPEEDS = [
+  ["full", "Full"],
+  ["5g", "5G"],
+  ["lte", "LTE"],
+  ["hsdpa", "HSDPA"],
+  ["umts", "UMTS (3G)"],
+  ["edge", "EDGE"],
+  ["gprs", "GPRS"],
+  ["gsm", "GSM"],
+];
+const DELAYS = [
+  ["none", "None"],
+  ["5g", "5G"],
+  ["lte", "LTE"],
+  ["umts", "UMTS (3G)"],
+  ["edge", "EDGE"],
+  ["gprs", "GPRS"],
+  ["gsm", "GSM"],
+];
+const TOGGLES = [
+  ["airplaneMode", "Airplane mode"],
+  ["wifi", "Wi-Fi"],
+  ["mobileData", "Mobile data"],
+];
+const OUTAGE_TARGETS = [
+  ["all", "All connectivity (airplane mode)"],
+  ["wifi", "Wi-Fi only"],
+  ["mobileData", "Mobile data only"],
+];
+
+function NetworkPanel({ emulator }) {
+  const { socket } = useEmulator();
+  const [network, setNetwork] = useState(null);
+  const [outage, setOutage] = useState({
+    interval: 60,
+    duration: 10,
+    target: "all",
+  });
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [message, setMessage] = useState(null);
+
+  const running = emulator.status === "running";
+  const base = `/api/emulators/${emulator.id}/network`;
+
+  useEffect(() => {
+    if (!running) {
+      setNetwork(null);
+      return;
+    }
+    axios
+      .get(base)
+      .then((response) => setNetwork(response.data))
+      .catch((error) =>
+        setMessage(error.response?.data?.error || error.message)
+      );
+  }, [emulator.id, running]);
+
+  // Outage schedules and other dashboards change conditions too
+  useEffect(() => {
+    if (!socket) {
+      return;
+    }
+    const onChange = (data) => {
+      if (data.name === emulator.id) {
+        setNetwork(data.network);
+      }
+    };
+    socket.on("emulator-network-changed", onChange);
+    return () => socket.off("emulator-network-changed", onChange);
+  }, [socket, emulator.id]);
+
+  const run = async (request) => {
+    setMessage(null);
+    try {
+      const response = await request();
+      setNetwork(response.data);
+      setFieldErrors({});
+    } catch (error) {
+      setFieldErrors(error.response?.data?.fields || {});
+      setMessage(error.response?.data?.error || error.message);
+    }
+  };
+
+  const update = (conditions) => run(() => axios.put(base, conditions));
+
+  const handleStartOutage = () =>
+    run(() =>
+      axios.put(`${base}/outage`, {
+        interval: Math.round(outage.interval * 1000),
+        duration: Math.round(outage.duration * 1000),
+        target: outage.target,
+      })
+    );
+
+  if (!running) {
+    return (
+      <p className="text-gray-500">
+        Start the emulator to change its network conditions.
+      </p>
+    );
+  }
+  if (!network) {
+    return message ? <p className="text-red-600">{message}</p> : null;
+  }
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 text-sm">
+      <div className="bg-gray-50 p-4 rounded-lg space-y-3">
+        <div className="flex items-center justify-between">
+          <h4 className="font-medium text-gray-900">Connection</h4>
+          {network.throttled && (
+            <span className="px-2 py-1 rounded-full text-xs font-medium bg-orange-100 text-orange-800">
+              Throttled
+            </span>
+          )}
+        </div>
+        <label className="block">
+          <span className="text-gray-600">Speed</span>
+          <select
+            value={network.speed}
+            onChange={(e) => update({ speed: e.target.value })}
+            className="w-full px-2 py-1 border border-gray-300 rounded"
+          >
+            {SPEEDS.map(([value, label]) => (
+              <option key={value} value={value}>
+                {label}
+              </option>
+            ))}
+            {!SPEEDS.some(([value]) => value === network.speed) && (
+              <option value={network.speed}>{network.speed}</option>
+            )}
+          </select>
+        </label>
+        <label className="block">
+          <span className="text-gray-600">Latency</span>
+          <select
+            value={network.delay}
+            onChange={(e) => update({ delay: e.target.value })}
+            className="w-full px-2 py-1 border border-gray-300 rounded"
+          >
+            {DELAYS.map(([value, label]) => (
+              <option key={value} value={value}>
+                {label}
+              </option>
+            ))}
+            {!DELAYS.some(([value]) => value === network.delay) && (
+              <option value={network.delay}>{network.delay}</option>
+            )}
+          </select>
+        </label>
+        {TOGGLES.map(([field, label]) => (
+          <label key={field} className="flex items-center space-x-2">
+            <input
+              type="checkbox"
+              checked={network[field]}
+              onChange={(e) => update({ [field]: e.target.checked })}
+            />
+            <span className="text-gray-700">{label}</span>
+          </label>
+        ))}
+      </div>
+
+      <div className="bg-gray-50 p-4 rounded-lg space-y-3">
+        <h4 className="font-medium text-gray-900">Scheduled Outage</h4>
+        {network.outage ? (
+          <div className="space-y-2">
+            <p>
+              Dropping{" "}
+              {
+                OUTAGE_TARGETS.find(
+                  ([value]) => value === network.outage.target
+                )?.[1]
+              }{" "}
+              for {network.outage.duration / 1000} s every{" "}
+              {network.outage.interval / 1000} s.
+            </p>
+            <p
+              className={`flex items-center ${
+                network.outage.down ? "text-red-600" : "text-gray-600"
+              }`}
+            >
+              {network.outage.down && (
+                <SignalSlashIcon className="h-4 w-4 mr-1" />
+              )}
+              {network.outage.down ? "Connection down" : "Connection up"} until{" "}
+              {new Date(network.outage.nextChangeAt).toLocaleTimeString()}
+            </p>
+            <button
+              onClick={() => run(() => axios.delete(`${base}/outage`))}
+              className="control-button danger"
+            >
+              End Outage Schedule
+            </button>
+          </div>
+        ) : (
+          <>
+            <div className="grid grid-cols-2 gap-3">
+              <label className="block">
+                <span className="text-gray-600">Every (s)</span>
+                <input
+                  type="number"
+                  value={outage.interval}
+                  onChange={(e) =>
+                    setOutage({
+                      ...outage,
+                      interval: parseFloat(e.target.value) || 0,
+                    })
+                  }
+                  className="w-full px-2 py-1 border border-gray-300 rounded"
+                />
+                {fieldErrors.interval && (
+                  <span className="text-xs text-red-600">
+                    {fieldErrors.interval}
+                  </span>
+                )}
+              </label>
+              <label className="block">
+                <span className="text-gray-600">Drop for (s)</span>
+                <input
+                  type="number"
+                  value={outage.duration}
+                  onChange={(e) =>
+                    setOutage({
+                      ...outage,
+                      duration: parseFloat(e.target.value) || 0,
+                    })
+                  }
+                  className="w-full px-2 py-1 border border-gray-300 rounded"
+                />
+                {fieldErrors.duration && (
+                  <span className="text-xs text-red-600">
+                    {fieldErrors.duration}
+                  </span>
+                )}
+              </label>
+            </div>
+            <select
+              value={outage.target}
+              onChange={(e) => setOutage({ ...outage, target: e.target.value })}
+              className="w-full px-2 py-1 border border-gray-300 rounded"
+            >
+              {OUTAGE_TARGETS.map(([value, label]) => (
+                <option key={value} value={value}>
+                  {label}
+                </option>
+              ))}
+            </select>
+            <button
+              onClick={handleStartOutage}
+              className="control-button primary"
+            >
+              Start Outage Schedule
+            </button>
+          </>
+        )}
+      </div>
+
+      {message && <p className="text-gray-600 lg:col-span-2">{message}</p>}
+    </div>
+  );
+}
+
+export default NetworkPanel;
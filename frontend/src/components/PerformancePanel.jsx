@@ -0,0 +1,467 @@
+import React, { useEffect, useState } from "react";
+import axios from "axios";
+import {
+  ArrowDownTrayIcon,
+  PlayIcon,
+  StopIcon,
+} from "@heroicons/react/24/outline";
+import { useEmulator } from "../context/EmulatorContext";
+
+// Samples drawn in each chart
+const CHART_WINDOW = 120;
+const INTERVALS = [
+  [1000, "1s"],
+  [2000, "2s"],
+  [5000, "5s"],
+  [10000, "10s"],
+];
+// Threshold inputs, with the factor from the input's unit to the sample's
+const THRESHOLDS = [
+  ["totalPss", "Memory (MB)", 1024],
+  ["cpu", "CPU (%)", 1],
+  ["jank", "Janky frames (%)", 1],
+  ["p90", "90th percentile frame (ms)", 1],
+  ["rxRate", "Download (KB/s)", 1024],
+  ["txRate", "Upload (KB/s)", 1024],
+];
+const CHARTS = [
+  {
+    title: "Memory (MB)",
+    series: [
+      ["totalPss", "Total PSS", "#2563eb"],
+      ["javaHeap", "Java heap", "#16a34a"],
+      ["nativeHeap", "Native heap", "#9333ea"],
+    ],
+    scale: 1 / 1024,
+  },
+  { title: "CPU (%)", series: [["cpu", "CPU", "#ea580c"]], scale: 1 },
+  {
+    title: "Frames",
+    series: [
+      ["jank", "Janky (%)", "#dc2626"],
+      ["p90", "90th percentile (ms)", "#0891b2"],
+    ],
+    scale: 1,
+  },
+  {
+    title: "Network (KB/s)",
+    series: [
+      ["rxRate", "Download", "#2563eb"],
+      ["txRate", "Upload", "#db2777"],
+    ],
+    scale: 1 / 1024,
+  },
+];
+const CHART_WIDTH = 400;
+const CHART_HEIGHT = 120;
+
+function format(value) {
+  if (value === null || value === undefined) {
+    return "–";
+  }
+  return value >= 100 ? Math.round(value) : Math.round(value * 10) / 10;
+}
+
+// A small line chart of the latest samples, with the metric's thresholds
+// drawn as dashed lines
+function LineChart({ chart, samples, thresholds }) {
+  const points = samples.slice(-CHART_WINDOW);
+  const value = (sample, field) =>
+    sample[field] === null || sample[field] === undefined
+      ? null
+      : sample[field] * chart.scale;
+  const limits = chart.series
+    .map(([field]) => thresholds[field])
+    .filter((limit) => limit)
+    .map((limit) => limit * chart.scale);
+  const max =
+    Math.max(
+      1,
+      ...limits,
+      ...points.flatMap((sample) =>
+        chart.series
+          .map(([field]) => value(sample, field))
+          .filter((v) => v !== null)
+      )
+    ) * 1.1;
+  const x = (index) =>
+    points.length > 1 ? (index / (points.length - 1)) * CHART_WIDTH : 0;
+  const y = (v) => CHART_HEIGHT - (v / max) * CHART_HEIGHT;
+
+  return (
+    <div className="bg-gray-50 p-3 rounded-lg">
+      <div className="flex items-center justify-between mb-2">
+        <h4 className="font-medium text-gray-900">{chart.title}</h4>
+        <div className="flex gap-3 text-xs">
+          {chart.series.map(([field, label, color]) => (
+            <span key={field} style={{ color }}>
+              {label}:{" "}
+              {format(
+                points.length ? value(points[points.length - 1], field) : null
+              )}
+            </span>
+          ))}
+        </div>
+      </div>
+      <svg
+        viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}
+        className="w-full h-32 bg-white border border-gray-200 rounded"
+        preserveAspectRatio="none"
+      >
+        {limits.map((limit) => (
+          <line
+            key={limit}
+            x1={0}
+            x2={CHART_WIDTH}
+            y1={y(limit)}
+            y2={y(limit)}
+            stroke="#ef4444"
+            strokeDasharray="4 3"
+            strokeWidth={1}
+          />
+        ))}
+        {chart.series.map(([field, , color]) => (
+          <polyline
+            key={field}
+            fill="none"
+            stroke={color}
+            strokeWidth={1.5}
+            points={points
+              .map((sample, index) => [index, value(sample, field)])
+              .filter(([, v]) => v !== null)
+              .map(([index, v]) => `${x(index)},${y(v)}`)
+              .join(" ")}
+          />
+        ))}
+      </svg>
+      <p className="text-xs text-gray-400 text-right">max {format(max)}</p>
+    </div>
+  );
+}
+
+function PerformancePanel({ emulator }) {
+  const { socket } = useEmulator();
+  const [apps, setApps] = useState([]);
+  const [packageName, setPackageName] = useState("");
+  const [sampleInterval, setSampleInterval] = useState(2000);
+  const [thresholds, setThresholds] = useState({});
+  const [sessions, setSessions] = useState([]);
+  const [session, setSession] = useState(null);
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [message, setMessage] = useState(null);
+
+  const running = emulator.status === "running";
+  const base = `/api/emulators/${emulator.id}/performance/sessions`;
+
+  const select = async (sessionId) => {
+    try {
+      const response = await axios.get(`${base}/${sessionId}`);
+      setSession(response.data);
+    } catch (error) {
+      setMessage(error.response?.data?.error || error.message);
+    }
+  };
+
+  useEffect(() => {
+    setSession(null);
+    axios
+      .get(base)
+      .then((response) => {
+        setSessions(response.data);
+        if (response.data.length > 0) {
+          select(response.data[0].id);
+        }
+      })
+      .catch(() => setSessions([]));
+    // Default to the app under test set for incidents
+    axios
+      .get(`/api/emulators/${emulator.id}/incidents/settings`)
+      .then((response) => setPackageName(response.data.appUnderTest || ""))
+      .catch(() => {});
+  }, [emulator.id]);
+
+  useEffect(() => {
+    if (!running) {
+      return;
+    }
+    axios
+      .get(`/api/emulators/${emulator.id}/apps`, {
+        params: { details: false },
+      })
+      .then((response) => setApps(response.data))
+      .catch(() => setApps([]));
+  }, [emulator.id, running]);
+
+  useEffect(() => {
+    if (!socket) {
+      return;
+    }
+    const onSample = (data) => {
+      if (data.name === emulator.id) {
+        setSession((current) =>
+          current && current.id === data.sessionId
+            ? { ...current, samples: [...current.samples, data.sample] }
+            : current
+        );
+      }
+    };
+    const onSessionChanged = (data) => {
+      if (data.name !== emulator.id) {
+        return;
+      }
+      setSessions((current) => [
+        data.session,
+        ...current.filter((other) => other.id !== data.session.id),
+      ]);
+      setSession((current) =>
+        current && current.id === data.session.id
+          ? { ...data.session, samples: current.samples }
+          : current
+      );
+    };
+    const onAlert = (data) => {
+      if (data.name === emulator.id) {
+        setSession((current) =>
+          current && current.id === data.sessionId
+            ? { ...current, alerts: [...current.alerts, data.alert] }
+            : current
+        );
+      }
+    };
+    socket.on("performance-sample", onSample);
+    socket.on("performance-session-changed", onSessionChanged);
+    socket.on("performance-alert", onAlert);
+    return () => {
+      socket.off("performance-sample", onSample);
+      socket.off("performance-session-changed", onSessionChanged);
+      socket.off("performance-alert", onAlert);
+    };
+  }, [socket, emulator.id]);
+
+  // Thresholds as the backend takes them, in the samples' units
+  const thresholdValues = () =>
+    Object.fromEntries(
+      THRESHOLDS.map(([metric, , factor]) => [
+        metric,
+        thresholds[metric] ? Number(thresholds[metric]) * factor : null,
+      ])
+    );
+
+  const handleStart = async () => {
+    setMessage(null);
+    try {
+      const response = await axios.post(base, {
+        packageName,
+        interval: sampleInterval,
+        thresholds: thresholdValues(),
+      });
+      setFieldErrors({});
+      setSessions((current) => [
+        response.data,
+        ...current.filter((other) => other.id !== response.data.id),
+      ]);
+      setSession({ ...response.data, samples: [] });
+    } catch (error) {
+      setFieldErrors(error.response?.data?.fields || {});
+      setMessage(error.response?.data?.error || error.message);
+    }
+  };
+
+  const handleStop = async () => {
+    try {
+      await axios.post(`${base}/${session.id}/stop`);
+    } catch (error) {
+      setMessage(error.response?.data?.error || error.message);
+    }
+  };
+
+  const handleApplyThresholds = async () => {
+    setMessage(null);
+    try {
+      await axios.put(`${base}/${session.id}/thresholds`, thresholdValues());
+      setFieldErrors({});
+    } catch (error) {
+      setFieldErrors(error.response?.data?.fields || {});
+      setMessage(error.response?.data?.error || error.message);
+    }
+  };
+
+  const samples = session ? session.samples : [];
+  const alerts = session ? session.alerts : [];
+  const live = session?.status === "running";
+
+  return (
+    <div className="space-y-4 text-sm">
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+        <div className="bg-gray-50 p-4 rounded-lg space-y-3">
+          <h4 className="font-medium text-gray-900">Session</h4>
+          <div className="flex flex-wrap items-end gap-2">
+            <label className="block flex-1">
+              <span className="text-gray-600">App</span>
+              <select
+                value={packageName}
+                onChange={(e) => setPackageName(e.target.value)}
+                className="block w-full px-2 py-1 border border-gray-300 rounded"
+              >
+                <option value="">Choose an app</option>
+                {packageName &&
+                  !apps.some((app) => app.packageName === packageName) && (
+                    <option value={packageName}>{packageName}</option>
+                  )}
+                {apps.map((app) => (
+                  <option key={app.packageName} value={app.packageName}>
+                    {app.label}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label className="block">
+              <span className="text-gray-600">Every</span>
+              <select
+                value={sampleInterval}
+                onChange={(e) => setSampleInterval(Number(e.target.value))}
+                className="block px-2 py-1 border border-gray-300 rounded"
+              >
+                {INTERVALS.map(([value, label]) => (
+                  <option key={value} value={value}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+            </label>
+            {live ? (
+              <button
+                onClick={handleStop}
+                className="control-button danger flex items-center"
+              >
+                <StopIcon className="h-4 w-4 mr-1" />
+                Stop
+              </button>
+            ) : (
+              <button
+                onClick={handleStart}
+                disabled={!running || !packageName}
+                className="control-button primary flex items-center"
+              >
+                <PlayIcon className="h-4 w-4 mr-1" />
+                Start
+              </button>
+            )}
+          </div>
+          {fieldErrors.packageName && (
+            <p className="text-red-600 text-xs">{fieldErrors.packageName}</p>
+          )}
+          {!running && (
+            <p className="text-gray-500">
+              Start the emulator to record a new session.
+            </p>
+          )}
+
+          {sessions.length > 0 && (
+            <div className="flex flex-wrap items-end gap-2">
+              <label className="block flex-1">
+                <span className="text-gray-600">Showing</span>
+                <select
+                  value={session?.id || ""}
+                  onChange={(e) => select(e.target.value)}
+                  className="block w-full px-2 py-1 border border-gray-300 rounded"
+                >
+                  {sessions.map((other) => (
+                    <option key={other.id} value={other.id}>
+                      {other.packageName} –{" "}
+                      {new Date(other.startedAt).toLocaleTimeString()}
+                      {other.status === "running" ? " (live)" : ""}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              {session &&
+                ["csv", "json"].map((format) => (
+                  <a
+                    key={format}
+                    href={`${base}/${session.id}/export?format=${format}`}
+                    className="control-button secondary flex items-center"
+                  >
+                    <ArrowDownTrayIcon className="h-4 w-4 mr-1" />
+                    {format.toUpperCase()}
+                  </a>
+                ))}
+            </div>
+          )}
+        </div>
+
+        <div className="bg-gray-50 p-4 rounded-lg space-y-3">
+          <h4 className="font-medium text-gray-900">Alert thresholds</h4>
+          <div className="grid grid-cols-2 gap-2">
+            {THRESHOLDS.map(([metric, label]) => (
+              <label key={metric} className="block">
+                <span className="text-gray-600">{label}</span>
+                <input
+                  type="number"
+                  min="0"
+                  value={thresholds[metric] || ""}
+                  onChange={(e) =>
+                    setThresholds({ ...thresholds, [metric]: e.target.value })
+                  }
+                  placeholder="None"
+                  className="block w-full px-2 py-1 border border-gray-300 rounded"
+                />
+                {fieldErrors[metric] && (
+                  <span className="text-red-600 text-xs">
+                    {fieldErrors[metric]}
+                  </span>
+                )}
+              </label>
+            ))}
+          </div>
+          {live && (
+            <button
+              onClick={handleApplyThresholds}
+              className="control-button secondary"
+            >
+              Apply to this session
+            </button>
+          )}
+        </div>
+      </div>
+
+      {message && <p className="text-red-600">{message}</p>}
+
+      {alerts.length > 0 && (
+        <div className="bg-red-50 border border-red-200 text-red-800 rounded-lg p-3">
+          <p className="font-medium mb-1">Threshold alerts</p>
+          <ul className="space-y-1 text-xs">
+            {alerts.slice(-10).map((alert, index) => (
+              <li key={index}>
+                {new Date(alert.time).toLocaleTimeString()} –{" "}
+                {THRESHOLDS.find(([metric]) => metric === alert.metric)[1]}{" "}
+                reached{" "}
+                {format(
+                  alert.value /
+                    THRESHOLDS.find(([metric]) => metric === alert.metric)[2]
+                )}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {session ? (
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+          {CHARTS.map((chart) => (
+            <LineChart
+              key={chart.title}
+              chart={chart}
+              samples={samples}
+              thresholds={session.thresholds}
+            />
+          ))}
+        </div>
+      ) : (
+        <p className="text-gray-500">No performance sessions recorded yet.</p>
+      )}
+    </div>
+  );
+}
+
+export default PerformancePanel;
@@ -0,0 +1,109 @@
+import React, { useEffect, useState } from "react";
+import axios from "axios";
+
+const MODES = [
+  { value: "never", label: "Never restart" },
+  { value: "on-crash", label: "Restart when the process crashes" },
+  { value: "on-failure", label: "Restart on crash or when unresponsive" },
+];
+
+function RestartPolicySettings({ emulator }) {
+  const [policy, setPolicy] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+  const [fieldErrors, setFieldErrors] = useState({});
+
+  useEffect(() => {
+    axios
+      .get(`/api/emulators/${emulator.id}/restart-policy`)
+      .then((response) => setPolicy(response.data))
+      .catch((error) => setMessage(error.message));
+  }, [emulator.id]);
+
+  const updateField = (field, value) => {
+    setPolicy({ ...policy, [field]: value });
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setMessage(null);
+    setFieldErrors({});
+    try {
+      const response = await axios.put(
+        `/api/emulators/${emulator.id}/restart-policy`,
+        policy
+      );
+      setPolicy(response.data);
+      setMessage("Saved");
+    } catch (error) {
+      setFieldErrors(error.response?.data?.fields || {});
+      setMessage(error.response?.data?.error || error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!policy) {
+    return null;
+  }
+
+  const fieldError = (field) =>
+    fieldErrors[field] && (
+      <span className="text-xs text-red-600">{fieldErrors[field]}</span>
+    );
+
+  return (
+    <div className="bg-gray-50 p-4 rounded-lg">
+      <h4 className="font-medium text-gray-900 mb-2">Restart Policy</h4>
+      <div className="space-y-3 text-sm">
+        <select
+          value={policy.mode}
+          onChange={(e) => updateField("mode", e.target.value)}
+          className="w-full px-3 py-2 border border-gray-300 rounded-lg"
+        >
+          {MODES.map((mode) => (
+            <option key={mode.value} value={mode.value}>
+              {mode.label}
+            </option>
+          ))}
+        </select>
+        {fieldError("mode")}
+
+        <div className="grid grid-cols-3 gap-2">
+          {[
+            ["maxRestarts", "Max restarts"],
+            ["initialDelay", "First delay (ms)"],
+            ["maxDelay", "Max delay (ms)"],
+          ].map(([field, label]) => (
+            <label key={field} className="block">
+              <span className="text-gray-600">{label}</span>
+              <input
+                type="number"
+                min="0"
+                value={policy[field]}
+                onChange={(e) =>
+                  updateField(field, parseInt(e.target.value) || 0)
+                }
+                className="w-full px-2 py-1 border border-gray-300 rounded"
+              />
+              {fieldError(field)}
+            </label>
+          ))}
+        </div>
+
+        <div className="flex items-center space-x-3">
+          <button
+            onClick={handleSave}
+            disabled={saving}
+            className="control-button primary text-sm"
+          >
+            {saving ? "Saving..." : "Save Policy"}
+          </button>
+          {message && <span className="text-gray-600">{message}</span>}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default RestartPolicySettings;
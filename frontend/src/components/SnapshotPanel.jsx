@@ -0,0 +1,205 @@
+import React, { useEffect, useState } from "react";
+import axios from "axios";
+import {
+  ArrowPathIcon,
+  CameraIcon,
+  PencilIcon,
+  TrashIcon,
+} from "@heroicons/react/24/outline";
+
+function formatSize(bytes) {
+  if (!bytes) {
+    return "-";
+  }
+  return `${(bytes / (1024 * 1024)).toFixed(0)} MB`;
+}
+
+function SnapshotPanel({ emulator }) {
+  const [snapshots, setSnapshots] = useState([]);
+  const [newName, setNewName] = useState("");
+  const [busy, setBusy] = useState(null);
+  const [message, setMessage] = useState(null);
+  // What's wrong with the name to save under
+  const [nameError, setNameError] = useState(null);
+
+  const running = emulator.status === "running";
+
+  useEffect(() => {
+    fetchSnapshots();
+  }, [emulator.id, emulator.status]);
+
+  const fetchSnapshots = async () => {
+    try {
+      const response = await axios.get(
+        `/api/emulators/${emulator.id}/snapshots`
+      );
+      setSnapshots(response.data);
+    } catch (error) {
+      setMessage(error.response?.data?.error || error.message);
+    }
+  };
+
+  // Runs one snapshot action, then refreshes the list
+  const run = async (label, request, successMessage) => {
+    setBusy(label);
+    setMessage(null);
+    setNameError(null);
+    try {
+      const response = await request();
+      setMessage(successMessage || response.data.message);
+      await fetchSnapshots();
+      return true;
+    } catch (error) {
+      const fields = error.response?.data?.fields;
+      if (fields?.name) {
+        setNameError(fields.name);
+      } else {
+        setMessage(error.response?.data?.error || error.message);
+      }
+      return false;
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleSave = async () => {
+    if (!newName.trim()) {
+      return;
+    }
+    const saved = await run("save", () =>
+      axios.post(`/api/emulators/${emulator.id}/snapshots`, {
+        snapshot: newName.trim(),
+      })
+    );
+    if (saved) {
+      setNewName("");
+    }
+  };
+
+  const handleLoad = (snapshot) =>
+    run(`load-${snapshot.name}`, () =>
+      axios.post(
+        `/api/emulators/${emulator.id}/snapshots/${snapshot.name}/load`
+      )
+    );
+
+  const handleRename = (snapshot) => {
+    const renamed = window.prompt("New snapshot name", snapshot.name);
+    if (!renamed || renamed === snapshot.name) {
+      return;
+    }
+    run(`rename-${snapshot.name}`, () =>
+      axios.put(`/api/emulators/${emulator.id}/snapshots/${snapshot.name}`, {
+        newName: renamed,
+      })
+    );
+  };
+
+  const handleDelete = (snapshot) => {
+    if (!window.confirm(`Delete snapshot ${snapshot.name}?`)) {
+      return;
+    }
+    run(`delete-${snapshot.name}`, () =>
+      axios.delete(`/api/emulators/${emulator.id}/snapshots/${snapshot.name}`)
+    );
+  };
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h3 className="text-lg font-semibold mb-2">Save Snapshot</h3>
+        <p className="text-sm text-gray-600 mb-3">
+          Capture the current device state so it can be restored between test
+          cases.
+        </p>
+        <div className="flex space-x-2">
+          <input
+            type="text"
+            value={newName}
+            onChange={(e) => setNewName(e.target.value)}
+            placeholder="e.g. logged-in-seeded"
+            disabled={!running}
+            className="flex-1 px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+          <button
+            onClick={handleSave}
+            disabled={!running || !newName.trim() || busy !== null}
+            className="control-button primary flex items-center"
+          >
+            <CameraIcon className="h-4 w-4 mr-2" />
+            {busy === "save" ? "Saving..." : "Save"}
+          </button>
+        </div>
+        {nameError && <p className="text-sm text-red-600 mt-2">{nameError}</p>}
+        {!running && (
+          <p className="text-xs text-gray-500 mt-2">
+            Start the emulator to save or load snapshots.
+          </p>
+        )}
+      </div>
+
+      <div>
+        <div className="flex items-center justify-between mb-3">
+          <h3 className="text-lg font-semibold">Snapshots</h3>
+          <button
+            onClick={fetchSnapshots}
+            className="control-button secondary flex items-center text-sm"
+          >
+            <ArrowPathIcon className="h-4 w-4 mr-1" />
+            Refresh
+          </button>
+        </div>
+
+        {message && <p className="text-sm text-gray-600 mb-3">{message}</p>}
+
+        {snapshots.length === 0 ? (
+          <p className="text-gray-500 text-sm">No snapshots saved yet</p>
+        ) : (
+          <div className="divide-y divide-gray-200 border rounded-lg">
+            {snapshots.map((snapshot) => (
+              <div
+                key={snapshot.name}
+                className="flex items-center justify-between p-3"
+              >
+                <div>
+                  <p className="font-medium text-gray-900">{snapshot.name}</p>
+                  <p className="text-xs text-gray-500">
+                    {formatSize(snapshot.size)} ·{" "}
+                    {new Date(snapshot.createdAt).toLocaleString()}
+                  </p>
+                </div>
+                <div className="flex space-x-2">
+                  <button
+                    onClick={() => handleLoad(snapshot)}
+                    disabled={!running || busy !== null}
+                    className="control-button success text-sm"
+                  >
+                    {busy === `load-${snapshot.name}` ? "Loading..." : "Load"}
+                  </button>
+                  <button
+                    onClick={() => handleRename(snapshot)}
+                    disabled={busy !== null}
+                    className="control-button secondary"
+                    title="Rename"
+                  >
+                    <PencilIcon className="h-4 w-4" />
+                  </button>
+                  <button
+                    onClick={() => handleDelete(snapshot)}
+                    disabled={busy !== null}
+                    className="control-button danger"
+                    title="Delete"
+                  >
+                    <TrashIcon className="h-4 w-4" />
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default SnapshotPanel;
@@ -0,0 +1,35 @@
+import React, { useEffect, useState } from "react";
+import axios from "axios";
+
+// Lets a stopped emulator be started from one of its saved snapshots
+function SnapshotPicker({ emulator, value, onChange }) {
+  const [snapshots, setSnapshots] = useState([]);
+
+  useEffect(() => {
+    axios
+      .get(`/api/emulators/${emulator.id}/snapshots`)
+      .then((response) => setSnapshots(response.data))
+      .catch(() => setSnapshots([]));
+  }, [emulator.id]);
+
+  if (snapshots.length === 0) {
+    return null;
+  }
+
+  return (
+    <select
+      value={value || ""}
+      onChange={(e) => onChange(e.target.value || null)}
+      className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+    >
+      <option value="">Cold boot</option>
+      {snapshots.map((snapshot) => (
+        <option key={snapshot.name} value={snapshot.name}>
+          Snapshot: {snapshot.name}
+        </option>
+      ))}
+    </select>
+  );
+}
+
+export default SnapshotPicker;
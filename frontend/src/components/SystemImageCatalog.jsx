@@ -0,0 +1,158 @@
+import React, { useEffect, useState } from "react";
+import axios from "axios";
+import { ArrowDownTrayIcon, ArrowPathIcon } from "@heroicons/react/24/outline";
+import { useEmulator } from "../context/EmulatorContext";
+
+const TAG_LABELS = {
+  google_apis: "Google APIs",
+  google_apis_playstore: "Google Play",
+  default: "AOSP",
+};
+
+function SystemImageCatalog() {
+  const { imageInstalls } = useEmulator();
+  const [images, setImages] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [showAll, setShowAll] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    fetchImages();
+  }, []);
+
+  // Pick up newly installed images once their jobs complete
+  useEffect(() => {
+    const completed = Object.values(imageInstalls).some(
+      (job) =>
+        job.status === "completed" &&
+        images.some((image) => image.id === job.imageId && !image.installed)
+    );
+    if (completed) {
+      fetchImages();
+    }
+  }, [imageInstalls]);
+
+  const fetchImages = async (refresh = false) => {
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await axios.get("/api/system-images", {
+        params: refresh ? { refresh: true } : {},
+      });
+      setImages(response.data);
+    } catch (error) {
+      setError(error.response?.data?.error || error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleInstall = async (image) => {
+    setError(null);
+    try {
+      await axios.post("/api/system-images/install", { id: image.id });
+      // Progress arrives via socket
+    } catch (error) {
+      setError(error.response?.data?.error || error.message);
+    }
+  };
+
+  const visible = showAll ? images : images.filter((image) => image.installed);
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-semibold text-gray-900">System Images</h3>
+        <div className="flex items-center space-x-3 text-sm">
+          <label className="flex items-center space-x-2 text-gray-600">
+            <input
+              type="checkbox"
+              checked={showAll}
+              onChange={(e) => setShowAll(e.target.checked)}
+            />
+            <span>Show available</span>
+          </label>
+          <button
+            onClick={() => fetchImages(true)}
+            disabled={loading}
+            className="control-button secondary flex items-center text-sm"
+          >
+            <ArrowPathIcon
+              className={`h-4 w-4 mr-1 ${loading ? "animate-spin" : ""}`}
+            />
+            Refresh
+          </button>
+        </div>
+      </div>
+
+      {error && <p className="text-sm text-red-600 mb-3">{error}</p>}
+
+      {visible.length === 0 ? (
+        <p className="text-gray-500 text-sm">
+          {loading ? "Loading catalog..." : "No system images found"}
+        </p>
+      ) : (
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-gray-600 border-b">
+              <th className="py-2">API</th>
+              <th className="py-2">Type</th>
+              <th className="py-2">ABI</th>
+              <th className="py-2">Version</th>
+              <th className="py-2"></th>
+            </tr>
+          </thead>
+          <tbody>
+            {visible.map((image) => {
+              const job = imageInstalls[image.id];
+              const installing = job && job.status === "running";
+
+              return (
+                <tr key={image.id} className="border-b last:border-0">
+                  <td className="py-2">{image.apiLevel}</td>
+                  <td className="py-2">{TAG_LABELS[image.tag] || image.tag}</td>
+                  <td className="py-2">{image.abi}</td>
+                  <td className="py-2">{image.version}</td>
+                  <td className="py-2 w-48">
+                    {image.installed ? (
+                      <span className="text-green-700">Installed</span>
+                    ) : installing || image.installing ? (
+                      <div>
+                        <div className="w-full bg-gray-200 rounded-full h-2">
+                          <div
+                            className="bg-blue-600 h-2 rounded-full transition-all"
+                            style={{ width: `${job?.progress || 0}%` }}
+                          ></div>
+                        </div>
+                        <span className="text-xs text-gray-500 capitalize">
+                          {job?.phase || "starting"} {job?.progress || 0}%
+                        </span>
+                      </div>
+                    ) : (
+                      <div>
+                        <button
+                          onClick={() => handleInstall(image)}
+                          className="control-button primary flex items-center text-xs"
+                        >
+                          <ArrowDownTrayIcon className="h-4 w-4 mr-1" />
+                          Install
+                        </button>
+                        {job?.status === "failed" && (
+                          <span className="text-xs text-red-600">
+                            {job.error}
+                          </span>
+                        )}
+                      </div>
+                    )}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+export default SystemImageCatalog;
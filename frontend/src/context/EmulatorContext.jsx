@@ -10,8 +10,21 @@ const initialState = {
   error: null,
   socket: null,
   screenStream: null,
+  healthEvents: {},
+  bootJobs: {},
+  imageInstalls: {},
+  // Crash and ANR alerts waiting to be dismissed, oldest first
+  incidentAlerts: [],
 };
 
+const HEALTH_EVENTS = [
+  "emulator-crashed",
+  "emulator-unresponsive",
+  "emulator-recovered",
+  "emulator-restarting",
+  "emulator-restart-abandoned",
+];
+
 function emulatorReducer(state, action) {
   switch (action.type) {
     case "SET_LOADING":
@@ -37,6 +50,43 @@ function emulatorReducer(state, action) {
       return { ...state, socket: action.payload };
     case "SET_SCREEN_STREAM":
       return { ...state, screenStream: action.payload };
+    case "SET_HEALTH_EVENT":
+      return {
+        ...state,
+        healthEvents: {
+          ...state.healthEvents,
+          [action.payload.name]: action.payload,
+        },
+      };
+    case "SET_BOOT_JOB":
+      return {
+        ...state,
+        bootJobs: { ...state.bootJobs, [action.payload.name]: action.payload },
+      };
+    case "SET_IMAGE_INSTALL":
+      return {
+        ...state,
+        imageInstalls: {
+          ...state.imageInstalls,
+          [action.payload.imageId]: action.payload,
+        },
+      };
+    case "ADD_INCIDENT_ALERT":
+      return {
+        ...state,
+        incidentAlerts: [...state.incidentAlerts, action.payload],
+      };
+    case "DISMISS_INCIDENT_ALERT":
+      return {
+        ...state,
+        incidentAlerts: state.incidentAlerts.filter(
+          (incident) => incident.id !== action.payload
+        ),
+      };
+    case "CLEAR_HEALTH_EVENT": {
+      const { [action.payload]: _, ...healthEvents } = state.healthEvents;
+      return { ...state, healthEvents };
+    }
     default:
       return state;
   }
@@ -54,6 +104,27 @@ export function EmulatorProvider({ children }) {
       dispatch({ type: "UPDATE_EMULATOR", payload: data });
     });
 
+    socket.on("emulator-boot-progress", (job) => {
+      dispatch({ type: "SET_BOOT_JOB", payload: job });
+    });
+
+    socket.on("system-image-install-progress", (job) => {
+      dispatch({ type: "SET_IMAGE_INSTALL", payload: job });
+    });
+
+    HEALTH_EVENTS.forEach((event) => {
+      socket.on(event, (data) => {
+        dispatch({
+          type: "SET_HEALTH_EVENT",
+          payload: { ...data, type: event.replace("emulator-", "") },
+        });
+      });
+    });
+
+    socket.on("emulator-incident", (data) => {
+      dispatch({ type: "ADD_INCIDENT_ALERT", payload: data.incident });
+    });
+
     socket.on("screen-capture", (data) => {
       dispatch({ type: "SET_SCREEN_STREAM", payload: data });
     });